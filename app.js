@@ -4,10 +4,21 @@ import cors from "cors";
 import userRoutes from "./routes/userRoutes.js";
 import patientRoutes from "./routes/patientRoutes.js";
 import appointmentRoutes from "./routes/appointmentRoutes.js";
+import invitationRoutes from "./routes/invitationRoutes.js";
+import clinicRoutes from "./routes/clinicRoutes.js";
+import clinicalNoteRoutes from "./routes/clinicalNoteRoutes.js";
+import treatmentPlanRoutes from "./routes/treatmentPlanRoutes.js";
+import consentRoutes from "./routes/consentRoutes.js";
 import { notFound, errorHandler } from "./middleware/errorMiddleware.js";
 
 const app = express();
 
+// Behind a reverse proxy (e.g. Render) → use X-Forwarded-For for req.ip,
+// which the login / register rate limiters key on
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 app.use(cors());
 app.use(express.json());
 
@@ -18,6 +29,11 @@ app.get("/", (_req, res) => {
 app.use("/api/users", userRoutes);
 app.use("/api/patients", patientRoutes);
 app.use("/api/appointments", appointmentRoutes);
+app.use("/api/invitations", invitationRoutes);
+app.use("/api/clinics", clinicRoutes);
+app.use("/api/notes", clinicalNoteRoutes);
+app.use("/api/treatment-plans", treatmentPlanRoutes);
+app.use("/api/consents", consentRoutes);
 
 app.use(notFound);
 app.use(errorHandler);
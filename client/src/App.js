@@ -10,9 +10,11 @@
  * - Renders shared Navbar + ToastContainer globally
  *
  * Notes:
- * - Public routes:  /, /login, /signup
- * - Protected routes: /dashboard, /profile, /appointments, /calendar
+ * - Public routes:  /, /login, /signup, /forgot-password, /reset-password
+ * - Protected routes: /dashboard, /patients/:id, /profile, /appointments,
+ *   /calendar
  *   (actual role-based visibility for links is handled in Navbar + backend)
+ * - Admin-only routes: /admin
  */
 
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
@@ -30,11 +32,15 @@ import PrivateRoute from './components/PrivateRoute';
 import Home from './pages/Home';
 import Login from './pages/Login';
 import Signup from './pages/Signup';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
 import Dashboard from './pages/Dashboard';
+import PatientDetail from './pages/PatientDetail';
 import Profile from './pages/Profile';
 import NotFound from './pages/NotFound';
 import Appointments from './pages/Appointments';
 import Calendar from './pages/Calendar'; // Calendar page for appointments view
+import Admin from './pages/Admin';
 
 export default function App() {
   return (
@@ -62,16 +68,24 @@ export default function App() {
               <Route index element={<Home />} />
               <Route path="/login" element={<Login />} />
               <Route path="/signup" element={<Signup />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
 
               {/* PROTECTED ROUTES (must be logged in) */}
               <Route element={<PrivateRoute />}>
                 <Route path="/dashboard" element={<Dashboard />} />
+                <Route path="/patients/:id" element={<PatientDetail />} />
                 <Route path="/profile" element={<Profile />} />
                 <Route path="/appointments" element={<Appointments />} />
                 {/* Calendar route – protected. Role-based access is enforced on backend + Navbar */}
                 <Route path="/calendar" element={<Calendar />} />
               </Route>
 
+              {/* ADMIN-ONLY ROUTES */}
+              <Route element={<PrivateRoute permission="users:manage" />}>
+                <Route path="/admin" element={<Admin />} />
+              </Route>
+
               {/* FALLBACK 404 PAGE */}
               <Route path="*" element={<NotFound />} />
             </Routes>
@@ -1,8 +1,8 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('renders the landing page when logged out', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText(/welcome to mernpro dental clinic/i)).toBeInTheDocument();
+  expect(screen.getAllByRole('link', { name: /sign in/i }).length).toBeGreaterThan(0);
 });
@@ -4,6 +4,12 @@
  * - Sets baseURL to '/api' to use CRA proxy → backend at localhost:4000
  * - Automatically attaches JWT token (if exists) using Axios interceptors
  * - Ensures all protected routes send Authorization headers
+ * - Sends the selected clinic (Navbar clinic switcher) as X-Clinic-Id
+ * - On 401, transparently exchanges the refresh token for a new access token
+ *   and retries the original request once
+ * - If refreshing fails (or the retried request is still 401), clears stored
+ *   credentials, fires 'auth:expired' (AuthContext listens for it and logs
+ *   the user out) and redirects to /login?returnTo=<current page>
  */
 
 import axios from 'axios';
@@ -13,14 +19,106 @@ const api = axios.create({
   baseURL: process.env.REACT_APP_API_URL || "/api",
 });
 
-// Attach JWT token on every request (if present)
+// Attach JWT token + selected clinic on every request (if present)
 api.interceptors.request.use((config) => {
   const token = localStorage.getItem('token');
+  const clinicId = localStorage.getItem('clinicId');
 
   // Add Authorization header only if token exists
   if (token) config.headers.Authorization = `Bearer ${token}`;
 
+  // Backend scopes patients / appointments to this clinic
+  if (clinicId) config.headers['X-Clinic-Id'] = clinicId;
+
   return config;
 });
 
+// Auth endpoints that must never trigger a refresh attempt
+const AUTH_PATHS = [
+  '/users/login',
+  '/users/register',
+  '/users/bootstrap',
+  '/users/refresh',
+  '/users/logout',
+  '/invitations/token/',
+];
+
+// Shared promise so parallel 401s only refresh once
+let refreshPromise = null;
+
+/**
+ * Exchanges the stored refresh token for a new token pair.
+ * Uses plain axios (not `api`) so this call is not intercepted itself.
+ */
+const refreshTokens = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) throw new Error('No refresh token');
+
+  const { data } = await axios.post(`${api.defaults.baseURL}/users/refresh`, {
+    refreshToken,
+  });
+
+  localStorage.setItem('token', data.token);
+  localStorage.setItem('refreshToken', data.refreshToken);
+  return data.token;
+};
+
+/**
+ * Session is over: drop credentials, notify AuthContext and send the user
+ * to the login page, remembering where they were.
+ */
+const endSession = () => {
+  localStorage.removeItem('user');
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('clinicId');
+  window.dispatchEvent(new Event('auth:expired'));
+
+  const { pathname, search } = window.location;
+  if (pathname !== '/login') {
+    const returnTo = encodeURIComponent(pathname + search);
+    window.location.assign(`/login?returnTo=${returnTo}`);
+  }
+};
+
+// Retry once with a fresh access token when the API answers 401
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const original = error.config;
+    const status = error.response?.status;
+
+    if (
+      status !== 401 ||
+      !original ||
+      AUTH_PATHS.some((path) => original.url?.startsWith(path))
+    ) {
+      return Promise.reject(error);
+    }
+
+    // Still 401 with a freshly refreshed token (e.g. account deactivated)
+    if (original._retried) {
+      endSession();
+      return Promise.reject(error);
+    }
+
+    original._retried = true;
+
+    let token;
+    try {
+      refreshPromise = refreshPromise || refreshTokens();
+      token = await refreshPromise;
+    } catch {
+      // Refresh token missing, expired or revoked → session is over
+      endSession();
+      return Promise.reject(error);
+    } finally {
+      refreshPromise = null;
+    }
+
+    original.headers.Authorization = `Bearer ${token}`;
+    return api(original);
+  }
+);
+
 export default api;
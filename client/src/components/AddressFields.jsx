@@ -0,0 +1,96 @@
+/**
+ * AddressFields Component
+ * -----------------------
+ * Inputs for a structured postal address (Patient.address): street, city,
+ * state / region, postal code and country. The postal code format per
+ * country is checked by the server.
+ *
+ * Exports:
+ *  - default AddressFields({ value, onChange, errors })
+ *    errors: { street, city, postalCode, country } messages
+ *  - EMPTY_ADDRESS (country = DEFAULT_COUNTRY)
+ *  - COUNTRY_OPTIONS → [code, name] sorted by name
+ *  - formatAddress(address) → one line; formatAddressLines → lines for letters
+ */
+
+import { getCountries } from "libphonenumber-js";
+import { DEFAULT_COUNTRY } from "./PhoneInput";
+
+export const EMPTY_ADDRESS = {
+  street: "",
+  city: "",
+  region: "",
+  postalCode: "",
+  country: DEFAULT_COUNTRY,
+};
+
+const regionNames =
+  typeof Intl.DisplayNames === "function" ? new Intl.DisplayNames(["en"], { type: "region" }) : null;
+
+const countryName = (code) => {
+  try {
+    return regionNames?.of(code) || code;
+  } catch {
+    return code;
+  }
+};
+
+export const COUNTRY_OPTIONS = getCountries()
+  .map((code) => [code, countryName(code)])
+  .sort((a, b) => a[1].localeCompare(b[1]));
+
+// ["12 Main St", "Springfield, IL 62704", "United States"]; older records
+// may still hold a plain string
+export const formatAddressLines = (address) => {
+  if (!address) return [];
+  if (typeof address === "string") return [address];
+  const locality = [address.region, address.postalCode].filter(Boolean).join(" ");
+  return [
+    address.street,
+    [address.city, locality].filter(Boolean).join(", "),
+    address.country && countryName(address.country),
+  ].filter(Boolean);
+};
+
+export const formatAddress = (address) => formatAddressLines(address).join(", ") || "—";
+
+export default function AddressFields({ value, onChange, errors = {} }) {
+  const address = value || EMPTY_ADDRESS;
+  const set = (key, v) => onChange({ ...address, [key]: v });
+
+  const input = (key, placeholder, col) => (
+    <div className={col}>
+      <input
+        className={`form-control ${errors[key] ? "is-invalid" : ""}`}
+        placeholder={placeholder}
+        value={address[key] || ""}
+        onChange={(e) => set(key, e.target.value)}
+      />
+      {errors[key] && <div className="invalid-feedback">{errors[key]}</div>}
+    </div>
+  );
+
+  return (
+    <div className="row g-1">
+      {input("street", "Street and number", "col-12")}
+      {input("city", "City", "col-sm-6")}
+      {input("region", "State / region", "col-sm-6")}
+      {input("postalCode", "Postal code", "col-sm-6")}
+      <div className="col-sm-6">
+        <select
+          className={`form-select ${errors.country ? "is-invalid" : ""}`}
+          aria-label="Country"
+          value={address.country || DEFAULT_COUNTRY}
+          onChange={(e) => set("country", e.target.value)}
+        >
+          {COUNTRY_OPTIONS.map(([code, name]) => (
+            <option key={code} value={code}>
+              {name}
+            </option>
+          ))}
+        </select>
+        {errors.country && <div className="invalid-feedback">{errors.country}</div>}
+      </div>
+    </div>
+  );
+}
@@ -2,12 +2,17 @@
  * AttachmentsModal.jsx
  * --------------------
  * Shows a list/gallery of attachments for a single patient.
- * Allows downloading / opening files and deleting them.
+ * Allows downloading / opening files and deleting them
+ * (delete requires the attachments:delete permission and is hidden when
+ * no onDeleteAttachment handler is passed, e.g. for archived patients).
+ *
+ * getFileUrl(filename) is exported for other views that link to uploads.
  */
 
 import api from "../api/axios";
+import { useAuth } from "../context/AuthContext";
 
-function getFileUrl(filename) {
+export function getFileUrl(filename) {
   // baseURL can be '/api' (local) or 'https://.../api' (Render)
   const base = api.defaults.baseURL || "";
 
@@ -26,6 +31,8 @@ export default function AttachmentsModal({
   onClose,
   onDeleteAttachment,
 }) {
+  const { can } = useAuth();
+
   if (!show || !patient) return null;
 
   const attachments = patient.attachments || [];
@@ -92,16 +99,17 @@ export default function AttachmentsModal({
                           </div>
                         </div>
 
-                        <button
-                          className="btn btn-sm btn-outline-danger"
-                          onClick={() =>
-                            onDeleteAttachment &&
-                            onDeleteAttachment(patient._id, att._id)
-                          }
-                        >
-                          <i className="bi bi-trash me-1" />
-                          Delete
-                        </button>
+                        {onDeleteAttachment && can("attachments:delete") && (
+                          <button
+                            className="btn btn-sm btn-outline-danger"
+                            onClick={() =>
+                              onDeleteAttachment(patient._id, att._id)
+                            }
+                          >
+                            <i className="bi bi-trash me-1" />
+                            Delete
+                          </button>
+                        )}
                       </div>
                     );
                   })}
@@ -0,0 +1,97 @@
+/**
+ * ChangePasswordForm Component
+ * ----------------------------
+ * "Change Password" section of the Profile page.
+ *
+ * - Requires the current password (POST /users/change-password)
+ * - New password must match the confirmation and the server's policy
+ * - The backend signs out every other device; this session stays active
+ */
+
+import { useState } from 'react';
+import api from '../api/axios';
+import { toast } from 'react-toastify';
+import PasswordRequirements from './PasswordRequirements';
+
+const EMPTY = { currentPassword: '', newPassword: '', confirm: '' };
+
+export default function ChangePasswordForm() {
+  const [form, setForm] = useState(EMPTY);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (form.newPassword !== form.confirm) {
+      setError('New passwords do not match');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const { data } = await api.post('/users/change-password', {
+        currentPassword: form.currentPassword,
+        newPassword: form.newPassword,
+      });
+      setForm(EMPTY);
+      toast.success(data.message || 'Password changed');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not change password');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="card card-body mt-4">
+      <h5>Change Password</h5>
+
+      <form onSubmit={submit}>
+        <div className="mb-2">
+          <label className="form-label">Current password</label>
+          <input
+            type="password"
+            className="form-control"
+            value={form.currentPassword}
+            onChange={(e) => setForm({ ...form, currentPassword: e.target.value })}
+            autoComplete="current-password"
+            required
+          />
+        </div>
+
+        <div className="mb-2">
+          <label className="form-label">New password</label>
+          <input
+            type="password"
+            className="form-control"
+            value={form.newPassword}
+            onChange={(e) => setForm({ ...form, newPassword: e.target.value })}
+            autoComplete="new-password"
+            required
+          />
+          <PasswordRequirements />
+        </div>
+
+        <div className="mb-2">
+          <label className="form-label">Confirm new password</label>
+          <input
+            type="password"
+            className="form-control"
+            value={form.confirm}
+            onChange={(e) => setForm({ ...form, confirm: e.target.value })}
+            autoComplete="new-password"
+            required
+          />
+        </div>
+
+        {error && <div className="alert alert-danger mt-2">{error}</div>}
+
+        <button className="btn btn-primary mt-2" disabled={busy}>
+          {busy ? 'Saving...' : 'Change Password'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,453 @@
+/**
+ * ClinicalNotesPanel Component
+ * ----------------------------
+ * Clinical notes of one patient on the detail page (GET /api/notes),
+ * newest first, filtered by author and appointment.
+ *
+ * - "New note": template (SOAP, post-op, …), optional appointment, one
+ *   text area per section; saved as a draft or signed at once
+ * - Drafts (only shown to their author) can be edited, signed or deleted
+ * - Signed notes are never edited: "Amend" saves a corrected text with a
+ *   required reason; the note shows the latest text and lists its
+ *   amendments (the original stays readable)
+ * - Writing needs notes:write; the panel is hidden without notes:read
+ *
+ * Props:
+ *  - patient: patient with `appointments` (detail response)
+ *  - onChanged(): called after a note is signed or amended (timeline)
+ */
+
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import api from "../api/axios";
+import { useAuth } from "../context/AuthContext";
+
+const PAGE_SIZE = 20;
+
+// Latest text of a note: the last amendment, else what was signed
+const currentSections = (note) => note.amendments?.at(-1)?.sections || note.sections;
+
+const sectionsMap = (sections) => Object.fromEntries(sections.map((s) => [s.key, s.text]));
+
+const appointmentOption = (a) =>
+  `${String(a.date).slice(0, 10)} ${a.time}${a.reason ? ` · ${a.reason}` : ""}`;
+
+function NoteSections({ sections }) {
+  return sections
+    .filter((s) => s.text)
+    .map((s) => (
+      <div key={s.key} className="small mb-1">
+        {sections.length > 1 && <div className="fw-semibold">{s.label}</div>}
+        <div className="text-break" style={{ whiteSpace: "pre-wrap" }}>
+          {s.text}
+        </div>
+      </div>
+    ));
+}
+
+export default function ClinicalNotesPanel({ patient, onChanged }) {
+  const { can, user } = useAuth();
+  const [templates, setTemplates] = useState([]);
+  const [notes, setNotes] = useState([]);
+  const [authors, setAuthors] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [filters, setFilters] = useState({ author: "", appointmentId: "" });
+  const [editor, setEditor] = useState(null); // { note?, template, appointmentId, sections, reason? }
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [expanded, setExpanded] = useState({}); // note id → amendments shown
+
+  const patientId = patient._id;
+  const appointments = patient.appointments || [];
+
+  const load = async (nextPage = 1) => {
+    setLoading(true);
+    try {
+      const { data } = await api.get("/notes", {
+        params: { patientId, page: nextPage, limit: PAGE_SIZE, ...filters },
+      });
+      setNotes((prev) => (nextPage === 1 ? data.items : [...prev, ...data.items]));
+      setAuthors(data.authors);
+      setPage(data.page);
+      setPages(data.pages);
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to load notes");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    api
+      .get("/notes/templates")
+      .then(({ data }) => setTemplates(data))
+      .catch(() => toast.error("Failed to load note templates"));
+  }, []);
+
+  useEffect(() => {
+    load(1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [patientId, filters]);
+
+  const templateOf = (key) => templates.find((t) => t.key === key);
+
+  const openNew = () => {
+    setErrors({});
+    setEditor({ template: "general", appointmentId: "", sections: {} });
+  };
+
+  const openDraft = (note) => {
+    setErrors({});
+    setEditor({
+      note,
+      template: note.template,
+      appointmentId: note.appointment || "",
+      sections: sectionsMap(note.sections),
+    });
+  };
+
+  const openAmend = (note) => {
+    setErrors({});
+    setEditor({
+      note,
+      amend: true,
+      template: note.template,
+      sections: sectionsMap(currentSections(note)),
+      reason: "",
+    });
+  };
+
+  // Saves the editor: new note, draft edit or amendment
+  const save = async (sign) => {
+    const errs = {};
+    if (!Object.values(editor.sections).some((t) => t && t.trim())) {
+      errs.sections = "Write something in at least one section";
+    }
+    if (editor.amend && !editor.reason.trim()) errs.reason = "Reason is required";
+    setErrors(errs);
+    if (Object.keys(errs).length) return;
+
+    setSaving(true);
+    try {
+      const { note, amend, template, appointmentId, sections, reason } = editor;
+      if (amend) {
+        await api.post(`/notes/${note._id}/amend`, { sections, reason });
+      } else if (note) {
+        await api.put(`/notes/${note._id}`, { template, appointmentId, sections });
+        if (sign) await api.post(`/notes/${note._id}/sign`);
+      } else {
+        await api.post("/notes", { patientId, template, appointmentId, sections, sign });
+      }
+      toast.success(amend ? "Note amended" : sign ? "Note signed" : "Draft saved");
+      setEditor(null);
+      await load(1);
+      if (amend || sign) onChanged && onChanged();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to save note");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const sign = async (note) => {
+    try {
+      await api.post(`/notes/${note._id}/sign`);
+      toast.success("Note signed");
+      await load(1);
+      onChanged && onChanged();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to sign note");
+    }
+  };
+
+  const remove = async (note) => {
+    if (!window.confirm("Delete this draft?")) return;
+    try {
+      await api.delete(`/notes/${note._id}`);
+      toast.success("Draft deleted");
+      await load(1);
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to delete draft");
+    }
+  };
+
+  const editorTemplate = editor && templateOf(editor.template);
+
+  return (
+    <div className="card card-body mb-3">
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <h5 className="mb-0">Clinical notes</h5>
+        {can("notes:write") && (
+          <button className="btn btn-primary btn-sm" onClick={openNew}>
+            New note
+          </button>
+        )}
+      </div>
+
+      {/* Filters */}
+      <div className="d-flex gap-2 mb-2">
+        <select
+          className="form-select form-select-sm"
+          aria-label="Author"
+          value={filters.author}
+          onChange={(e) => setFilters({ ...filters, author: e.target.value })}
+        >
+          <option value="">All authors</option>
+          {authors.map((a) => (
+            <option key={a._id} value={a._id}>
+              {a.name}
+            </option>
+          ))}
+        </select>
+        <select
+          className="form-select form-select-sm"
+          aria-label="Appointment"
+          value={filters.appointmentId}
+          onChange={(e) => setFilters({ ...filters, appointmentId: e.target.value })}
+        >
+          <option value="">All appointments</option>
+          <option value="none">Not linked to a visit</option>
+          {appointments.map((a) => (
+            <option key={a._id} value={a._id}>
+              {appointmentOption(a)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {!loading && notes.length === 0 && (
+        <p className="text-muted small mb-0">No clinical notes yet.</p>
+      )}
+
+      <ul className="list-unstyled mb-0">
+        {notes.map((n) => {
+          const own = n.author === user?._id;
+          return (
+            <li key={n._id} className="pb-2 mb-2 border-bottom">
+              <div className="d-flex justify-content-between gap-2 small">
+                <strong>
+                  {templateOf(n.template)?.label || n.template}{" "}
+                  {n.status === "draft" ? (
+                    <span className="badge bg-warning text-dark">Draft</span>
+                  ) : n.amendments.length > 0 ? (
+                    <span className="badge bg-info text-dark">Amended</span>
+                  ) : null}
+                </strong>
+                <span className="text-muted text-nowrap">
+                  {new Date(n.createdAt).toLocaleString()}
+                </span>
+              </div>
+              <div className="small text-muted mb-1">
+                by {n.authorName || "unknown user"}
+                {n.appointmentLabel ? ` · visit ${n.appointmentLabel}` : ""}
+                {n.signedAt ? ` · signed ${new Date(n.signedAt).toLocaleString()}` : ""}
+              </div>
+
+              <NoteSections sections={currentSections(n)} />
+
+              {n.amendments.length > 0 && (
+                <button
+                  className="btn btn-link btn-sm p-0"
+                  onClick={() => setExpanded({ ...expanded, [n._id]: !expanded[n._id] })}
+                >
+                  {expanded[n._id] ? "Hide" : "Show"} amendments ({n.amendments.length})
+                </button>
+              )}
+              {expanded[n._id] && (
+                <div className="border-start ps-2 mt-1">
+                  {/* Newest first; the newest text is shown above already */}
+                  {[...n.amendments].reverse().map((a, i) => (
+                    <div key={a._id} className="small mb-2">
+                      <div className="text-muted">
+                        Amended {new Date(a.createdAt).toLocaleString()} by{" "}
+                        {a.authorName || "unknown user"} — {a.reason}
+                      </div>
+                      {i > 0 && <NoteSections sections={a.sections} />}
+                    </div>
+                  ))}
+                  <div className="small text-muted">Original text:</div>
+                  <NoteSections sections={n.sections} />
+                </div>
+              )}
+
+              {can("notes:write") && (
+                <div className="d-flex gap-2 mt-1">
+                  {n.status === "draft" && own && (
+                    <>
+                      <button
+                        className="btn btn-sm btn-outline-secondary py-0"
+                        onClick={() => openDraft(n)}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        className="btn btn-sm btn-outline-success py-0"
+                        onClick={() => sign(n)}
+                      >
+                        Sign
+                      </button>
+                      <button
+                        className="btn btn-sm btn-outline-danger py-0"
+                        onClick={() => remove(n)}
+                      >
+                        Delete
+                      </button>
+                    </>
+                  )}
+                  {n.status === "signed" && (
+                    <button
+                      className="btn btn-sm btn-outline-secondary py-0"
+                      onClick={() => openAmend(n)}
+                    >
+                      Amend
+                    </button>
+                  )}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {page < pages && (
+        <button
+          className="btn btn-sm btn-outline-dark w-100"
+          disabled={loading}
+          onClick={() => load(page + 1)}
+        >
+          {loading ? "Loading…" : "Load older notes"}
+        </button>
+      )}
+
+      {/* New note / edit draft / amend */}
+      {editor && (
+        <div className="modal fade show" style={{ display: "block" }}>
+          <div className="modal d-block" tabIndex={-1} role="dialog">
+            <div className="modal-dialog modal-lg" role="document">
+              <div className="modal-content">
+                <div className="modal-header">
+                  <h5 className="modal-title">
+                    {editor.amend ? "Amend note" : editor.note ? "Edit draft" : "New note"} –{" "}
+                    {patient.name}
+                  </h5>
+                  <button
+                    type="button"
+                    className="btn-close"
+                    aria-label="Close"
+                    onClick={() => setEditor(null)}
+                  />
+                </div>
+                <div className="modal-body">
+                  {!editor.amend && (
+                    <div className="row g-2 mb-2">
+                      <div className="col-sm-6">
+                        <label className="form-label">Template</label>
+                        <select
+                          className="form-select"
+                          value={editor.template}
+                          onChange={(e) => setEditor({ ...editor, template: e.target.value })}
+                        >
+                          {templates.map((t) => (
+                            <option key={t.key} value={t.key}>
+                              {t.label}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="col-sm-6">
+                        <label className="form-label">Appointment</label>
+                        <select
+                          className="form-select"
+                          value={editor.appointmentId}
+                          onChange={(e) =>
+                            setEditor({ ...editor, appointmentId: e.target.value })
+                          }
+                        >
+                          <option value="">Not linked to a visit</option>
+                          {appointments.map((a) => (
+                            <option key={a._id} value={a._id}>
+                              {appointmentOption(a)}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+                  )}
+
+                  {(editorTemplate?.sections || []).map((s) => (
+                    <div key={s.key} className="mb-2">
+                      <label className="form-label">{s.label}</label>
+                      <textarea
+                        className={`form-control ${errors.sections ? "is-invalid" : ""}`}
+                        rows={editorTemplate.sections.length > 1 ? 2 : 5}
+                        value={editor.sections[s.key] || ""}
+                        onChange={(e) =>
+                          setEditor({
+                            ...editor,
+                            sections: { ...editor.sections, [s.key]: e.target.value },
+                          })
+                        }
+                      />
+                    </div>
+                  ))}
+                  {errors.sections && (
+                    <div className="text-danger small mb-2">{errors.sections}</div>
+                  )}
+
+                  {editor.amend && (
+                    <div className="mb-2">
+                      <label className="form-label">Reason for the amendment</label>
+                      <input
+                        className={`form-control ${errors.reason ? "is-invalid" : ""}`}
+                        value={editor.reason}
+                        onChange={(e) => setEditor({ ...editor, reason: e.target.value })}
+                      />
+                      {errors.reason && <div className="invalid-feedback">{errors.reason}</div>}
+                    </div>
+                  )}
+                </div>
+                <div className="modal-footer">
+                  <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={() => setEditor(null)}
+                  >
+                    Cancel
+                  </button>
+                  {editor.amend ? (
+                    <button
+                      className="btn btn-primary"
+                      disabled={saving}
+                      onClick={() => save(false)}
+                    >
+                      {saving ? "Saving…" : "Save amendment"}
+                    </button>
+                  ) : (
+                    <>
+                      <button
+                        className="btn btn-outline-primary"
+                        disabled={saving}
+                        onClick={() => save(false)}
+                      >
+                        Save draft
+                      </button>
+                      <button
+                        className="btn btn-primary"
+                        disabled={saving}
+                        onClick={() => save(true)}
+                      >
+                        {saving ? "Saving…" : "Save & sign"}
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,307 @@
+/**
+ * ConsentPanel Component
+ * ----------------------
+ * Consent forms of a patient on the detail page
+ * (GET /api/consents?patientId=).
+ *
+ * - Per appointment: the forms the visit needs (from its planned procedures
+ *   and reason) with their signed / not signed status
+ * - "Sign" opens the signing screen: a full-screen view of the form that
+ *   is handed to the patient, who signs on the canvas (SignaturePad). The
+ *   server prints it into a PDF that is added to the patient's
+ *   attachments.
+ * - Any active form can also be signed for any appointment
+ * - Signed consents with a link to their PDF
+ * - Signing needs consents:sign and attachments:upload; the panel is hidden
+ *   without consents:read
+ *
+ * Props:
+ *  - patient: patient being viewed
+ *  - onChanged(): called after a consent was signed (new attachment)
+ */
+
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import api from "../api/axios";
+import { useAuth } from "../context/AuthContext";
+import { getFileUrl } from "./AttachmentsModal";
+import { useConsentTemplates } from "./ConsentWarning";
+import SignaturePad from "./SignaturePad";
+
+const RELATIONSHIPS = [
+  ["patient", "Patient"],
+  ["guardian", "Guardian / legal representative"],
+  ["other", "Other (on behalf of the patient)"],
+];
+
+const isUpcoming = (visit) => new Date(visit.date) >= new Date(new Date().toISOString().slice(0, 10));
+
+/**
+ * Full-screen signing view for one form and one appointment.
+ */
+function ConsentSigningScreen({ patient, visit, template, onSigned, onClose }) {
+  const [signerName, setSignerName] = useState(patient.name || "");
+  const [relationship, setRelationship] = useState("patient");
+  const [agreed, setAgreed] = useState(false);
+  const [signature, setSignature] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const changeRelationship = (value) => {
+    setRelationship(value);
+    if (value === "patient") setSignerName(patient.name || "");
+    else if (value === "guardian" && patient.guardian?.name) setSignerName(patient.guardian.name);
+  };
+
+  const sign = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await api.post("/consents", {
+        patientId: patient._id,
+        appointmentId: visit.appointment,
+        templateId: template._id,
+        signerName,
+        signerRelationship: relationship,
+        signature,
+      });
+      toast.success(`${template.name} signed`);
+      onSigned();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to save the consent");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal fade show" style={{ display: "block" }}>
+      <div className="modal d-block" tabIndex="-1">
+        <div className="modal-dialog modal-fullscreen">
+          <form className="modal-content" onSubmit={sign}>
+            <div className="modal-header">
+              <h4 className="modal-title">{template.name}</h4>
+              <button type="button" className="btn-close" aria-label="Close" onClick={onClose} />
+            </div>
+            <div className="modal-body">
+              <div className="container" style={{ maxWidth: 820 }}>
+                <p className="text-muted mb-3">
+                  {patient.name} · appointment {visit.label}
+                </p>
+                <div className="fs-5 mb-4" style={{ whiteSpace: "pre-wrap" }}>
+                  {template.body}
+                </div>
+
+                <div className="row g-2 mb-3">
+                  <div className="col-md-6">
+                    <label className="form-label">Signed by</label>
+                    <input
+                      className="form-control"
+                      value={signerName}
+                      onChange={(e) => setSignerName(e.target.value)}
+                      required
+                    />
+                  </div>
+                  <div className="col-md-6">
+                    <label className="form-label">Relationship to the patient</label>
+                    <select
+                      className="form-select"
+                      value={relationship}
+                      onChange={(e) => changeRelationship(e.target.value)}
+                    >
+                      {RELATIONSHIPS.map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="form-check mb-3">
+                  <input
+                    id="consent-agreed"
+                    type="checkbox"
+                    className="form-check-input"
+                    checked={agreed}
+                    onChange={(e) => setAgreed(e.target.checked)}
+                  />
+                  <label className="form-check-label" htmlFor="consent-agreed">
+                    I have read this form, my questions were answered and I give my consent.
+                  </label>
+                </div>
+
+                <SignaturePad onChange={setSignature} />
+              </div>
+            </div>
+            <div className="modal-footer">
+              <button type="button" className="btn btn-secondary" onClick={onClose}>
+                Cancel
+              </button>
+              <button
+                className="btn btn-primary btn-lg"
+                disabled={saving || !agreed || !signature || !signerName.trim()}
+              >
+                {saving ? "Saving…" : "Sign consent"}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function ConsentPanel({ patient, onChanged }) {
+  const { can } = useAuth();
+  const templates = useConsentTemplates();
+  const [data, setData] = useState(null);
+  const [signing, setSigning] = useState(null); // { visit, template }
+  const [pick, setPick] = useState({ appointment: "", template: "" });
+
+  const patientId = patient._id;
+  const canSign = can("consents:sign") && can("attachments:upload");
+
+  const load = () =>
+    api
+      .get("/consents", { params: { patientId } })
+      .then(({ data }) => setData(data))
+      .catch((err) => toast.error(err.response?.data?.message || "Failed to load consents"));
+
+  // Reload with the patient (e.g. after booking an appointment)
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [patientId, patient.appointments]);
+
+  if (!data) return null;
+
+  const visits = data.appointments.filter((v) => v.required.length || v.signed.length);
+  const open = (visit, templateId) =>
+    setSigning({ visit, template: templates.find((t) => t._id === templateId) });
+
+  const signed = () => {
+    setSigning(null);
+    setPick({ appointment: "", template: "" });
+    load();
+    onChanged?.();
+  };
+
+  return (
+    <div className="card card-body mb-3">
+      <h5>Consent forms</h5>
+
+      {visits.length === 0 && (
+        <p className="text-muted small">No appointment of this patient needs a consent form.</p>
+      )}
+      {visits.map((v) => (
+        <div key={v.appointment} className="border-bottom py-2 small">
+          <div className="fw-semibold">
+            {v.label}
+            {!isUpcoming(v) && <span className="text-muted fw-normal"> · past</span>}
+          </div>
+          {v.required.map((t) => {
+            const missing = v.missing.some((m) => m._id === t._id);
+            return (
+              <div key={t._id} className="d-flex align-items-center gap-2 mt-1">
+                <span className={`badge ${missing ? "bg-warning text-dark" : "bg-success"}`}>
+                  {missing ? "Not signed" : "Signed"}
+                </span>
+                <span>{t.name}</span>
+                {missing && canSign && (
+                  <button className="btn btn-sm btn-outline-primary py-0 ms-auto" onClick={() => open(v, t._id)}>
+                    Sign
+                  </button>
+                )}
+              </div>
+            );
+          })}
+          {v.signed
+            .filter((c) => !v.required.some((t) => t._id === c.template))
+            .map((c) => (
+              <div key={c._id} className="d-flex align-items-center gap-2 mt-1">
+                <span className="badge bg-success">Signed</span>
+                <span>{c.title}</span>
+              </div>
+            ))}
+        </div>
+      ))}
+
+      {/* Sign any form for any appointment */}
+      {canSign && templates.length > 0 && data.appointments.length > 0 && (
+        <div className="input-group input-group-sm mt-2">
+          <select
+            className="form-select"
+            aria-label="Appointment"
+            value={pick.appointment}
+            onChange={(e) => setPick({ ...pick, appointment: e.target.value })}
+          >
+            <option value="">Appointment…</option>
+            {data.appointments.map((v) => (
+              <option key={v.appointment} value={v.appointment}>
+                {v.label}
+              </option>
+            ))}
+          </select>
+          <select
+            className="form-select"
+            aria-label="Consent form"
+            value={pick.template}
+            onChange={(e) => setPick({ ...pick, template: e.target.value })}
+          >
+            <option value="">Form…</option>
+            {templates.map((t) => (
+              <option key={t._id} value={t._id}>
+                {t.name}
+              </option>
+            ))}
+          </select>
+          <button
+            className="btn btn-outline-primary"
+            disabled={!pick.appointment || !pick.template}
+            onClick={() =>
+              open(
+                data.appointments.find((v) => v.appointment === pick.appointment),
+                pick.template
+              )
+            }
+          >
+            Sign
+          </button>
+        </div>
+      )}
+
+      {/* Signed consents */}
+      {data.consents.length > 0 && (
+        <>
+          <h6 className="mt-3">Signed</h6>
+          <ul className="list-unstyled small mb-0">
+            {data.consents.map((c) => (
+              <li key={c._id} className="mb-1">
+                <a href={getFileUrl(c.filename)} target="_blank" rel="noreferrer">
+                  <i className="bi bi-file-earmark-pdf me-1"></i>
+                  {c.title}
+                </a>{" "}
+                <span className="text-muted">
+                  · {c.appointmentLabel} · signed by {c.signerName}
+                  {c.signerRelationship !== "patient" && ` (${c.signerRelationship})`} on{" "}
+                  {new Date(c.signedAt).toLocaleString()}, witnessed by{" "}
+                  {c.witnessName || "unknown user"}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {signing?.template && (
+        <ConsentSigningScreen
+          patient={patient}
+          visit={signing.visit}
+          template={signing.template}
+          onSigned={signed}
+          onClose={() => setSigning(null)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,218 @@
+/**
+ * ConsentTemplatesManager Component
+ * ---------------------------------
+ * Admin card listing the consent forms of the current clinic
+ * (GET /api/consents/templates?all=true) with a form to add or edit one.
+ *
+ * - Name and text of the form as the patient reads it on the signing
+ *   screen
+ * - Procedure codes (e.g. D7140) and reason keywords (e.g. "sedation") that
+ *   make a visit need the form; booking such a visit shows a warning
+ * - Inactive forms are no longer offered or required; a form that was
+ *   signed can only be deactivated, not deleted
+ * - Needs consents:templates (admin)
+ */
+
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import api from "../api/axios";
+import { useAuth } from "../context/AuthContext";
+
+const emptyForm = { name: "", body: "", procedureCodes: "", keywords: "", active: true };
+
+const splitList = (text) =>
+  text
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+export default function ConsentTemplatesManager() {
+  const { clinicId } = useAuth();
+  const [templates, setTemplates] = useState([]);
+  const [form, setForm] = useState(null); // values while the editor is open
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const load = () =>
+    api
+      .get("/consents/templates", { params: { all: true } })
+      .then(({ data }) => setTemplates(data))
+      .catch((err) => toast.error(err.response?.data?.message || "Failed to load consent forms"));
+
+  useEffect(() => {
+    load();
+    setForm(null);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [clinicId]);
+
+  const edit = (t) => {
+    setEditingId(t?._id || null);
+    setForm(
+      t
+        ? {
+            name: t.name,
+            body: t.body,
+            procedureCodes: t.procedureCodes.join(", "),
+            keywords: t.keywords.join(", "),
+            active: t.active,
+          }
+        : emptyForm
+    );
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const values = {
+      ...form,
+      procedureCodes: splitList(form.procedureCodes),
+      keywords: splitList(form.keywords),
+    };
+    try {
+      if (editingId) await api.put(`/consents/templates/${editingId}`, values);
+      else await api.post("/consents/templates", values);
+      toast.success("Consent form saved");
+      setForm(null);
+      load();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to save consent form");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async (t) => {
+    if (!window.confirm(`Delete the consent form "${t.name}"?`)) return;
+    try {
+      await api.delete(`/consents/templates/${t._id}`);
+      toast.success("Consent form deleted");
+      load();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to delete consent form");
+    }
+  };
+
+  return (
+    <div className="card card-body mt-3">
+      <div className="d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">Consent Forms</h5>
+        {!form && (
+          <button className="btn btn-sm btn-outline-primary" onClick={() => edit(null)}>
+            New form
+          </button>
+        )}
+      </div>
+
+      {form && (
+        <form onSubmit={save} className="border rounded p-2 mt-2">
+          <div className="mb-2">
+            <label className="form-label">Name</label>
+            <input
+              className="form-control form-control-sm"
+              placeholder="e.g. Consent for tooth extraction"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              required
+            />
+          </div>
+          <div className="mb-2">
+            <label className="form-label">Text</label>
+            <textarea
+              className="form-control form-control-sm"
+              rows={8}
+              value={form.body}
+              onChange={(e) => setForm({ ...form, body: e.target.value })}
+              required
+            />
+            <div className="form-text">Shown to the patient and printed on the signed PDF.</div>
+          </div>
+          <div className="row g-2 mb-2">
+            <div className="col-md-6">
+              <label className="form-label">Procedure codes</label>
+              <input
+                className="form-control form-control-sm"
+                placeholder="D7140, D7210"
+                value={form.procedureCodes}
+                onChange={(e) => setForm({ ...form, procedureCodes: e.target.value })}
+              />
+            </div>
+            <div className="col-md-6">
+              <label className="form-label">Reason keywords</label>
+              <input
+                className="form-control form-control-sm"
+                placeholder="extraction, sedation"
+                value={form.keywords}
+                onChange={(e) => setForm({ ...form, keywords: e.target.value })}
+              />
+            </div>
+            <div className="form-text">
+              Visits with one of these planned procedures, or a reason containing one of these
+              words, need this form (comma-separated).
+            </div>
+          </div>
+          <div className="form-check mb-2">
+            <input
+              id="consent-template-active"
+              type="checkbox"
+              className="form-check-input"
+              checked={form.active}
+              onChange={(e) => setForm({ ...form, active: e.target.checked })}
+            />
+            <label className="form-check-label" htmlFor="consent-template-active">
+              Active
+            </label>
+          </div>
+          <div className="d-flex gap-2">
+            <button className="btn btn-sm btn-primary" disabled={saving}>
+              {saving ? "Saving…" : "Save"}
+            </button>
+            <button type="button" className="btn btn-sm btn-secondary" onClick={() => setForm(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <table className="table table-striped mt-2 align-middle small">
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Needed for</th>
+            <th>Updated</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {templates.map((t) => (
+            <tr key={t._id} className={t.active ? "" : "text-muted"}>
+              <td>
+                {t.name}
+                {!t.active && <span className="badge bg-secondary ms-1">inactive</span>}
+              </td>
+              <td>{[...t.procedureCodes, ...t.keywords.map((k) => `"${k}"`)].join(", ") || "—"}</td>
+              <td>
+                {new Date(t.updatedAt).toLocaleDateString()}
+                {t.updatedByName && ` by ${t.updatedByName}`}
+              </td>
+              <td className="text-end text-nowrap">
+                <button className="btn btn-sm btn-outline-secondary me-1" onClick={() => edit(t)}>
+                  Edit
+                </button>
+                <button className="btn btn-sm btn-outline-danger" onClick={() => remove(t)}>
+                  Delete
+                </button>
+              </td>
+            </tr>
+          ))}
+          {templates.length === 0 && (
+            <tr>
+              <td colSpan="4" className="text-muted">
+                No consent forms yet.
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
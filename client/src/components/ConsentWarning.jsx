@@ -0,0 +1,59 @@
+/**
+ * ConsentWarning Component
+ * ------------------------
+ * Warns while booking when the visit needs a consent form. A new
+ * appointment has nothing signed yet, so every form it needs is listed
+ * (signing happens on the patient detail page, ConsentPanel).
+ *
+ * A form is needed when one of the booked procedure codes is in its
+ * procedureCodes, or the reason contains one of its keywords (same rule as
+ * utils/consents.js on the server).
+ *
+ * Exports:
+ *  - default ConsentWarning({ templates, codes, reason })
+ *  - consentsRequiredFor(templates, { codes, reason }) → templates
+ *  - useConsentTemplates() → active templates of the current clinic ([]
+ *    without consents:read)
+ */
+
+import { useEffect, useState } from "react";
+import api from "../api/axios";
+import { useAuth } from "../context/AuthContext";
+
+export const consentsRequiredFor = (templates, { codes = [], reason = "" }) => {
+  const text = String(reason || "").toLowerCase();
+  return templates.filter(
+    (t) =>
+      t.procedureCodes.some((code) => codes.includes(code)) ||
+      t.keywords.some((word) => text.includes(word))
+  );
+};
+
+export const useConsentTemplates = () => {
+  const { can, clinicId } = useAuth();
+  const [templates, setTemplates] = useState([]);
+  const allowed = can("consents:read");
+
+  useEffect(() => {
+    if (!allowed) return;
+    api
+      .get("/consents/templates")
+      .then(({ data }) => setTemplates(data))
+      .catch(() => setTemplates([])); // only a warning: booking still works
+  }, [allowed, clinicId]);
+
+  return templates;
+};
+
+export default function ConsentWarning({ templates = [], codes, reason }) {
+  const needed = consentsRequiredFor(templates, { codes, reason });
+  if (!needed.length) return null;
+
+  return (
+    <div className="alert alert-warning small py-2 mb-2" role="alert">
+      <i className="bi bi-pen me-1"></i>
+      Needs a signed consent before the visit:{" "}
+      <strong>{needed.map((t) => t.name).join(", ")}</strong>
+    </div>
+  );
+}
@@ -0,0 +1,343 @@
+/**
+ * DentalChartPanel Component
+ * --------------------------
+ * Dental chart of a patient on the detail page
+ * (GET /api/patients/:id/chart).
+ *
+ * - Pick a finding in the toolbar, then click a surface (caries, filling)
+ *   or a tooth (crown, implant, missing) to toggle it; every click is
+ *   saved (PUT /chart/teeth/:tooth). "Select" only shows the tooth, with
+ *   its findings and a note; "Clear" removes the tooth's findings.
+ * - FDI / Universal numbering and permanent / primary teeth switches (the
+ *   numbering choice is remembered in this browser)
+ * - Snapshots: save the chart for one of the patient's appointments and
+ *   compare the current chart with an earlier snapshot (changed teeth are
+ *   outlined in both)
+ * - Recording needs chart:write; the panel is hidden without chart:read
+ *
+ * Props:
+ *  - patient: patient with `appointments` (detail response)
+ */
+
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import api from "../api/axios";
+import { useAuth } from "../context/AuthContext";
+import Odontogram, {
+  CONDITIONS,
+  DEFAULT_NUMBERING,
+  NUMBERING_OPTIONS,
+  SURFACE_LABELS,
+  changedTeeth,
+  findingsSummary,
+  toothLabel,
+} from "./Odontogram";
+
+const NUMBERING_KEY = "toothNumbering";
+
+const TOOLS = [["select", "Select"], ...Object.entries(CONDITIONS).map(([k, c]) => [k, c.label]), ["clear", "Clear"]];
+
+const appointmentOption = (a) =>
+  `${String(a.date).slice(0, 10)} ${a.time}${a.reason ? ` · ${a.reason}` : ""}`;
+
+/**
+ * Findings of a tooth after applying a tool to a surface / the whole tooth
+ * (null when nothing changes). Keeps the tooth consistent the same way the
+ * server checks it: missing replaces everything, an implant drops caries
+ * and fillings.
+ */
+const applyTool = (findings, tool, surface) => {
+  if (tool === "clear") return findings.length ? [] : null;
+  const rule = CONDITIONS[tool];
+  if (!rule || (rule.surfaces && !surface)) return null;
+
+  const existing = findings.find((f) => f.condition === tool);
+  let next = findings.filter((f) => f.condition !== tool);
+
+  if (rule.surfaces) {
+    const surfaces = existing?.surfaces.includes(surface)
+      ? existing.surfaces.filter((s) => s !== surface)
+      : [...(existing?.surfaces || []), surface];
+    if (surfaces.length) next.push({ condition: tool, surfaces });
+    next = next.filter((f) => !["missing", "implant"].includes(f.condition));
+  } else if (!existing) {
+    if (tool === "missing") next = [];
+    if (tool === "implant") next = next.filter((f) => !CONDITIONS[f.condition].surfaces);
+    next = next.filter((f) => f.condition !== "missing");
+    next.push({ condition: tool, surfaces: [] });
+  }
+  return next;
+};
+
+export default function DentalChartPanel({ patient }) {
+  const { can } = useAuth();
+  const [chart, setChart] = useState(null);
+  const [snapshots, setSnapshots] = useState([]);
+  const [numbering, setNumbering] = useState(
+    () => localStorage.getItem(NUMBERING_KEY) || DEFAULT_NUMBERING
+  );
+  const [dentition, setDentition] = useState("permanent");
+  const [tool, setTool] = useState("select");
+  const [selected, setSelected] = useState(null);
+  const [note, setNote] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [snapshotAppt, setSnapshotAppt] = useState("");
+  const [compareId, setCompareId] = useState("");
+
+  const patientId = patient._id;
+  const appointments = patient.appointments || [];
+  const editable = can("chart:write");
+
+  useEffect(() => {
+    setChart(null);
+    setSelected(null);
+    setCompareId("");
+    Promise.all([
+      api.get(`/patients/${patientId}/chart`),
+      api.get(`/patients/${patientId}/chart/snapshots`),
+    ])
+      .then(([c, s]) => {
+        setChart(c.data);
+        setSnapshots(s.data);
+      })
+      .catch((err) => toast.error(err.response?.data?.message || "Failed to load dental chart"));
+  }, [patientId]);
+
+  if (!chart) return null;
+
+  const toothOf = (tooth) => chart.teeth.find((t) => t.tooth === tooth);
+  const compared = snapshots.find((s) => s._id === compareId);
+  const changed = compared ? changedTeeth(chart.teeth, compared.teeth) : new Set();
+  const current = selected && toothOf(selected);
+
+  const changeNumbering = (value) => {
+    setNumbering(value);
+    localStorage.setItem(NUMBERING_KEY, value);
+  };
+
+  const saveTooth = async (tooth, values) => {
+    setSaving(true);
+    try {
+      const { data } = await api.put(`/patients/${patientId}/chart/teeth/${tooth}`, values);
+      setChart(data);
+      return true;
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to save the tooth");
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const select = (tooth, surface) => {
+    setSelected(tooth);
+    setNote(toothOf(tooth)?.note || "");
+    if (!editable || tool === "select" || saving) return;
+
+    const findings = applyTool(toothOf(tooth)?.findings || [], tool, surface);
+    if (findings) saveTooth(tooth, { findings, note: toothOf(tooth)?.note || "" });
+  };
+
+  const saveNote = async () => {
+    if (await saveTooth(selected, { findings: current?.findings || [], note })) {
+      toast.success("Note saved");
+    }
+  };
+
+  const takeSnapshot = async () => {
+    try {
+      const { data } = await api.post(`/patients/${patientId}/chart/snapshots`, {
+        appointmentId: snapshotAppt,
+      });
+      setSnapshots([data, ...snapshots.filter((s) => s._id !== data._id)]);
+      setSnapshotAppt("");
+      toast.success("Snapshot saved");
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to save snapshot");
+    }
+  };
+
+  return (
+    <div className="card card-body mb-3">
+      <div className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-2">
+        <h5 className="mb-0">Dental chart</h5>
+        <div className="d-flex gap-2">
+          <select
+            className="form-select form-select-sm"
+            aria-label="Numbering"
+            value={numbering}
+            onChange={(e) => changeNumbering(e.target.value)}
+          >
+            {NUMBERING_OPTIONS.map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <select
+            className="form-select form-select-sm"
+            aria-label="Dentition"
+            value={dentition}
+            onChange={(e) => setDentition(e.target.value)}
+          >
+            <option value="permanent">Permanent teeth</option>
+            <option value="primary">Primary teeth</option>
+          </select>
+        </div>
+      </div>
+
+      {/* Tools */}
+      {editable && (
+        <div className="btn-group btn-group-sm flex-wrap mb-2" role="group" aria-label="Finding">
+          {TOOLS.map(([key, label]) => (
+            <button
+              key={key}
+              type="button"
+              className={`btn ${tool === key ? "btn-dark" : "btn-outline-dark"}`}
+              onClick={() => setTool(key)}
+            >
+              {CONDITIONS[key] && (
+                <span
+                  className="d-inline-block me-1 rounded-circle"
+                  style={{ width: 8, height: 8, background: CONDITIONS[key].color }}
+                />
+              )}
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="row g-3">
+        <div className={compared ? "col-lg-6" : "col-12"}>
+          {compared && <div className="small fw-semibold mb-1">Now</div>}
+          <Odontogram
+            teeth={chart.teeth}
+            dentition={dentition}
+            numbering={numbering}
+            selected={selected}
+            changed={changed}
+            onSelect={select}
+          />
+        </div>
+        {compared && (
+          <div className="col-lg-6">
+            <div className="small fw-semibold mb-1">
+              Visit {compared.appointmentLabel}{" "}
+              <span className="text-muted fw-normal">
+                (taken {new Date(compared.updatedAt).toLocaleDateString()} by{" "}
+                {compared.takenByName || "unknown user"})
+              </span>
+            </div>
+            <Odontogram
+              teeth={compared.teeth}
+              dentition={dentition}
+              numbering={numbering}
+              selected={selected}
+              changed={changed}
+            />
+          </div>
+        )}
+      </div>
+
+      {/* Legend */}
+      <div className="small text-muted mt-1">
+        Caries / fillings color the surface; crown = gold outline, implant = screw, missing =
+        crossed out.
+        {compared && " Teeth that changed since the snapshot are outlined in orange."}
+      </div>
+
+      {/* Selected tooth */}
+      {selected && (
+        <div className="border rounded p-2 mt-2 small">
+          <div className="d-flex justify-content-between">
+            <strong>Tooth {toothLabel(selected, numbering)}</strong>
+            {current?.updatedAt && (
+              <span className="text-muted">
+                {new Date(current.updatedAt).toLocaleString()} by{" "}
+                {current.updatedByName || "unknown user"}
+              </span>
+            )}
+          </div>
+          <div>{findingsSummary(current) || <span className="text-muted">No findings</span>}</div>
+          {current?.findings
+            ?.filter((f) => f.surfaces.length)
+            .map((f) => (
+              <div key={f.condition} className="text-muted">
+                {CONDITIONS[f.condition].label}: {f.surfaces.map((s) => SURFACE_LABELS[s]).join(", ")}
+              </div>
+            ))}
+          {compared && changed.has(selected) && (
+            <div className="text-warning-emphasis">
+              At the snapshot:{" "}
+              {findingsSummary(compared.teeth.find((t) => t.tooth === selected)) || "no findings"}
+            </div>
+          )}
+          {editable ? (
+            <div className="input-group input-group-sm mt-1">
+              <input
+                className="form-control"
+                placeholder="Note on this tooth"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+              />
+              <button
+                className="btn btn-outline-primary"
+                disabled={saving || note === (current?.note || "")}
+                onClick={saveNote}
+              >
+                Save note
+              </button>
+            </div>
+          ) : (
+            current?.note && <div className="mt-1">{current.note}</div>
+          )}
+        </div>
+      )}
+
+      {/* Snapshots */}
+      <div className="d-flex flex-wrap gap-2 mt-2">
+        {editable && appointments.length > 0 && (
+          <div className="input-group input-group-sm" style={{ maxWidth: 380 }}>
+            <select
+              className="form-select"
+              aria-label="Appointment for the snapshot"
+              value={snapshotAppt}
+              onChange={(e) => setSnapshotAppt(e.target.value)}
+            >
+              <option value="">Snapshot for appointment…</option>
+              {appointments.map((a) => (
+                <option key={a._id} value={a._id}>
+                  {appointmentOption(a)}
+                </option>
+              ))}
+            </select>
+            <button
+              className="btn btn-outline-primary"
+              disabled={!snapshotAppt}
+              onClick={takeSnapshot}
+            >
+              Save snapshot
+            </button>
+          </div>
+        )}
+        {snapshots.length > 0 && (
+          <select
+            className="form-select form-select-sm"
+            style={{ maxWidth: 320 }}
+            aria-label="Compare with snapshot"
+            value={compareId}
+            onChange={(e) => setCompareId(e.target.value)}
+          >
+            <option value="">Compare with snapshot…</option>
+            {snapshots.map((s) => (
+              <option key={s._id} value={s._id}>
+                {s.appointmentLabel}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+    </div>
+  );
+}
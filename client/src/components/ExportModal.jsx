@@ -0,0 +1,188 @@
+/**
+ * ExportModal Component
+ * ---------------------
+ * Lets the user pick a format (CSV, JSON, Excel) and the columns to export,
+ * then downloads the file from an export endpoint
+ * (GET /api/patients/export, GET /api/appointments/export).
+ *
+ * The current list filters are passed in `params`, so the file contains
+ * what the list shows (all pages). The chosen columns are remembered per
+ * export in localStorage.
+ *
+ * Props:
+ *  - show: boolean
+ *  - title: modal title
+ *  - path: export endpoint, e.g. "/patients/export"
+ *  - params: list filters sent along
+ *  - columns: [{ key, label }] offered for selection
+ *  - storageKey: localStorage key for the column choice
+ *  - onClose()
+ */
+
+import { useState } from "react";
+import { toast } from "react-toastify";
+import api from "../api/axios";
+
+const FORMATS = [
+  ["csv", "CSV"],
+  ["xlsx", "Excel (.xlsx)"],
+  ["json", "JSON"],
+];
+
+// Blob error bodies → message of the JSON error response
+const errorMessage = async (err) => {
+  try {
+    return JSON.parse(await err.response.data.text()).message;
+  } catch {
+    return null;
+  }
+};
+
+// File name sent by the server (Content-Disposition), or a fallback
+const downloadName = (headers, fallback) =>
+  /filename="([^"]+)"/.exec(headers["content-disposition"] || "")?.[1] || fallback;
+
+export default function ExportModal({
+  show,
+  title,
+  path,
+  params,
+  columns,
+  storageKey,
+  onClose,
+}) {
+  const [format, setFormat] = useState("csv");
+  const [selected, setSelected] = useState(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(storageKey));
+      if (Array.isArray(saved) && saved.length) return saved;
+    } catch {
+      // ignore unreadable saved choice
+    }
+    return columns.map((c) => c.key);
+  });
+  const [downloading, setDownloading] = useState(false);
+
+  if (!show) return null;
+
+  const toggle = (key) =>
+    setSelected((prev) =>
+      prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]
+    );
+
+  const download = async () => {
+    // Keep the catalog order
+    const keys = columns.map((c) => c.key).filter((k) => selected.includes(k));
+    localStorage.setItem(storageKey, JSON.stringify(keys));
+
+    setDownloading(true);
+    try {
+      const res = await api.get(path, {
+        params: { ...params, format, columns: keys.join(",") },
+        responseType: "blob",
+      });
+      const url = URL.createObjectURL(res.data);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = downloadName(res.headers, `export.${format}`);
+      a.click();
+      URL.revokeObjectURL(url);
+      onClose();
+    } catch (err) {
+      toast.error((await errorMessage(err)) || "Export failed");
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <div className="modal fade show" style={{ display: "block" }}>
+      <div className="modal d-block" tabIndex={-1} role="dialog">
+        <div className="modal-dialog" role="document">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h5 className="modal-title">{title}</h5>
+              <button type="button" className="btn-close" aria-label="Close" onClick={onClose} />
+            </div>
+
+            <div className="modal-body">
+              <p className="small text-muted">
+                All rows matching the current filters are exported.
+              </p>
+
+              <label className="form-label fw-semibold">Format</label>
+              <div className="mb-3">
+                {FORMATS.map(([key, label]) => (
+                  <div key={key} className="form-check form-check-inline">
+                    <input
+                      type="radio"
+                      className="form-check-input"
+                      id={`export-format-${key}`}
+                      checked={format === key}
+                      onChange={() => setFormat(key)}
+                    />
+                    <label className="form-check-label" htmlFor={`export-format-${key}`}>
+                      {label}
+                    </label>
+                  </div>
+                ))}
+              </div>
+
+              <div className="d-flex justify-content-between align-items-center">
+                <label className="form-label fw-semibold mb-1">Columns</label>
+                <div className="small">
+                  <button
+                    type="button"
+                    className="btn btn-link btn-sm p-0 me-2"
+                    onClick={() => setSelected(columns.map((c) => c.key))}
+                  >
+                    All
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-link btn-sm p-0"
+                    onClick={() => setSelected([])}
+                  >
+                    None
+                  </button>
+                </div>
+              </div>
+              <div className="row">
+                {columns.map((c) => (
+                  <div key={c.key} className="col-6">
+                    <div className="form-check">
+                      <input
+                        type="checkbox"
+                        className="form-check-input"
+                        id={`export-col-${c.key}`}
+                        checked={selected.includes(c.key)}
+                        onChange={() => toggle(c.key)}
+                      />
+                      <label className="form-check-label" htmlFor={`export-col-${c.key}`}>
+                        {c.label}
+                      </label>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="modal-footer">
+              <button type="button" className="btn btn-secondary" onClick={onClose}>
+                Cancel
+              </button>
+              <button
+                type="button"
+                className="btn btn-primary"
+                disabled={downloading || selected.length === 0}
+                onClick={download}
+              >
+                {downloading ? "Exporting…" : "Download"}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+/**
+ * Highlight Component
+ * -------------------
+ * Renders text with parts wrapped in <mark>, used for patient search
+ * results (GET /api/patients/search).
+ *
+ * Props:
+ *  - value: text to show
+ *  - ranges: array of [start, end) index pairs to highlight (may be empty)
+ */
+
+export default function Highlight({ value, ranges = [] }) {
+  const text = String(value ?? "");
+  if (!ranges.length) return text;
+
+  // Sort and merge overlapping ranges
+  const merged = [];
+  for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+
+  const parts = [];
+  let pos = 0;
+  merged.forEach(([start, end], i) => {
+    if (start > pos) parts.push(text.slice(pos, start));
+    parts.push(<mark key={i} className="p-0">{text.slice(start, end)}</mark>);
+    pos = end;
+  });
+  if (pos < text.length) parts.push(text.slice(pos));
+
+  return <>{parts}</>;
+}
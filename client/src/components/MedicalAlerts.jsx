@@ -0,0 +1,98 @@
+/**
+ * MedicalAlerts Component
+ * -----------------------
+ * Red badges for the critical items of a patient's medical history
+ * (Patient.medicalHistory), shown wherever staff pick or see a patient:
+ * patient table, appointment patient picker, calendar, detail page.
+ *
+ * Critical items:
+ *  - allergies, except those marked "mild"
+ *  - every anesthesia reaction
+ *  - medications and conditions marked as alert
+ *  - pregnancy
+ *
+ * Exports:
+ *  - default MedicalAlertBadges({ medicalHistory, limit })
+ *  - medicalAlerts(medicalHistory) → [{ key, label, title }]
+ *  - medicalSummary(medicalHistory) → one-line text (history views)
+ */
+
+export const medicalAlerts = (history) => {
+  if (!history) return [];
+  const alerts = [];
+
+  for (const a of history.allergies || []) {
+    if (a.severity === "mild") continue;
+    alerts.push({
+      key: `allergy-${a.substance}`,
+      label: `Allergy: ${a.substance}`,
+      title: [a.severity, a.reaction].filter(Boolean).join(" – "),
+    });
+  }
+  for (const r of history.anesthesiaReactions || []) {
+    alerts.push({
+      key: `anesthesia-${r.agent}`,
+      label: `Anesthesia: ${r.agent}`,
+      title: r.reaction || "",
+    });
+  }
+  for (const m of history.medications || []) {
+    if (m.alert) alerts.push({ key: `med-${m.name}`, label: `Rx: ${m.name}`, title: m.dose || "" });
+  }
+  for (const c of history.conditions || []) {
+    if (c.alert) alerts.push({ key: `cond-${c.name}`, label: c.name, title: c.notes || "" });
+  }
+  if (history.pregnant) {
+    alerts.push({
+      key: "pregnant",
+      label: "Pregnant",
+      title: history.pregnancyDueDate
+        ? `Due ${String(history.pregnancyDueDate).slice(0, 10)}`
+        : "",
+    });
+  }
+
+  return alerts;
+};
+
+export const medicalSummary = (history) => {
+  if (!history) return "—";
+  const parts = [
+    ["Allergies", (history.allergies || []).map((a) => a.substance)],
+    ["Medications", (history.medications || []).map((m) => m.name)],
+    ["Conditions", (history.conditions || []).map((c) => c.name)],
+    ["Anesthesia", (history.anesthesiaReactions || []).map((r) => r.agent)],
+  ]
+    .filter(([, names]) => names.length)
+    .map(([label, names]) => `${label}: ${names.join(", ")}`);
+
+  if (history.pregnant === true) parts.push("Pregnant");
+  if (history.pregnant === false) parts.push("Not pregnant");
+  return parts.join("; ") || "—";
+};
+
+export default function MedicalAlertBadges({ medicalHistory, limit = 3 }) {
+  const alerts = medicalAlerts(medicalHistory);
+  if (!alerts.length) return null;
+
+  const shown = limit ? alerts.slice(0, limit) : alerts;
+  const hidden = alerts.length - shown.length;
+
+  return (
+    <span className="d-inline-flex flex-wrap gap-1 align-middle">
+      {shown.map((a) => (
+        <span key={a.key} className="badge bg-danger" title={a.title}>
+          ⚠ {a.label}
+        </span>
+      ))}
+      {hidden > 0 && (
+        <span
+          className="badge bg-danger"
+          title={alerts.slice(shown.length).map((a) => a.label).join(", ")}
+        >
+          +{hidden}
+        </span>
+      )}
+    </span>
+  );
+}
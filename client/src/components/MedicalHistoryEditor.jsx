@@ -0,0 +1,251 @@
+/**
+ * MedicalHistoryEditor Component
+ * ------------------------------
+ * Modal for editing the structured medical history of a patient
+ * (PUT /api/patients/:id/medical-history, needs patients:medical).
+ *
+ * - Allergies (substance, reaction, severity), medications (name, dose),
+ *   conditions (name, notes), anesthesia reactions (agent, reaction)
+ * - Medications / conditions can be flagged as alert (red badge)
+ * - Pregnancy: unknown / no / yes (+ due date)
+ * - "Reviewed with the patient" stamps the last-reviewed date on save
+ *
+ * Props:
+ *  - patient: patient being edited (modal hidden when null)
+ *  - onClose()
+ *  - onSaved(updatedPatient)
+ */
+
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import api from "../api/axios";
+
+// List → columns of its rows
+const LISTS = [
+  {
+    list: "allergies",
+    title: "Allergies",
+    empty: { substance: "", reaction: "", severity: "moderate" },
+    columns: [
+      ["substance", "Substance (e.g. latex, penicillin)"],
+      ["reaction", "Reaction"],
+    ],
+  },
+  {
+    list: "medications",
+    title: "Medications",
+    empty: { name: "", dose: "", alert: false },
+    columns: [
+      ["name", "Medication"],
+      ["dose", "Dose"],
+    ],
+  },
+  {
+    list: "conditions",
+    title: "Conditions",
+    empty: { name: "", notes: "", alert: false },
+    columns: [
+      ["name", "Condition"],
+      ["notes", "Notes"],
+    ],
+  },
+  {
+    list: "anesthesiaReactions",
+    title: "Anesthesia reactions",
+    empty: { agent: "", reaction: "" },
+    columns: [
+      ["agent", "Anesthetic"],
+      ["reaction", "Reaction"],
+    ],
+  },
+];
+
+const formFrom = (history = {}) => ({
+  ...Object.fromEntries(LISTS.map(({ list }) => [list, (history[list] || []).map((i) => ({ ...i }))])),
+  pregnant: history.pregnant ?? null,
+  pregnancyDueDate: history.pregnancyDueDate ? String(history.pregnancyDueDate).slice(0, 10) : "",
+});
+
+export default function MedicalHistoryEditor({ patient, onClose, onSaved }) {
+  const [form, setForm] = useState(formFrom());
+  const [reviewed, setReviewed] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setForm(formFrom(patient?.medicalHistory));
+    setReviewed(true);
+  }, [patient]);
+
+  if (!patient) return null;
+
+  const setRow = (list, index, field, value) =>
+    setForm({
+      ...form,
+      [list]: form[list].map((row, i) => (i === index ? { ...row, [field]: value } : row)),
+    });
+
+  const addRow = (list, empty) => setForm({ ...form, [list]: [...form[list], { ...empty }] });
+
+  const removeRow = (list, index) =>
+    setForm({ ...form, [list]: form[list].filter((_, i) => i !== index) });
+
+  const save = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const { data } = await api.put(`/patients/${patient._id}/medical-history`, {
+        ...form,
+        pregnancyDueDate: form.pregnancyDueDate || null,
+        reviewed,
+      });
+      toast.success("Medical history saved");
+      onSaved && onSaved(data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to save medical history");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal fade show" style={{ display: "block" }}>
+      <div className="modal d-block" tabIndex={-1} role="dialog">
+        <div className="modal-dialog modal-lg modal-dialog-scrollable" role="document">
+          <form className="modal-content" onSubmit={save}>
+            <div className="modal-header">
+              <h5 className="modal-title">Medical history – {patient.name}</h5>
+              <button type="button" className="btn-close" aria-label="Close" onClick={onClose} />
+            </div>
+
+            <div className="modal-body">
+              {LISTS.map(({ list, title, empty, columns }) => (
+                <div key={list} className="mb-3">
+                  <div className="d-flex justify-content-between align-items-center mb-1">
+                    <h6 className="mb-0">{title}</h6>
+                    <button
+                      type="button"
+                      className="btn btn-sm btn-outline-primary py-0"
+                      onClick={() => addRow(list, empty)}
+                    >
+                      Add
+                    </button>
+                  </div>
+                  {form[list].length === 0 && <div className="small text-muted">None recorded.</div>}
+
+                  {form[list].map((row, index) => (
+                    <div key={index} className="d-flex gap-2 mb-1 align-items-center">
+                      {columns.map(([field, placeholder]) => (
+                        <input
+                          key={field}
+                          className="form-control form-control-sm"
+                          placeholder={placeholder}
+                          value={row[field] || ""}
+                          onChange={(e) => setRow(list, index, field, e.target.value)}
+                        />
+                      ))}
+
+                      {list === "allergies" && (
+                        <select
+                          className="form-select form-select-sm"
+                          style={{ maxWidth: 120 }}
+                          value={row.severity || "moderate"}
+                          onChange={(e) => setRow(list, index, "severity", e.target.value)}
+                        >
+                          <option value="mild">Mild</option>
+                          <option value="moderate">Moderate</option>
+                          <option value="severe">Severe</option>
+                        </select>
+                      )}
+
+                      {"alert" in empty && (
+                        <label className="small text-nowrap" title="Show as red alert">
+                          <input
+                            type="checkbox"
+                            className="form-check-input me-1"
+                            checked={!!row.alert}
+                            onChange={(e) => setRow(list, index, "alert", e.target.checked)}
+                          />
+                          Alert
+                        </label>
+                      )}
+
+                      <button
+                        type="button"
+                        className="btn btn-sm btn-outline-danger py-0"
+                        aria-label="Remove"
+                        onClick={() => removeRow(list, index)}
+                      >
+                        ×
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              ))}
+
+              <div className="row g-2 mb-3">
+                <div className="col-sm-6">
+                  <label className="form-label small mb-1">Pregnancy</label>
+                  <select
+                    className="form-select form-select-sm"
+                    value={form.pregnant === null ? "" : String(form.pregnant)}
+                    onChange={(e) =>
+                      setForm({
+                        ...form,
+                        pregnant: e.target.value === "" ? null : e.target.value === "true",
+                      })
+                    }
+                  >
+                    <option value="">Unknown / not applicable</option>
+                    <option value="false">Not pregnant</option>
+                    <option value="true">Pregnant</option>
+                  </select>
+                </div>
+                {form.pregnant && (
+                  <div className="col-sm-6">
+                    <label className="form-label small mb-1">Due date</label>
+                    <input
+                      type="date"
+                      className="form-control form-control-sm"
+                      value={form.pregnancyDueDate}
+                      onChange={(e) => setForm({ ...form, pregnancyDueDate: e.target.value })}
+                    />
+                  </div>
+                )}
+              </div>
+
+              <div className="form-check">
+                <input
+                  type="checkbox"
+                  className="form-check-input"
+                  id="medical-reviewed"
+                  checked={reviewed}
+                  onChange={(e) => setReviewed(e.target.checked)}
+                />
+                <label className="form-check-label" htmlFor="medical-reviewed">
+                  Reviewed with the patient today
+                </label>
+              </div>
+              {patient.medicalHistory?.lastReviewedAt && (
+                <div className="small text-muted">
+                  Last reviewed {new Date(patient.medicalHistory.lastReviewedAt).toLocaleDateString()}
+                  {patient.medicalHistory.lastReviewedBy
+                    ? ` by ${patient.medicalHistory.lastReviewedBy}`
+                    : ""}
+                </div>
+              )}
+            </div>
+
+            <div className="modal-footer">
+              <button type="button" className="btn btn-secondary" onClick={onClose}>
+                Cancel
+              </button>
+              <button className="btn btn-primary" disabled={saving}>
+                {saving ? "Saving…" : "Save"}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
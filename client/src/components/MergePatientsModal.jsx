@@ -0,0 +1,280 @@
+/**
+ * MergePatientsModal Component
+ * ----------------------------
+ * Admin tool to fold a duplicate patient record into this one.
+ *
+ * Steps:
+ *  1. Pick the duplicate: suggested candidates
+ *     (GET /api/patients/:id/duplicates) or any patient found by search
+ *  2. Choose, per field, which value survives (notes, phone numbers and
+ *     emergency contacts can keep both)
+ *  3. Merge (POST /api/patients/:id/merge): appointments and attachments of
+ *     the duplicate move to this patient and the duplicate is deleted
+ *
+ * Props:
+ *  - patient: surviving patient (modal hidden when null)
+ *  - onClose()
+ *  - onMerged(result): called after a successful merge
+ */
+
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import api from "../api/axios";
+import { contactsSummary, guardianSummary, insuranceSummary } from "./PatientContacts";
+import { formatPhone, phonesSummary } from "./PhoneInput";
+import { formatAddress } from "./AddressFields";
+
+const FIELDS = [
+  ["name", "Name"],
+  ["email", "Email"],
+  ["phones", "Phone numbers"],
+  ["dateOfBirth", "Date of birth"],
+  ["address", "Address"],
+  ["notes", "Notes"],
+  ["emergencyContacts", "Emergency contacts"],
+  ["guardian", "Guardian"],
+  ["insurance", "Insurance"],
+];
+
+// Fields that can keep the values of both records
+const BOTH_FIELDS = ["notes", "phones", "emergencyContacts"];
+
+const show = (field, value) => {
+  if (field === "phones") return phonesSummary(value);
+  if (field === "address") return formatAddress(value);
+  if (field === "emergencyContacts") return contactsSummary(value);
+  if (field === "guardian") return guardianSummary(value);
+  if (field === "insurance") return insuranceSummary(value);
+  if (!value) return "—";
+  return field === "dateOfBirth" ? String(value).slice(0, 10) : String(value);
+};
+
+export default function MergePatientsModal({ patient, onClose, onMerged }) {
+  const [candidates, setCandidates] = useState([]);
+  const [query, setQuery] = useState("");
+  const [found, setFound] = useState([]);
+  const [duplicate, setDuplicate] = useState(null); // full patient record
+  const [choices, setChoices] = useState({});
+  const [merging, setMerging] = useState(false);
+
+  const patientId = patient?._id;
+
+  // Suggested duplicates when the modal opens
+  useEffect(() => {
+    setDuplicate(null);
+    setChoices({});
+    setQuery("");
+    setFound([]);
+    if (!patientId) return;
+
+    api
+      .get(`/patients/${patientId}/duplicates`)
+      .then(({ data }) => setCandidates(data.duplicates))
+      .catch(() => setCandidates([]));
+  }, [patientId]);
+
+  // Manual pick via the fuzzy search
+  useEffect(() => {
+    const q = query.trim();
+    if (!q) {
+      setFound([]);
+      return;
+    }
+    const timer = setTimeout(() => {
+      api
+        .get("/patients/search", { params: { q, limit: 10 } })
+        .then(({ data }) =>
+          setFound(
+            data.results
+              .map((r) => r.patient)
+              .filter((p) => p._id !== patientId)
+          )
+        )
+        .catch(() => setFound([]));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [query, patientId]);
+
+  if (!patient) return null;
+
+  const pick = async (id) => {
+    try {
+      const { data } = await api.get(`/patients/${id}`);
+      setDuplicate(data);
+      setChoices({});
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to load patient");
+    }
+  };
+
+  const merge = async () => {
+    setMerging(true);
+    try {
+      const { data } = await api.post(`/patients/${patientId}/merge`, {
+        duplicateId: duplicate._id,
+        fields: choices,
+      });
+      toast.success(
+        `Merged: ${data.appointmentsMoved} appointment(s) and ${data.attachmentsMoved} attachment(s) moved`
+      );
+      onMerged && onMerged(data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Merge failed");
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  const choice = (field) => choices[field] || "survivor";
+  const setChoice = (field, value) => setChoices({ ...choices, [field]: value });
+
+  return (
+    <div className="modal fade show" style={{ display: "block" }}>
+      <div className="modal d-block" tabIndex={-1} role="dialog">
+        <div className="modal-dialog modal-lg" role="document">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h5 className="modal-title">Merge into {patient.name}</h5>
+              <button
+                type="button"
+                className="btn-close"
+                aria-label="Close"
+                onClick={onClose}
+              />
+            </div>
+
+            <div className="modal-body">
+              {!duplicate && (
+                <>
+                  <h6>Possible duplicates</h6>
+                  {candidates.length === 0 && (
+                    <p className="text-muted small">No likely duplicates found.</p>
+                  )}
+                  <div className="list-group mb-3">
+                    {candidates.map((d) => (
+                      <button
+                        key={d._id}
+                        type="button"
+                        className="list-group-item list-group-item-action"
+                        onClick={() => pick(d._id)}
+                      >
+                        <div className="fw-semibold">{d.name}</div>
+                        <div className="small text-muted">
+                          {show("dateOfBirth", d.dateOfBirth)} · {formatPhone(d.phone)} · {d.email}
+                          {" — "}
+                          {d.reasons.map((r) => r.label).join(", ")}
+                        </div>
+                      </button>
+                    ))}
+                  </div>
+
+                  <h6>Or find another patient</h6>
+                  <input
+                    type="text"
+                    className="form-control form-control-sm mb-2"
+                    placeholder="Search name, email, phone, DOB"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                  />
+                  <div className="list-group">
+                    {found.map((p) => (
+                      <button
+                        key={p._id}
+                        type="button"
+                        className="list-group-item list-group-item-action small"
+                        onClick={() => pick(p._id)}
+                      >
+                        {p.name} · {show("dateOfBirth", p.dateOfBirth)} · {formatPhone(p.phone)}
+                      </button>
+                    ))}
+                  </div>
+                </>
+              )}
+
+              {duplicate && (
+                <>
+                  <p className="small text-muted">
+                    Choose the value to keep for each field. All appointments
+                    and {duplicate.attachments?.length || 0} attachment(s) of{" "}
+                    <strong>{duplicate.name}</strong> move to{" "}
+                    <strong>{patient.name}</strong>; the duplicate record is
+                    then deleted.
+                  </p>
+
+                  <table className="table table-sm align-middle">
+                    <thead>
+                      <tr>
+                        <th>Field</th>
+                        <th>Keep (this patient)</th>
+                        <th>Duplicate</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {FIELDS.map(([field, label]) => {
+                        const same =
+                          show(field, patient[field]) === show(field, duplicate[field]);
+                        return (
+                          <tr key={field}>
+                            <td className="fw-semibold">{label}</td>
+                            {["survivor", "duplicate"].map((side) => (
+                              <td key={side} className="text-break">
+                                <label className="d-flex gap-2">
+                                  <input
+                                    type="radio"
+                                    name={`merge-${field}`}
+                                    checked={choice(field) === side}
+                                    disabled={same}
+                                    onChange={() => setChoice(field, side)}
+                                  />
+                                  {show(field, side === "survivor" ? patient[field] : duplicate[field])}
+                                </label>
+                                {BOTH_FIELDS.includes(field) && side === "duplicate" && !same && (
+                                  <label className="d-flex gap-2 small text-muted">
+                                    <input
+                                      type="radio"
+                                      name={`merge-${field}`}
+                                      checked={choice(field) === "both"}
+                                      onChange={() => setChoice(field, "both")}
+                                    />
+                                    Keep both
+                                  </label>
+                                )}
+                              </td>
+                            ))}
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </>
+              )}
+            </div>
+
+            <div className="modal-footer">
+              {duplicate && (
+                <button
+                  type="button"
+                  className="btn btn-outline-secondary me-auto"
+                  onClick={() => setDuplicate(null)}
+                >
+                  Back
+                </button>
+              )}
+              <button type="button" className="btn btn-secondary" onClick={onClose}>
+                Cancel
+              </button>
+              <button
+                type="button"
+                className="btn btn-danger"
+                disabled={!duplicate || merging}
+                onClick={merge}
+              >
+                {merging ? "Merging…" : "Merge"}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
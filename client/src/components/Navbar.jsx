@@ -6,18 +6,20 @@
  * - Includes dark mode toggle (via DarkModeContext)
  * - Responsive: includes hamburger menu for small screens
  *
- * Role-based visibility:
+ * Permission-based visibility (see AuthContext.can):
  * - Dashboard : all authenticated users
- * - Appointments : admin, dentist, receptionist
- * - Calendar : admin, dentist, receptionist
- * - Admin (future) : admin only
+ * - Appointments : appointments:read
+ * - Calendar : appointments:read
+ * - Admin : users:manage (user management)
  *
  * Also:
  * - Shows total patient count badge on Dashboard (from PatientContext)
+ * - Clinic switcher for users who work in several clinics (otherwise the
+ *   clinic name is shown); switching reloads clinic data on the current page
  * - Shows current user's username + role badge on the right
  */
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { Link, NavLink } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { usePatients } from '../context/PatientContext';
@@ -25,12 +27,18 @@ import logo from '../assets/LogoTeam2.jpg';
 import { useDarkMode } from '../context/DarkModeContext';
 
 export default function Navbar() {
-  const { user, logout } = useAuth();
-  const { patientCount } = usePatients();
+  const { user, logout, can, clinicId, switchClinic } = useAuth();
+  const { patientCount, refreshPatientCount } = usePatients();
   const [isOpen, setIsOpen] = useState(false);
 
   const { isDark, toggleDarkMode } = useDarkMode();
 
+  // Clinic-wide patient total for the Dashboard badge
+  const canReadPatients = can('patients:read');
+  useEffect(() => {
+    if (canReadPatients && clinicId) refreshPatientCount();
+  }, [canReadPatients, clinicId, refreshPatientCount]);
+
   // Toggle mobile menu open/close
   const toggle = () => setIsOpen((prev) => !prev);
   const closeMenu = () => setIsOpen(false);
@@ -41,9 +49,6 @@ export default function Navbar() {
       isActive ? 'active fw-semibold text-warning' : 'text-white-50'
     }`;
 
-  // Simple helper for role-based access checks
-  const hasRole = (...roles) => user && roles.includes(user.role);
-
   return (
     <nav className="navbar navbar-expand-lg navbar-dark bg-primary px-3 shadow-sm">
 
@@ -122,8 +127,8 @@ export default function Navbar() {
                 </NavLink>
               </li>
 
-              {/* Appointments: only for admin, dentist, receptionist */}
-              {hasRole('admin', 'dentist', 'receptionist') && (
+              {/* Appointments: users who can view appointments */}
+              {can('appointments:read') && (
                 <li className="nav-item">
                   <NavLink className={navLinkClass} to="/appointments" onClick={closeMenu}>
                     <i className="bi bi-calendar-event me-1"></i> Appointments
@@ -131,8 +136,8 @@ export default function Navbar() {
                 </li>
               )}
 
-              {/* Calendar: only for admin, dentist, receptionist */}
-              {hasRole('admin', 'dentist', 'receptionist') && (
+              {/* Calendar: users who can view appointments */}
+              {can('appointments:read') && (
                 <li className="nav-item">
                   <NavLink className={navLinkClass} to="/calendar" onClick={closeMenu}>
                     <i className="bi bi-calendar3 me-1"></i> Calendar
@@ -140,8 +145,8 @@ export default function Navbar() {
                 </li>
               )}
 
-              {/* (Optional) Example of future Admin page */}
-              {hasRole('admin') && (
+              {/* Admin: user management */}
+              {can('users:manage') && (
                 <li className="nav-item">
                   <NavLink className={navLinkClass} to="/admin" onClick={closeMenu}>
                     <i className="bi bi-shield-lock me-1"></i> Admin
@@ -173,10 +178,40 @@ export default function Navbar() {
           </li>
         </ul>
 
-        {/* RIGHT: WELCOME + SIGN OUT */}
+        {/* RIGHT: CLINIC + WELCOME + SIGN OUT */}
         <ul className="navbar-nav align-items-center">
           {user && (
             <>
+              {/* Clinic switcher (several clinics) or current clinic name */}
+              {user.clinics?.length > 1 ? (
+                <li className="nav-item me-2">
+                  <select
+                    className="form-select form-select-sm"
+                    aria-label="Current clinic"
+                    value={clinicId || ''}
+                    onChange={(e) => {
+                      switchClinic(e.target.value);
+                      closeMenu();
+                    }}
+                  >
+                    {user.clinics.map((c) => (
+                      <option key={c._id} value={c._id}>
+                        {c.name}
+                      </option>
+                    ))}
+                  </select>
+                </li>
+              ) : (
+                user.clinics?.length === 1 && (
+                  <li className="nav-item me-2">
+                    <span className="navbar-text text-white-50 small">
+                      <i className="bi bi-building me-1"></i>
+                      {user.clinics[0].name}
+                    </span>
+                  </li>
+                )
+              )}
+
               <li className="nav-item me-2">
                 <span className="navbar-text text-white-50 small">
                   Welcome,&nbsp;
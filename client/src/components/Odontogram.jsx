@@ -0,0 +1,313 @@
+/**
+ * Odontogram Component
+ * --------------------
+ * SVG dental chart: every tooth is drawn as five surfaces (mesial, distal,
+ * occlusal / incisal, buccal, lingual) seen from above, upper arch on top,
+ * as the dentist faces the patient (patient's right on the left).
+ *
+ * - Surface findings color the surface (caries red, filling blue)
+ * - Whole-tooth findings: crown = gold outline, implant = screw in the root
+ *   area, missing = greyed out and crossed
+ * - Clicking a surface calls onSelect(tooth, surface); clicking the number
+ *   calls onSelect(tooth, null). Without onSelect the chart is read-only.
+ *
+ * Teeth are FDI codes (as stored by the API); numbering only changes the
+ * labels.
+ *
+ * Exports:
+ *  - default Odontogram({ teeth, dentition, numbering, selected, changed,
+ *    onSelect })
+ *    teeth: chart.teeth; dentition: "permanent" | "primary";
+ *    numbering: "fdi" | "universal"; changed: Set of teeth to highlight
+ *  - CONDITIONS → { key: { label, surfaces, color } }
+ *  - SURFACE_LABELS, NUMBERING_OPTIONS, DEFAULT_NUMBERING
+ *  - toothLabel(tooth, numbering), findingsSummary(tooth) → "Caries MO, Crown"
+ *  - changedTeeth(teethA, teethB) → Set of teeth whose findings differ
+ */
+
+export const CONDITIONS = {
+  caries: { label: "Caries", surfaces: true, color: "#dc3545" },
+  filling: { label: "Filling", surfaces: true, color: "#0d6efd" },
+  crown: { label: "Crown", surfaces: false, color: "#d4a017" },
+  implant: { label: "Implant", surfaces: false, color: "#6c757d" },
+  missing: { label: "Missing", surfaces: false, color: "#212529" },
+};
+
+export const SURFACE_LABELS = {
+  M: "Mesial",
+  O: "Occlusal / incisal",
+  D: "Distal",
+  B: "Buccal / facial",
+  L: "Lingual / palatal",
+};
+
+export const NUMBERING_OPTIONS = [
+  ["fdi", "FDI (11–48)"],
+  ["universal", "Universal (1–32)"],
+];
+
+export const DEFAULT_NUMBERING =
+  (process.env.REACT_APP_TOOTH_NUMBERING || "fdi").toLowerCase() === "universal"
+    ? "universal"
+    : "fdi";
+
+// Same tables as utils/dentalChart.js on the server
+const quadrant = (q, count, reverse) => {
+  const teeth = Array.from({ length: count }, (_, i) => `${q}${i + 1}`);
+  return reverse ? teeth.reverse() : teeth;
+};
+
+const ROWS = {
+  permanent: [
+    [...quadrant(1, 8, true), ...quadrant(2, 8)],
+    [...quadrant(4, 8, true), ...quadrant(3, 8)],
+  ],
+  primary: [
+    [...quadrant(5, 5, true), ...quadrant(6, 5)],
+    [...quadrant(8, 5, true), ...quadrant(7, 5)],
+  ],
+};
+
+const UNIVERSAL = new Map([
+  ...[...quadrant(1, 8, true), ...quadrant(2, 8), ...quadrant(3, 8, true), ...quadrant(4, 8)].map(
+    (fdi, i) => [fdi, String(i + 1)]
+  ),
+  ...[...quadrant(5, 5, true), ...quadrant(6, 5), ...quadrant(7, 5, true), ...quadrant(8, 5)].map(
+    (fdi, i) => [fdi, String.fromCharCode(65 + i)]
+  ),
+]);
+
+export const toothLabel = (tooth, numbering) =>
+  numbering === "universal" ? UNIVERSAL.get(tooth) || tooth : tooth;
+
+export const findingsSummary = (tooth) =>
+  (tooth?.findings || [])
+    .map((f) => `${CONDITIONS[f.condition]?.label || f.condition}${f.surfaces.length ? ` ${f.surfaces.join("")}` : ""}`)
+    .join(", ");
+
+export const changedTeeth = (teethA = [], teethB = []) => {
+  const summary = (teeth) => new Map(teeth.map((t) => [t.tooth, findingsSummary(t)]));
+  const a = summary(teethA);
+  const b = summary(teethB);
+  return new Set(
+    [...new Set([...a.keys(), ...b.keys()])].filter((t) => (a.get(t) || "") !== (b.get(t) || ""))
+  );
+};
+
+const SIZE = 34; // tooth box
+const GAP = 6;
+const MIDLINE = 12; // extra space between left and right quadrants
+const ROOT = 14; // implant symbol area
+const LABEL = 14;
+const INSET = SIZE * 0.3;
+
+// Teeth drawn on the viewer's left (patient's right): mesial faces right
+const onPatientsRight = (tooth) => ["1", "4", "5", "8"].includes(tooth[0]);
+
+const points = (pts) => pts.map((p) => p.join(",")).join(" ");
+
+function Tooth({ tooth, x, y, upper, data, numbering, selected, changed, onSelect }) {
+  const i = INSET;
+  const S = SIZE;
+  const has = (condition) => data?.findings?.some((f) => f.condition === condition);
+  const missing = has("missing");
+
+  // Surface → color (caries wins over a filling on the same surface)
+  const fillOf = (surface) => {
+    for (const condition of ["caries", "filling"]) {
+      const f = data?.findings?.find((x) => x.condition === condition);
+      if (f?.surfaces.includes(surface)) return CONDITIONS[condition].color;
+    }
+    return "#fff";
+  };
+
+  const mesialRight = onPatientsRight(tooth);
+  const shapes = {
+    top: [[x, y], [x + S, y], [x + S - i, y + i], [x + i, y + i]],
+    bottom: [[x, y + S], [x + S, y + S], [x + S - i, y + S - i], [x + i, y + S - i]],
+    left: [[x, y], [x + i, y + i], [x + i, y + S - i], [x, y + S]],
+    right: [[x + S, y], [x + S - i, y + i], [x + S - i, y + S - i], [x + S, y + S]],
+  };
+  const surfaces = [
+    ["top", upper ? "B" : "L"],
+    ["bottom", upper ? "L" : "B"],
+    ["left", mesialRight ? "D" : "M"],
+    ["right", mesialRight ? "M" : "D"],
+  ];
+
+  const click = (surface) => onSelect && (() => onSelect(tooth, surface));
+  const cursor = onSelect ? "pointer" : "default";
+  const label = toothLabel(tooth, numbering);
+
+  // Root area is above upper teeth and below lower teeth
+  const rootY = upper ? y - ROOT : y + S;
+  const labelY = upper ? y - ROOT - 3 : y + S + ROOT + 11;
+
+  return (
+    <g opacity={missing ? 0.35 : 1}>
+      <title>
+        {`${label}${data?.findings?.length ? `: ${findingsSummary(data)}` : ""}${data?.note ? ` — ${data.note}` : ""}`}
+      </title>
+
+      {changed && (
+        <rect
+          x={x - 3}
+          y={y - 3}
+          width={S + 6}
+          height={S + 6}
+          fill="none"
+          stroke="#fd7e14"
+          strokeWidth={2}
+          strokeDasharray="4 2"
+        />
+      )}
+
+      {surfaces.map(([shape, surface]) => (
+        <polygon
+          key={shape}
+          points={points(shapes[shape])}
+          fill={fillOf(surface)}
+          stroke="#495057"
+          strokeWidth={0.8}
+          style={{ cursor }}
+          onClick={click(surface)}
+        >
+          <title>{`${label} ${SURFACE_LABELS[surface]}`}</title>
+        </polygon>
+      ))}
+      <rect
+        x={x + i}
+        y={y + i}
+        width={S - 2 * i}
+        height={S - 2 * i}
+        fill={fillOf("O")}
+        stroke="#495057"
+        strokeWidth={0.8}
+        style={{ cursor }}
+        onClick={click("O")}
+      >
+        <title>{`${label} ${SURFACE_LABELS.O}`}</title>
+      </rect>
+
+      {has("crown") && (
+        <rect
+          x={x}
+          y={y}
+          width={S}
+          height={S}
+          fill="none"
+          stroke={CONDITIONS.crown.color}
+          strokeWidth={3}
+          pointerEvents="none"
+        />
+      )}
+
+      {has("implant") && (
+        <g stroke={CONDITIONS.implant.color} strokeWidth={2} pointerEvents="none">
+          <line x1={x + S / 2} y1={rootY + 1} x2={x + S / 2} y2={rootY + ROOT - 1} />
+          {[3, 7, 11].map((dy) => (
+            <line key={dy} x1={x + S / 2 - 5} y1={rootY + dy} x2={x + S / 2 + 5} y2={rootY + dy} />
+          ))}
+        </g>
+      )}
+
+      {missing && (
+        <g stroke={CONDITIONS.missing.color} strokeWidth={2} pointerEvents="none">
+          <line x1={x} y1={y} x2={x + S} y2={y + S} />
+          <line x1={x + S} y1={y} x2={x} y2={y + S} />
+        </g>
+      )}
+
+      {selected && (
+        <rect
+          x={x - 1}
+          y={y - 1}
+          width={S + 2}
+          height={S + 2}
+          fill="none"
+          stroke="#198754"
+          strokeWidth={2.5}
+          pointerEvents="none"
+        />
+      )}
+
+      <text
+        x={x + S / 2}
+        y={labelY}
+        textAnchor="middle"
+        fontSize={11}
+        fontWeight={selected ? 700 : 400}
+        fill="currentColor"
+        style={{ cursor }}
+        onClick={click(null)}
+      >
+        {label}
+      </text>
+    </g>
+  );
+}
+
+export default function Odontogram({
+  teeth = [],
+  dentition = "permanent",
+  numbering = DEFAULT_NUMBERING,
+  selected = null,
+  changed = new Set(),
+  onSelect,
+}) {
+  const rows = ROWS[dentition] || ROWS.permanent;
+  const perRow = rows[0].length;
+  const byTooth = new Map(teeth.map((t) => [t.tooth, t]));
+
+  const width = perRow * (SIZE + GAP) - GAP + MIDLINE;
+  const rowHeight = LABEL + ROOT + SIZE;
+  const height = rowHeight * 2 + GAP * 3;
+
+  const xOf = (index) => index * (SIZE + GAP) + (index >= perRow / 2 ? MIDLINE : 0);
+  const yOf = (upper) => (upper ? LABEL + ROOT : rowHeight + GAP * 3);
+
+  return (
+    <svg
+      viewBox={`-4 0 ${width + 8} ${height}`}
+      width="100%"
+      style={{ maxWidth: width * 1.4, userSelect: "none" }}
+      role="img"
+      aria-label="Dental chart"
+    >
+      {/* Midlines */}
+      <line
+        x1={width / 2}
+        y1={0}
+        x2={width / 2}
+        y2={height}
+        stroke="#adb5bd"
+        strokeDasharray="3 3"
+      />
+      <line
+        x1={0}
+        y1={rowHeight + GAP * 1.5}
+        x2={width}
+        y2={rowHeight + GAP * 1.5}
+        stroke="#adb5bd"
+        strokeDasharray="3 3"
+      />
+
+      {rows.map((row, r) =>
+        row.map((tooth, index) => (
+          <Tooth
+            key={tooth}
+            tooth={tooth}
+            x={xOf(index)}
+            y={yOf(r === 0)}
+            upper={r === 0}
+            data={byTooth.get(tooth)}
+            numbering={numbering}
+            selected={selected === tooth}
+            changed={changed.has(tooth)}
+            onSelect={onSelect}
+          />
+        ))
+      )}
+    </svg>
+  );
+}
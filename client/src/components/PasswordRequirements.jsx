@@ -0,0 +1,31 @@
+/**
+ * PasswordRequirements Component
+ * ------------------------------
+ * Small hint under password fields describing the server's password policy
+ * (GET /users/password-policy). The backend enforces the same rules and
+ * returns a specific message when one is broken.
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../api/axios';
+
+export default function PasswordRequirements() {
+  const [policy, setPolicy] = useState(null); // { minLength, minClasses }
+
+  useEffect(() => {
+    api
+      .get('/users/password-policy')
+      .then(({ data }) => setPolicy(data))
+      .catch(() => setPolicy(null));
+  }, []);
+
+  if (!policy) return null;
+
+  return (
+    <div className="form-text text-start">
+      At least {policy.minLength} characters with {policy.minClasses} of:
+      lowercase, uppercase, digits, symbols. Avoid common passwords and your
+      username or email.
+    </div>
+  );
+}
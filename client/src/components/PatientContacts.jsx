@@ -0,0 +1,159 @@
+/**
+ * PatientContacts Component
+ * -------------------------
+ * Read-only view of the people and policies attached to a patient:
+ * emergency contacts, legal guardian / responsible party and primary /
+ * secondary insurance (Patient.emergencyContacts / guardian / insurance).
+ *
+ * Exports:
+ *  - default PatientContacts({ patient }) → definition list for the detail page
+ *  - ADULT_AGE, isMinor(dateOfBirth) → a guardian is required under 18
+ *  - GUARDIAN_RELATIONSHIPS, SUBSCRIBER_RELATIONSHIPS → [value, label] options
+ *  - contactsSummary / guardianSummary / insuranceSummary → one-line text
+ *    (history and merge views)
+ */
+
+import { Fragment } from "react";
+import { formatPhone } from "./PhoneInput";
+
+export const ADULT_AGE = 18;
+
+export const GUARDIAN_RELATIONSHIPS = [
+  ["parent", "Parent"],
+  ["legal_guardian", "Legal guardian"],
+  ["other", "Other"],
+];
+
+export const SUBSCRIBER_RELATIONSHIPS = [
+  ["self", "Self"],
+  ["spouse", "Spouse"],
+  ["child", "Child"],
+  ["other", "Other"],
+];
+
+const labelOf = (options, value) => options.find(([v]) => v === value)?.[1] || value;
+
+// Under ADULT_AGE today (false without a date)
+export const isMinor = (dateOfBirth) => {
+  if (!dateOfBirth) return false;
+  const dob = new Date(dateOfBirth);
+  if (isNaN(dob)) return false;
+  const now = new Date();
+  let age = now.getUTCFullYear() - dob.getUTCFullYear();
+  if (
+    now.getUTCMonth() < dob.getUTCMonth() ||
+    (now.getUTCMonth() === dob.getUTCMonth() && now.getUTCDate() < dob.getUTCDate())
+  ) {
+    age -= 1;
+  }
+  return age < ADULT_AGE;
+};
+
+const join = (parts) => parts.filter(Boolean).join(" · ");
+
+export const contactsSummary = (contacts) =>
+  (contacts || [])
+    .map((c) => join([c.name, c.relationship && `(${c.relationship})`, formatPhone(c.phone)]))
+    .join("; ") || "—";
+
+export const guardianSummary = (guardian) =>
+  guardian
+    ? join([
+        guardian.name,
+        guardian.relationship && labelOf(GUARDIAN_RELATIONSHIPS, guardian.relationship),
+        formatPhone(guardian.phone),
+        guardian.email,
+      ])
+    : "—";
+
+const policySummary = (policy) =>
+  join([
+    policy.carrier,
+    policy.plan,
+    policy.memberId && `member ${policy.memberId}`,
+    policy.groupNumber && `group ${policy.groupNumber}`,
+  ]);
+
+export const insuranceSummary = (insurance) => {
+  if (!insurance) return "—";
+  return (
+    [
+      insurance.primary && `Primary: ${policySummary(insurance.primary)}`,
+      insurance.secondary && `Secondary: ${policySummary(insurance.secondary)}`,
+    ]
+      .filter(Boolean)
+      .join("; ") || "—"
+  );
+};
+
+const Policy = ({ policy }) => (
+  <>
+    {policy.carrier}
+    {policy.plan ? ` – ${policy.plan}` : ""}
+    <div className="small text-muted">
+      {join([
+        `Member ID ${policy.memberId}`,
+        policy.groupNumber && `Group ${policy.groupNumber}`,
+        policy.subscriberRelationship &&
+          policy.subscriberRelationship !== "self" &&
+          `Subscriber: ${policy.subscriberName || "—"} (${labelOf(
+            SUBSCRIBER_RELATIONSHIPS,
+            policy.subscriberRelationship
+          )})`,
+      ])}
+    </div>
+  </>
+);
+
+export default function PatientContacts({ patient }) {
+  const contacts = patient.emergencyContacts || [];
+  const { guardian, insurance } = patient;
+  const minor = isMinor(patient.dateOfBirth);
+
+  return (
+    <dl className="row mb-0 small">
+      <dt className="col-4">Emergency contacts</dt>
+      <dd className="col-8">
+        {contacts.length === 0 && <span className="text-muted">None</span>}
+        {contacts.map((c, i) => (
+          <div key={i}>
+            {c.name}
+            {c.relationship ? ` (${c.relationship})` : ""} · {formatPhone(c.phone)}
+            {c.email ? ` · ${c.email}` : ""}
+          </div>
+        ))}
+      </dd>
+
+      {(guardian || minor) && (
+        <>
+          <dt className="col-4">Guardian</dt>
+          <dd className="col-8">
+            {guardian ? (
+              <>
+                {guardian.name} ({labelOf(GUARDIAN_RELATIONSHIPS, guardian.relationship)})
+                <div className="text-muted">
+                  {join([formatPhone(guardian.phone), guardian.email, guardian.address])}
+                </div>
+              </>
+            ) : (
+              <span className="text-danger">Missing – required for patients under {ADULT_AGE}</span>
+            )}
+          </dd>
+        </>
+      )}
+
+      {["primary", "secondary"].map((level) => (
+        <Fragment key={level}>
+          <dt className="col-4 text-capitalize">{level} insurance</dt>
+          <dd className="col-8">
+            {insurance?.[level] ? (
+              <Policy policy={insurance[level]} />
+            ) : (
+              <span className="text-muted">None</span>
+            )}
+          </dd>
+        </Fragment>
+      ))}
+    </dl>
+  );
+}
@@ -3,52 +3,144 @@
 // Controlled form for creating/editing a patient.
 // Validations:
 // - email: required, valid email
-// - phone: required, format xxx-xxx-xxxx
+// - phones: at least one; each a possible number for its country (sent in
+//   E.164 form, the first one is the primary number)
 // - dateOfBirth: required, must be before today
-// - address: required
+// - address: street, city and country required (the postal code format per
+//   country is checked by the server)
+// - emergency contacts: name + phone per row, email optional
+// - guardian: required when the patient is under 18; name + phone when given
+// - insurance: carrier + member ID per policy; secondary needs a primary
+// Duplicate check (new patients only): while typing, possible duplicates
+// (same name + DOB, same phone, similar name) are listed as a warning and
+// saving requires confirming that this is a different person.
+//
+// onSubmit(form) may return false to keep the form filled (e.g. save failed).
 
 import { useState, useEffect } from 'react';
+import api from '../api/axios';
+import {
+  ADULT_AGE,
+  GUARDIAN_RELATIONSHIPS,
+  SUBSCRIBER_RELATIONSHIPS,
+  isMinor,
+} from './PatientContacts';
+import PhoneInput, { PHONE_TYPES, formatPhone, isPhoneNumber } from './PhoneInput';
+import AddressFields, { EMPTY_ADDRESS } from './AddressFields';
+
+const DUPLICATE_CHECK_DELAY_MS = 400;
+
+const PHONE_MESSAGE = 'Enter a valid number for the selected country';
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const EMPTY_PHONE = { type: 'mobile', number: '' };
+const EMPTY_CONTACT = { name: '', relationship: '', phone: '', email: '' };
+const EMPTY_GUARDIAN = { name: '', relationship: 'parent', phone: '', email: '', address: '' };
+const EMPTY_POLICY = {
+  carrier: '',
+  plan: '',
+  memberId: '',
+  groupNumber: '',
+  subscriberRelationship: 'self',
+  subscriberName: '',
+};
+
+// Anything typed in besides the preselected relationship
+const hasInput = (value, defaults = {}) =>
+  Object.entries(value).some(([k, v]) => v && v !== defaults[k]);
+
+const policyFrom = (policy) => ({ ...EMPTY_POLICY, ...(policy || {}) });
+
+// Records saved before numbers were typed only have `phone`, and may still
+// hold the address as one string
+const phonesFrom = (patient) => {
+  if (patient?.phones?.length) return patient.phones.map((p) => ({ ...EMPTY_PHONE, ...p }));
+  return [{ ...EMPTY_PHONE, number: patient?.phone || '' }];
+};
+
+const addressFrom = (address) =>
+  typeof address === 'string'
+    ? { ...EMPTY_ADDRESS, street: address }
+    : { ...EMPTY_ADDRESS, ...(address || {}) };
+
+const formFrom = (patient) => ({
+  name: patient?.name || '',
+  email: patient?.email || '',
+  phones: phonesFrom(patient),
+  dateOfBirth: patient?.dateOfBirth ? patient.dateOfBirth.slice(0, 10) : '',
+  address: addressFrom(patient?.address),
+  notes: patient?.notes || '',
+  emergencyContacts: (patient?.emergencyContacts || []).map((c) => ({ ...EMPTY_CONTACT, ...c })),
+  guardian: { ...EMPTY_GUARDIAN, ...(patient?.guardian || {}) },
+  insurance: {
+    primary: policyFrom(patient?.insurance?.primary),
+    secondary: policyFrom(patient?.insurance?.secondary),
+  },
+});
+
+// Subscriber name only applies when the patient is not the policy holder
+const payloadOf = (form) => {
+  const policy = (p) => (p.subscriberRelationship === 'self' ? { ...p, subscriberName: '' } : p);
+  return {
+    ...form,
+    insurance: { primary: policy(form.insurance.primary), secondary: policy(form.insurance.secondary) },
+  };
+};
 
 export default function PatientForm({ onSubmit, initial }) {
-  const [form, setForm] = useState({
-    name: '',
-    email: '',
-    phone: '',
-    dateOfBirth: '',
-    address: '',
-    notes: '',
-  });
+  const [form, setForm] = useState(formFrom());
 
   const [errors, setErrors] = useState({});
+  const [duplicates, setDuplicates] = useState([]);
+  const [confirmDuplicate, setConfirmDuplicate] = useState(false);
 
   // Set max for DOB (today) in yyyy-mm-dd
   const todayStr = new Date().toISOString().slice(0, 10);
 
+  const minor = isMinor(form.dateOfBirth);
+
   // Initialize form when editing
   useEffect(() => {
-    if (initial) {
-      setForm({
-        name: initial.name || '',
-        email: initial.email || '',
-        phone: initial.phone || '',
-        dateOfBirth: initial.dateOfBirth
-          ? initial.dateOfBirth.slice(0, 10)
-          : '',
-        address: initial.address || '',
-        notes: initial.notes || '',
-      });
-    } else {
-      setForm({
-        name: '',
-        email: '',
-        phone: '',
-        dateOfBirth: '',
-        address: '',
-        notes: '',
-      });
-    }
+    setForm(formFrom(initial));
+    setErrors({});
   }, [initial]);
 
+  const primaryPhone = form.phones[0]?.number || '';
+
+  // Look for possible duplicates while a new patient is being typed in
+  useEffect(() => {
+    const name = form.name.trim();
+    const phoneOk = isPhoneNumber(primaryPhone);
+    if (initial || (name.length < 3 && !phoneOk)) {
+      setDuplicates([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const { data } = await api.post('/patients/check-duplicates', {
+          name,
+          dateOfBirth: form.dateOfBirth || undefined,
+          phone: phoneOk ? primaryPhone : undefined,
+        });
+        if (!cancelled) setDuplicates(data.duplicates);
+      } catch {
+        // Only a warning: never block data entry because the check failed
+      }
+    }, DUPLICATE_CHECK_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [form.name, form.dateOfBirth, primaryPhone, initial]);
+
+  // A new set of candidates needs a new confirmation
+  useEffect(() => {
+    setConfirmDuplicate(false);
+  }, [duplicates]);
+
   const validate = () => {
     const errs = {};
 
@@ -57,22 +149,18 @@ export default function PatientForm({ onSubmit, initial }) {
     // Email required + simple regex
     if (!form.email.trim()) {
       errs.email = 'Email is required';
-    } else {
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(form.email)) {
-        errs.email = 'Please enter a valid email';
-      }
+    } else if (!EMAIL_REGEX.test(form.email)) {
+      errs.email = 'Please enter a valid email';
     }
 
-    // Phone required + xxx-xxx-xxxx
-    if (!form.phone.trim()) {
-      errs.phone = 'Phone number is required';
-    } else {
-      const phoneRegex = /^\d{3}-\d{3}-\d{4}$/;
-      if (!phoneRegex.test(form.phone)) {
-        errs.phone = 'Phone format must be xxx-xxx-xxxx';
+    // Primary number required; further empty rows are ignored
+    form.phones.forEach((p, i) => {
+      if (!p.number.trim()) {
+        if (i === 0) errs.phone0 = 'Phone number is required';
+      } else if (!isPhoneNumber(p.number)) {
+        errs[`phone${i}`] = PHONE_MESSAGE;
       }
-    }
+    });
 
     // DOB required + < today
     if (!form.dateOfBirth) {
@@ -85,31 +173,67 @@ export default function PatientForm({ onSubmit, initial }) {
       }
     }
 
-    // Address required
-    if (!form.address.trim()) {
-      errs.address = 'Address is required';
+    // Address: street + city (country always has a value)
+    if (!form.address.street.trim()) errs['address.street'] = 'Street is required';
+    if (!form.address.city.trim()) errs['address.city'] = 'City is required';
+
+    // Emergency contacts: rows left completely empty are ignored
+    form.emergencyContacts.forEach((c, i) => {
+      if (!hasInput(c)) return;
+      if (!c.name.trim()) errs[`contact${i}.name`] = 'Name is required';
+      if (!isPhoneNumber(c.phone)) errs[`contact${i}.phone`] = PHONE_MESSAGE;
+      if (c.email && !EMAIL_REGEX.test(c.email)) errs[`contact${i}.email`] = 'Please enter a valid email';
+    });
+
+    // Guardian: required for minors, complete when started
+    const { guardian } = form;
+    if (minor || hasInput(guardian, EMPTY_GUARDIAN)) {
+      if (!guardian.name.trim()) {
+        errs['guardian.name'] = minor
+          ? `A guardian is required for patients under ${ADULT_AGE}`
+          : 'Name is required';
+      }
+      if (!isPhoneNumber(guardian.phone)) errs['guardian.phone'] = PHONE_MESSAGE;
+      if (guardian.email && !EMAIL_REGEX.test(guardian.email)) {
+        errs['guardian.email'] = 'Please enter a valid email';
+      }
+    }
+
+    // Insurance: carrier + member ID for every policy that was started
+    for (const level of ['primary', 'secondary']) {
+      const policy = form.insurance[level];
+      if (!hasInput(policy, EMPTY_POLICY)) continue;
+      if (!policy.carrier.trim()) errs[`${level}.carrier`] = 'Carrier is required';
+      if (!policy.memberId.trim()) errs[`${level}.memberId`] = 'Member ID is required';
+    }
+    if (
+      hasInput(form.insurance.secondary, EMPTY_POLICY) &&
+      !hasInput(form.insurance.primary, EMPTY_POLICY)
+    ) {
+      errs['secondary.carrier'] = 'Enter the primary insurance first';
+    }
+
+    if (!initial && duplicates.length > 0 && !confirmDuplicate) {
+      errs.duplicate = 'Confirm that this is a different person, or edit the existing patient';
     }
 
     setErrors(errs);
     return Object.keys(errs).length === 0;
   };
 
-  const submit = (e) => {
+  const submit = async (e) => {
     e.preventDefault();
     if (!validate()) return;
-    onSubmit(form);
+    const payload = payloadOf(form);
+    const ok = await onSubmit(
+      !initial && duplicates.length > 0 ? { ...payload, confirmDuplicate: true } : payload
+    );
 
     // Only reset form after creating a new patient
-    if (!initial) {
-      setForm({
-        name: '',
-        email: '',
-        phone: '',
-        dateOfBirth: '',
-        address: '',
-        notes: '',
-      });
+    if (!initial && ok !== false) {
+      setForm(formFrom());
       setErrors({});
+      setDuplicates([]);
     }
   };
 
@@ -127,6 +251,57 @@ export default function PatientForm({ onSubmit, initial }) {
     </div>
   );
 
+  const setPhone = (index, key, value) =>
+    setForm({
+      ...form,
+      phones: form.phones.map((p, i) => (i === index ? { ...p, [key]: value } : p)),
+    });
+
+  const setContact = (index, key, value) =>
+    setForm({
+      ...form,
+      emergencyContacts: form.emergencyContacts.map((c, i) =>
+        i === index ? { ...c, [key]: value } : c
+      ),
+    });
+
+  const setGuardian = (key, value) =>
+    setForm({ ...form, guardian: { ...form.guardian, [key]: value } });
+
+  const setPolicy = (level, key, value) =>
+    setForm({
+      ...form,
+      insurance: { ...form.insurance, [level]: { ...form.insurance[level], [key]: value } },
+    });
+
+  // Small input bound to a nested value; errors are keyed "<group>.<key>"
+  const subField = (errorKey, value, onChange, placeholder, extraProps = {}) => (
+    <div className="col-sm-6">
+      <input
+        className={`form-control form-control-sm ${errors[errorKey] ? 'is-invalid' : ''}`}
+        placeholder={placeholder}
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value)}
+        {...extraProps}
+      />
+      {errors[errorKey] && <div className="invalid-feedback">{errors[errorKey]}</div>}
+    </div>
+  );
+
+  // Phone with country selector, same layout as subField
+  const subPhone = (errorKey, value, onChange, extraProps = {}) => (
+    <div className="col-sm-6">
+      <PhoneInput
+        size="sm"
+        value={value}
+        onChange={onChange}
+        error={errors[errorKey]}
+        placeholder="Phone"
+        {...extraProps}
+      />
+    </div>
+  );
+
   return (
     <form onSubmit={submit}>
       {field('name', 'text', 'Name', { required: true })}
@@ -134,10 +309,55 @@ export default function PatientForm({ onSubmit, initial }) {
         required: true,
         placeholder: 'user@example.com',
       })}
-      {field('phone', 'text', 'Phone', {
-        required: true,
-        placeholder: '123-456-7890',
-      })}
+      <div className="mb-2">
+        <label className="form-label d-flex justify-content-between align-items-center">
+          Phone numbers
+          <button
+            type="button"
+            className="btn btn-sm btn-outline-primary py-0"
+            onClick={() => setForm({ ...form, phones: [...form.phones, { ...EMPTY_PHONE }] })}
+          >
+            Add number
+          </button>
+        </label>
+        {form.phones.map((p, i) => (
+          <div key={i} className="d-flex gap-1 mb-1 align-items-start">
+            <select
+              className="form-select flex-grow-0"
+              style={{ width: '6.5rem' }}
+              aria-label="Number type"
+              value={p.type}
+              onChange={(e) => setPhone(i, 'type', e.target.value)}
+            >
+              {PHONE_TYPES.map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <div className="flex-grow-1">
+              <PhoneInput
+                value={p.number}
+                onChange={(v) => setPhone(i, 'number', v)}
+                error={errors[`phone${i}`]}
+                placeholder={i === 0 ? 'Primary number' : 'Phone number'}
+                required={i === 0}
+              />
+            </div>
+            {i > 0 && (
+              <button
+                type="button"
+                className="btn btn-outline-danger"
+                aria-label="Remove number"
+                onClick={() => setForm({ ...form, phones: form.phones.filter((_, j) => j !== i) })}
+              >
+                ×
+              </button>
+            )}
+          </div>
+        ))}
+        <div className="form-text">The first number is the primary one.</div>
+      </div>
       {field('dateOfBirth', 'date', 'Date of Birth', {
         required: true,
         max: todayStr,
@@ -145,27 +365,182 @@ export default function PatientForm({ onSubmit, initial }) {
 
       <div className="mb-2">
         <label className="form-label">Address</label>
-        <input
-          className={`form-control ${errors.address ? 'is-invalid' : ''}`}
+        <AddressFields
           value={form.address}
-          onChange={(e) => setForm({ ...form, address: e.target.value })}
-          required
+          onChange={(address) => setForm({ ...form, address })}
+          errors={{ street: errors['address.street'], city: errors['address.city'] }}
         />
-        {errors.address && (
-          <div className="invalid-feedback">{errors.address}</div>
-        )}
       </div>
 
       <div className="mb-2">
-        <label className="form-label">Notes</label>
+        <label className="form-label">Notes (non-clinical)</label>
         <textarea
           className="form-control"
           value={form.notes}
           onChange={(e) => setForm({ ...form, notes: e.target.value })}
           rows={2}
         />
+        <div className="form-text">
+          Front-desk remarks only. Clinical findings go in the clinical notes on the
+          patient page (signed, with author and date).
+        </div>
       </div>
 
+      <fieldset className="mt-3">
+        <legend className="fs-6 fw-semibold d-flex justify-content-between align-items-center">
+          Emergency contacts
+          <button
+            type="button"
+            className="btn btn-sm btn-outline-primary py-0"
+            onClick={() =>
+              setForm({ ...form, emergencyContacts: [...form.emergencyContacts, { ...EMPTY_CONTACT }] })
+            }
+          >
+            Add
+          </button>
+        </legend>
+        {form.emergencyContacts.length === 0 && (
+          <div className="small text-muted">None</div>
+        )}
+        {form.emergencyContacts.map((c, i) => (
+          <div key={i} className="row g-1 mb-2 border-bottom pb-2">
+            {subField(`contact${i}.name`, c.name, (v) => setContact(i, 'name', v), 'Name')}
+            {subField(`contact${i}.relationship`, c.relationship, (v) => setContact(i, 'relationship', v), 'Relationship (e.g. spouse)')}
+            {subPhone(`contact${i}.phone`, c.phone, (v) => setContact(i, 'phone', v))}
+            {subField(`contact${i}.email`, c.email, (v) => setContact(i, 'email', v), 'Email (optional)', { type: 'email' })}
+            <div className="col-12 text-end">
+              <button
+                type="button"
+                className="btn btn-sm btn-link text-danger p-0"
+                onClick={() =>
+                  setForm({
+                    ...form,
+                    emergencyContacts: form.emergencyContacts.filter((_, j) => j !== i),
+                  })
+                }
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+        ))}
+      </fieldset>
+
+      <fieldset className="mt-3">
+        <legend className="fs-6 fw-semibold">
+          Guardian / responsible party{' '}
+          {minor ? (
+            <span className="badge bg-warning text-dark">Required – under {ADULT_AGE}</span>
+          ) : (
+            <span className="small text-muted fw-normal">(optional)</span>
+          )}
+        </legend>
+        <div className="row g-1">
+          {subField('guardian.name', form.guardian.name, (v) => setGuardian('name', v), 'Name', { required: minor })}
+          <div className="col-sm-6">
+            <select
+              className="form-select form-select-sm"
+              value={form.guardian.relationship}
+              onChange={(e) => setGuardian('relationship', e.target.value)}
+            >
+              {GUARDIAN_RELATIONSHIPS.map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          {subPhone('guardian.phone', form.guardian.phone, (v) => setGuardian('phone', v), { required: minor })}
+          {subField('guardian.email', form.guardian.email, (v) => setGuardian('email', v), 'Email (optional)', { type: 'email' })}
+          <div className="col-12">
+            <input
+              className="form-control form-control-sm"
+              placeholder="Address (if different)"
+              value={form.guardian.address}
+              onChange={(e) => setGuardian('address', e.target.value)}
+            />
+          </div>
+        </div>
+      </fieldset>
+
+      {['primary', 'secondary'].map((level) => {
+        const policy = form.insurance[level];
+        return (
+          <fieldset key={level} className="mt-3">
+            <legend className="fs-6 fw-semibold text-capitalize">
+              {level} insurance{' '}
+              <span className="small text-muted fw-normal text-lowercase">(optional)</span>
+            </legend>
+            <div className="row g-1">
+              {subField(`${level}.carrier`, policy.carrier, (v) => setPolicy(level, 'carrier', v), 'Carrier')}
+              {subField(`${level}.plan`, policy.plan, (v) => setPolicy(level, 'plan', v), 'Plan')}
+              {subField(`${level}.memberId`, policy.memberId, (v) => setPolicy(level, 'memberId', v), 'Member ID')}
+              {subField(`${level}.groupNumber`, policy.groupNumber, (v) => setPolicy(level, 'groupNumber', v), 'Group number')}
+              <div className="col-sm-6">
+                <label className="form-label small mb-0">Subscriber (policy holder)</label>
+                <select
+                  className="form-select form-select-sm"
+                  value={policy.subscriberRelationship}
+                  onChange={(e) => setPolicy(level, 'subscriberRelationship', e.target.value)}
+                >
+                  {SUBSCRIBER_RELATIONSHIPS.map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {policy.subscriberRelationship !== 'self' && (
+                <div className="col-sm-6 d-flex align-items-end">
+                  <input
+                    className="form-control form-control-sm"
+                    placeholder="Subscriber name"
+                    value={policy.subscriberName}
+                    onChange={(e) => setPolicy(level, 'subscriberName', e.target.value)}
+                  />
+                </div>
+              )}
+            </div>
+          </fieldset>
+        );
+      })}
+
+      {duplicates.length > 0 && (
+        <div className="alert alert-warning py-2 small mt-2 mb-0">
+          <div className="fw-semibold mb-1">
+            Possible duplicate{duplicates.length > 1 ? 's' : ''}:
+          </div>
+          <ul className="mb-2 ps-3">
+            {duplicates.map((d) => (
+              <li key={d._id}>
+                {d.name}
+                {d.dateOfBirth ? ` · ${d.dateOfBirth.slice(0, 10)}` : ''}
+                {d.phone ? ` · ${formatPhone(d.phone)}` : ''}
+                <span className="text-muted">
+                  {' '}
+                  ({d.reasons.map((r) => r.label).join(', ')})
+                </span>
+              </li>
+            ))}
+          </ul>
+          <div className="form-check">
+            <input
+              id="confirm-duplicate"
+              type="checkbox"
+              className={`form-check-input ${errors.duplicate ? 'is-invalid' : ''}`}
+              checked={confirmDuplicate}
+              onChange={(e) => setConfirmDuplicate(e.target.checked)}
+            />
+            <label className="form-check-label" htmlFor="confirm-duplicate">
+              This is a different person – save anyway
+            </label>
+            {errors.duplicate && (
+              <div className="invalid-feedback">{errors.duplicate}</div>
+            )}
+          </div>
+        </div>
+      )}
+
       <button className="btn btn-primary mt-3 float-end">
         {initial ? 'Update' : 'Save'}
       </button>
@@ -0,0 +1,215 @@
+/**
+ * PatientHistoryDrawer Component
+ * ------------------------------
+ * Side drawer listing the version history of a patient
+ * (GET /api/patients/:id/history): who changed what and when, newest first.
+ *
+ * - Each change shows old → new value
+ * - "Revert" sets a field back to the old value of that change
+ *   (POST /api/patients/:id/revert, needs patients:update); the revert is
+ *   recorded as a new version
+ *
+ * Props:
+ *  - patient: patient object (drawer is hidden when null)
+ *  - onClose()
+ *  - onReverted(updatedPatient): called after a successful revert
+ */
+
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import api from "../api/axios";
+import { useAuth } from "../context/AuthContext";
+import { medicalSummary } from "./MedicalAlerts";
+import { contactsSummary, guardianSummary, insuranceSummary } from "./PatientContacts";
+import { phonesSummary } from "./PhoneInput";
+import { formatAddress } from "./AddressFields";
+
+const PAGE_SIZE = 20;
+
+const FIELD_LABELS = {
+  name: "Name",
+  email: "Email",
+  phone: "Phone",
+  phones: "Phone numbers",
+  dateOfBirth: "Date of birth",
+  address: "Address",
+  notes: "Notes",
+  emergencyContacts: "Emergency contacts",
+  guardian: "Guardian",
+  insurance: "Insurance",
+  medicalHistory: "Medical history",
+};
+
+const ACTION_LABELS = {
+  create: "Created",
+  update: "Updated",
+  revert: "Reverted",
+  archive: "Archived",
+  restore: "Restored",
+  merge: "Merged",
+};
+
+// Display a stored value (dates are ISO strings, empty is null)
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (field === "dateOfBirth") return String(value).slice(0, 10);
+  if (field === "medicalHistory") return medicalSummary(value);
+  if (field === "phones") return phonesSummary(value);
+  if (field === "address") return formatAddress(value);
+  if (field === "emergencyContacts") return contactsSummary(value);
+  if (field === "guardian") return guardianSummary(value);
+  if (field === "insurance") return insuranceSummary(value);
+  return String(value);
+};
+
+export default function PatientHistoryDrawer({ patient, onClose, onReverted }) {
+  const { can } = useAuth();
+  const [versions, setVersions] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [reverting, setReverting] = useState(null); // "<versionId>:<field>"
+
+  const patientId = patient?._id;
+
+  const load = async (nextPage = 1) => {
+    setLoading(true);
+    try {
+      const { data } = await api.get(`/patients/${patientId}/history`, {
+        params: { page: nextPage, limit: PAGE_SIZE },
+      });
+      setVersions((prev) => (nextPage === 1 ? data.items : [...prev, ...data.items]));
+      setPage(data.page);
+      setPages(data.pages);
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to load history");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (patientId) load(1);
+    else setVersions([]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [patientId]);
+
+  if (!patient) return null;
+
+  // Newest snapshot = current values (no revert offered when already equal)
+  const current = versions[0]?.snapshot || {};
+
+  const revert = async (version, field) => {
+    setReverting(`${version._id}:${field}`);
+    try {
+      const { data } = await api.post(`/patients/${patientId}/revert`, {
+        versionId: version._id,
+        field,
+      });
+      toast.success(`${FIELD_LABELS[field]} reverted`);
+      onReverted && onReverted(data);
+      await load(1);
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to revert");
+    } finally {
+      setReverting(null);
+    }
+  };
+
+  return (
+    <>
+      <div className="offcanvas-backdrop fade show" onClick={onClose} />
+      <div
+        className="offcanvas offcanvas-end show"
+        style={{ visibility: "visible" }}
+        tabIndex={-1}
+        role="dialog"
+        aria-labelledby="patient-history-title"
+      >
+        <div className="offcanvas-header border-bottom">
+          <h5 className="offcanvas-title" id="patient-history-title">
+            History – {patient.name}
+          </h5>
+          <button
+            type="button"
+            className="btn-close"
+            aria-label="Close"
+            onClick={onClose}
+          />
+        </div>
+
+        <div className="offcanvas-body">
+          {!loading && versions.length === 0 && (
+            <p className="text-muted mb-0">No changes recorded yet.</p>
+          )}
+
+          {versions.map((v) => (
+            <div key={v._id} className="mb-3 pb-2 border-bottom">
+              <div className="d-flex justify-content-between small">
+                <strong>
+                  v{v.version} · {ACTION_LABELS[v.action] || v.action}
+                  {v.revertOf ? ` (from v${v.revertOf})` : ""}
+                  {v.mergedFrom?.name ? ` (with ${v.mergedFrom.name})` : ""}
+                  {v.movedFrom?.name ? ` (of ${v.movedFrom.name}, v${v.movedFrom.version})` : ""}
+                </strong>
+                <span className="text-muted">
+                  {new Date(v.createdAt).toLocaleString()}
+                </span>
+              </div>
+              <div className="small text-muted mb-1">
+                by {v.authorName || "unknown user"}
+              </div>
+
+              {v.changes.map((c) => (
+                <div
+                  key={c.field}
+                  className="d-flex justify-content-between align-items-start gap-2 small mb-1"
+                >
+                  <div className="text-break">
+                    <span className="fw-semibold">{FIELD_LABELS[c.field] || c.field}:</span>{" "}
+                    {v.action !== "create" && (
+                      <>
+                        <span className="text-decoration-line-through text-muted">
+                          {formatValue(c.field, c.from)}
+                        </span>{" "}
+                        →{" "}
+                      </>
+                    )}
+                    <span>{formatValue(c.field, c.to)}</span>
+                  </div>
+
+                  {v.action !== "create" &&
+                    !v.movedFrom?.patient &&
+                    can("patients:update") &&
+                    (c.field !== "medicalHistory" || can("patients:medical")) &&
+                    !patient.deletedAt &&
+                    JSON.stringify(current[c.field] ?? null) !==
+                      JSON.stringify(c.from ?? null) && (
+                      <button
+                        className="btn btn-sm btn-outline-secondary py-0 px-1 flex-shrink-0"
+                        disabled={reverting === `${v._id}:${c.field}`}
+                        onClick={() => revert(v, c.field)}
+                        title={`Set ${FIELD_LABELS[c.field] || c.field} back to "${formatValue(c.field, c.from)}"`}
+                      >
+                        Revert
+                      </button>
+                    )}
+                </div>
+              ))}
+            </div>
+          ))}
+
+          {page < pages && (
+            <button
+              className="btn btn-sm btn-outline-dark w-100"
+              disabled={loading}
+              onClick={() => load(page + 1)}
+            >
+              {loading ? "Loading…" : "Load older changes"}
+            </button>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,391 @@
+/**
+ * PatientImportModal Component
+ * ----------------------------
+ * Wizard for bulk-importing patients from a CSV or XLSX file.
+ *
+ * Steps:
+ *  1. File   → POST /api/patients/import/preview (headers, sample, guessed mapping)
+ *  2. Map    → choose the column for each patient field, duplicate handling
+ *  3. Check  → POST /api/patients/import (dryRun) → validation report,
+ *              downloadable as CSV
+ *  4. Import → same request without dryRun; shows what was created
+ *
+ * Props:
+ *  - show: boolean
+ *  - onClose()
+ *  - onImported(report): called after rows were created
+ */
+
+import { useState } from "react";
+import { toast } from "react-toastify";
+import api from "../api/axios";
+
+const REPORT_LIST_LIMIT = 100;
+
+// "a,b" → "\"a,b\"" for CSV cells
+const csvCell = (value) => {
+  const text = String(value ?? "");
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds the downloadable report: one line per problem, with the row's
+ * original values so the file can be fixed and imported again.
+ */
+const reportCsv = (report, fields) => {
+  const header = ["Row", "Type", "Field", "Problem", ...fields.map((f) => f.label)];
+  const lines = [header];
+
+  for (const e of report.errors) {
+    for (const m of e.messages) {
+      lines.push([
+        e.row,
+        "Error",
+        m.field,
+        m.message,
+        ...fields.map((f) => e.values?.[f.field] ?? ""),
+      ]);
+    }
+  }
+  for (const d of report.duplicates) {
+    lines.push([
+      d.row,
+      d.action === "skip" ? "Duplicate (skipped)" : "Duplicate (imported)",
+      "",
+      d.reasons.join("; "),
+      ...fields.map((f) => (f.field === "name" ? d.name : "")),
+    ]);
+  }
+
+  lines.sort((a, b) => (a[0] === "Row" ? -1 : b[0] === "Row" ? 1 : a[0] - b[0]));
+  return lines.map((l) => l.map(csvCell).join(",")).join("\r\n");
+};
+
+export default function PatientImportModal({ show, onClose, onImported }) {
+  const [step, setStep] = useState("file"); // file | map | report | done
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [duplicates, setDuplicates] = useState("skip");
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  if (!show) return null;
+
+  const reset = () => {
+    setStep("file");
+    setFile(null);
+    setPreview(null);
+    setMapping({});
+    setDuplicates("skip");
+    setReport(null);
+  };
+
+  const close = () => {
+    reset();
+    onClose();
+  };
+
+  const upload = async (path, extra = {}) => {
+    const formData = new FormData();
+    formData.append("file", file);
+    for (const [key, value] of Object.entries(extra)) formData.append(key, value);
+    const { data } = await api.post(path, formData, {
+      headers: { "Content-Type": "multipart/form-data" },
+    });
+    return data;
+  };
+
+  const loadPreview = async () => {
+    setBusy(true);
+    try {
+      const data = await upload("/patients/import/preview");
+      setPreview(data);
+      setMapping(data.mapping);
+      setStep("map");
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Could not read the file");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const run = async (dryRun) => {
+    setBusy(true);
+    try {
+      const data = await upload("/patients/import", {
+        mapping: JSON.stringify(mapping),
+        dryRun: String(dryRun),
+        duplicates,
+      });
+      setReport(data);
+      setStep(dryRun ? "report" : "done");
+      if (!dryRun) {
+        toast.success(`${data.created} patient(s) imported`);
+        onImported && onImported(data);
+      }
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Import failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const downloadReport = () => {
+    const blob = new Blob([reportCsv(report, preview.fields)], {
+      type: "text/csv;charset=utf-8",
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `import-report-${file.name.replace(/\.[^.]+$/, "")}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const missingRequired = preview
+    ? preview.fields.filter((f) => f.required && (mapping[f.field] ?? null) === null)
+    : [];
+
+  const hasProblems = report && (report.errors.length > 0 || report.duplicates.length > 0);
+
+  return (
+    <div className="modal fade show" style={{ display: "block" }}>
+      <div className="modal d-block" tabIndex={-1} role="dialog">
+        <div className="modal-dialog modal-lg modal-dialog-scrollable" role="document">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h5 className="modal-title">Import patients</h5>
+              <button type="button" className="btn-close" aria-label="Close" onClick={close} />
+            </div>
+
+            <div className="modal-body">
+              {/* Step 1: file */}
+              {step === "file" && (
+                <>
+                  <p className="small text-muted">
+                    CSV or Excel (.xlsx) file, one patient per row, with a header
+                    row. Required: name, email, phone, date of birth
+                    (YYYY-MM-DD or MM/DD/YYYY), street, city. Optional: state /
+                    region, postal code, country (ISO code such as US or GB;
+                    phone numbers without a country code are read in this
+                    country), notes.
+                  </p>
+                  <input
+                    type="file"
+                    className="form-control"
+                    accept=".csv,.xlsx"
+                    onChange={(e) => setFile(e.target.files[0] || null)}
+                  />
+                </>
+              )}
+
+              {/* Step 2: column mapping */}
+              {step === "map" && preview && (
+                <>
+                  <p className="small text-muted">
+                    {preview.totalRows} row(s) in <strong>{file.name}</strong>. Choose
+                    the column for each field.
+                  </p>
+
+                  <table className="table table-sm align-middle">
+                    <thead>
+                      <tr>
+                        <th>Field</th>
+                        <th>Column</th>
+                        <th>First row</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.fields.map((f) => {
+                        const index = mapping[f.field];
+                        return (
+                          <tr key={f.field}>
+                            <td>
+                              {f.label}
+                              {f.required && <span className="text-danger"> *</span>}
+                            </td>
+                            <td>
+                              <select
+                                className="form-select form-select-sm"
+                                value={index ?? ""}
+                                onChange={(e) =>
+                                  setMapping({
+                                    ...mapping,
+                                    [f.field]: e.target.value === "" ? null : Number(e.target.value),
+                                  })
+                                }
+                              >
+                                <option value="">— not imported —</option>
+                                {preview.headers.map((h, i) => (
+                                  <option key={i} value={i}>
+                                    {h || `Column ${i + 1}`}
+                                  </option>
+                                ))}
+                              </select>
+                            </td>
+                            <td className="small text-muted text-break">
+                              {index !== undefined && index !== null
+                                ? preview.sample[0]?.[index]
+                                : ""}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+
+                  <div className="mb-2">
+                    <label className="form-label small mb-1">Possible duplicates</label>
+                    <select
+                      className="form-select form-select-sm"
+                      value={duplicates}
+                      onChange={(e) => setDuplicates(e.target.value)}
+                    >
+                      <option value="skip">Skip them (report only)</option>
+                      <option value="import">Import them anyway</option>
+                    </select>
+                  </div>
+
+                  {missingRequired.length > 0 && (
+                    <div className="small text-danger">
+                      Choose a column for: {missingRequired.map((f) => f.label).join(", ")}
+                    </div>
+                  )}
+                </>
+              )}
+
+              {/* Step 3 / 4: report */}
+              {(step === "report" || step === "done") && report && (
+                <>
+                  <div className={`alert ${step === "done" ? "alert-success" : "alert-info"} py-2`}>
+                    {step === "done" ? (
+                      <>
+                        <strong>{report.created}</strong> of {report.totalRows} row(s) imported
+                      </>
+                    ) : (
+                      <>
+                        Dry run: <strong>{report.valid}</strong> of {report.totalRows} row(s)
+                        can be imported
+                      </>
+                    )}
+                    {report.errors.length > 0 && `, ${report.errors.length} with errors`}
+                    {report.skipped > 0 && `, ${report.skipped} possible duplicate(s) skipped`}
+                  </div>
+
+                  {report.errors.length > 0 && (
+                    <>
+                      <h6>Errors</h6>
+                      <table className="table table-sm small">
+                        <thead>
+                          <tr>
+                            <th>Row</th>
+                            <th>Problem</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {report.errors.slice(0, REPORT_LIST_LIMIT).map((e) => (
+                            <tr key={e.row}>
+                              <td>{e.row}</td>
+                              <td>{e.messages.map((m) => m.message).join("; ")}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </>
+                  )}
+
+                  {report.duplicates.length > 0 && (
+                    <>
+                      <h6>Possible duplicates</h6>
+                      <table className="table table-sm small">
+                        <thead>
+                          <tr>
+                            <th>Row</th>
+                            <th>Name</th>
+                            <th>Why</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {report.duplicates.slice(0, REPORT_LIST_LIMIT).map((d) => (
+                            <tr key={d.row}>
+                              <td>{d.row}</td>
+                              <td>{d.name}</td>
+                              <td>{d.reasons.join("; ")}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </>
+                  )}
+
+                  {hasProblems &&
+                    report.errors.length + report.duplicates.length > REPORT_LIST_LIMIT && (
+                      <p className="small text-muted">
+                        Only the first {REPORT_LIST_LIMIT} entries are listed; the
+                        downloaded report has all of them.
+                      </p>
+                    )}
+                </>
+              )}
+            </div>
+
+            <div className="modal-footer">
+              {step === "file" && (
+                <button
+                  className="btn btn-primary"
+                  disabled={!file || busy}
+                  onClick={loadPreview}
+                >
+                  {busy ? "Reading…" : "Next"}
+                </button>
+              )}
+
+              {step === "map" && (
+                <>
+                  <button className="btn btn-outline-secondary me-auto" onClick={reset}>
+                    Other file
+                  </button>
+                  <button
+                    className="btn btn-primary"
+                    disabled={busy || missingRequired.length > 0}
+                    onClick={() => run(true)}
+                  >
+                    {busy ? "Checking…" : "Check rows (dry run)"}
+                  </button>
+                </>
+              )}
+
+              {(step === "report" || step === "done") && hasProblems && (
+                <button className="btn btn-outline-dark me-auto" onClick={downloadReport}>
+                  Download report (CSV)
+                </button>
+              )}
+
+              {step === "report" && (
+                <>
+                  <button className="btn btn-outline-secondary" onClick={() => setStep("map")}>
+                    Back to mapping
+                  </button>
+                  <button
+                    className="btn btn-success"
+                    disabled={busy || report.valid === 0}
+                    onClick={() => run(false)}
+                  >
+                    {busy ? "Importing…" : `Import ${report.valid} row(s)`}
+                  </button>
+                </>
+              )}
+
+              {step === "done" && (
+                <button className="btn btn-primary" onClick={close}>
+                  Close
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
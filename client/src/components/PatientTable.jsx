@@ -2,95 +2,220 @@
  * PatientTable Component
  * ----------------------
  * - Renders a responsive table of patient records.
- * - Shows name, email, phone.
+ * - Shows name, email, phone; the name links to the patient detail page
+ * - Red badges under the name for critical medical history items
  * - Provides buttons for:
  *    - Edit
- *    - Delete
+ *    - Archive (soft delete)
  *    - Upload X-ray
  *    - View Attachments (opens modal)
+ *    - Merge duplicate (opens merge tool)
+ * - In archived mode: Restore / Purge instead, plus when and by whom the
+ *   patient was archived
  *
  * Props:
  *  - patients: array of patient objects
+ *  - sort: current sort ("name", "-name", ...) – optional
+ *  - onSort(field): makes Name / Email / Phone headers clickable – optional
+ *  - matches: { [patientId]: matches } from the search endpoint – optional;
+ *    matched text is highlighted, DOB / notes matches are shown under the name
  *  - onEdit(patient)
  *  - onDelete(patientId)
  *  - onUpload(patientId, file)
  *  - onViewAttachments(patient)
+ *  - archived: boolean → archived mode
+ *  - onRestore(patientId), onPurge(patient) – archived mode
+ *  - onMerge(patient) – optional, shown with patients:merge
+ *
+ * Edit / Archive / Upload are only shown when the user holds
+ * patients:update / patients:delete / attachments:upload; Restore / Purge
+ * need patients:restore / patients:purge.
  */
 
+import { Link } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import Highlight from "./Highlight";
+import MedicalAlertBadges from "./MedicalAlerts";
+import { formatPhone } from "./PhoneInput";
+
+// Search matches outside the table columns, shown below the name
+const EXTRA_MATCH_LABELS = { dateOfBirth: "DOB", notes: "Notes" };
+
+const SORTABLE = [
+  { field: "name", label: "Name" },
+  { field: "email", label: "Email" },
+  { field: "phone", label: "Phone" },
+];
+
 export default function PatientTable({
   patients,
+  sort,
+  onSort,
+  matches,
   onEdit,
   onDelete,
   onUpload,
   onViewAttachments,
+  archived = false,
+  onRestore,
+  onPurge,
+  onMerge,
 }) {
+  const { can } = useAuth();
+
   return (
     <div className="table-responsive mb-4">
       <table className="table table-striped rounded border table-bordered">
         <thead>
           <tr>
-            <th>Name</th>
-            <th>Email</th>
-            <th>Phone</th>
+            {SORTABLE.map(({ field, label }) => {
+              if (!onSort) return <th key={field}>{label}</th>;
+
+              const arrow =
+                sort === field ? " ▲" : sort === `-${field}` ? " ▼" : "";
+              return (
+                <th
+                  key={field}
+                  role="button"
+                  className="user-select-none"
+                  onClick={() => onSort(field)}
+                >
+                  {label}
+                  {arrow}
+                </th>
+              );
+            })}
             <th style={{ width: "230px" }}>Actions</th>
           </tr>
         </thead>
 
         <tbody>
-          {patients.map((p) => (
-            <tr key={p._id}>
-              <td>{p.name}</td>
-              <td>{p.email}</td>
-              <td>{p.phone}</td>
+          {patients.length === 0 && (
+            <tr>
+              <td colSpan={4} className="text-center text-muted">
+                No patients found
+              </td>
+            </tr>
+          )}
+          {patients.map((p) => {
+            const found = matches?.[p._id] || [];
+            const cell = (field) => {
+              const m = found.find((x) => x.field === field);
+              return m ? <Highlight value={m.value} ranges={m.ranges} /> : p[field];
+            };
+            const extra = found.filter((x) => EXTRA_MATCH_LABELS[x.field]);
 
-              <td className="text-center">
-                {/* Edit button */}
-                <button
-                  className="btn btn-sm btn-outline-secondary p-1 w-100 mb-1"
-                  onClick={() => onEdit(p)}
-                >
-                  Edit
-                </button>
+            return (
+              <tr key={p._id}>
+                <td>
+                  {archived ? cell("name") : <Link to={`/patients/${p._id}`}>{cell("name")}</Link>}
+                  {p.medicalHistory && (
+                    <div>
+                      <MedicalAlertBadges medicalHistory={p.medicalHistory} />
+                    </div>
+                  )}
+                  {archived && p.deletedAt && (
+                    <div className="small text-muted">
+                      Archived {new Date(p.deletedAt).toLocaleDateString()}
+                      {p.deletedBy?.username ? ` by ${p.deletedBy.username}` : ""}
+                    </div>
+                  )}
+                  {extra.map((m) => (
+                    <div key={m.field} className="small text-muted">
+                      {EXTRA_MATCH_LABELS[m.field]}:{" "}
+                      <Highlight value={m.value} ranges={m.ranges} />
+                    </div>
+                  ))}
+                </td>
+                <td>{cell("email")}</td>
+                <td className="text-nowrap">
+                  {found.some((m) => m.field === "phone") ? cell("phone") : formatPhone(p.phone)}
+                </td>
 
-                {/* Delete button (opens ConfirmModal via parent) */}
-                <button
-                  className="btn btn-sm btn-outline-danger p-1 w-100 mb-1"
-                  onClick={() => onDelete(p._id)}
-                >
-                  Delete
-                </button>
+                <td className="text-center">
+                  {/* Restore / Purge (archived mode) */}
+                  {archived && can("patients:restore") && (
+                    <button
+                      className="btn btn-sm btn-outline-success p-1 w-100 mb-1"
+                      onClick={() => onRestore(p._id)}
+                    >
+                      Restore
+                    </button>
+                  )}
 
-                {/* Upload X-ray / attachment */}
-                <label className="btn btn-sm btn-outline-primary p-1 w-100 mb-1">
-                  Upload X-ray
-                  <input
-                    type="file"
-                    hidden
-                    onChange={(e) => {
-                      const file = e.target.files[0];
-                      if (file && onUpload) {
-                        onUpload(p._id, file);
-                      }
-                      // allow selecting the same file again
-                      e.target.value = "";
-                    }}
-                  />
-                </label>
+                  {archived && can("patients:purge") && (
+                    <button
+                      className="btn btn-sm btn-danger p-1 w-100 mb-1"
+                      onClick={() => onPurge(p)}
+                    >
+                      Purge
+                    </button>
+                  )}
 
-                {/* View attachments (opens modal) */}
-                <button
-                  className="btn btn-sm btn-outline-dark p-1 w-100"
-                  onClick={() => onViewAttachments && onViewAttachments(p)}
-                  disabled={!p.attachments || p.attachments.length === 0}
-                >
-                  View Attachments
-                  {p.attachments && p.attachments.length > 0
-                    ? ` (${p.attachments.length})`
-                    : ""}
-                </button>
-              </td>
-            </tr>
-          ))}
+                  {/* Edit button */}
+                  {!archived && can("patients:update") && (
+                    <button
+                      className="btn btn-sm btn-outline-secondary p-1 w-100 mb-1"
+                      onClick={() => onEdit(p)}
+                    >
+                      Edit
+                    </button>
+                  )}
+
+                  {/* Archive button (opens ConfirmModal via parent) */}
+                  {!archived && can("patients:delete") && (
+                    <button
+                      className="btn btn-sm btn-outline-danger p-1 w-100 mb-1"
+                      onClick={() => onDelete(p._id)}
+                    >
+                      Archive
+                    </button>
+                  )}
+
+                  {/* Upload X-ray / attachment */}
+                  {!archived && can("attachments:upload") && (
+                    <label className="btn btn-sm btn-outline-primary p-1 w-100 mb-1">
+                      Upload X-ray
+                      <input
+                        type="file"
+                        hidden
+                        onChange={(e) => {
+                          const file = e.target.files[0];
+                          if (file && onUpload) {
+                            onUpload(p._id, file);
+                          }
+                          // allow selecting the same file again
+                          e.target.value = "";
+                        }}
+                      />
+                    </label>
+                  )}
+
+                  {/* Merge a duplicate into this patient (opens merge tool) */}
+                  {!archived && onMerge && can("patients:merge") && (
+                    <button
+                      className="btn btn-sm btn-outline-warning p-1 w-100 mb-1"
+                      onClick={() => onMerge(p)}
+                    >
+                      Merge duplicate
+                    </button>
+                  )}
+
+                  {/* View attachments (opens modal) */}
+                  <button
+                    className="btn btn-sm btn-outline-dark p-1 w-100"
+                    onClick={() => onViewAttachments && onViewAttachments(p)}
+                    disabled={!p.attachments || p.attachments.length === 0}
+                  >
+                    View Attachments
+                    {p.attachments && p.attachments.length > 0
+                      ? ` (${p.attachments.length})`
+                      : ""}
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
         </tbody>
       </table>
     </div>
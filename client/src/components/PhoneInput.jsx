@@ -0,0 +1,100 @@
+/**
+ * PhoneInput Component
+ * --------------------
+ * Phone number field with a country selector. Reports the number in E.164
+ * form ("+12125550199") as soon as it is a possible number for the chosen
+ * country, otherwise the text as typed (so form validation can flag it).
+ * Numbers typed with "+" and a country code ignore the selector.
+ *
+ * Exports:
+ *  - default PhoneInput({ value, onChange, error, size, ...inputProps })
+ *  - DEFAULT_COUNTRY (REACT_APP_DEFAULT_COUNTRY, default US)
+ *  - PHONE_TYPES → [value, label] options (mobile / home / work)
+ *  - isPhoneNumber(value) → possible number in E.164 form
+ *  - formatPhone(value) → "+1 212 555 0199" for display
+ *  - phonesSummary(phones) → one-line text (history and merge views)
+ */
+
+import { useEffect, useRef, useState } from "react";
+import {
+  getCountries,
+  getCountryCallingCode,
+  parsePhoneNumberFromString,
+} from "libphonenumber-js";
+
+export const DEFAULT_COUNTRY = (process.env.REACT_APP_DEFAULT_COUNTRY || "US").toUpperCase();
+
+export const PHONE_TYPES = [
+  ["mobile", "Mobile"],
+  ["home", "Home"],
+  ["work", "Work"],
+];
+
+const COUNTRIES = getCountries();
+
+export const isPhoneNumber = (value) => {
+  const parsed = value ? parsePhoneNumberFromString(String(value)) : null;
+  return !!parsed && parsed.isPossible() && parsed.number === value;
+};
+
+export const formatPhone = (value) => {
+  const parsed = value ? parsePhoneNumberFromString(String(value)) : null;
+  return parsed ? parsed.formatInternational() : value || "";
+};
+
+export const phonesSummary = (phones) =>
+  (phones || []).map((p) => `${p.type}: ${formatPhone(p.number)}`).join("; ") || "—";
+
+// Country + national text of a stored value
+const split = (value) => {
+  const parsed = value ? parsePhoneNumberFromString(String(value)) : null;
+  if (parsed?.country) return { country: parsed.country, text: parsed.formatNational() };
+  return { country: DEFAULT_COUNTRY, text: value || "" };
+};
+
+export default function PhoneInput({ value, onChange, error, size, ...inputProps }) {
+  const [state, setState] = useState(() => split(value));
+  const emitted = useRef(value);
+
+  // Value replaced from outside (form reset, another patient being edited)
+  useEffect(() => {
+    if (value !== emitted.current) {
+      emitted.current = value;
+      setState(split(value));
+    }
+  }, [value]);
+
+  const update = (country, text) => {
+    setState({ country, text });
+    const parsed = parsePhoneNumberFromString(text, country);
+    const next = parsed?.isPossible() ? parsed.number : text;
+    emitted.current = next;
+    onChange(next);
+  };
+
+  return (
+    <div className={`input-group has-validation ${size === "sm" ? "input-group-sm" : ""}`}>
+      <select
+        className="form-select flex-grow-0"
+        style={{ width: "6.5rem" }}
+        aria-label="Country"
+        value={state.country}
+        onChange={(e) => update(e.target.value, state.text)}
+      >
+        {COUNTRIES.map((code) => (
+          <option key={code} value={code}>
+            {code} +{getCountryCallingCode(code)}
+          </option>
+        ))}
+      </select>
+      <input
+        type="tel"
+        className={`form-control ${error ? "is-invalid" : ""}`}
+        value={state.text}
+        onChange={(e) => update(state.country, e.target.value)}
+        {...inputProps}
+      />
+      {error && <div className="invalid-feedback">{error}</div>}
+    </div>
+  );
+}
@@ -3,15 +3,29 @@
  * ----------------------
  * - Wrapper for protecting routes that require authentication.
  * - Uses React Router's <Outlet /> to render child routes when user is logged in.
- * - If no user is present in AuthContext, redirects to /login.
+ * - If no user is present in AuthContext, redirects to /login with a
+ *   `returnTo` query so Login can send the user back afterwards.
+ * - Optional `permission` prop restricts the child routes to users holding
+ *   that permission; other logged-in users are sent back to /dashboard.
  */
 
-import { Navigate, Outlet } from 'react-router-dom';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
-export default function PrivateRoute() {
-  const { user } = useAuth(); // current logged-in user (or null)
+export default function PrivateRoute({ permission }) {
+  const { user, can } = useAuth(); // current logged-in user (or null)
+  const location = useLocation();
 
-  // If user exists, render nested route(s); otherwise redirect to login
-  return user ? <Outlet /> : <Navigate to="/login" replace />;
+  // Not logged in → login page (remember where the user wanted to go)
+  if (!user) {
+    const returnTo = encodeURIComponent(location.pathname + location.search);
+    return <Navigate to={`/login?returnTo=${returnTo}`} replace />;
+  }
+
+  // Logged in but missing the permission → back to dashboard
+  if (permission && !can(permission)) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  return <Outlet />;
 }
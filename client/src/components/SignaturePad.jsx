@@ -0,0 +1,100 @@
+/**
+ * SignaturePad Component
+ * ----------------------
+ * Canvas the patient signs on with a finger, stylus or mouse (pointer
+ * events, so touch screens do not scroll while signing).
+ *
+ * The signature is reported as a PNG data URL EXPORT_WIDTH pixels wide
+ * (whatever the screen resolution), small enough to send as JSON.
+ *
+ * Props:
+ *  - onChange(dataUrl | null): after every stroke; null once cleared
+ *  - height: pad height in CSS pixels (default 200)
+ */
+
+import { useEffect, useRef } from "react";
+
+const EXPORT_WIDTH = 600;
+
+export default function SignaturePad({ onChange, height = 200 }) {
+  const canvasRef = useRef(null);
+  const drawing = useRef(false);
+
+  // Match the canvas resolution to its size on screen
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = canvas.offsetWidth * ratio;
+    canvas.height = height * ratio;
+    const ctx = canvas.getContext("2d");
+    ctx.scale(ratio, ratio);
+    ctx.lineWidth = 2.5;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.strokeStyle = "#0b1f4b";
+  }, [height]);
+
+  const pointOf = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return [e.clientX - rect.left, e.clientY - rect.top];
+  };
+
+  const start = (e) => {
+    e.preventDefault();
+    canvasRef.current.setPointerCapture(e.pointerId);
+    drawing.current = true;
+    const ctx = canvasRef.current.getContext("2d");
+    const [x, y] = pointOf(e);
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + 0.1, y + 0.1); // a tap leaves a dot
+    ctx.stroke();
+  };
+
+  const move = (e) => {
+    if (!drawing.current) return;
+    const ctx = canvasRef.current.getContext("2d");
+    const [x, y] = pointOf(e);
+    ctx.lineTo(x, y);
+    ctx.stroke();
+  };
+
+  const end = () => {
+    if (!drawing.current) return;
+    drawing.current = false;
+
+    const canvas = canvasRef.current;
+    const out = document.createElement("canvas");
+    out.width = EXPORT_WIDTH;
+    out.height = Math.round((EXPORT_WIDTH * canvas.height) / canvas.width);
+    out.getContext("2d").drawImage(canvas, 0, 0, out.width, out.height);
+    onChange(out.toDataURL("image/png"));
+  };
+
+  const clear = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+    onChange(null);
+  };
+
+  return (
+    <div>
+      <canvas
+        ref={canvasRef}
+        className="border rounded bg-white w-100 d-block"
+        style={{ height, touchAction: "none", cursor: "crosshair" }}
+        aria-label="Signature pad"
+        onPointerDown={start}
+        onPointerMove={move}
+        onPointerUp={end}
+        onPointerCancel={end}
+      />
+      <div className="d-flex justify-content-between align-items-center mt-1 small text-muted">
+        <span>Sign in the box with a finger, stylus or mouse</span>
+        <button type="button" className="btn btn-link btn-sm p-0" onClick={clear}>
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,624 @@
+/**
+ * TreatmentPlanPanel Component
+ * ----------------------------
+ * Treatment plans of a patient on the detail page
+ * (GET /api/treatment-plans?patientId=).
+ *
+ * - Plan picker and a "New plan" form; rename / delete a plan
+ * - Procedures grouped by phase: code (picked from the catalog, which fills
+ *   in description and fee), tooth / surfaces, fee, priority and status
+ * - Subtotal per phase and plan totals, with what is still unscheduled
+ *   (proposed or accepted) and what is completed
+ * - Tick accepted procedures and book them into one appointment
+ *   (POST /:id/schedule), with a warning when their codes need a consent
+ *   form; onChanged reloads the patient so the new visit shows up on the
+ *   page
+ * - Editing needs treatment:write, booking appointments:create; the panel
+ *   is hidden without treatment:read
+ *
+ * Props:
+ *  - patient: patient being viewed
+ *  - onChanged(): called after an appointment was booked
+ */
+
+import { Fragment, useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import api from "../api/axios";
+import { useAuth } from "../context/AuthContext";
+import { DEFAULT_NUMBERING, SURFACE_LABELS, toothLabel } from "./Odontogram";
+import ConsentWarning, { useConsentTemplates } from "./ConsentWarning";
+
+// Same key as DentalChartPanel: one numbering choice per browser
+const NUMBERING_KEY = "toothNumbering";
+
+const PRIORITIES = ["urgent", "high", "medium", "low"];
+
+const PRIORITY_BADGES = {
+  urgent: "bg-danger",
+  high: "bg-warning text-dark",
+  medium: "bg-secondary",
+  low: "bg-light text-dark border",
+};
+
+const STATUS_BADGES = {
+  proposed: "bg-secondary",
+  accepted: "bg-info text-dark",
+  scheduled: "bg-primary",
+  completed: "bg-success",
+};
+
+// Status changes offered per status (mirrors treatmentPlanController.js)
+const STATUS_CHANGES = {
+  proposed: ["accepted", "completed"],
+  accepted: ["proposed", "completed"],
+  scheduled: ["completed"],
+  completed: ["accepted"],
+};
+
+const currency = new Intl.NumberFormat(undefined, {
+  style: "currency",
+  currency: process.env.REACT_APP_CURRENCY || "USD",
+});
+
+export const formatFee = (amount) => currency.format(amount || 0);
+
+const emptyProcedure = (phase = 1) => ({
+  code: "",
+  description: "",
+  tooth: "",
+  surfaces: [],
+  fee: "",
+  phase,
+  priority: "medium",
+});
+
+const errorMessage = (err, fallback) => err.response?.data?.message || fallback;
+
+export default function TreatmentPlanPanel({ patient, onChanged }) {
+  const { can } = useAuth();
+  const consentTemplates = useConsentTemplates();
+  const [plans, setPlans] = useState(null);
+  const [codes, setCodes] = useState([]);
+  const [planId, setPlanId] = useState("");
+  const [newTitle, setNewTitle] = useState(null); // string while the form is open
+  const [draft, setDraft] = useState(emptyProcedure());
+  const [selected, setSelected] = useState([]);
+  const [booking, setBooking] = useState(null); // { date, time } while open
+  const [saving, setSaving] = useState(false);
+
+  const patientId = patient._id;
+  const editable = can("treatment:write");
+  const canBook = can("appointments:create");
+  const numbering = localStorage.getItem(NUMBERING_KEY) || DEFAULT_NUMBERING;
+
+  useEffect(() => {
+    setPlans(null);
+    setSelected([]);
+    Promise.all([
+      api.get("/treatment-plans", { params: { patientId } }),
+      api.get("/treatment-plans/procedure-codes"),
+    ])
+      .then(([p, c]) => {
+        setPlans(p.data);
+        setCodes(c.data);
+        setPlanId(p.data[0]?._id || "");
+      })
+      .catch((err) => toast.error(errorMessage(err, "Failed to load treatment plans")));
+  }, [patientId]);
+
+  if (!plans) return null;
+
+  const plan = plans.find((p) => p._id === planId);
+
+  // Replace one plan in the list with the server's copy
+  const replacePlan = (data) => setPlans(plans.map((p) => (p._id === data._id ? data : p)));
+
+  const request = async (call, fallback) => {
+    setSaving(true);
+    try {
+      return await call();
+    } catch (err) {
+      toast.error(errorMessage(err, fallback));
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const createPlan = async (e) => {
+    e.preventDefault();
+    const res = await request(
+      () => api.post("/treatment-plans", { patientId, title: newTitle }),
+      "Failed to create plan"
+    );
+    if (!res) return;
+    setPlans([res.data, ...plans]);
+    setPlanId(res.data._id);
+    setNewTitle(null);
+    setSelected([]);
+  };
+
+  const renamePlan = async () => {
+    const title = window.prompt("Plan title", plan.title);
+    if (!title || title === plan.title) return;
+    const res = await request(
+      () => api.put(`/treatment-plans/${plan._id}`, { title }),
+      "Failed to rename plan"
+    );
+    if (res) replacePlan(res.data);
+  };
+
+  const deletePlan = async () => {
+    if (!window.confirm(`Delete the plan "${plan.title}"?`)) return;
+    const res = await request(
+      () => api.delete(`/treatment-plans/${plan._id}`),
+      "Failed to delete plan"
+    );
+    if (!res) return;
+    const rest = plans.filter((p) => p._id !== plan._id);
+    setPlans(rest);
+    setPlanId(rest[0]?._id || "");
+    setSelected([]);
+  };
+
+  const pickCode = (code) => {
+    const entry = codes.find((c) => c.code === code);
+    setDraft({
+      ...draft,
+      code,
+      description: entry?.description ?? draft.description,
+      fee: entry?.fee ?? draft.fee,
+      ...(entry && !entry.tooth ? { tooth: "", surfaces: [] } : {}),
+    });
+  };
+
+  const toggleSurface = (surface) =>
+    setDraft({
+      ...draft,
+      surfaces: draft.surfaces.includes(surface)
+        ? draft.surfaces.filter((s) => s !== surface)
+        : [...draft.surfaces, surface],
+    });
+
+  const addProcedure = async (e) => {
+    e.preventDefault();
+    const res = await request(
+      () =>
+        api.post(`/treatment-plans/${plan._id}/procedures`, {
+          ...draft,
+          tooth: draft.tooth.trim() || null,
+          numbering,
+        }),
+      "Failed to add procedure"
+    );
+    if (!res) return;
+    replacePlan(res.data);
+    setDraft(emptyProcedure(draft.phase));
+  };
+
+  const updateProcedure = async (procedure, values) => {
+    const res = await request(
+      () => api.put(`/treatment-plans/${plan._id}/procedures/${procedure._id}`, values),
+      "Failed to update procedure"
+    );
+    if (!res) return;
+    replacePlan(res.data);
+    if (values.status) setSelected(selected.filter((id) => id !== procedure._id));
+  };
+
+  const removeProcedure = async (procedure) => {
+    const res = await request(
+      () => api.delete(`/treatment-plans/${plan._id}/procedures/${procedure._id}`),
+      "Failed to remove procedure"
+    );
+    if (!res) return;
+    replacePlan(res.data);
+    setSelected(selected.filter((id) => id !== procedure._id));
+  };
+
+  const toggleSelected = (id) =>
+    setSelected(selected.includes(id) ? selected.filter((s) => s !== id) : [...selected, id]);
+
+  const book = async (e) => {
+    e.preventDefault();
+    const res = await request(
+      () =>
+        api.post(`/treatment-plans/${plan._id}/schedule`, {
+          procedureIds: selected,
+          ...booking,
+        }),
+      "Failed to book appointment"
+    );
+    if (!res) return;
+    replacePlan(res.data.plan);
+    setSelected([]);
+    setBooking(null);
+    toast.success("Appointment booked");
+    if (res.data.consentsNeeded?.length) {
+      toast.warning(
+        `Have the patient sign before the visit: ${res.data.consentsNeeded.map((t) => t.name).join(", ")}`
+      );
+    }
+    onChanged?.();
+  };
+
+  const procedures = plan?.procedures || [];
+  const phases = plan?.totals.phases || [];
+  const selectedTotal = procedures
+    .filter((p) => selected.includes(p._id))
+    .reduce((sum, p) => sum + p.fee, 0);
+  const draftEntry = codes.find((c) => c.code === draft.code);
+
+  const where = (p) =>
+    p.tooth
+      ? `${toothLabel(p.tooth, numbering)}${p.surfaces.length ? ` ${p.surfaces.join("")}` : ""}`
+      : "—";
+
+  return (
+    <div className="card card-body mb-3">
+      <div className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-2">
+        <h5 className="mb-0">Treatment plans</h5>
+        <div className="d-flex gap-2">
+          {plans.length > 0 && (
+            <select
+              className="form-select form-select-sm"
+              aria-label="Treatment plan"
+              value={planId}
+              onChange={(e) => {
+                setPlanId(e.target.value);
+                setSelected([]);
+              }}
+            >
+              {plans.map((p) => (
+                <option key={p._id} value={p._id}>
+                  {p.title} ({new Date(p.createdAt).toLocaleDateString()})
+                </option>
+              ))}
+            </select>
+          )}
+          {editable && newTitle === null && (
+            <button className="btn btn-sm btn-outline-primary text-nowrap" onClick={() => setNewTitle("")}>
+              New plan
+            </button>
+          )}
+        </div>
+      </div>
+
+      {newTitle !== null && (
+        <form className="input-group input-group-sm mb-2" onSubmit={createPlan}>
+          <input
+            className="form-control"
+            placeholder="Plan title, e.g. Full mouth restoration"
+            value={newTitle}
+            onChange={(e) => setNewTitle(e.target.value)}
+            autoFocus
+          />
+          <button className="btn btn-primary" disabled={saving || !newTitle.trim()}>
+            Create
+          </button>
+          <button type="button" className="btn btn-outline-secondary" onClick={() => setNewTitle(null)}>
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {!plan && <p className="text-muted small mb-0">No treatment plans yet.</p>}
+
+      {plan && (
+        <>
+          <div className="d-flex flex-wrap justify-content-between align-items-center small mb-2">
+            <span className="text-muted">
+              Created {new Date(plan.createdAt).toLocaleDateString()} by{" "}
+              {plan.createdByName || "unknown user"}
+            </span>
+            {editable && (
+              <span className="d-flex gap-2">
+                <button className="btn btn-link btn-sm p-0" onClick={renamePlan}>
+                  Rename
+                </button>
+                <button className="btn btn-link btn-sm p-0 text-danger" onClick={deletePlan}>
+                  Delete
+                </button>
+              </span>
+            )}
+          </div>
+
+          <div className="table-responsive">
+            <table className="table table-sm align-middle small mb-2">
+              <thead>
+                <tr>
+                  {canBook && <th style={{ width: 24 }} />}
+                  <th>Code</th>
+                  <th>Procedure</th>
+                  <th>Tooth</th>
+                  <th>Priority</th>
+                  <th>Status</th>
+                  <th className="text-end">Fee</th>
+                  {editable && <th />}
+                </tr>
+              </thead>
+              <tbody>
+                {procedures.length === 0 && (
+                  <tr>
+                    <td colSpan={8} className="text-muted">
+                      No procedures planned yet.
+                    </td>
+                  </tr>
+                )}
+                {phases.map((phase) => (
+                  <Fragment key={phase.phase}>
+                    <tr className="table-light">
+                      <td colSpan={canBook ? 6 : 5} className="fw-semibold">
+                        Phase {phase.phase}{" "}
+                        <span className="text-muted fw-normal">
+                          · {phase.count} procedure{phase.count === 1 ? "" : "s"}
+                          {phase.unscheduledCount > 0 &&
+                            ` · ${phase.unscheduledCount} unscheduled (${formatFee(phase.unscheduled)})`}
+                        </span>
+                      </td>
+                      <td className="text-end fw-semibold">{formatFee(phase.total)}</td>
+                      {editable && <td />}
+                    </tr>
+                    {procedures
+                      .filter((p) => p.phase === phase.phase)
+                      .map((p) => (
+                        <tr key={p._id}>
+                          {canBook && (
+                            <td>
+                              {p.status === "accepted" && (
+                                <input
+                                  type="checkbox"
+                                  className="form-check-input"
+                                  aria-label={`Book ${p.code}`}
+                                  checked={selected.includes(p._id)}
+                                  onChange={() => toggleSelected(p._id)}
+                                />
+                              )}
+                            </td>
+                          )}
+                          <td className="font-monospace">{p.code}</td>
+                          <td>{p.description}</td>
+                          <td title={p.surfaces.map((s) => SURFACE_LABELS[s]).join(", ")}>{where(p)}</td>
+                          <td>
+                            <span className={`badge ${PRIORITY_BADGES[p.priority]}`}>{p.priority}</span>
+                          </td>
+                          <td>
+                            {editable ? (
+                              <select
+                                className="form-select form-select-sm"
+                                aria-label={`Status of ${p.code}`}
+                                value={p.status}
+                                disabled={saving}
+                                onChange={(e) => updateProcedure(p, { status: e.target.value })}
+                              >
+                                {[p.status, ...STATUS_CHANGES[p.status]].map((s) => (
+                                  <option key={s} value={s}>
+                                    {s}
+                                  </option>
+                                ))}
+                              </select>
+                            ) : (
+                              <span className={`badge ${STATUS_BADGES[p.status]}`}>{p.status}</span>
+                            )}
+                          </td>
+                          <td className="text-end">{formatFee(p.fee)}</td>
+                          {editable && (
+                            <td className="text-end">
+                              {["proposed", "accepted"].includes(p.status) && (
+                                <button
+                                  className="btn btn-link btn-sm p-0 text-danger"
+                                  disabled={saving}
+                                  onClick={() => removeProcedure(p)}
+                                >
+                                  Remove
+                                </button>
+                              )}
+                            </td>
+                          )}
+                        </tr>
+                      ))}
+                  </Fragment>
+                ))}
+              </tbody>
+              {procedures.length > 0 && (
+                <tfoot>
+                  <tr>
+                    <td colSpan={canBook ? 6 : 5} className="text-end">
+                      Plan total
+                    </td>
+                    <td className="text-end fw-bold">{formatFee(plan.totals.total)}</td>
+                    {editable && <td />}
+                  </tr>
+                  <tr>
+                    <td colSpan={canBook ? 6 : 5} className="text-end text-muted">
+                      Unscheduled · completed
+                    </td>
+                    <td className="text-end text-nowrap">
+                      {formatFee(plan.totals.unscheduled)} · {formatFee(plan.totals.completed)}
+                    </td>
+                    {editable && <td />}
+                  </tr>
+                </tfoot>
+              )}
+            </table>
+          </div>
+
+          {canBook && selected.length > 0 && (
+            <div className="d-flex align-items-center gap-2 mb-2 small">
+              <span>
+                {selected.length} selected ({formatFee(selectedTotal)})
+              </span>
+              <button className="btn btn-sm btn-primary" onClick={() => setBooking({ date: "", time: "" })}>
+                Book appointment
+              </button>
+            </div>
+          )}
+
+          {/* Add procedure */}
+          {editable && (
+            <form className="row g-2 align-items-end small" onSubmit={addProcedure}>
+              <div className="col-sm-3">
+                <label className="form-label mb-0">Code</label>
+                <input
+                  className="form-control form-control-sm"
+                  list="procedure-codes"
+                  placeholder="D2391"
+                  value={draft.code}
+                  onChange={(e) => pickCode(e.target.value.toUpperCase())}
+                  required
+                />
+                <datalist id="procedure-codes">
+                  {codes.map((c) => (
+                    <option key={c.code} value={c.code}>
+                      {c.description}
+                    </option>
+                  ))}
+                </datalist>
+              </div>
+              <div className="col-sm-9">
+                <label className="form-label mb-0">Description</label>
+                <input
+                  className="form-control form-control-sm"
+                  value={draft.description}
+                  onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                  required
+                />
+              </div>
+              <div className="col-sm-2">
+                <label className="form-label mb-0">Tooth</label>
+                <input
+                  className="form-control form-control-sm"
+                  placeholder={numbering === "universal" ? "1–32" : "11–48"}
+                  value={draft.tooth}
+                  disabled={draftEntry && !draftEntry.tooth}
+                  onChange={(e) => setDraft({ ...draft, tooth: e.target.value })}
+                />
+              </div>
+              <div className="col-sm-3">
+                <label className="form-label mb-0 d-block">Surfaces</label>
+                <div className="btn-group btn-group-sm" role="group" aria-label="Surfaces">
+                  {Object.keys(SURFACE_LABELS).map((s) => (
+                    <button
+                      key={s}
+                      type="button"
+                      title={SURFACE_LABELS[s]}
+                      className={`btn ${draft.surfaces.includes(s) ? "btn-dark" : "btn-outline-dark"}`}
+                      disabled={!draft.tooth.trim()}
+                      onClick={() => toggleSurface(s)}
+                    >
+                      {s}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="col-sm-2">
+                <label className="form-label mb-0">Fee</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  className="form-control form-control-sm"
+                  value={draft.fee}
+                  onChange={(e) => setDraft({ ...draft, fee: e.target.value })}
+                  required
+                />
+              </div>
+              <div className="col-sm-1">
+                <label className="form-label mb-0">Phase</label>
+                <input
+                  type="number"
+                  min="1"
+                  className="form-control form-control-sm"
+                  value={draft.phase}
+                  onChange={(e) => setDraft({ ...draft, phase: e.target.value })}
+                  required
+                />
+              </div>
+              <div className="col-sm-2">
+                <label className="form-label mb-0">Priority</label>
+                <select
+                  className="form-select form-select-sm"
+                  value={draft.priority}
+                  onChange={(e) => setDraft({ ...draft, priority: e.target.value })}
+                >
+                  {PRIORITIES.map((p) => (
+                    <option key={p} value={p}>
+                      {p}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-sm-2">
+                <button className="btn btn-sm btn-outline-primary w-100" disabled={saving}>
+                  Add
+                </button>
+              </div>
+            </form>
+          )}
+        </>
+      )}
+
+      {/* Book appointment modal */}
+      {booking && (
+        <div className="modal fade show" style={{ display: "block" }}>
+          <div className="modal d-block" tabIndex="-1">
+            <div className="modal-dialog">
+              <form className="modal-content" onSubmit={book}>
+                <div className="modal-header">
+                  <h5 className="modal-title">Book appointment</h5>
+                  <button type="button" className="btn-close" onClick={() => setBooking(null)} />
+                </div>
+                <div className="modal-body">
+                  <ul className="small mb-3">
+                    {procedures
+                      .filter((p) => selected.includes(p._id))
+                      .map((p) => (
+                        <li key={p._id}>
+                          {p.code} {p.description}
+                          {p.tooth && ` (tooth ${where(p)})`}
+                        </li>
+                      ))}
+                  </ul>
+                  <ConsentWarning
+                    templates={consentTemplates}
+                    codes={procedures.filter((p) => selected.includes(p._id)).map((p) => p.code)}
+                  />
+                  <div className="row g-2">
+                    <div className="col">
+                      <label className="form-label">Date</label>
+                      <input
+                        type="date"
+                        className="form-control"
+                        value={booking.date}
+                        onChange={(e) => setBooking({ ...booking, date: e.target.value })}
+                        required
+                      />
+                    </div>
+                    <div className="col">
+                      <label className="form-label">Time</label>
+                      <input
+                        type="time"
+                        className="form-control"
+                        value={booking.time}
+                        onChange={(e) => setBooking({ ...booking, time: e.target.value })}
+                        required
+                      />
+                    </div>
+                  </div>
+                </div>
+                <div className="modal-footer">
+                  <button type="button" className="btn btn-secondary" onClick={() => setBooking(null)}>
+                    Cancel
+                  </button>
+                  <button className="btn btn-primary" disabled={saving}>
+                    Book
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+/**
+ * TwoFactorSettings Component
+ * ---------------------------
+ * Two-factor authentication section of the Profile page.
+ *
+ * Flow:
+ *  - Disabled → "Set up" fetches a QR code + secret from /users/2fa/setup
+ *  - User scans it and enters the first code → /users/2fa/enable
+ *  - Recovery codes are shown once, right after enabling / regenerating
+ *  - Enabled → disable (password + code) or regenerate recovery codes
+ *
+ * Uses AuthContext.updateUserFromProfile to keep `twoFactorEnabled` in sync.
+ */
+
+import { useState } from 'react';
+import api from '../api/axios';
+import { toast } from 'react-toastify';
+import { useAuth } from '../context/AuthContext';
+
+export default function TwoFactorSettings() {
+  const { user, updateUserFromProfile } = useAuth();
+
+  const [setup, setSetup] = useState(null); // { qrCode, secret }
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // Small wrapper for busy state + error toasts
+  const run = async (fn, fallbackMsg) => {
+    setBusy(true);
+    try {
+      await fn();
+    } catch (err) {
+      toast.error(err.response?.data?.message || fallbackMsg);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startSetup = () =>
+    run(async () => {
+      const { data } = await api.post('/users/2fa/setup');
+      setSetup(data);
+      setCode('');
+    }, 'Could not start two-factor setup');
+
+  const confirmSetup = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const { data } = await api.post('/users/2fa/enable', { code });
+      setRecoveryCodes(data.recoveryCodes);
+      setSetup(null);
+      setCode('');
+      updateUserFromProfile({ twoFactorEnabled: true, twoFactorSetupRequired: false });
+      toast.success('Two-factor authentication enabled');
+    }, 'Invalid verification code');
+  };
+
+  const disable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await api.post('/users/2fa/disable', { password, code });
+      setPassword('');
+      setCode('');
+      setRecoveryCodes(null);
+      updateUserFromProfile({ twoFactorEnabled: false });
+      toast.success('Two-factor authentication disabled');
+    }, 'Could not disable two-factor authentication');
+  };
+
+  const regenerate = () =>
+    run(async () => {
+      const { data } = await api.post('/users/2fa/recovery-codes', { code });
+      setRecoveryCodes(data.recoveryCodes);
+      setCode('');
+      toast.success('New recovery codes generated');
+    }, 'Enter a current code to regenerate recovery codes');
+
+  return (
+    <div className="card card-body mt-4">
+      <h5>
+        Two-Factor Authentication{' '}
+        <span className={`badge ${user.twoFactorEnabled ? 'bg-success' : 'bg-secondary'}`}>
+          {user.twoFactorEnabled ? 'On' : 'Off'}
+        </span>
+      </h5>
+
+      {/* Role requires 2FA but the user has not enrolled yet */}
+      {user.twoFactorSetupRequired && !user.twoFactorEnabled && (
+        <div className="alert alert-warning">
+          Your role requires two-factor authentication. Patient data stays
+          locked until you finish setup.
+        </div>
+      )}
+
+      {/* Recovery codes: shown once */}
+      {recoveryCodes && (
+        <div className="alert alert-info">
+          <p className="mb-2">
+            Save these recovery codes somewhere safe. Each can be used once if
+            you lose your phone. They will not be shown again.
+          </p>
+          <div className="row font-monospace">
+            {recoveryCodes.map((c) => (
+              <div key={c} className="col-6">
+                {c}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* DISABLED: start / confirm setup */}
+      {!user.twoFactorEnabled && !setup && (
+        <div>
+          <p className="text-muted">
+            Protect your account with a code from an authenticator app.
+          </p>
+          <button className="btn btn-primary" onClick={startSetup} disabled={busy}>
+            Set Up Two-Factor
+          </button>
+        </div>
+      )}
+
+      {!user.twoFactorEnabled && setup && (
+        <form onSubmit={confirmSetup}>
+          <p className="text-muted mb-2">
+            Scan this QR code with your authenticator app, then enter the code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="mb-2" style={{ width: 180 }} />
+          <div className="small text-muted mb-2">
+            Can't scan? Enter this key: <span className="font-monospace">{setup.secret}</span>
+          </div>
+          <div className="mb-2">
+            <input
+              className="form-control"
+              placeholder="6-digit code"
+              inputMode="numeric"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+            />
+          </div>
+          <button className="btn btn-primary me-2" disabled={busy}>
+            Verify & Enable
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={() => setSetup(null)}>
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {/* ENABLED: disable or regenerate recovery codes */}
+      {user.twoFactorEnabled && (
+        <form onSubmit={disable}>
+          <div className="mb-2">
+            <label className="form-label">Current code</label>
+            <input
+              className="form-control"
+              placeholder="6-digit code"
+              inputMode="numeric"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+            />
+          </div>
+          <div className="mb-2">
+            <label className="form-label">Password (to disable)</label>
+            <input
+              type="password"
+              className="form-control"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+          </div>
+          <button
+            type="button"
+            className="btn btn-outline-primary me-2"
+            onClick={regenerate}
+            disabled={busy || !code}
+          >
+            New Recovery Codes
+          </button>
+          <button className="btn btn-outline-danger" disabled={busy || !password}>
+            Disable Two-Factor
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -5,17 +5,28 @@
  *
  * Responsibilities:
  * - Stores `user` (including role) and `token` in React state and localStorage
- * - Handles login, signup, logout
+ * - Stores the rotating `refreshToken` in localStorage (used by api/axios.js)
+ * - Handles login, signup, logout (logout revokes the session server-side)
+ * - Handles accepting an invitation and bootstrapping the first admin
+ * - Handles the second login step when TOTP two-factor auth is enabled
  * - Updates user profile and keeps Navbar / UI in sync
+ * - Exposes `can(permission)` so components hide actions the user's role
+ *   may not perform (permissions come from the backend catalog)
+ * - Validates the stored token against GET /users/me on startup and on
+ *   window focus, so revoked sessions and role changes are picked up
+ * - Tracks the selected clinic (`clinicId`, stored in localStorage and sent
+ *   as X-Clinic-Id by api/axios.js); `switchClinic(id)` changes it
  * - Makes authenticated data available through `useAuth()`
  *
  * Notes:
- * - Expects backend to return { user: { _id, username, email, role }, token }
+ * - Expects backend to return { user: { _id, username, email, role, permissions }, token, refreshToken }
  * - Works with Axios interceptor to attach JWT automatically
+ * - Listens for the 'auth:expired' event fired by the interceptor when the
+ *   session can no longer be refreshed
  * - Decouples UI from backend authentication details
  */
 
-import { createContext, useContext, useState } from 'react';
+import { createContext, useContext, useEffect, useState } from 'react';
 import api from '../api/axios';
 
 // Create context and custom hook
@@ -34,6 +45,8 @@ export default function AuthProvider({ children }) {
 
   const [token, setToken] = useState(() => localStorage.getItem('token'));
 
+  const [clinicId, setClinicId] = useState(() => localStorage.getItem('clinicId'));
+
   /**
    * Normalizes the user object to ensure consistent shape.
    * Guarantees that `role` is always present (fallback: 'receptionist').
@@ -41,20 +54,36 @@ export default function AuthProvider({ children }) {
   const normalizeUser = (rawUser) => {
     if (!rawUser) return null;
     return {
-      _id: rawUser._id,
+      _id: rawUser._id || rawUser.id, // login/register return `id`
       username: rawUser.username,
       email: rawUser.email,
       role: rawUser.role || 'receptionist', // default role if missing
+      permissions: rawUser.permissions || [],
+      clinics: rawUser.clinics || [], // [{ _id, name }], default first
+      twoFactorEnabled: !!rawUser.twoFactorEnabled,
+      // Role requires 2FA but user has not enrolled → Profile prompts setup
+      twoFactorSetupRequired: !!rawUser.twoFactorSetupRequired,
     };
   };
 
   /**
-   * Login with email/username + password.
-   * Saves user + token to state + localStorage.
+   * Keeps the selected clinic valid for this user (falls back to the
+   * user's default clinic when it was removed or belongs to someone else).
    */
-  const login = async (emailOrUsername, password) => {
-    const { data } = await api.post('/users/login', { emailOrUsername, password });
-    // Expecting data = { user: {...}, token: "..." }
+  const syncClinic = (normalized) => {
+    const ids = normalized.clinics.map((c) => c._id);
+    const stored = localStorage.getItem('clinicId');
+    const next = ids.includes(stored) ? stored : ids[0] || null;
+
+    if (next) localStorage.setItem('clinicId', next);
+    else localStorage.removeItem('clinicId');
+    setClinicId(next);
+  };
+
+  /**
+   * Saves user + token pair to state + localStorage.
+   */
+  const storeSession = (data) => {
     const normalized = normalizeUser(data.user);
 
     setUser(normalized);
@@ -62,6 +91,101 @@ export default function AuthProvider({ children }) {
 
     localStorage.setItem('user', JSON.stringify(normalized));
     localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    syncClinic(normalized);
+  };
+
+  /**
+   * Clears local state + localStorage without contacting the backend.
+   */
+  const clearSession = () => {
+    setUser(null);
+    setToken(null);
+    setClinicId(null);
+    localStorage.removeItem('user');
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('clinicId');
+  };
+
+  // Interceptor could not refresh the session → drop local credentials
+  useEffect(() => {
+    window.addEventListener('auth:expired', clearSession);
+    return () => window.removeEventListener('auth:expired', clearSession);
+  }, []);
+
+  /**
+   * Reloads the logged-in user's profile from GET /users/me.
+   * A 401 is handled by the interceptor (refresh, or log out + redirect
+   * to /login); other errors keep the cached user.
+   */
+  const refreshUser = async () => {
+    if (!localStorage.getItem('token')) return;
+
+    try {
+      const { data } = await api.get('/users/me');
+      // Ignore the answer if the user logged out meanwhile
+      if (localStorage.getItem('token')) {
+        const normalized = normalizeUser(data);
+        updateUserFromProfile(normalized);
+        syncClinic(normalized);
+      }
+    } catch {
+      // Offline / server error → keep the cached user for now
+    }
+  };
+
+  // The stored user may be stale (role changed, account deactivated, token
+  // revoked) → re-validate on startup and whenever the window regains focus
+  useEffect(() => {
+    refreshUser();
+    window.addEventListener('focus', refreshUser);
+    return () => window.removeEventListener('focus', refreshUser);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  /**
+   * Switch the clinic all patient / appointment requests work in.
+   * Pages that list clinic data reload when `clinicId` changes.
+   */
+  const switchClinic = (id) => {
+    localStorage.setItem('clinicId', id);
+    setClinicId(id);
+  };
+
+  /**
+   * True if the logged-in user holds the given permission.
+   */
+  const can = (permission) => !!user?.permissions?.includes(permission);
+
+  /**
+   * Login with email/username + password.
+   * Returns { twoFactorRequired, challengeToken } when a TOTP code is needed
+   * (nothing is stored yet); otherwise stores the session and returns the user.
+   */
+  const login = async (emailOrUsername, password) => {
+    const { data } = await api.post('/users/login', { emailOrUsername, password });
+
+    if (data.twoFactorRequired) {
+      return { twoFactorRequired: true, challengeToken: data.challengeToken };
+    }
+
+    // Expecting data = { user: {...}, token: "...", refreshToken: "..." }
+    storeSession(data);
+    return { user: normalizeUser(data.user) };
+  };
+
+  /**
+   * Second login step: challenge token + TOTP code (or recovery code).
+   */
+  const verifyTwoFactor = async (challengeToken, { code, recoveryCode }) => {
+    const { data } = await api.post('/users/login/2fa', {
+      challengeToken,
+      code,
+      recoveryCode,
+    });
+    storeSession(data);
+    return { user: normalizeUser(data.user) };
   };
 
   /**
@@ -70,23 +194,39 @@ export default function AuthProvider({ children }) {
    */
   const signup = async (payload) => {
     const { data } = await api.post('/users/register', payload);
-    const normalized = normalizeUser(data.user);
+    storeSession(data);
+  };
 
-    setUser(normalized);
-    setToken(data.token);
+  /**
+   * Accept an admin invitation → creates the account and logs in.
+   * Email + role come from the invitation on the backend.
+   */
+  const acceptInvite = async (inviteToken, payload) => {
+    const { data } = await api.post(`/invitations/token/${inviteToken}/accept`, payload);
+    storeSession(data);
+  };
 
-    localStorage.setItem('user', JSON.stringify(normalized));
-    localStorage.setItem('token', data.token);
+  /**
+   * Create the very first admin account on an empty database.
+   */
+  const bootstrap = async (payload) => {
+    const { data } = await api.post('/users/bootstrap', payload);
+    storeSession(data);
   };
 
   /**
-   * Logout clears both local state + localStorage.
+   * Logout revokes the session on the backend, then clears local state.
+   * Local state is cleared even if the request fails (e.g. offline).
    */
-  const logout = () => {
-    setUser(null);
-    setToken(null);
-    localStorage.removeItem('user');
-    localStorage.removeItem('token');
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    clearSession();
+
+    try {
+      await api.post('/users/logout', { refreshToken });
+    } catch {
+      // Session will still expire on its own
+    }
   };
 
   /**
@@ -104,7 +244,21 @@ export default function AuthProvider({ children }) {
 
   return (
     <AuthContext.Provider
-      value={{ user, token, login, signup, logout, updateUserFromProfile }}
+      value={{
+        user,
+        token,
+        clinicId,
+        switchClinic,
+        refreshUser,
+        can,
+        login,
+        verifyTwoFactor,
+        signup,
+        acceptInvite,
+        bootstrap,
+        logout,
+        updateUserFromProfile,
+      }}
     >
       {children}
     </AuthContext.Provider>
@@ -4,15 +4,19 @@
  * Holds shared patient-related UI state across the app.
  *
  * Current usage:
- * - Tracks `patientCount` for display inside the Navbar badge.
- * - Count is updated in Dashboard after loading patients from backend.
+ * - Tracks `patientCount` (patients in the current clinic) for display
+ *   inside the Navbar badge.
+ * - refreshPatientCount() asks the paginated GET /patients endpoint for its
+ *   `total` (limit=1, no filters); the Navbar calls it on login / clinic
+ *   switch, the Dashboard after creating or deleting a patient.
  *
  * Notes:
  * - Lightweight context used only for global counters.
  * - Can be extended later for selected patient, filters, etc.
  */
 
-import { createContext, useContext, useState } from 'react';
+import { createContext, useCallback, useContext, useState } from 'react';
+import api from '../api/axios';
 
 const PatientContext = createContext(null);
 export const usePatients = () => useContext(PatientContext);
@@ -21,8 +25,17 @@ export default function PatientProvider({ children }) {
   // Tracks total number of patients (shown in Navbar)
   const [patientCount, setPatientCount] = useState(0);
 
+  const refreshPatientCount = useCallback(async () => {
+    try {
+      const { data } = await api.get('/patients', { params: { limit: 1 } });
+      setPatientCount(data.total);
+    } catch {
+      setPatientCount(0);
+    }
+  }, []);
+
   return (
-    <PatientContext.Provider value={{ patientCount, setPatientCount }}>
+    <PatientContext.Provider value={{ patientCount, setPatientCount, refreshPatientCount }}>
       {children}
     </PatientContext.Provider>
   );
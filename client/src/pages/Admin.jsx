@@ -0,0 +1,591 @@
+// Admin.jsx
+// ---------
+// Admin-only user management page.
+// - Lists all staff accounts with role + status
+// - Role editor (admin / dentist / receptionist)
+// - Deactivate / reactivate toggle
+// - "Sign out everywhere" revokes all sessions of a user
+// - Form for creating a new staff account
+// - Invitations: invite by email + role, copy the link, revoke pending ones
+// - Security policy: which roles must use two-factor authentication
+// - Reset a user's 2FA when they lose their device
+// - Unlock accounts locked by too many failed logins
+// - Clinics: create clinics and assign staff to them (admins may work in
+//   several clinics, other roles in one); new accounts and invitations join
+//   the clinic currently selected in the Navbar
+// - Consent forms of the current clinic (ConsentTemplatesManager)
+
+import { useEffect, useState } from 'react';
+import api from '../api/axios';
+import { toast } from 'react-toastify';
+import { useAuth } from '../context/AuthContext';
+import PasswordRequirements from '../components/PasswordRequirements';
+import ConsentTemplatesManager from '../components/ConsentTemplatesManager';
+
+const ROLES = ['admin', 'dentist', 'receptionist'];
+
+const emptyForm = {
+  username: '',
+  email: '',
+  password: '',
+  role: 'receptionist',
+};
+
+export default function Admin() {
+  const { user: currentUser, refreshUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const [invitations, setInvitations] = useState([]);
+  const [inviteForm, setInviteForm] = useState({ email: '', role: 'receptionist' });
+  const [lastInviteUrl, setLastInviteUrl] = useState('');
+
+  const [twoFactorRoles, setTwoFactorRoles] = useState([]);
+
+  const [clinics, setClinics] = useState([]);
+  const [clinicName, setClinicName] = useState('');
+
+  const loadUsers = async () => {
+    try {
+      const { data } = await api.get('/users');
+      setUsers(data);
+    } catch {
+      toast.error('Failed to load users');
+    }
+  };
+
+  const loadInvitations = async () => {
+    try {
+      const { data } = await api.get('/invitations');
+      setInvitations(data);
+    } catch {
+      toast.error('Failed to load invitations');
+    }
+  };
+
+  const loadPolicy = async () => {
+    try {
+      const { data } = await api.get('/users/security-policy');
+      setTwoFactorRoles(data.twoFactorRequiredRoles);
+    } catch {
+      toast.error('Failed to load security policy');
+    }
+  };
+
+  const loadClinics = async () => {
+    try {
+      const { data } = await api.get('/clinics');
+      setClinics(data);
+    } catch {
+      toast.error('Failed to load clinics');
+    }
+  };
+
+  useEffect(() => {
+    loadUsers();
+    loadInvitations();
+    loadPolicy();
+    loadClinics();
+  }, []);
+
+  const createClinic = async (e) => {
+    e.preventDefault();
+    try {
+      await api.post('/clinics', { name: clinicName });
+      setClinicName('');
+      toast.success('Clinic created');
+      await loadClinics();
+      await loadUsers();
+      // Creator was added to the clinic → refresh the Navbar switcher
+      await refreshUser();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to create clinic');
+    }
+  };
+
+  // Admins: toggle one clinic on/off; others: pick exactly one clinic
+  const changeClinics = async (u, clinicIds) => {
+    try {
+      const { data } = await api.put(`/users/${u._id}/clinics`, { clinics: clinicIds });
+      replaceUser(data);
+      toast.success('Clinics updated');
+      if (isSelf(u)) await refreshUser();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update clinics');
+    }
+  };
+
+  const toggleClinic = (u, clinicId) => {
+    const current = (u.clinics || []).map(String);
+    const next = current.includes(clinicId)
+      ? current.filter((id) => id !== clinicId)
+      : [...current, clinicId];
+    changeClinics(u, next);
+  };
+
+  const clinicNameOf = (id) => clinics.find((c) => c._id === id)?.name || '—';
+
+  const toggleTwoFactorRole = async (role) => {
+    const next = twoFactorRoles.includes(role)
+      ? twoFactorRoles.filter((r) => r !== role)
+      : [...twoFactorRoles, role];
+    try {
+      const { data } = await api.put('/users/security-policy', {
+        twoFactorRequiredRoles: next,
+      });
+      setTwoFactorRoles(data.twoFactorRequiredRoles);
+      toast.success('Security policy updated');
+    } catch {
+      toast.error('Failed to update security policy');
+    }
+  };
+
+  const resetTwoFactor = async (id) => {
+    if (!window.confirm("Reset this user's two-factor authentication?")) return;
+    try {
+      const { data } = await api.put(`/users/${id}/2fa/reset`);
+      replaceUser(data);
+      toast.success('Two-factor authentication reset');
+    } catch {
+      toast.error('Failed to reset two-factor authentication');
+    }
+  };
+
+  // Replace a single user in the list with the server response
+  const replaceUser = (updated) =>
+    setUsers((prev) => prev.map((u) => (u._id === updated._id ? updated : u)));
+
+  const changeRole = async (id, role) => {
+    try {
+      const { data } = await api.put(`/users/${id}/role`, { role });
+      replaceUser(data);
+      toast.success('Role updated');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update role');
+    }
+  };
+
+  const toggleActive = async (u) => {
+    const action = u.isActive ? 'deactivate' : 'reactivate';
+    try {
+      const { data } = await api.put(`/users/${u._id}/${action}`);
+      replaceUser(data);
+      toast.success(u.isActive ? 'User deactivated' : 'User reactivated');
+    } catch (err) {
+      toast.error(err.response?.data?.message || `Failed to ${action} user`);
+    }
+  };
+
+  const unlock = async (id) => {
+    try {
+      const { data } = await api.put(`/users/${id}/unlock`);
+      replaceUser(data);
+      toast.success('Account unlocked');
+    } catch {
+      toast.error('Failed to unlock account');
+    }
+  };
+
+  const revokeSessions = async (id) => {
+    try {
+      const { data } = await api.delete(`/users/${id}/sessions`);
+      toast.success(`Signed out of ${data.revoked} session(s)`);
+    } catch {
+      toast.error('Failed to revoke sessions');
+    }
+  };
+
+  const createUser = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await api.post('/users', form);
+      toast.success('User created');
+      setForm(emptyForm);
+      await loadUsers();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to create user');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const sendInvite = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await api.post('/invitations', inviteForm);
+      setLastInviteUrl(data.inviteUrl);
+      setInviteForm({ email: '', role: 'receptionist' });
+      toast.success(data.emailed ? 'Invitation emailed' : 'Invitation created (email failed)');
+      await loadInvitations();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to create invitation');
+    }
+  };
+
+  const revokeInvite = async (id) => {
+    try {
+      await api.delete(`/invitations/${id}`);
+      toast.success('Invitation revoked');
+      await loadInvitations();
+    } catch {
+      toast.error('Failed to revoke invitation');
+    }
+  };
+
+  const copyInviteUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(lastInviteUrl);
+      toast.success('Link copied');
+    } catch {
+      toast.error('Copy failed – select the link manually');
+    }
+  };
+
+  // The logged-in admin cannot change their own role or status
+  const isSelf = (u) => u._id === currentUser?._id;
+
+  return (
+    <div className="container py-4 page-transition">
+      <h2>User Management</h2>
+
+      <div className="row mt-3">
+        {/* LEFT: Create user form */}
+        <div className="col-md-4">
+          <div className="card card-body">
+            <h5>New Staff Account</h5>
+            <form onSubmit={createUser}>
+              <div className="mb-2">
+                <label className="form-label">Username</label>
+                <input
+                  className="form-control"
+                  value={form.username}
+                  onChange={(e) => setForm({ ...form, username: e.target.value })}
+                  required
+                />
+              </div>
+
+              <div className="mb-2">
+                <label className="form-label">Email</label>
+                <input
+                  type="email"
+                  className="form-control"
+                  value={form.email}
+                  onChange={(e) => setForm({ ...form, email: e.target.value })}
+                  required
+                />
+              </div>
+
+              <div className="mb-2">
+                <label className="form-label">Temporary Password</label>
+                <input
+                  type="password"
+                  className="form-control"
+                  value={form.password}
+                  onChange={(e) => setForm({ ...form, password: e.target.value })}
+                  required
+                />
+                <PasswordRequirements />
+              </div>
+
+              <div className="mb-2">
+                <label className="form-label">Role</label>
+                <select
+                  className="form-select text-capitalize"
+                  value={form.role}
+                  onChange={(e) => setForm({ ...form, role: e.target.value })}
+                >
+                  {ROLES.map((r) => (
+                    <option key={r} value={r}>
+                      {r}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-text">Joins the clinic selected in the navigation bar.</div>
+
+              <button className="btn btn-primary mt-2" disabled={saving}>
+                {saving ? 'Creating...' : 'Create User'}
+              </button>
+            </form>
+          </div>
+
+          {/* Invite form */}
+          <div className="card card-body mt-3">
+            <h5>Invite Staff</h5>
+            <form onSubmit={sendInvite}>
+              <div className="mb-2">
+                <label className="form-label">Email</label>
+                <input
+                  type="email"
+                  className="form-control"
+                  value={inviteForm.email}
+                  onChange={(e) => setInviteForm({ ...inviteForm, email: e.target.value })}
+                  required
+                />
+              </div>
+
+              <div className="mb-2">
+                <label className="form-label">Role</label>
+                <select
+                  className="form-select text-capitalize"
+                  value={inviteForm.role}
+                  onChange={(e) => setInviteForm({ ...inviteForm, role: e.target.value })}
+                >
+                  {ROLES.map((r) => (
+                    <option key={r} value={r}>
+                      {r}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-text">The invitee joins the clinic selected in the navigation bar.</div>
+
+              <button className="btn btn-outline-primary mt-2">Create Invitation</button>
+            </form>
+
+            {/* Link is only shown once, right after creation */}
+            {lastInviteUrl && (
+              <div className="alert alert-info mt-3 mb-0 small">
+                <div className="mb-1">Share this single-use link:</div>
+                <input className="form-control form-control-sm mb-2" value={lastInviteUrl} readOnly />
+                <button type="button" className="btn btn-sm btn-primary" onClick={copyInviteUrl}>
+                  Copy Link
+                </button>
+              </div>
+            )}
+          </div>
+
+          {/* Clinics */}
+          <div className="card card-body mt-3">
+            <h5>Clinics</h5>
+            <ul className="list-unstyled small mb-2">
+              {clinics.map((c) => (
+                <li key={c._id}>
+                  <i className="bi bi-building me-1"></i>
+                  {c.name}
+                </li>
+              ))}
+              {clinics.length === 0 && <li className="text-muted">No clinics yet.</li>}
+            </ul>
+            <form onSubmit={createClinic} className="d-flex gap-2">
+              <input
+                className="form-control form-control-sm"
+                placeholder="New clinic name"
+                value={clinicName}
+                onChange={(e) => setClinicName(e.target.value)}
+                required
+              />
+              <button className="btn btn-sm btn-outline-primary text-nowrap">Add Clinic</button>
+            </form>
+          </div>
+
+          {/* Security policy */}
+          <div className="card card-body mt-3">
+            <h5>Require Two-Factor</h5>
+            <p className="small text-muted">
+              Users in these roles must enable 2FA before they can access patient data.
+            </p>
+            {ROLES.map((r) => (
+              <div className="form-check" key={r}>
+                <input
+                  className="form-check-input"
+                  type="checkbox"
+                  id={`twofactor-${r}`}
+                  checked={twoFactorRoles.includes(r)}
+                  onChange={() => toggleTwoFactorRole(r)}
+                />
+                <label className="form-check-label text-capitalize" htmlFor={`twofactor-${r}`}>
+                  {r}
+                </label>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* RIGHT: User table */}
+        <div className="col-md-8">
+          <div className="card card-body">
+            <h5>Staff</h5>
+            <div className="table-responsive">
+              <table className="table table-striped mt-2 align-middle">
+                <thead>
+                  <tr>
+                    <th>Username</th>
+                    <th>Email</th>
+                    <th>Role</th>
+                    <th>Clinics</th>
+                    <th>Status</th>
+                    <th>2FA</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {users.map((u) => (
+                    <tr key={u._id}>
+                      <td>{u.username}</td>
+                      <td>{u.email}</td>
+                      <td>
+                        <select
+                          className="form-select form-select-sm text-capitalize"
+                          value={u.role}
+                          disabled={isSelf(u)}
+                          onChange={(e) => changeRole(u._id, e.target.value)}
+                        >
+                          {ROLES.map((r) => (
+                            <option key={r} value={r}>
+                              {r}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                      <td>
+                        {u.role === 'admin' ? (
+                          clinics.map((c) => (
+                            <div className="form-check small" key={c._id}>
+                              <input
+                                className="form-check-input"
+                                type="checkbox"
+                                id={`clinic-${u._id}-${c._id}`}
+                                checked={(u.clinics || []).includes(c._id)}
+                                onChange={() => toggleClinic(u, c._id)}
+                              />
+                              <label
+                                className="form-check-label"
+                                htmlFor={`clinic-${u._id}-${c._id}`}
+                              >
+                                {c.name}
+                              </label>
+                            </div>
+                          ))
+                        ) : (
+                          <select
+                            className="form-select form-select-sm"
+                            value={u.clinics?.[0] || ''}
+                            onChange={(e) => changeClinics(u, [e.target.value])}
+                          >
+                            {!u.clinics?.length && <option value="">None</option>}
+                            {clinics.map((c) => (
+                              <option key={c._id} value={c._id}>
+                                {c.name}
+                              </option>
+                            ))}
+                          </select>
+                        )}
+                      </td>
+                      <td>
+                        <span
+                          className={`badge ${u.isActive ? 'bg-success' : 'bg-secondary'}`}
+                        >
+                          {u.isActive ? 'Active' : 'Deactivated'}
+                        </span>
+                        {u.lockUntil && (
+                          <span
+                            className="badge bg-danger ms-1"
+                            title={`Locked until ${new Date(u.lockUntil).toLocaleTimeString()}`}
+                          >
+                            Locked
+                          </span>
+                        )}
+                      </td>
+                      <td>
+                        {u.twoFactorEnabled ? (
+                          <button
+                            className="btn btn-sm btn-outline-warning"
+                            onClick={() => resetTwoFactor(u._id)}
+                          >
+                            Reset
+                          </button>
+                        ) : (
+                          <span className="text-muted small">Off</span>
+                        )}
+                      </td>
+                      <td className="text-end text-nowrap">
+                        {(u.lockUntil || u.failedLoginAttempts > 0) && (
+                          <button
+                            className="btn btn-sm btn-outline-warning me-2"
+                            onClick={() => unlock(u._id)}
+                          >
+                            Unlock
+                          </button>
+                        )}
+                        <button
+                          className={`btn btn-sm me-2 ${
+                            u.isActive ? 'btn-outline-danger' : 'btn-outline-success'
+                          }`}
+                          disabled={isSelf(u)}
+                          onClick={() => toggleActive(u)}
+                        >
+                          {u.isActive ? 'Deactivate' : 'Reactivate'}
+                        </button>
+                        <button
+                          className="btn btn-sm btn-outline-secondary"
+                          onClick={() => revokeSessions(u._id)}
+                        >
+                          Sign out everywhere
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                  {users.length === 0 && (
+                    <tr>
+                      <td colSpan="7" className="text-muted">
+                        No users found.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Pending invitations */}
+          <div className="card card-body mt-3">
+            <h5>Pending Invitations</h5>
+            <table className="table table-striped mt-2 align-middle">
+              <thead>
+                <tr>
+                  <th>Email</th>
+                  <th>Role</th>
+                  <th>Clinic</th>
+                  <th>Expires</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {invitations.map((inv) => (
+                  <tr key={inv._id}>
+                    <td>{inv.email}</td>
+                    <td className="text-capitalize">{inv.role}</td>
+                    <td>{inv.clinic?.name || clinicNameOf(inv.clinic)}</td>
+                    <td>{inv.expiresAt?.slice(0, 10)}</td>
+                    <td className="text-end">
+                      <button
+                        className="btn btn-sm btn-outline-danger"
+                        onClick={() => revokeInvite(inv._id)}
+                      >
+                        Revoke
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+                {invitations.length === 0 && (
+                  <tr>
+                    <td colSpan="5" className="text-muted">
+                      No pending invitations.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          <ConsentTemplatesManager />
+        </div>
+      </div>
+    </div>
+  );
+}
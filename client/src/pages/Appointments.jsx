@@ -1,21 +1,52 @@
 // Appointments.jsx
 // ----------------
 // - Allows staff to create / edit / delete appointments
-// - Patient is selected from dropdown (patients fetched from API)
+//   (form and buttons follow the appointments:* permissions)
+// - Patient is picked by searching (GET /api/patients/search as you type,
+//   a few matches at a time); critical medical history items are flagged in
+//   the matches and shown as red badges for the chosen patient
 // - Validations:
 //   - patientId: required
 //   - date: required & > today
 //   - time: required
 //   - reason: required
 //   - status: required
+// - The list can be filtered by status, date range and patient name
+//   (server-side); "Export" downloads the filtered list as CSV / Excel / JSON
+// - A warning under the reason when it names a procedure that needs a
+//   consent form (ConsentWarning)
 
 import { useEffect, useState } from 'react';
 import api from '../api/axios';
 import { toast } from 'react-toastify';
+import { useAuth } from '../context/AuthContext';
+import ExportModal from '../components/ExportModal';
+import MedicalAlertBadges, { medicalAlerts } from '../components/MedicalAlerts';
+import ConsentWarning, { useConsentTemplates } from '../components/ConsentWarning';
+
+const FILTER_DELAY_MS = 300;
+const PATIENT_MATCHES = 8;
+
+// Columns offered by "Export" (keys of GET /api/appointments/export)
+const EXPORT_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'date', label: 'Date' },
+  { key: 'time', label: 'Time' },
+  { key: 'patientName', label: 'Patient' },
+  { key: 'patientEmail', label: 'Patient email' },
+  { key: 'patientPhone', label: 'Patient phone' },
+  { key: 'reason', label: 'Reason' },
+  { key: 'status', label: 'Status' },
+  { key: 'bookedBy', label: 'Booked by' },
+  { key: 'patientId', label: 'Patient ID' },
+  { key: 'createdAt', label: 'Created' },
+];
 
 export default function Appointments() {
   const [appointments, setAppointments] = useState([]);
-  const [patients, setPatients] = useState([]);
+  const [patient, setPatient] = useState(null); // chosen patient (name, email, medicalHistory)
+  const [patientQuery, setPatientQuery] = useState('');
+  const [patientMatches, setPatientMatches] = useState([]);
 
   const [form, setForm] = useState({
     patientId: '',
@@ -28,31 +59,70 @@ export default function Appointments() {
   const [errors, setErrors] = useState({});
   const [editingId, setEditingId] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [filters, setFilters] = useState({ status: '', from: '', to: '', q: '' });
+  const [showExport, setShowExport] = useState(false);
+
+  const { can, clinicId } = useAuth();
+  const consentTemplates = useConsentTemplates();
+
+  // Form is shown only when the user may create (or, while editing, update)
+  const showForm = editingId ? can('appointments:update') : can('appointments:create');
 
   const todayStr = new Date().toISOString().slice(0, 10);
 
+  // Non-empty filters as query parameters (shared by list and export)
+  const filterParams = Object.fromEntries(
+    Object.entries(filters)
+      .map(([key, value]) => [key, value.trim()])
+      .filter(([, value]) => value)
+  );
+
   const loadAppointments = async () => {
     try {
-      const { data } = await api.get('/appointments');
+      const { data } = await api.get('/appointments', { params: filterParams });
       setAppointments(data);
     } catch {
       toast.error('Failed to load appointments');
     }
   };
 
-  const loadPatients = async () => {
-    try {
-      const { data } = await api.get('/patients');
-      setPatients(data);
-    } catch {
-      toast.error('Failed to load patients');
-    }
+  const choosePatient = (p) => {
+    setPatient(p);
+    setForm((f) => ({ ...f, patientId: p?._id || '' }));
+    setPatientQuery('');
   };
 
+  // Start over when the user switches clinic in the Navbar
+  useEffect(() => {
+    setEditingId(null);
+    choosePatient(null);
+  }, [clinicId]);
+
+  // Patient matches: (debounced) fuzzy search of the current clinic
+  useEffect(() => {
+    const q = patientQuery.trim();
+    if (!q) {
+      setPatientMatches([]);
+      return;
+    }
+    const timer = setTimeout(() => {
+      api
+        .get('/patients/search', { params: { q, limit: PATIENT_MATCHES } })
+        .then(({ data }) => setPatientMatches(data.results.map((r) => r.patient)))
+        .catch(() => toast.error('Failed to search patients'));
+    }, FILTER_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [patientQuery, clinicId]);
+
+  // Appointments: on clinic switch and (debounced) filter changes
   useEffect(() => {
-    loadAppointments();
-    loadPatients();
-  }, []);
+    const timer = setTimeout(loadAppointments, FILTER_DELAY_MS);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [clinicId, filters]);
+
+  const setFilter = (key, value) => setFilters({ ...filters, [key]: value });
+  const filtered = Object.keys(filterParams).length > 0;
 
   const validate = () => {
     const errs = {};
@@ -101,6 +171,7 @@ export default function Appointments() {
         status: 'Scheduled',
       });
       setEditingId(null);
+      setPatient(null);
       setErrors({});
       await loadAppointments();
     } catch (err) {
@@ -113,6 +184,8 @@ export default function Appointments() {
 
   const onEdit = (appt) => {
     setEditingId(appt._id);
+    setPatient(appt.patientId?._id ? appt.patientId : { _id: appt.patientId, name: appt.patientName });
+    setPatientQuery('');
     setForm({
       patientId: appt.patientId?._id || appt.patientId || '',
       date: appt.date?.slice(0, 10) || '',
@@ -139,115 +212,212 @@ export default function Appointments() {
 
       <div className="row mt-3">
         {/* LEFT: Appointment form */}
-        <div className="col-md-5">
-          <div className="card card-body">
-            <h5>{editingId ? 'Edit Appointment' : 'New Appointment'}</h5>
-            <form onSubmit={onSubmit}>
-              {/* Patient dropdown */}
-              <div className="mb-2">
-                <label className="form-label">Patient</label>
-                <select
-                  className={`form-select ${errors.patientId ? 'is-invalid' : ''}`}
-                  value={form.patientId}
-                  onChange={(e) =>
-                    setForm({ ...form, patientId: e.target.value })
-                  }
-                  required
-                >
-                  <option value="">Select a patient</option>
-                  {patients.map((p) => (
-                    <option key={p._id} value={p._id}>
-                      {p.name} — {p.email}
-                    </option>
-                  ))}
-                </select>
-                {errors.patientId && (
-                  <div className="invalid-feedback">{errors.patientId}</div>
-                )}
-              </div>
+        {showForm && (
+          <div className="col-md-5">
+            <div className="card card-body">
+              <h5>{editingId ? 'Edit Appointment' : 'New Appointment'}</h5>
+              <form onSubmit={onSubmit}>
+                {/* Patient search */}
+                <div className="mb-2">
+                  <label className="form-label">Patient</label>
+                  {patient ? (
+                    <div className="input-group">
+                      <span className="form-control text-truncate">
+                        {patient.email ? `${patient.name} — ${patient.email}` : patient.name}
+                      </span>
+                      <button
+                        type="button"
+                        className="btn btn-outline-secondary"
+                        onClick={() => choosePatient(null)}
+                      >
+                        Change
+                      </button>
+                    </div>
+                  ) : (
+                    <>
+                      <input
+                        type="text"
+                        className={`form-control ${errors.patientId ? 'is-invalid' : ''}`}
+                        placeholder="Search name, email, phone, DOB"
+                        value={patientQuery}
+                        onChange={(e) => setPatientQuery(e.target.value)}
+                      />
+                      {errors.patientId && (
+                        <div className="invalid-feedback">{errors.patientId}</div>
+                      )}
+                      <div className="list-group mt-1">
+                        {patientMatches.map((p) => {
+                          const alerts = medicalAlerts(p.medicalHistory);
+                          return (
+                            <button
+                              key={p._id}
+                              type="button"
+                              className="list-group-item list-group-item-action small"
+                              onClick={() => choosePatient(p)}
+                            >
+                              {alerts.length
+                                ? `⚠ ${p.name} — ${p.email} (${alerts.map((a) => a.label).join(', ')})`
+                                : `${p.name} — ${p.email}`}
+                            </button>
+                          );
+                        })}
+                      </div>
+                    </>
+                  )}
+                  <div className="mt-1">
+                    <MedicalAlertBadges medicalHistory={patient?.medicalHistory} limit={0} />
+                  </div>
+                </div>
 
-              {/* Date */}
-              <div className="mb-2">
-                <label className="form-label">Date</label>
-                <input
-                  type="date"
-                  className={`form-control ${errors.date ? 'is-invalid' : ''}`}
-                  value={form.date}
-                  onChange={(e) =>
-                    setForm({ ...form, date: e.target.value })
-                  }
-                  required
-                  min={todayStr} // UI hint; validate again in JS
-                />
-                {errors.date && (
-                  <div className="invalid-feedback">{errors.date}</div>
-                )}
-              </div>
+                {/* Date */}
+                <div className="mb-2">
+                  <label className="form-label">Date</label>
+                  <input
+                    type="date"
+                    className={`form-control ${errors.date ? 'is-invalid' : ''}`}
+                    value={form.date}
+                    onChange={(e) =>
+                      setForm({ ...form, date: e.target.value })
+                    }
+                    required
+                    min={todayStr} // UI hint; validate again in JS
+                  />
+                  {errors.date && (
+                    <div className="invalid-feedback">{errors.date}</div>
+                  )}
+                </div>
 
-              {/* Time */}
-              <div className="mb-2">
-                <label className="form-label">Time</label>
-                <input
-                  type="time"
-                  className={`form-control ${errors.time ? 'is-invalid' : ''}`}
-                  value={form.time}
-                  onChange={(e) =>
-                    setForm({ ...form, time: e.target.value })
-                  }
-                  required
-                />
-                {errors.time && (
-                  <div className="invalid-feedback">{errors.time}</div>
+                {/* Time */}
+                <div className="mb-2">
+                  <label className="form-label">Time</label>
+                  <input
+                    type="time"
+                    className={`form-control ${errors.time ? 'is-invalid' : ''}`}
+                    value={form.time}
+                    onChange={(e) =>
+                      setForm({ ...form, time: e.target.value })
+                    }
+                    required
+                  />
+                  {errors.time && (
+                    <div className="invalid-feedback">{errors.time}</div>
+                  )}
+                </div>
+
+                {/* Reason */}
+                <div className="mb-2">
+                  <label className="form-label">Reason</label>
+                  <input
+                    className={`form-control ${errors.reason ? 'is-invalid' : ''}`}
+                    value={form.reason}
+                    onChange={(e) =>
+                      setForm({ ...form, reason: e.target.value })
+                    }
+                    required
+                  />
+                  {errors.reason && (
+                    <div className="invalid-feedback">{errors.reason}</div>
+                  )}
+                </div>
+                {!editingId && (
+                  <ConsentWarning templates={consentTemplates} reason={form.reason} />
                 )}
-              </div>
 
-              {/* Reason */}
-              <div className="mb-2">
-                <label className="form-label">Reason</label>
+                {/* Status */}
+                <div className="mb-2">
+                  <label className="form-label">Status</label>
+                  <select
+                    className={`form-select ${errors.status ? 'is-invalid' : ''}`}
+                    value={form.status}
+                    onChange={(e) =>
+                      setForm({ ...form, status: e.target.value })
+                    }
+                    required
+                  >
+                    <option value="Scheduled">Scheduled</option>
+                    <option value="Completed">Completed</option>
+                    <option value="Cancelled">Cancelled</option>
+                  </select>
+                  {errors.status && (
+                    <div className="invalid-feedback">{errors.status}</div>
+                  )}
+                </div>
+
+                <button className="btn btn-primary mt-2" disabled={loading}>
+                  {loading ? 'Saving...' : 'Save'}
+                </button>
+              </form>
+            </div>
+          </div>
+        )}
+
+        {/* RIGHT: Appointment list */}
+        <div className={showForm ? 'col-md-7' : 'col-12'}>
+          <div className="card card-body">
+            <div className="d-flex justify-content-between align-items-center">
+              <h5 className="mb-0">Upcoming Appointments</h5>
+              {can('appointments:export') && (
+                <button
+                  className="btn btn-sm btn-outline-secondary"
+                  onClick={() => setShowExport(true)}
+                >
+                  Export
+                </button>
+              )}
+            </div>
+
+            {/* Filters (server-side, also applied to the export) */}
+            <div className="row g-2 mt-1">
+              <div className="col-sm-4">
                 <input
-                  className={`form-control ${errors.reason ? 'is-invalid' : ''}`}
-                  value={form.reason}
-                  onChange={(e) =>
-                    setForm({ ...form, reason: e.target.value })
-                  }
-                  required
+                  className="form-control form-control-sm"
+                  placeholder="Patient name"
+                  value={filters.q}
+                  onChange={(e) => setFilter('q', e.target.value)}
                 />
-                {errors.reason && (
-                  <div className="invalid-feedback">{errors.reason}</div>
-                )}
               </div>
-
-              {/* Status */}
-              <div className="mb-2">
-                <label className="form-label">Status</label>
+              <div className="col-sm-2">
                 <select
-                  className={`form-select ${errors.status ? 'is-invalid' : ''}`}
-                  value={form.status}
-                  onChange={(e) =>
-                    setForm({ ...form, status: e.target.value })
-                  }
-                  required
+                  className="form-select form-select-sm"
+                  value={filters.status}
+                  onChange={(e) => setFilter('status', e.target.value)}
                 >
+                  <option value="">Any status</option>
                   <option value="Scheduled">Scheduled</option>
                   <option value="Completed">Completed</option>
                   <option value="Cancelled">Cancelled</option>
                 </select>
-                {errors.status && (
-                  <div className="invalid-feedback">{errors.status}</div>
-                )}
               </div>
+              <div className="col-sm-3">
+                <input
+                  type="date"
+                  className="form-control form-control-sm"
+                  title="From"
+                  value={filters.from}
+                  onChange={(e) => setFilter('from', e.target.value)}
+                />
+              </div>
+              <div className="col-sm-3">
+                <input
+                  type="date"
+                  className="form-control form-control-sm"
+                  title="To"
+                  value={filters.to}
+                  onChange={(e) => setFilter('to', e.target.value)}
+                />
+              </div>
+            </div>
 
-              <button className="btn btn-primary mt-2" disabled={loading}>
-                {loading ? 'Saving...' : 'Save'}
-              </button>
-            </form>
-          </div>
-        </div>
+            <ExportModal
+              show={showExport}
+              title="Export appointments"
+              path="/appointments/export"
+              params={filterParams}
+              columns={EXPORT_COLUMNS}
+              storageKey="appointmentExportColumns"
+              onClose={() => setShowExport(false)}
+            />
 
-        {/* RIGHT: Appointment list */}
-        <div className="col-md-7">
-          <div className="card card-body">
-            <h5>Upcoming Appointments</h5>
             <table className="table table-striped mt-2">
               <thead>
                 <tr>
@@ -268,25 +438,29 @@ export default function Appointments() {
                     <td>{a.time}</td>
                     <td>{a.status}</td>
                     <td className="text-end">
-                      <button
-                        className="btn btn-sm btn-outline-secondary me-2"
-                        onClick={() => onEdit(a)}
-                      >
-                        Edit
-                      </button>
-                      <button
-                        className="btn btn-sm btn-outline-danger"
-                        onClick={() => onDelete(a._id)}
-                      >
-                        Delete
-                      </button>
+                      {can('appointments:update') && (
+                        <button
+                          className="btn btn-sm btn-outline-secondary me-2"
+                          onClick={() => onEdit(a)}
+                        >
+                          Edit
+                        </button>
+                      )}
+                      {can('appointments:delete') && (
+                        <button
+                          className="btn btn-sm btn-outline-danger"
+                          onClick={() => onDelete(a._id)}
+                        >
+                          Delete
+                        </button>
+                      )}
                     </td>
                   </tr>
                 ))}
                 {appointments.length === 0 && (
                   <tr>
                     <td colSpan="5" className="text-muted">
-                      No appointments yet.
+                      {filtered ? 'No appointments match the filters.' : 'No appointments yet.'}
                     </td>
                   </tr>
                 )}
@@ -1,12 +1,14 @@
 // Calendar.jsx
 // Simple calendar-like view of appointments grouped by date.
+// Critical medical history items of the patient are shown as red badges.
 
 import { useEffect, useState } from "react";
 import api from "../api/axios";
 import { useAuth } from "../context/AuthContext";
+import MedicalAlertBadges from "../components/MedicalAlerts";
 
 export default function Calendar() {
-  const { user } = useAuth();
+  const { user, clinicId } = useAuth();
   const [appointments, setAppointments] = useState([]);
 
   useEffect(() => {
@@ -16,7 +18,7 @@ export default function Calendar() {
       .catch(() => {
         // handle error silently or with toast
       });
-  }, [user]);
+  }, [user, clinicId]);
 
   // Group by date (YYYY-MM-DD)
   const grouped = appointments.reduce((acc, appt) => {
@@ -53,7 +55,8 @@ export default function Calendar() {
                   <div>
                     <strong>{a.time}</strong>{" "}
                     — {a.patientName || "Unknown patient"}{" "}
-                    {a.reason && <> — <em>{a.reason}</em></>}
+                    {a.reason && <> — <em>{a.reason}</em></>}{" "}
+                    <MedicalAlertBadges medicalHistory={a.patientId?.medicalHistory} />
                   </div>
                   <span className="badge bg-secondary">{a.status}</span>
                 </div>
@@ -1,7 +1,21 @@
 // Dashboard.jsx
 // Patient Dashboard page.
+// - Patient list is sorted and paginated on the server
+//   (GET /api/patients?page=&limit=&sort=)
+// - The search box uses the fuzzy lookup (GET /api/patients/search): typos,
+//   sound-alike names, phone digits, DOB and notes; results are ranked and
+//   the matched text is highlighted
+// - Search is debounced; page size is selectable and remembered
+// - "Archived" tab lists archived (soft-deleted) patients, which admins can
+//   restore or purge (purge also removes appointments and files)
+// - While editing, "History" opens the patient's version history drawer,
+//   where single fields can be reverted
+// - Admins can merge a duplicate record into a patient ("Merge duplicate")
+// - "Import" bulk-creates patients from a CSV / XLSX file (dry run first)
+// - Patient names link to the detail page (/patients/:id)
+// - "Export" downloads the current list (all pages) as CSV / Excel / JSON
 
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import api from "../api/axios";
 import PatientForm from "../components/PatientForm";
 import PatientTable from "../components/PatientTable";
@@ -9,77 +23,248 @@ import { usePatients } from "../context/PatientContext";
 import { toast } from "react-toastify";
 import ConfirmModal from "../components/ConfirmModal";
 import AttachmentsModal from "../components/AttachmentsModal";
+import PatientHistoryDrawer from "../components/PatientHistoryDrawer";
+import MergePatientsModal from "../components/MergePatientsModal";
+import PatientImportModal from "../components/PatientImportModal";
+import ExportModal from "../components/ExportModal";
+import { useAuth } from "../context/AuthContext";
+
+const PAGE_SIZES = [5, 10, 25, 50];
+const SEARCH_DELAY_MS = 300;
+const SEARCH_LIMIT = 50;
+
+// Columns offered by "Export" (keys of GET /api/patients/export)
+const EXPORT_COLUMNS = [
+  { key: "id", label: "ID" },
+  { key: "name", label: "Name" },
+  { key: "email", label: "Email" },
+  { key: "phone", label: "Phone (primary)" },
+  { key: "phones", label: "All phone numbers" },
+  { key: "dateOfBirth", label: "Date of birth" },
+  { key: "address", label: "Address (one line)" },
+  { key: "street", label: "Street" },
+  { key: "city", label: "City" },
+  { key: "region", label: "State / region" },
+  { key: "postalCode", label: "Postal code" },
+  { key: "country", label: "Country" },
+  { key: "notes", label: "Notes" },
+  { key: "emergencyContact", label: "Emergency contacts" },
+  { key: "guardianName", label: "Guardian" },
+  { key: "guardianPhone", label: "Guardian phone" },
+  { key: "insuranceCarrier", label: "Insurance carrier (primary)" },
+  { key: "insuranceMemberId", label: "Insurance member ID (primary)" },
+  { key: "insuranceGroup", label: "Insurance group (primary)" },
+  { key: "attachments", label: "Attachments (count)" },
+  { key: "createdAt", label: "Created" },
+  { key: "updatedAt", label: "Updated" },
+  { key: "deletedAt", label: "Archived" },
+];
+
+/**
+ * Page numbers to show: first, last and a window around the current page,
+ * with "…" gaps (e.g. 1 … 4 5 6 … 20).
+ */
+const pageNumbers = (current, pages) => {
+  const result = [];
+  for (let p = 1; p <= pages; p++) {
+    if (p === 1 || p === pages || Math.abs(p - current) <= 1) {
+      result.push(p);
+    } else if (result[result.length - 1] !== "…") {
+      result.push("…");
+    }
+  }
+  return result;
+};
 
 export default function Dashboard() {
-  const [patients, setPatients] = useState([]);
+  const [patients, setPatients] = useState([]); // current page only
+  const [total, setTotal] = useState(0);
+  const [pages, setPages] = useState(1);
+  const [searchResults, setSearchResults] = useState(null); // null = not searching
   const [editing, setEditing] = useState(null);
   const [selectedPatient, setSelectedPatient] = useState(null); // id for delete
   const [attachmentPatient, setAttachmentPatient] = useState(null); // patient object for modal
+  const [purgeTarget, setPurgeTarget] = useState(null); // archived patient to purge
+  const [showHistory, setShowHistory] = useState(false); // drawer for `editing`
+  const [mergeTarget, setMergeTarget] = useState(null); // surviving patient
+  const [showImport, setShowImport] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [view, setView] = useState("active"); // "active" | "archived"
 
-  const { setPatientCount } = usePatients();
+  const { refreshPatientCount } = usePatients();
+  const { can, clinicId } = useAuth();
+
+  // Form is shown only when the user may create (or, while editing, update)
+  const showForm = editing ? can("patients:update") : can("patients:create");
 
   const [searchTerm, setSearchTerm] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
   const [page, setPage] = useState(1);
-  const pageSize = 5;
+  const [pageSize, setPageSize] = useState(
+    () => Number(localStorage.getItem("patientPageSize")) || 10
+  );
+  const [sort, setSort] = useState("-createdAt"); // newest first
+
+  // Ignore responses of outdated requests (fast typing / paging)
+  const requestId = useRef(0);
 
-  // Load all patients from backend
+  const archivedView = view === "archived";
+
+  // Load ranked search results, or the current page of patients
   const load = async () => {
-    const { data } = await api.get("/patients");
-    setPatients(data);
+    const id = ++requestId.current;
+    try {
+      // Fuzzy lookup covers active patients; the archive uses a plain filter
+      if (debouncedSearch && !archivedView) {
+        const { data } = await api.get("/patients/search", {
+          params: { q: debouncedSearch, limit: SEARCH_LIMIT },
+        });
+        if (id === requestId.current) setSearchResults(data.results);
+        return;
+      }
+
+      const { data } = await api.get("/patients", {
+        params: archivedView
+          ? { archived: true, q: debouncedSearch || undefined, page, limit: pageSize, sort }
+          : { page, limit: pageSize, sort },
+      });
+      if (id !== requestId.current) return;
+
+      setSearchResults(null);
+      setPatients(data.items);
+      setTotal(data.total);
+      setPages(data.pages);
+
+      // e.g. the last patient on the last page was deleted
+      if (page > data.pages) setPage(data.pages);
+    } catch {
+      if (id === requestId.current) toast.error("Failed to load patients");
+    }
+  };
+
+  // Debounce the search box → one request after the user stops typing
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm.trim());
+      setPage(1);
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Start over when the user switches clinic in the Navbar
+  useEffect(() => {
     setEditing(null);
-    setPatientCount(data.length);
     setPage(1);
-  };
+  }, [clinicId]);
 
   useEffect(() => {
     load();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  }, [clinicId, debouncedSearch, page, pageSize, sort, view]);
+
+  const changeView = (next) => {
+    if (next === view) return;
+    setView(next);
+    setSort(next === "archived" ? "-deletedAt" : "-createdAt");
+    setSearchResults(null);
+    setPatients([]);
+    setEditing(null);
+    setPage(1);
+  };
 
-  // Create new patient
+  // History drawer belongs to one edit session
+  const editingId = editing?._id;
+  useEffect(() => {
+    setShowHistory(false);
+  }, [editingId]);
+
+  const changePageSize = (size) => {
+    localStorage.setItem("patientPageSize", String(size));
+    setPageSize(size);
+    setPage(1);
+  };
+
+  // Column header click: ascending first, then descending
+  const changeSort = (field) => {
+    setSort((prev) => (prev === field ? `-${field}` : field));
+    setPage(1);
+  };
+
+  // Create new patient (returns false when it was not saved)
   const create = async (payload) => {
     try {
       await api.post("/patients", payload);
       toast.success("Patient created");
       await load();
+      refreshPatientCount();
+      return true;
     } catch (err) {
+      // 409 = possible duplicates the form did not warn about yet
       const msg = err.response?.data?.message || "Error saving patient";
       toast.error(msg);
+      return false;
     }
   };
 
-  // Update existing patient
+  // Update existing patient (returns false when it was not saved)
   const update = async (payload) => {
     try {
       await api.put(`/patients/${editing._id}`, payload);
       toast.success("Patient updated");
       await load();
+      return true;
     } catch (err) {
       const msg = err.response?.data?.message || "Error updating patient";
       toast.error(msg);
+      return false;
     }
   };
 
-  // Delete patient by id
+  // Archive (soft delete) patient by id
   const remove = async (id) => {
     try {
       await api.delete(`/patients/${id}`);
-      toast.success("Patient deleted");
+      toast.success("Patient archived");
       await load();
+      refreshPatientCount();
     } catch (err) {
-      const msg = err.response?.data?.message || "Error deleting patient";
+      const msg = err.response?.data?.message || "Error archiving patient";
       toast.error(msg);
     }
   };
 
-  // Decide create vs update
-  const savePatient = async (payload) => {
-    if (editing) {
-      await update(payload);
-    } else {
-      await create(payload);
+  // Bring an archived patient back to the active list
+  const restore = async (id) => {
+    try {
+      await api.post(`/patients/${id}/restore`);
+      toast.success("Patient restored");
+      await load();
+      refreshPatientCount();
+    } catch (err) {
+      const msg = err.response?.data?.message || "Error restoring patient";
+      toast.error(msg);
     }
-    setEditing(null);
+  };
+
+  // Permanently delete an archived patient (with appointments and files)
+  const purge = async (id) => {
+    try {
+      const { data } = await api.delete(`/patients/${id}/purge`);
+      toast.success(
+        `Patient purged (${data.appointmentsDeleted} appointment(s), ${data.filesDeleted} file(s) removed)`
+      );
+      await load();
+    } catch (err) {
+      const msg = err.response?.data?.message || "Error purging patient";
+      toast.error(msg);
+    }
+  };
+
+  // Decide create vs update; the form stays filled when saving failed
+  const savePatient = async (payload) => {
+    const ok = editing ? await update(payload) : await create(payload);
+    if (ok) setEditing(null);
+    return ok;
   };
 
   // Upload handler for attachments (X-rays)
@@ -113,78 +298,188 @@ export default function Dashboard() {
     }
   };
 
-  // Search + pagination
-  const filtered = patients.filter((p) => {
-    const q = searchTerm.toLowerCase();
-    return (
-      p.name?.toLowerCase().includes(q) ||
-      p.email?.toLowerCase().includes(q) ||
-      p.phone?.toLowerCase().includes(q)
-    );
-  });
-
-  const totalPages = Math.max(1, Math.ceil(filtered.length / pageSize));
-  const safePage = Math.min(page, totalPages);
-  const start = (safePage - 1) * pageSize;
-  const current = filtered.slice(start, start + pageSize);
-
   const goTo = (p) => {
-    if (p >= 1 && p <= totalPages) setPage(p);
+    if (p >= 1 && p <= pages) setPage(p);
   };
 
+  const firstShown = total === 0 ? 0 : (page - 1) * pageSize + 1;
+  const lastShown = Math.min(page * pageSize, total);
+
+  // Search results are ranked → no column sorting / paging while searching
+  const searching = searchResults !== null;
+  const rows = searching ? searchResults.map((r) => r.patient) : patients;
+  const matches = searching
+    ? Object.fromEntries(searchResults.map((r) => [r.patient._id, r.matches]))
+    : undefined;
+
   return (
     <div className="container gap-1 py-4 page-transition">
       <h2 className="center-text w-100 p-2">Patient Dashboard</h2>
 
       <div className="row mt-3">
         {/* LEFT: Patient form */}
-        <div className="col-md-5">
-          <div className="container card card-body ">
-            <h5 className="alignContent">
-              {editing ? "Edit Patient" : "Add New Patient"}
-            </h5>
-            <PatientForm initial={editing} onSubmit={savePatient} />
+        {showForm && (
+          <div className="col-md-5">
+            <div className="container card card-body ">
+              <div className="d-flex justify-content-between align-items-center">
+                <h5 className="alignContent">
+                  {editing ? "Edit Patient" : "Add New Patient"}
+                </h5>
+                {editing && (
+                  <button
+                    type="button"
+                    className="btn btn-sm btn-outline-secondary"
+                    onClick={() => setShowHistory(true)}
+                  >
+                    History
+                  </button>
+                )}
+              </div>
+              <PatientForm initial={editing} onSubmit={savePatient} />
+            </div>
           </div>
-        </div>
+        )}
+
+        {/* Version history of the patient being edited */}
+        <PatientHistoryDrawer
+          patient={showHistory ? editing : null}
+          onClose={() => setShowHistory(false)}
+          onReverted={(updated) => {
+            setEditing(updated); // refills the form with the reverted value
+            load();
+          }}
+        />
 
         {/* RIGHT: List, search, pagination */}
-        <div className="col-md-7">
+        <div className={showForm ? "col-md-7" : "col-12"}>
           <div className="container card card-body">
             <div className="d-flex justify-content-between align-items-center mb-2">
-              <h5 className="mb-0">Patients</h5>
-              <input
-                type="text"
-                className="form-control form-control-sm"
-                style={{ maxWidth: 220 }}
-                placeholder="Search by name, email, phone"
-                value={searchTerm}
-                onChange={(e) => {
-                  setSearchTerm(e.target.value);
-                  setPage(1);
-                }}
-              />
+              <ul className="nav nav-tabs border-0">
+                {[
+                  ["active", "Patients"],
+                  ["archived", "Archived"],
+                ].map(([key, label]) => (
+                  <li key={key} className="nav-item">
+                    <button
+                      className={`nav-link py-1 ${view === key ? "active" : ""}`}
+                      onClick={() => changeView(key)}
+                    >
+                      {label}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              <div className="d-flex gap-2">
+                {can("patients:import") && !archivedView && (
+                  <button
+                    className="btn btn-sm btn-outline-primary"
+                    onClick={() => setShowImport(true)}
+                  >
+                    Import
+                  </button>
+                )}
+                {can("patients:export") && (
+                  <button
+                    className="btn btn-sm btn-outline-secondary"
+                    onClick={() => setShowExport(true)}
+                  >
+                    Export
+                  </button>
+                )}
+                <input
+                  type="text"
+                  className="form-control form-control-sm"
+                  style={{ maxWidth: 220 }}
+                  placeholder={
+                    archivedView
+                      ? "Search by name, email, phone"
+                      : "Search name, email, phone, DOB, notes"
+                  }
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                />
+              </div>
             </div>
 
             {/* Patient table */}
             <PatientTable
-              patients={current}
+              patients={rows}
+              matches={matches}
+              sort={searching ? undefined : sort}
+              onSort={searching ? undefined : changeSort}
               onEdit={setEditing}
               onDelete={setSelectedPatient}           // pass ID to confirm modal
               onUpload={handleUpload}                  // handle file upload
               onViewAttachments={setAttachmentPatient} // opens attachments modal
+              archived={archivedView}
+              onRestore={restore}
+              onPurge={setPurgeTarget}                 // opens purge confirm modal
+              onMerge={setMergeTarget}                 // opens merge tool
+            />
+
+            {/* Merge duplicate patients (admin) */}
+            <MergePatientsModal
+              patient={mergeTarget}
+              onClose={() => setMergeTarget(null)}
+              onMerged={() => {
+                setMergeTarget(null);
+                setEditing(null);
+                load();
+                refreshPatientCount();
+              }}
             />
 
-            {/* Confirm delete patient modal */}
+            {/* Bulk import from CSV / XLSX */}
+            <PatientImportModal
+              show={showImport}
+              onClose={() => setShowImport(false)}
+              onImported={() => {
+                load();
+                refreshPatientCount();
+              }}
+            />
+
+            {/* Download the current list; the search box becomes a plain
+                name / email / phone filter (the export is not ranked) */}
+            <ExportModal
+              show={showExport}
+              title={archivedView ? "Export archived patients" : "Export patients"}
+              path="/patients/export"
+              params={{
+                archived: archivedView || undefined,
+                q: debouncedSearch || undefined,
+                sort,
+              }}
+              columns={EXPORT_COLUMNS}
+              storageKey="patientExportColumns"
+              onClose={() => setShowExport(false)}
+            />
+
+            {/* Confirm archive patient modal */}
             <ConfirmModal
               show={!!selectedPatient}
-              message="Are you sure that you wish to delete the patient?"
+              message="Archive this patient? They will be hidden from lists and can be restored by an admin."
               onConfirm={async () => {
                 if (!selectedPatient) return;
                 await remove(selectedPatient);
                 setSelectedPatient(null);
               }}
               onCancel={() => setSelectedPatient(null)}
-              confirmText="Delete"
+              confirmText="Archive"
+              cancelText="Cancel"
+            />
+
+            {/* Confirm purge (permanent delete) modal */}
+            <ConfirmModal
+              show={!!purgeTarget}
+              message={`Permanently delete ${purgeTarget?.name}? Their appointments and attachment files are deleted too. This cannot be undone.`}
+              onConfirm={async () => {
+                if (!purgeTarget) return;
+                await purge(purgeTarget._id);
+                setPurgeTarget(null);
+              }}
+              onCancel={() => setPurgeTarget(null)}
+              confirmText="Purge"
               cancelText="Cancel"
             />
 
@@ -193,51 +488,71 @@ export default function Dashboard() {
               show={!!attachmentPatient}
               patient={attachmentPatient}
               onClose={() => setAttachmentPatient(null)}
-              onDeleteAttachment={handleDeleteAttachment}
+              onDeleteAttachment={archivedView ? undefined : handleDeleteAttachment}
             />
 
-            {/* Pagination */}
-            <nav aria-label="Patient pages">
-              <ul className="pagination pagination-sm mb-0 justify-content-end">
-                <li className={`page-item ${safePage === 1 ? "disabled" : ""}`}>
-                  <button
-                    className="page-link"
-                    onClick={() => goTo(safePage - 1)}
-                  >
-                    Prev
-                  </button>
-                </li>
-
-                {Array.from({ length: totalPages }).map((_, idx) => (
-                  <li
-                    key={idx}
-                    className={`page-item ${
-                      safePage === idx + 1 ? "active" : ""
-                    }`}
+            {/* Match count while searching, pagination otherwise */}
+            {searching ? (
+              <div className="small text-muted mt-2">
+                {searchResults.length === SEARCH_LIMIT
+                  ? `Top ${SEARCH_LIMIT} matches, best first – refine the search to narrow down`
+                  : `${searchResults.length} match${searchResults.length === 1 ? "" : "es"}, best first`}
+              </div>
+            ) : (
+              <div className="d-flex flex-wrap justify-content-between align-items-center gap-2 mt-2">
+                <div className="d-flex align-items-center gap-2 small text-muted">
+                  <span>
+                    {firstShown}–{lastShown} of {total}
+                  </span>
+                  <select
+                    className="form-select form-select-sm"
+                    style={{ width: "auto" }}
+                    value={pageSize}
+                    onChange={(e) => changePageSize(Number(e.target.value))}
+                    aria-label="Patients per page"
                   >
-                    <button
-                      className="page-link"
-                      onClick={() => goTo(idx + 1)}
-                    >
-                      {idx + 1}
-                    </button>
-                  </li>
-                ))}
+                    {PAGE_SIZES.map((size) => (
+                      <option key={size} value={size}>
+                        {size} / page
+                      </option>
+                    ))}
+                  </select>
+                </div>
 
-                <li
-                  className={`page-item ${
-                    safePage === totalPages ? "disabled" : ""
-                  }`}
-                >
-                  <button
-                    className="page-link"
-                    onClick={() => goTo(safePage + 1)}
-                  >
-                    Next
-                  </button>
-                </li>
-              </ul>
-            </nav>
+                <nav aria-label="Patient pages">
+                  <ul className="pagination pagination-sm mb-0">
+                    <li className={`page-item ${page === 1 ? "disabled" : ""}`}>
+                      <button className="page-link" onClick={() => goTo(page - 1)}>
+                        Prev
+                      </button>
+                    </li>
+
+                    {pageNumbers(page, pages).map((p, idx) =>
+                      p === "…" ? (
+                        <li key={`gap-${idx}`} className="page-item disabled">
+                          <span className="page-link">…</span>
+                        </li>
+                      ) : (
+                        <li
+                          key={p}
+                          className={`page-item ${page === p ? "active" : ""}`}
+                        >
+                          <button className="page-link" onClick={() => goTo(p)}>
+                            {p}
+                          </button>
+                        </li>
+                      )
+                    )}
+
+                    <li className={`page-item ${page === pages ? "disabled" : ""}`}>
+                      <button className="page-link" onClick={() => goTo(page + 1)}>
+                        Next
+                      </button>
+                    </li>
+                  </ul>
+                </nav>
+              </div>
+            )}
           </div>
         </div>
       </div>
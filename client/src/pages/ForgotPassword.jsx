@@ -0,0 +1,81 @@
+// ForgotPassword.jsx
+// "Forgot password" page (public).
+// - Sends POST /api/users/forgot-password with the user's email
+// - Always shows the same confirmation (backend never reveals if the email exists)
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api/axios';
+import { toast } from 'react-toastify';
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      await api.post('/users/forgot-password', { email });
+      setSent(true);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Could not send reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div
+      className="container page-transition"
+      style={{ maxWidth: 450, alignContent: 'center', height: '100vh' }}
+    >
+      <form
+        className="container text-center page-transition p-4 border border-secondary rounded"
+        onSubmit={submit}
+      >
+        <h2 className="mb-3">Forgot Password</h2>
+
+        {sent ? (
+          <div className="alert alert-success">
+            If an account exists for that email, a reset link has been sent.
+          </div>
+        ) : (
+          <>
+            <p className="text-muted">
+              Enter your account email and we will send you a reset link.
+            </p>
+
+            <div className="mb-2">
+              <input
+                type="email"
+                placeholder="Email"
+                className="form-control p-3"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+              />
+            </div>
+
+            <button className="btn btn-primary mt-3" disabled={loading}>
+              {loading && (
+                <span
+                  className="spinner-border spinner-border-sm me-2"
+                  role="status"
+                  aria-hidden="true"
+                ></span>
+              )}
+              {loading ? 'Sending...' : 'Send Reset Link'}
+            </button>
+          </>
+        )}
+
+        {/* Back to login */}
+        <p className="text-center mt-3 pt-2">
+          Remembered it? <Link to="/login">Log In</Link>
+        </p>
+      </form>
+    </div>
+  );
+}
@@ -8,6 +8,7 @@ import { Link } from 'react-router-dom';
 import { useEffect, useState } from 'react';
 import api from '../api/axios';
 import { useAuth } from '../context/AuthContext';
+import { formatPhone } from '../components/PhoneInput';
 
 export default function Home() {
   const { user } = useAuth();
@@ -60,7 +61,7 @@ export default function Home() {
                 className="list-group-item d-flex justify-content-between"
               >
                 <span>
-                  <strong>{p.name}</strong> — {p.email} — {p.phone}
+                  <strong>{p.name}</strong> — {p.email} — {formatPhone(p.phone)}
                 </span>
               </li>
             ))}
@@ -1,11 +1,17 @@
 // Login.jsx
 // Sign In page.
 // - Uses AuthContext.login to authenticate via backend
+// - If the account has 2FA enabled, shows a second step asking for the
+//   authenticator code (or a recovery code)
 // - Shows spinner for a short time, then success check + toast
-// - On success, navigates to /dashboard
+// - On success, navigates to the `returnTo` query param (set when a session
+//   expired or a protected page was opened), else /dashboard (or /profile
+//   when the user's role requires 2FA and they still need to enroll)
+// - 423 (account locked) / 429 (too many attempts) show a countdown until
+//   the next attempt is allowed
 
-import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { toast } from 'react-toastify';
 
@@ -16,8 +22,77 @@ export default function Login() {
   const [loading, setLoading] = useState(false);
   const [success, setSuccess] = useState(false);
 
+  // Second step (2FA)
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecovery, setUseRecovery] = useState(false);
+
+  // Lockout / throttling: time when the next attempt is allowed
+  const [retryAt, setRetryAt] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
   const nav = useNavigate();
-  const { login } = useAuth();
+  const [searchParams] = useSearchParams();
+  const { login, verifyTwoFactor } = useAuth();
+
+  // Only follow same-app paths ("/x", not "//evil.com", "/\evil.com" or full URLs)
+  const returnTo = searchParams.get('returnTo');
+  const safeReturnTo = /^\/(?![/\\])/.test(returnTo || '') ? returnTo : null;
+
+  // Tick the countdown once per second while blocked
+  useEffect(() => {
+    if (!retryAt) return;
+
+    const tick = () => {
+      const left = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+      setSecondsLeft(left);
+      if (left === 0) {
+        setRetryAt(null);
+        setError('');
+      }
+    };
+
+    tick();
+    const id = setInterval(tick, 1000);
+    return () => clearInterval(id);
+  }, [retryAt]);
+
+  /**
+   * Handles 423 / 429 responses. Returns true if the error was a block.
+   */
+  const handleBlocked = (err) => {
+    const status = err.response?.status;
+    if (status !== 423 && status !== 429) return false;
+
+    const data = err.response.data || {};
+    setRetryAt(Date.now() + (data.retryAfter || 60) * 1000);
+    setError(data.message || 'Too many attempts. Please wait.');
+    toast.error(status === 423 ? 'Account temporarily locked' : 'Too many attempts');
+    return true;
+  };
+
+  // "m:ss" for the countdown
+  const formatWait = (secs) =>
+    `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+
+  // Shared success animation + redirect
+  const finish = (user) => {
+    setTimeout(() => {
+      setLoading(false);
+      setSuccess(true);
+      toast.success('Login successful!');
+
+      if (user?.twoFactorSetupRequired) {
+        toast.warning('Your role requires two-factor authentication. Please set it up.');
+      }
+
+      // Show the green check briefly, then redirect
+      setTimeout(() => {
+        if (user?.twoFactorSetupRequired) nav('/profile');
+        else nav(safeReturnTo || '/dashboard');
+      }, 800);
+    }, 1000);
+  };
 
   const submit = async (e) => {
     e.preventDefault();
@@ -27,20 +102,23 @@ export default function Login() {
 
     try {
       // Call API immediately
-      await login(emailOrUsername, password);
+      const result = await login(emailOrUsername, password);
 
-      // Keep spinner visible for a short time for UX consistency
-      setTimeout(() => {
+      // Password OK, but a TOTP code is needed
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
         setLoading(false);
-        setSuccess(true);
-        toast.success('Login successful!');
+        return;
+      }
+
+      finish(result.user);
+    } catch (err) {
+      // Locked / throttled → show remaining time instead of "invalid"
+      if (handleBlocked(err)) {
+        setLoading(false);
+        return;
+      }
 
-        // Show the green check briefly, then redirect
-        setTimeout(() => {
-          nav('/dashboard');
-        }, 800);
-      }, 1000);
-    } catch {
       // Also delay the error state so spinner timing feels consistent
       setTimeout(() => {
         setLoading(false);
@@ -50,72 +128,172 @@ export default function Login() {
     }
   };
 
+  const submitCode = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const result = await verifyTwoFactor(
+        challengeToken,
+        useRecovery ? { recoveryCode: code } : { code }
+      );
+      finish(result.user);
+    } catch (err) {
+      setLoading(false);
+      if (handleBlocked(err)) return;
+
+      // Challenge expired → back to the password step
+      if (err.response?.data?.message?.startsWith('Login expired')) {
+        setChallengeToken(null);
+        setCode('');
+      }
+      setError(err.response?.data?.message || 'Invalid verification code');
+    }
+  };
+
+  // Submit button content (spinner / success icon / label)
+  const buttonContent = (idleLabel) => (
+    <>
+      {/* Spinner while loading */}
+      {loading && !success && (
+        <span
+          className="spinner-border spinner-border-sm me-2"
+          role="status"
+          aria-hidden="true"
+        ></span>
+      )}
+
+      {/* Green check icon on success */}
+      {success && !loading && (
+        <i className="bi bi-check-circle-fill text-success me-2"></i>
+      )}
+
+      {loading && !success && 'Signing in...'}
+      {!loading && success && 'Success!'}
+      {!loading && !success && idleLabel}
+    </>
+  );
+
   return (
     <div
       className="container page-transition"
       style={{ maxWidth: 450, alignContent: 'center', height: '100vh' }}
     >
-      <form
-        className="container text-center page-transition p-4 border border-secondary rounded"
-        onSubmit={submit}
-      >
-        <h2 className="mb-3">Sign In</h2>
-
-        {/* Email / username field */}
-        <div className="mb-2">
-          <input
-            placeholder="Email or Username"
-            className="form-control p-3"
-            value={emailOrUsername}
-            onChange={(e) => setUser(e.target.value)}
-            required
-          />
-        </div>
-
-        {/* Password field */}
-        <div className="mb-2">
-          <input
-            type="password"
-            placeholder="Password"
-            className="form-control p-3"
-            value={password}
-            onChange={(e) => setPass(e.target.value)}
-            required
-          />
-        </div>
-
-        {/* Error message */}
-        {error && <div className="alert alert-danger mt-2">{error}</div>}
-
-        {/* Submit button with spinner / success icon */}
-        <button className="btn btn-primary mt-3" disabled={loading}>
-          {/* Spinner while loading */}
-          {loading && !success && (
-            <span
-              className="spinner-border spinner-border-sm me-2"
-              role="status"
-              aria-hidden="true"
-            ></span>
+      {challengeToken ? (
+        /* STEP 2: authenticator / recovery code */
+        <form
+          className="container text-center page-transition p-4 border border-secondary rounded"
+          onSubmit={submitCode}
+        >
+          <h2 className="mb-3">Two-Factor Verification</h2>
+          <p className="text-muted">
+            {useRecovery
+              ? 'Enter one of your recovery codes.'
+              : 'Enter the 6-digit code from your authenticator app.'}
+          </p>
+
+          <div className="mb-2">
+            <input
+              placeholder={useRecovery ? 'xxxxx-xxxxx' : '123456'}
+              className="form-control p-3 text-center"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              inputMode={useRecovery ? 'text' : 'numeric'}
+              autoComplete="one-time-code"
+              autoFocus
+              required
+            />
+          </div>
+
+          {/* Error message (+ countdown while locked / throttled) */}
+          {error && (
+            <div className="alert alert-danger mt-2">
+              {error}
+              {retryAt && secondsLeft > 0 && (
+                <div className="fw-semibold">Try again in {formatWait(secondsLeft)}</div>
+              )}
+            </div>
           )}
 
-          {/* Green check icon on success */}
-          {success && !loading && (
-            <i className="bi bi-check-circle-fill text-success me-2"></i>
+          <button className="btn btn-primary mt-3" disabled={loading || !!retryAt}>
+            {buttonContent('Verify')}
+          </button>
+
+          <p className="text-center mt-3 mb-0">
+            <button
+              type="button"
+              className="btn btn-link p-0"
+              onClick={() => {
+                setUseRecovery((prev) => !prev);
+                setCode('');
+                setError('');
+              }}
+            >
+              {useRecovery ? 'Use authenticator code' : 'Use a recovery code'}
+            </button>
+          </p>
+        </form>
+      ) : (
+        /* STEP 1: username / password */
+        <form
+          className="container text-center page-transition p-4 border border-secondary rounded"
+          onSubmit={submit}
+        >
+          <h2 className="mb-3">Sign In</h2>
+
+          {/* Email / username field */}
+          <div className="mb-2">
+            <input
+              placeholder="Email or Username"
+              className="form-control p-3"
+              value={emailOrUsername}
+              onChange={(e) => setUser(e.target.value)}
+              required
+            />
+          </div>
+
+          {/* Password field */}
+          <div className="mb-2">
+            <input
+              type="password"
+              placeholder="Password"
+              className="form-control p-3"
+              value={password}
+              onChange={(e) => setPass(e.target.value)}
+              required
+            />
+          </div>
+
+          {/* Error message (+ countdown while locked / throttled) */}
+          {error && (
+            <div className="alert alert-danger mt-2">
+              {error}
+              {retryAt && secondsLeft > 0 && (
+                <div className="fw-semibold">Try again in {formatWait(secondsLeft)}</div>
+              )}
+            </div>
           )}
 
-          {loading && !success && 'Signing in...'}
-          {!loading && success && 'Success!'}
-          {!loading && !success && 'Login'}
-        </button>
-
-        {/* Link to signup */}
-        <p className="text-center mt-3 pt-2">
-          Not Registered?{' '}
-          <Link to="/signup">
-            Sign Up
-          </Link>
-        </p>
-      </form>
+          {/* Submit button with spinner / success icon */}
+          <button className="btn btn-primary mt-3" disabled={loading || !!retryAt}>
+            {buttonContent('Login')}
+          </button>
+
+          {/* Forgot password */}
+          <p className="text-center mt-3 mb-0">
+            <Link to="/forgot-password">Forgot password?</Link>
+          </p>
+
+          {/* Link to signup */}
+          <p className="text-center mt-2 pt-2">
+            Not Registered?{' '}
+            <Link to="/signup">
+              Sign Up
+            </Link>
+          </p>
+        </form>
+      )}
     </div>
   );
 }
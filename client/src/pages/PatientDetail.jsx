@@ -0,0 +1,613 @@
+// PatientDetail.jsx
+// Patient detail page (/patients/:id).
+// - Demographics and notes of one patient
+//   (GET /api/patients/:id?include=timeline)
+// - Upcoming appointments and attachments at a glance
+// - One chronological timeline (newest first) of appointments, uploaded
+//   files, notes and recorded changes
+// - Quick actions: book an appointment, upload an X-ray, open the version
+//   history (buttons follow the user's permissions)
+// - Structured medical history with red alert badges for critical items;
+//   edited in MedicalHistoryEditor (patients:medical)
+// - Emergency contacts, guardian (flagged when missing for a minor) and
+//   insurance
+// - Clinical notes panel (ClinicalNotesPanel, notes:read); signed notes
+//   also appear in the timeline
+// - Dental chart (DentalChartPanel, chart:read) with per-appointment
+//   snapshots
+// - Treatment plans (TreatmentPlanPanel, treatment:read): phased
+//   procedures with totals, booked into appointments from the plan
+// - Consent forms (ConsentPanel, consents:read): status per appointment,
+//   on-screen signing; booking warns when the visit needs a consent
+
+import { Fragment, useEffect, useRef, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { toast } from "react-toastify";
+import api from "../api/axios";
+import { useAuth } from "../context/AuthContext";
+import AttachmentsModal, { getFileUrl } from "../components/AttachmentsModal";
+import PatientHistoryDrawer from "../components/PatientHistoryDrawer";
+import MedicalAlertBadges, { medicalSummary } from "../components/MedicalAlerts";
+import MedicalHistoryEditor from "../components/MedicalHistoryEditor";
+import PatientContacts, {
+  contactsSummary,
+  guardianSummary,
+  insuranceSummary,
+} from "../components/PatientContacts";
+import { formatPhone, phonesSummary } from "../components/PhoneInput";
+import { formatAddress, formatAddressLines } from "../components/AddressFields";
+import ClinicalNotesPanel from "../components/ClinicalNotesPanel";
+import DentalChartPanel from "../components/DentalChartPanel";
+import TreatmentPlanPanel from "../components/TreatmentPlanPanel";
+import ConsentPanel from "../components/ConsentPanel";
+import ConsentWarning, { useConsentTemplates } from "../components/ConsentWarning";
+
+const FIELD_LABELS = {
+  name: "Name",
+  email: "Email",
+  phone: "Phone",
+  phones: "Phone numbers",
+  dateOfBirth: "Date of birth",
+  address: "Address",
+  notes: "Notes",
+  emergencyContacts: "Emergency contacts",
+  guardian: "Guardian",
+  insurance: "Insurance",
+  medicalHistory: "Medical history",
+};
+
+const ACTION_LABELS = {
+  create: "Patient created",
+  update: "Details updated",
+  revert: "Field reverted",
+  archive: "Archived",
+  restore: "Restored",
+  merge: "Merged with a duplicate",
+};
+
+const STATUS_BADGES = {
+  Scheduled: "bg-primary",
+  Completed: "bg-success",
+  Cancelled: "bg-secondary",
+};
+
+const EMPTY_BOOKING = { date: "", time: "", reason: "" };
+
+const day = (value) => (value ? String(value).slice(0, 10) : "—");
+
+// Full years between the date of birth and today
+const ageOf = (dateOfBirth) => {
+  const dob = new Date(dateOfBirth);
+  const now = new Date();
+  let age = now.getFullYear() - dob.getFullYear();
+  const beforeBirthday =
+    now.getMonth() < dob.getMonth() ||
+    (now.getMonth() === dob.getMonth() && now.getDate() < dob.getDate());
+  return beforeBirthday ? age - 1 : age;
+};
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (field === "medicalHistory") return medicalSummary(value);
+  if (field === "phones") return phonesSummary(value);
+  if (field === "address") return formatAddress(value);
+  if (field === "emergencyContacts") return contactsSummary(value);
+  if (field === "guardian") return guardianSummary(value);
+  if (field === "insurance") return insuranceSummary(value);
+  return field === "dateOfBirth" ? day(value) : String(value);
+};
+
+// Medical history lists shown on the page: [list, title, name, detail]
+const MEDICAL_LISTS = [
+  ["allergies", "Allergies", "substance", (a) => [a.severity, a.reaction]],
+  ["medications", "Medications", "name", (m) => [m.dose]],
+  ["conditions", "Conditions", "name", (c) => [c.notes]],
+  ["anesthesiaReactions", "Anesthesia reactions", "agent", (r) => [r.reaction]],
+];
+
+export default function PatientDetail() {
+  const { id } = useParams();
+  const { can, clinicId } = useAuth();
+
+  const [patient, setPatient] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  const [booking, setBooking] = useState(null); // form values while open
+  const [bookingErrors, setBookingErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [showAttachments, setShowAttachments] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [editMedical, setEditMedical] = useState(false);
+  const fileInput = useRef(null);
+  const consentTemplates = useConsentTemplates();
+
+  const todayStr = new Date().toISOString().slice(0, 10);
+
+  const load = async () => {
+    try {
+      const { data } = await api.get(`/patients/${id}`, {
+        params: { include: "timeline" },
+      });
+      setPatient(data);
+      setNotFound(false);
+    } catch (err) {
+      if (err.response?.status === 404) {
+        setNotFound(true);
+      } else {
+        toast.error(err.response?.data?.message || "Failed to load patient");
+      }
+    }
+  };
+
+  useEffect(() => {
+    setPatient(null);
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id, clinicId]);
+
+  if (notFound) {
+    return (
+      <div className="container py-4 page-transition">
+        <h2>Patient not found</h2>
+        <p className="text-muted">
+          The patient does not exist in this clinic or has been archived.
+        </p>
+        <Link to="/dashboard">Back to patients</Link>
+      </div>
+    );
+  }
+
+  if (!patient) {
+    return <div className="container py-4 text-muted">Loading…</div>;
+  }
+
+  const now = new Date();
+  const upcoming = patient.appointments
+    .filter((a) => a.status === "Scheduled" && new Date(a.date) >= new Date(todayStr))
+    .reverse(); // soonest first
+  const attachments = patient.attachments || [];
+  const medical = patient.medicalHistory || {};
+
+  const upload = async (file) => {
+    if (!file) return;
+    const formData = new FormData();
+    formData.append("file", file);
+    try {
+      await api.post(`/patients/${id}/attachments`, formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+      });
+      toast.success("Attachment uploaded");
+      await load();
+    } catch {
+      toast.error("Failed to upload attachment");
+    } finally {
+      fileInput.current.value = "";
+    }
+  };
+
+  const deleteAttachment = async (patientId, attachmentId) => {
+    try {
+      await api.delete(`/patients/${patientId}/attachments/${attachmentId}`);
+      toast.success("Attachment deleted");
+      await load();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to delete attachment");
+    }
+  };
+
+  // Same rules as the Appointments page
+  const book = async (e) => {
+    e.preventDefault();
+    const errs = {};
+    if (!booking.date) errs.date = "Date is required";
+    else if (new Date(booking.date) <= new Date(todayStr)) errs.date = "Date must be greater than today";
+    if (!booking.time) errs.time = "Time is required";
+    if (!booking.reason.trim()) errs.reason = "Reason is required";
+    setBookingErrors(errs);
+    if (Object.keys(errs).length) return;
+
+    setSaving(true);
+    try {
+      await api.post("/appointments", { ...booking, patientId: id, status: "Scheduled" });
+      toast.success("Appointment booked");
+      setBooking(null);
+      await load();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to book appointment");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderEvent = (e) => {
+    switch (e.type) {
+      case "appointment": {
+        const a = e.appointment;
+        return (
+          <>
+            <div className="fw-semibold">
+              {new Date(e.at) > now && a.status === "Scheduled" ? "Upcoming visit" : "Visit"}{" "}
+              <span className={`badge ${STATUS_BADGES[a.status] || "bg-secondary"}`}>
+                {a.status}
+              </span>
+            </div>
+            <div className="small">
+              {day(a.date)} {a.time}
+              {a.reason ? ` · ${a.reason}` : ""}
+              {a.bookedBy ? <span className="text-muted"> · booked by {a.bookedBy}</span> : null}
+            </div>
+          </>
+        );
+      }
+      case "attachment":
+        return (
+          <>
+            <div className="fw-semibold">File uploaded</div>
+            <div className="small">
+              <a href={getFileUrl(e.attachment.filename)} target="_blank" rel="noreferrer">
+                {e.attachment.originalName || e.attachment.filename}
+              </a>
+            </div>
+          </>
+        );
+      case "clinical_note":
+        return (
+          <>
+            <div className="fw-semibold">
+              Clinical note signed · {e.note.label}{" "}
+              {e.note.amended && <span className="badge bg-info text-dark">Amended</span>}
+            </div>
+            {e.note.appointmentLabel && (
+              <div className="small">Visit {e.note.appointmentLabel}</div>
+            )}
+            <div className="small text-muted">by {e.author || "unknown user"}</div>
+          </>
+        );
+      case "note":
+        return (
+          <>
+            <div className="fw-semibold">
+              {e.text ? (e.previous ? "Notes edited" : "Note added") : "Notes cleared"}
+            </div>
+            {e.text && <div className="small text-break" style={{ whiteSpace: "pre-wrap" }}>{e.text}</div>}
+            <div className="small text-muted">by {e.author || "unknown user"}</div>
+          </>
+        );
+      default:
+        return (
+          <>
+            <div className="fw-semibold">{ACTION_LABELS[e.action] || e.action}</div>
+            {e.action !== "create" &&
+              e.changes.map((c) => (
+                <div key={c.field} className="small text-break">
+                  {FIELD_LABELS[c.field] || c.field}:{" "}
+                  <span className="text-decoration-line-through text-muted">
+                    {formatValue(c.field, c.from)}
+                  </span>{" "}
+                  → {formatValue(c.field, c.to)}
+                </div>
+              ))}
+            <div className="small text-muted">by {e.author || "unknown user"}</div>
+          </>
+        );
+    }
+  };
+
+  return (
+    <div className="container py-4 page-transition">
+      <div className="d-flex flex-wrap justify-content-between align-items-center gap-2">
+        <div>
+          <Link to="/dashboard" className="small">
+            ← Patients
+          </Link>
+          <h2 className="mb-0">{patient.name}</h2>
+          <MedicalAlertBadges medicalHistory={medical} limit={0} />
+        </div>
+
+        {/* Quick actions */}
+        <div className="d-flex gap-2">
+          {can("appointments:create") && (
+            <button
+              className="btn btn-primary btn-sm"
+              onClick={() => {
+                setBooking(EMPTY_BOOKING);
+                setBookingErrors({});
+              }}
+            >
+              Book appointment
+            </button>
+          )}
+          {can("attachments:upload") && (
+            <>
+              <button
+                className="btn btn-outline-primary btn-sm"
+                onClick={() => fileInput.current.click()}
+              >
+                Upload X-ray
+              </button>
+              <input
+                ref={fileInput}
+                type="file"
+                className="d-none"
+                onChange={(e) => upload(e.target.files[0])}
+              />
+            </>
+          )}
+          <button
+            className="btn btn-outline-secondary btn-sm"
+            onClick={() => setShowHistory(true)}
+          >
+            History
+          </button>
+        </div>
+      </div>
+
+      {can("chart:read") && (
+        <div className="mt-3">
+          <DentalChartPanel patient={patient} />
+        </div>
+      )}
+
+      {can("treatment:read") && (
+        <div className="mt-3">
+          <TreatmentPlanPanel patient={patient} onChanged={load} />
+        </div>
+      )}
+
+      <div className="row mt-3 g-3">
+        {/* LEFT: demographics, upcoming, attachments */}
+        <div className="col-md-5">
+          <div className="card card-body mb-3">
+            <h5>Details</h5>
+            <dl className="row mb-0 small">
+              <dt className="col-4">Date of birth</dt>
+              <dd className="col-8">
+                {day(patient.dateOfBirth)} ({ageOf(patient.dateOfBirth)} years)
+              </dd>
+              <dt className="col-4">Email</dt>
+              <dd className="col-8 text-break">
+                <a href={`mailto:${patient.email}`}>{patient.email}</a>
+              </dd>
+              <dt className="col-4">Phone</dt>
+              <dd className="col-8">
+                {(patient.phones?.length ? patient.phones : [{ type: "mobile", number: patient.phone }]).map(
+                  (p, i) => (
+                    <div key={i}>
+                      <a href={`tel:${p.number}`}>{formatPhone(p.number)}</a>{" "}
+                      <span className="text-muted">({p.type})</span>
+                    </div>
+                  )
+                )}
+              </dd>
+              <dt className="col-4">Address</dt>
+              <dd className="col-8">
+                {formatAddressLines(patient.address).map((line) => (
+                  <div key={line}>{line}</div>
+                ))}
+              </dd>
+              <dt className="col-4">Notes</dt>
+              <dd className="col-8 text-break" style={{ whiteSpace: "pre-wrap" }}>
+                {patient.notes || <span className="text-muted">—</span>}
+              </dd>
+            </dl>
+          </div>
+
+          <div className="card card-body mb-3">
+            <div className="d-flex justify-content-between align-items-center">
+              <h5 className="mb-0">Medical history</h5>
+              {can("patients:medical") && (
+                <button
+                  className="btn btn-sm btn-outline-secondary"
+                  onClick={() => setEditMedical(true)}
+                >
+                  Edit
+                </button>
+              )}
+            </div>
+            <dl className="row mb-0 mt-2 small">
+              {MEDICAL_LISTS.map(([list, title, nameKey, detail]) => (
+                <Fragment key={list}>
+                  <dt className="col-4">{title}</dt>
+                  <dd className="col-8">
+                    {(medical[list] || []).length === 0 && <span className="text-muted">None recorded</span>}
+                    {(medical[list] || []).map((item) => (
+                      <div key={item[nameKey]}>
+                        {item[nameKey]}
+                        {detail(item).filter(Boolean).length > 0 && (
+                          <span className="text-muted"> – {detail(item).filter(Boolean).join(", ")}</span>
+                        )}
+                      </div>
+                    ))}
+                  </dd>
+                </Fragment>
+              ))}
+              <dt className="col-4">Pregnancy</dt>
+              <dd className="col-8">
+                {medical.pregnant === true
+                  ? `Pregnant${medical.pregnancyDueDate ? `, due ${day(medical.pregnancyDueDate)}` : ""}`
+                  : medical.pregnant === false
+                    ? "Not pregnant"
+                    : <span className="text-muted">Unknown</span>}
+              </dd>
+              <dt className="col-4">Last reviewed</dt>
+              <dd className="col-8 mb-0">
+                {medical.lastReviewedAt ? (
+                  `${new Date(medical.lastReviewedAt).toLocaleDateString()}${
+                    medical.lastReviewedBy ? ` by ${medical.lastReviewedBy}` : ""
+                  }`
+                ) : (
+                  <span className="text-danger">Never</span>
+                )}
+              </dd>
+            </dl>
+          </div>
+
+          <div className="card card-body mb-3">
+            <h5>Contacts &amp; insurance</h5>
+            <PatientContacts patient={patient} />
+          </div>
+
+          {can("appointments:read") && (
+            <div className="card card-body mb-3">
+              <h5>Upcoming appointments</h5>
+              {upcoming.length === 0 && (
+                <p className="text-muted small mb-0">Nothing scheduled.</p>
+              )}
+              <ul className="list-unstyled mb-0 small">
+                {upcoming.map((a) => (
+                  <li key={a._id} className="mb-1">
+                    <strong>
+                      {day(a.date)} {a.time}
+                    </strong>
+                    {a.reason ? ` · ${a.reason}` : ""}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="card card-body">
+            <div className="d-flex justify-content-between align-items-center">
+              <h5 className="mb-0">Attachments ({attachments.length})</h5>
+              {attachments.length > 0 && (
+                <button
+                  className="btn btn-sm btn-outline-secondary"
+                  onClick={() => setShowAttachments(true)}
+                >
+                  View all
+                </button>
+              )}
+            </div>
+            {attachments.length === 0 && (
+              <p className="text-muted small mb-0 mt-2">No attachments uploaded yet.</p>
+            )}
+            <div className="d-flex flex-wrap gap-2 mt-2">
+              {attachments
+                .filter((att) => att.mimeType?.startsWith("image/"))
+                .slice(-6)
+                .reverse()
+                .map((att) => (
+                  <a
+                    key={att._id}
+                    href={getFileUrl(att.filename)}
+                    target="_blank"
+                    rel="noreferrer"
+                    title={att.originalName}
+                  >
+                    <img
+                      src={getFileUrl(att.filename)}
+                      alt={att.originalName}
+                      style={{ width: 72, height: 72, objectFit: "cover", borderRadius: 4 }}
+                    />
+                  </a>
+                ))}
+            </div>
+          </div>
+        </div>
+
+        {/* RIGHT: consents, clinical notes, unified timeline */}
+        <div className="col-md-7">
+          {can("consents:read") && <ConsentPanel patient={patient} onChanged={load} />}
+          {can("notes:read") && <ClinicalNotesPanel patient={patient} onChanged={load} />}
+          <div className="card card-body">
+            <h5>Timeline</h5>
+            {patient.timeline.length === 0 && (
+              <p className="text-muted small mb-0">Nothing recorded yet.</p>
+            )}
+            <ul className="list-unstyled mb-0">
+              {patient.timeline.map((e) => (
+                <li
+                  key={`${e.type}-${e.appointment?._id || e.attachment?._id || e.note?._id || e.version}`}
+                  className="d-flex gap-3 pb-2 mb-2 border-bottom"
+                >
+                  <div className="small text-muted text-nowrap" style={{ minWidth: 90 }}>
+                    {e.type === "appointment"
+                      ? day(e.appointment.date)
+                      : new Date(e.at).toLocaleDateString()}
+                  </div>
+                  <div className="flex-grow-1">{renderEvent(e)}</div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      </div>
+
+      {/* Book appointment */}
+      {booking && (
+        <div className="modal fade show" style={{ display: "block" }}>
+          <div className="modal d-block" tabIndex={-1} role="dialog">
+            <div className="modal-dialog" role="document">
+              <form className="modal-content" onSubmit={book}>
+                <div className="modal-header">
+                  <h5 className="modal-title">Book appointment – {patient.name}</h5>
+                  <button
+                    type="button"
+                    className="btn-close"
+                    aria-label="Close"
+                    onClick={() => setBooking(null)}
+                  />
+                </div>
+                <div className="modal-body">
+                  {[
+                    ["date", "Date", "date"],
+                    ["time", "Time", "time"],
+                    ["reason", "Reason", "text"],
+                  ].map(([field, label, type]) => (
+                    <div key={field} className="mb-2">
+                      <label className="form-label">{label}</label>
+                      <input
+                        type={type}
+                        className={`form-control ${bookingErrors[field] ? "is-invalid" : ""}`}
+                        value={booking[field]}
+                        min={field === "date" ? todayStr : undefined}
+                        onChange={(e) => setBooking({ ...booking, [field]: e.target.value })}
+                      />
+                      {bookingErrors[field] && (
+                        <div className="invalid-feedback">{bookingErrors[field]}</div>
+                      )}
+                    </div>
+                  ))}
+                  <ConsentWarning templates={consentTemplates} reason={booking.reason} />
+                </div>
+                <div className="modal-footer">
+                  <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={() => setBooking(null)}
+                  >
+                    Cancel
+                  </button>
+                  <button className="btn btn-primary" disabled={saving}>
+                    {saving ? "Saving…" : "Book"}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <AttachmentsModal
+        show={showAttachments}
+        patient={patient}
+        onClose={() => setShowAttachments(false)}
+        onDeleteAttachment={deleteAttachment}
+      />
+
+      <MedicalHistoryEditor
+        patient={editMedical ? patient : null}
+        onClose={() => setEditMedical(false)}
+        onSaved={() => {
+          setEditMedical(false);
+          load();
+        }}
+      />
+
+      <PatientHistoryDrawer
+        patient={showHistory ? patient : null}
+        onClose={() => setShowHistory(false)}
+        onReverted={() => load()}
+      />
+    </div>
+  );
+}
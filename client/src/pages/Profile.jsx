@@ -3,11 +3,15 @@
 // - Uses AuthContext.user as initial values
 // - Sends PUT /api/users/profile to update username/email
 // - On success, calls updateUserFromProfile so Navbar shows new username
+// - Change password with the current password (ChangePasswordForm)
+// - Two-factor authentication enrollment (TwoFactorSettings)
 
 import { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
 import api from '../api/axios';
 import { toast } from 'react-toastify';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import ChangePasswordForm from '../components/ChangePasswordForm';
 
 
 export default function Profile() {
@@ -83,6 +87,10 @@ export default function Profile() {
           {loading ? 'Saving...' : 'Save Changes'}
         </button>
       </form>
+
+      <ChangePasswordForm />
+
+      <TwoFactorSettings />
     </div>
   );
 }
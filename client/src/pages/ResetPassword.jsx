@@ -0,0 +1,100 @@
+// ResetPassword.jsx
+// Reset password page (public), opened from the emailed link.
+// - Reads ?token= from the URL
+// - Sends POST /api/users/reset-password with the token + new password
+// - On success, navigates to /login
+
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import api from '../api/axios';
+import { toast } from 'react-toastify';
+import PasswordRequirements from '../components/PasswordRequirements';
+
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const nav = useNavigate();
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirm) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await api.post('/users/reset-password', { token, password });
+      toast.success('Password reset – please log in');
+      nav('/login');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div
+      className="container page-transition"
+      style={{ maxWidth: 450, alignContent: 'center', height: '100vh' }}
+    >
+      <form
+        className="container text-center page-transition p-4 border border-secondary rounded"
+        onSubmit={submit}
+      >
+        <h2 className="mb-3">Choose a New Password</h2>
+
+        {!token ? (
+          <div className="alert alert-warning">
+            This reset link is incomplete. Please request a new one.
+          </div>
+        ) : (
+          <>
+            <div className="mb-2">
+              <input
+                type="password"
+                placeholder="New Password"
+                className="form-control p-3"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+              />
+              <PasswordRequirements />
+            </div>
+
+            <div className="mb-2">
+              <input
+                type="password"
+                placeholder="Confirm New Password"
+                className="form-control p-3"
+                value={confirm}
+                onChange={(e) => setConfirm(e.target.value)}
+                required
+              />
+            </div>
+
+            {/* Error message */}
+            {error && <div className="alert alert-danger mt-2">{error}</div>}
+
+            <button className="btn btn-primary mt-3" disabled={loading}>
+              {loading ? 'Saving...' : 'Reset Password'}
+            </button>
+          </>
+        )}
+
+        <p className="text-center mt-3 pt-2">
+          <Link to="/forgot-password">Request a new link</Link>
+        </p>
+      </form>
+    </div>
+  );
+}
@@ -1,23 +1,67 @@
 // Signup.jsx
 // Registration page.
-// - Uses AuthContext.signup to create a new user
+// - With ?invite=<token>: shows the invited email + role and accepts the invitation
+// - On an empty database: creates the first admin account (bootstrap)
+//   together with the first clinic
+// - Otherwise: public signup if the backend allows it, else an
+//   "invitation only" message
 // - Shows spinner for a short time, then success check + toast
 // - On success, navigates to /dashboard
 
-import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import api from '../api/axios';
 import { toast } from 'react-toastify';
+import PasswordRequirements from '../components/PasswordRequirements';
 
 export default function Signup() {
-  // Single form object for username / email / password
-  const [form, setForm] = useState({ username: '', email: '', password: '' });
+  // Single form object for username / email / password (+ bootstrap secret / clinic)
+  const [form, setForm] = useState({
+    username: '',
+    email: '',
+    password: '',
+    secret: '',
+    clinicName: '',
+  });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [success, setSuccess] = useState(false);
 
+  // 'loading' | 'invite' | 'bootstrap' | 'public' | 'closed' | 'invalid-invite'
+  const [mode, setMode] = useState('loading');
+  const [invite, setInvite] = useState(null);
+  const [secretRequired, setSecretRequired] = useState(false);
+
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite');
+
   const nav = useNavigate();
-  const { signup } = useAuth();
+  const { signup, acceptInvite, bootstrap } = useAuth();
+
+  // Decide which variant of the page to show
+  useEffect(() => {
+    if (inviteToken) {
+      api
+        .get(`/invitations/token/${inviteToken}`)
+        .then(({ data }) => {
+          setInvite(data);
+          setForm((prev) => ({ ...prev, email: data.email }));
+          setMode('invite');
+        })
+        .catch(() => setMode('invalid-invite'));
+      return;
+    }
+
+    api
+      .get('/users/registration-status')
+      .then(({ data }) => {
+        setSecretRequired(data.bootstrapSecretRequired);
+        if (data.needsBootstrap) setMode('bootstrap');
+        else setMode(data.publicRegistration ? 'public' : 'closed');
+      })
+      .catch(() => setMode('closed'));
+  }, [inviteToken]);
 
   const submit = async (e) => {
     e.preventDefault();
@@ -27,7 +71,20 @@ export default function Signup() {
 
     try {
       // Call backend to create account
-      await signup(form);
+      if (mode === 'invite') {
+        await acceptInvite(inviteToken, {
+          username: form.username,
+          password: form.password,
+        });
+      } else if (mode === 'bootstrap') {
+        await bootstrap(form);
+      } else {
+        await signup({
+          username: form.username,
+          email: form.email,
+          password: form.password,
+        });
+      }
 
       // Spinner display time
       setTimeout(() => {
@@ -40,25 +97,76 @@ export default function Signup() {
           nav('/dashboard');
         }, 800);
       }, 1000);
-    } catch {
+    } catch (err) {
+      const msg = err.response?.data?.message || 'Signup failed (user may already exist).';
       setTimeout(() => {
         setLoading(false);
-        setError('Signup failed (user may already exist).');
+        setError(msg);
         toast.error('Signup failed – please try again.');
       }, 1000);
     }
   };
 
+  const wrapperProps = {
+    className: 'container py-4 page-transition',
+    style: { maxWidth: 450, alignContent: 'center', height: '100vh' },
+  };
+
+  if (mode === 'loading') {
+    return (
+      <div {...wrapperProps}>
+        <div className="text-center">
+          <span className="spinner-border" role="status" aria-hidden="true"></span>
+        </div>
+      </div>
+    );
+  }
+
+  // No form: registration is invitation-only or the invite link is bad
+  if (mode === 'closed' || mode === 'invalid-invite') {
+    return (
+      <div {...wrapperProps}>
+        <div className="text-center p-4 border border-secondary rounded">
+          <h2 className="mb-3">Create Account</h2>
+          <p>
+            {mode === 'closed'
+              ? 'Accounts are created by invitation only. Please ask a clinic administrator to invite you.'
+              : 'This invitation link is invalid, has already been used, or has expired.'}
+          </p>
+          <p className="mb-0">
+            Already Registered? <Link to="/login">Log In</Link>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const titles = {
+    invite: 'Accept Invitation',
+    bootstrap: 'Create Administrator',
+    public: 'Create Account',
+  };
+
   return (
-    <div
-      className="container py-4 page-transition"
-      style={{ maxWidth: 450, alignContent: 'center', height: '100vh' }}
-    >
+    <div {...wrapperProps}>
       <form
         className="container text-center page-transition p-4 border border-secondary rounded"
         onSubmit={submit}
       >
-        <h2 className="mb-3">Create Account</h2>
+        <h2 className="mb-3">{titles[mode]}</h2>
+
+        {/* Context for the current variant */}
+        {mode === 'invite' && (
+          <p className="text-muted">
+            You have been invited as{' '}
+            <span className="badge bg-primary text-capitalize">{invite.role}</span>
+          </p>
+        )}
+        {mode === 'bootstrap' && (
+          <p className="text-muted">
+            No accounts exist yet. This first account will be the clinic administrator.
+          </p>
+        )}
 
         {/* Username */}
         <div className="mb-2">
@@ -71,7 +179,7 @@ export default function Signup() {
           />
         </div>
 
-        {/* Email */}
+        {/* Email (fixed by the invitation) */}
         <div className="mb-2">
           <input
             type="email"
@@ -79,6 +187,7 @@ export default function Signup() {
             className="form-control p-3"
             value={form.email}
             onChange={(e) => setForm({ ...form, email: e.target.value })}
+            readOnly={mode === 'invite'}
             required
           />
         </div>
@@ -93,8 +202,35 @@ export default function Signup() {
             onChange={(e) => setForm({ ...form, password: e.target.value })}
             required
           />
+          <PasswordRequirements />
         </div>
 
+        {/* First clinic name (bootstrap only; server defaults to "Main Clinic") */}
+        {mode === 'bootstrap' && (
+          <div className="mb-2">
+            <input
+              placeholder="Clinic Name (optional)"
+              className="form-control p-3"
+              value={form.clinicName}
+              onChange={(e) => setForm({ ...form, clinicName: e.target.value })}
+            />
+          </div>
+        )}
+
+        {/* Bootstrap secret (only if the server requires one) */}
+        {mode === 'bootstrap' && secretRequired && (
+          <div className="mb-2">
+            <input
+              type="password"
+              placeholder="Bootstrap Secret"
+              className="form-control p-3"
+              value={form.secret}
+              onChange={(e) => setForm({ ...form, secret: e.target.value })}
+              required
+            />
+          </div>
+        )}
+
         {/* Error message */}
         {error && <div className="alert alert-danger mt-2">{error}</div>}
 
@@ -0,0 +1,120 @@
+/**
+ * config/permissions.js
+ * ----------------------
+ * Central permission catalog for the MERNPro Dental API.
+ *
+ * Responsibilities:
+ * - Lists every permission the API checks (e.g. "patients:delete")
+ * - Maps each role (admin, dentist, receptionist) to its permissions
+ * - Provides helpers used by requirePermission() and the client-facing
+ *   "my permissions" endpoint
+ *
+ * Notes:
+ * - Routes must check permissions, never role names, so changing what a role
+ *   may do only requires editing ROLE_PERMISSIONS below.
+ * - The React client receives the effective permission list at login and
+ *   hides buttons based on it.
+ */
+
+/**
+ * Every permission known to the system, with a short description.
+ */
+export const PERMISSIONS = {
+  "patients:read": "View patients",
+  "patients:create": "Create patients",
+  "patients:update": "Edit patients",
+  "patients:delete": "Archive (soft-delete) patients",
+  "patients:restore": "Restore archived patients",
+  "patients:purge": "Permanently delete archived patients with their appointments, notes, charts, plans, consents and files",
+  "patients:merge": "Merge duplicate patient records",
+  "patients:import": "Bulk import patients from CSV / XLSX files",
+  "patients:export": "Export patients as CSV / JSON / XLSX",
+  "patients:medical": "Edit patients' medical history (allergies, medications, conditions)",
+
+  "notes:read": "View clinical notes",
+  "notes:write": "Write, sign and amend clinical notes",
+
+  "chart:read": "View dental charts and their snapshots",
+  "chart:write": "Record findings on dental charts and take snapshots",
+
+  "treatment:read": "View treatment plans",
+  "treatment:write": "Create and edit treatment plans and their procedures",
+
+  "consents:read": "View consent forms and signed consents",
+  "consents:sign": "Let patients sign consent forms on screen",
+  "consents:templates": "Manage consent form templates",
+
+  "attachments:upload": "Upload patient attachments (X-rays, reports)",
+  "attachments:delete": "Delete patient attachments",
+
+  "appointments:read": "View appointments and the calendar",
+  "appointments:create": "Book appointments",
+  "appointments:update": "Edit appointments",
+  "appointments:delete": "Delete appointments",
+  "appointments:export": "Export appointments as CSV / JSON / XLSX",
+
+  "users:manage": "Manage staff accounts, sessions and security policy",
+  "clinics:manage": "Create and edit clinics",
+  "invitations:manage": "Invite new staff members",
+};
+
+const ALL = Object.keys(PERMISSIONS);
+
+/**
+ * Role → permissions mapping.
+ */
+export const ROLE_PERMISSIONS = {
+  admin: ALL,
+
+  dentist: [
+    "patients:read",
+    "patients:medical",
+    "notes:read",
+    "notes:write",
+    "chart:read",
+    "chart:write",
+    "treatment:read",
+    "treatment:write",
+    "consents:read",
+    "consents:sign",
+    "attachments:upload",
+    "attachments:delete",
+    "appointments:read",
+    "appointments:create",
+    "appointments:update",
+    "appointments:delete",
+  ],
+
+  receptionist: [
+    "patients:read",
+    "patients:create",
+    "patients:update",
+    "patients:medical",
+    "notes:read",
+    "chart:read",
+    "treatment:read",
+    "consents:read",
+    "consents:sign",
+    "attachments:upload",
+    "appointments:read",
+    "appointments:create",
+    "appointments:update",
+    "appointments:delete",
+  ],
+};
+
+/**
+ * permissionsForRole(role)
+ * ------------------------
+ * @param {String} role - User role
+ * @returns {String[]} Effective permissions (empty for unknown roles)
+ */
+export const permissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * hasPermission(role, permission)
+ * -------------------------------
+ * @returns {Boolean} true if the role grants the permission
+ */
+export const hasPermission = (role, permission) =>
+  permissionsForRole(role).includes(permission);
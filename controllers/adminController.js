@@ -0,0 +1,317 @@
+/**
+ * adminController.js
+ * -------------------
+ * Admin-only user management.
+ *
+ * Responsibilities:
+ * - List all staff accounts
+ * - Create a staff account with a given role
+ * - Change a user's role (admin, dentist, receptionist)
+ * - Deactivate / reactivate accounts
+ * - List and revoke a user's login sessions
+ * - Manage the security policy (roles that must use 2FA)
+ * - Reset a user's 2FA (lost phone + lost recovery codes)
+ * - Unlock accounts locked by too many failed logins
+ * - Assign users to clinics (admins may work in several, other roles in one)
+ *
+ * Security:
+ * - All handlers are mounted behind protect + requirePermission("users:manage")
+ * - Admins cannot deactivate or demote themselves, so the clinic can never
+ *   lock itself out of the admin area by accident
+ * - Deactivating a user revokes all of their sessions immediately
+ */
+
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import User, { ROLES } from '../models/user.js';
+import Session from '../models/session.js';
+import SecurityPolicy from '../models/securityPolicy.js';
+import Clinic from '../models/clinic.js';
+import { revokeUserSessions } from '../utils/session.js';
+import { checkPassword } from '../utils/passwordPolicy.js';
+
+/**
+ * Shape returned to the admin UI (never includes the password hash).
+ */
+const toAdminUser = (user) => ({
+  _id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  clinics: user.clinics,
+  isActive: user.isActive,
+  twoFactorEnabled: user.twoFactorEnabled,
+  failedLoginAttempts: user.failedLoginAttempts,
+  lockUntil: user.lockUntil && user.lockUntil > new Date() ? user.lockUntil : null,
+  createdAt: user.createdAt,
+});
+
+/**
+ * Loads the target user or responds 404 (also for a malformed id).
+ */
+const findTargetUser = async (req, res) => {
+  const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+  return user;
+};
+
+/**
+ * Blocks admins from changing their own role / status.
+ */
+const ensureNotSelf = (req, res, user, action) => {
+  if (user._id.toString() === req.user._id.toString()) {
+    res.status(400);
+    throw new Error(`You cannot ${action} your own account`);
+  }
+};
+
+/**
+ * @desc   List all users
+ * @route  GET /api/users
+ * @access Private (admin)
+ */
+export const listUsers = asyncHandler(async (_req, res) => {
+  const users = await User.find().sort({ createdAt: -1 });
+  res.json(users.map(toAdminUser));
+});
+
+/**
+ * @desc   Create a user with a role chosen by the admin
+ * @route  POST /api/users
+ * @access Private (admin)
+ *
+ * Notes:
+ * - The new user joins the admin's current clinic (req.clinicId)
+ */
+export const createUser = asyncHandler(async (req, res) => {
+  const { username, email, password, role } = req.body;
+
+  if (!username || !email || !password) {
+    res.status(400);
+    throw new Error('username, email and password are required');
+  }
+
+  if (role && !ROLES.includes(role)) {
+    res.status(400);
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  // Temporary passwords follow the same policy as self-chosen ones
+  const policyError = checkPassword(password, { username, email });
+  if (policyError) {
+    res.status(400);
+    throw new Error(policyError);
+  }
+
+  const exists = await User.findOne({ $or: [{ email }, { username }] });
+  if (exists) {
+    res.status(400);
+    throw new Error('User already exists');
+  }
+
+  const user = await User.create({
+    username,
+    email,
+    password,
+    role,
+    clinics: [req.clinicId],
+  });
+
+  res.status(201).json(toAdminUser(user));
+});
+
+/**
+ * @desc   Change a user's role
+ * @route  PUT /api/users/:id/role
+ * @access Private (admin)
+ */
+export const updateUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    res.status(400);
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  const user = await findTargetUser(req, res);
+  ensureNotSelf(req, res, user, 'change the role of');
+
+  user.role = role;
+
+  // Only admins may belong to several clinics → keep the first one
+  if (role !== 'admin' && user.clinics.length > 1) {
+    user.clinics = user.clinics.slice(0, 1);
+  }
+
+  await user.save();
+
+  res.json(toAdminUser(user));
+});
+
+/**
+ * @desc   Set the clinics a user works in
+ * @route  PUT /api/users/:id/clinics
+ * @access Private (admin)
+ *
+ * Notes:
+ * - Body: { clinics: [clinicId, ...] }, first one is the user's default
+ * - At least one clinic; only admins may have more than one
+ */
+export const updateUserClinics = asyncHandler(async (req, res) => {
+  const ids = [...new Set((req.body.clinics || []).map(String))];
+
+  if (ids.length === 0) {
+    res.status(400);
+    throw new Error('At least one clinic is required');
+  }
+
+  const user = await findTargetUser(req, res);
+
+  if (user.role !== 'admin' && ids.length > 1) {
+    res.status(400);
+    throw new Error('Only admins can belong to more than one clinic');
+  }
+
+  const valid = ids.every((id) => mongoose.isValidObjectId(id));
+  if (!valid || (await Clinic.countDocuments({ _id: { $in: ids } })) !== ids.length) {
+    res.status(400);
+    throw new Error('Unknown clinic');
+  }
+
+  user.clinics = ids;
+  await user.save();
+
+  res.json(toAdminUser(user));
+});
+
+/**
+ * @desc   Deactivate a user and revoke all their sessions
+ * @route  PUT /api/users/:id/deactivate
+ * @access Private (admin)
+ */
+export const deactivateUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req, res);
+  ensureNotSelf(req, res, user, 'deactivate');
+
+  user.isActive = false;
+  await user.save();
+  await revokeUserSessions(user._id);
+
+  res.json(toAdminUser(user));
+});
+
+/**
+ * @desc   Reactivate a previously deactivated user
+ * @route  PUT /api/users/:id/reactivate
+ * @access Private (admin)
+ */
+export const reactivateUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req, res);
+
+  user.isActive = true;
+  await user.save();
+
+  res.json(toAdminUser(user));
+});
+
+/**
+ * @desc   Clear a login lockout / failed-attempt counter
+ * @route  PUT /api/users/:id/unlock
+ * @access Private (admin)
+ */
+export const unlockUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req, res);
+
+  await user.resetLoginAttempts();
+
+  res.json(toAdminUser(user));
+});
+
+/**
+ * @desc   List active sessions of a user
+ * @route  GET /api/users/:id/sessions
+ * @access Private (admin)
+ */
+export const getUserSessions = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req, res);
+
+  const sessions = await Session.find({
+    user: user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select('-tokenHash')
+    .sort({ lastUsedAt: -1 });
+
+  res.json(sessions);
+});
+
+/**
+ * @desc   Revoke every session of a user (forces logout everywhere)
+ * @route  DELETE /api/users/:id/sessions
+ * @access Private (admin)
+ */
+export const revokeUserSessionsById = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req, res);
+
+  const revoked = await revokeUserSessions(user._id);
+
+  res.json({ message: 'Sessions revoked', revoked });
+});
+
+/**
+ * @desc   Turn off 2FA for a user so they can enroll again
+ * @route  PUT /api/users/:id/2fa/reset
+ * @access Private (admin)
+ */
+export const resetUserTwoFactor = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req, res);
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorRecoveryCodes = [];
+  user.twoFactorLastUsedStep = undefined;
+  await user.save();
+
+  // Existing sessions were authorized with the old second factor
+  await revokeUserSessions(user._id);
+
+  res.json(toAdminUser(user));
+});
+
+/**
+ * @desc   Get the clinic security policy
+ * @route  GET /api/users/security-policy
+ * @access Private (admin)
+ */
+export const getSecurityPolicy = asyncHandler(async (_req, res) => {
+  const policy = await SecurityPolicy.getPolicy();
+  res.json({ twoFactorRequiredRoles: policy.twoFactorRequiredRoles });
+});
+
+/**
+ * @desc   Update which roles must use 2FA
+ * @route  PUT /api/users/security-policy
+ * @access Private (admin)
+ */
+export const updateSecurityPolicy = asyncHandler(async (req, res) => {
+  const { twoFactorRequiredRoles } = req.body;
+
+  if (
+    !Array.isArray(twoFactorRequiredRoles) ||
+    twoFactorRequiredRoles.some((r) => !ROLES.includes(r))
+  ) {
+    res.status(400);
+    throw new Error(`twoFactorRequiredRoles must only contain: ${ROLES.join(', ')}`);
+  }
+
+  const policy = await SecurityPolicy.getPolicy();
+  policy.twoFactorRequiredRoles = [...new Set(twoFactorRequiredRoles)];
+  await policy.save();
+
+  res.json({ twoFactorRequiredRoles: policy.twoFactorRequiredRoles });
+});
@@ -8,26 +8,74 @@
  * - Create an appointment linking patientId → Patient record
  * - Update appointment details and re-link patient if changed
  * - Delete appointments owned by the authenticated user
+ * - Filter the list (status, date range, patient) and export it as
+ *   CSV / JSON / XLSX with a choice of columns
+ * - Keep treatment plan procedures booked into an appointment in step
+ *   (completed with it, released when it is cancelled or deleted)
  *
  * Security:
  * - All routes require authentication (req.user populated via authMiddleware)
- * - Each update/delete checks appointment ownership
+ * - Every query is scoped to req.clinicId (clinicMiddleware.scopeToClinic);
+ *   patients and appointments of other clinics are not found (404)
+ * - Archived patients cannot be booked; their existing appointments stay
+ *   (patientName is denormalized) until the patient is purged
+ * - Each update/delete checks appointment ownership (403 otherwise)
  */
 
 import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
 import Appointment from '../models/appointmentModel.js';
 import Patient from '../models/patient.js';
+import { containsFilter } from '../utils/listQuery.js';
+import { syncAppointmentProcedures } from '../utils/treatmentPlans.js';
+import {
+  EXPORT_FORMATS,
+  exportFilename,
+  selectColumns,
+  streamExport,
+} from '../utils/exporter.js';
+
+const STATUSES = Appointment.schema.path('status').enumValues;
+
+/**
+ * Builds the Mongo filter for GET /api/appointments (and its export) from
+ * the query string. Invalid values are ignored.
+ *
+ * - status    : Scheduled | Completed | Cancelled
+ * - from, to  : appointment date range (YYYY-MM-DD, inclusive)
+ * - patientId : appointments of one patient
+ * - q         : patient name contains (case-insensitive)
+ */
+const buildAppointmentFilter = (req) => {
+  const { status, from, to, patientId, q } = req.query;
+  const filter = { clinic: req.clinicId };
+
+  if (STATUSES.includes(status)) filter.status = status;
+  if (patientId && mongoose.isValidObjectId(patientId)) filter.patientId = patientId;
+  if (q && String(q).trim()) filter.patientName = containsFilter(q);
+
+  const start = from ? new Date(from) : null;
+  const end = to ? new Date(to) : null;
+  if ((start && !isNaN(start)) || (end && !isNaN(end))) {
+    filter.date = {};
+    if (start && !isNaN(start)) filter.date.$gte = start;
+    // inclusive: everything before the next day
+    if (end && !isNaN(end)) filter.date.$lt = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  return filter;
+};
 
 /**
  * @desc   Get all appointments for logged-in user
- * @route  GET /api/appointments
+ * @route  GET /api/appointments?status=&from=&to=&patientId=&q=
  * @access Private
  */
 export const getAppointments = async (req, res) => {
   try {
-    // All staff see everything.
-    const appointments = await Appointment.find()
-      .populate("patientId", "name email phone") // if patientId is referenced
+    // All staff of the clinic see everything in it.
+    const appointments = await Appointment.find(buildAppointmentFilter(req))
+      .populate("patientId", "name email phone medicalHistory") // alerts on the calendar
       .sort({ date: 1, time: 1 });
 
     res.json(appointments);
@@ -37,6 +85,63 @@ export const getAppointments = async (req, res) => {
   }
 };
 
+// Columns of the appointment export (?columns=date,time,...; default all)
+const APPOINTMENT_EXPORT_COLUMNS = [
+  { key: 'id', label: 'ID', value: (a) => a._id },
+  { key: 'date', label: 'Date', type: 'date' },
+  { key: 'time', label: 'Time' },
+  { key: 'patientName', label: 'Patient' },
+  { key: 'patientEmail', label: 'Patient email', value: (a) => a.patientId?.email },
+  { key: 'patientPhone', label: 'Patient phone', value: (a) => a.patientId?.phone },
+  { key: 'reason', label: 'Reason' },
+  { key: 'status', label: 'Status' },
+  { key: 'bookedBy', label: 'Booked by', value: (a) => a.user?.username },
+  { key: 'patientId', label: 'Patient ID', value: (a) => a.patientId?._id ?? a.patientId },
+  { key: 'createdAt', label: 'Created', type: 'datetime' },
+];
+
+/**
+ * @desc   Download appointments as CSV, JSON or XLSX
+ * @route  GET /api/appointments/export?format=&columns=&<list filters>
+ * @access Private (appointments:export)
+ *
+ * - format : csv (default), json or xlsx
+ * - columns: comma-separated keys of APPOINTMENT_EXPORT_COLUMNS (default all)
+ * - status, from, to, patientId, q: as GET /api/appointments
+ *
+ * Rows are streamed from a cursor in date / time order.
+ */
+export const exportAppointments = asyncHandler(async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!EXPORT_FORMATS[format]) {
+    res.status(400);
+    throw new Error('format must be csv, json or xlsx');
+  }
+
+  const { columns, error } = selectColumns(req.query.columns, APPOINTMENT_EXPORT_COLUMNS);
+  if (error) {
+    res.status(400);
+    throw new Error(error);
+  }
+
+  const cursor = Appointment.find(buildAppointmentFilter(req))
+    .populate('patientId', 'email phone')
+    .populate('user', 'username')
+    .sort({ date: 1, time: 1, _id: 1 })
+    .allowDiskUse(true)
+    .lean()
+    .cursor();
+
+  await streamExport({
+    res,
+    cursor,
+    columns,
+    format,
+    filename: exportFilename('appointments', format),
+    sheetName: 'Appointments',
+  });
+});
+
 /**
  * @desc   Create a new appointment
  * @route  POST /api/appointments
@@ -51,8 +156,12 @@ export const createAppointment = asyncHandler(async (req, res) => {
     throw new Error('patientId, date and time are required');
   }
 
-  // Validate patientId exists
-  const patient = await Patient.findById(patientId);
+  // Validate patientId exists in this clinic
+  const patient = await Patient.findOne({
+    _id: patientId,
+    clinic: req.clinicId,
+    deletedAt: null, // archived patients cannot be booked
+  });
   if (!patient) {
     res.status(404);
     throw new Error('Patient not found for given patientId');
@@ -67,6 +176,7 @@ export const createAppointment = asyncHandler(async (req, res) => {
     reason,
     status: status || 'Scheduled',
     user: req.user._id, // link appointment to logged-in user
+    clinic: req.clinicId,
   });
 
   res.status(201).json(appointment);
@@ -78,7 +188,7 @@ export const createAppointment = asyncHandler(async (req, res) => {
  * @access Private
  */
 export const updateAppointment = asyncHandler(async (req, res) => {
-  const appt = await Appointment.findById(req.params.id);
+  const appt = await Appointment.findOne({ _id: req.params.id, clinic: req.clinicId });
 
   if (!appt) {
     res.status(404);
@@ -87,7 +197,7 @@ export const updateAppointment = asyncHandler(async (req, res) => {
 
   // Ensure the appointment belongs to this user
   if (appt.user.toString() !== req.user._id.toString()) {
-    res.status(401);
+    res.status(403);
     throw new Error('Not authorized to update this appointment');
   }
 
@@ -95,7 +205,11 @@ export const updateAppointment = asyncHandler(async (req, res) => {
 
   // If patientId changed → revalidate + update patientName
   if (patientId && patientId !== appt.patientId.toString()) {
-    const patient = await Patient.findById(patientId);
+    const patient = await Patient.findOne({
+      _id: patientId,
+      clinic: req.clinicId,
+      deletedAt: null, // archived patients cannot be booked
+    });
     if (!patient) {
       res.status(404);
       throw new Error('Patient not found for given patientId');
@@ -111,6 +225,7 @@ export const updateAppointment = asyncHandler(async (req, res) => {
   appt.status = status ?? appt.status;
 
   const updated = await appt.save();
+  await syncAppointmentProcedures(updated);
   res.json(updated);
 });
 
@@ -120,7 +235,7 @@ export const updateAppointment = asyncHandler(async (req, res) => {
  * @access Private
  */
 export const deleteAppointment = asyncHandler(async (req, res) => {
-  const appt = await Appointment.findById(req.params.id);
+  const appt = await Appointment.findOne({ _id: req.params.id, clinic: req.clinicId });
 
   if (!appt) {
     res.status(404);
@@ -129,10 +244,11 @@ export const deleteAppointment = asyncHandler(async (req, res) => {
 
   // Only owner can delete
   if (appt.user.toString() !== req.user._id.toString()) {
-    res.status(401);
+    res.status(403);
     throw new Error('Not authorized to delete this appointment');
   }
 
   await appt.deleteOne();
+  await syncAppointmentProcedures(appt, { deleted: true });
   res.json({ message: 'Appointment removed' });
 });
@@ -0,0 +1,94 @@
+/**
+ * clinicController.js
+ * --------------------
+ * Admin management of the group's clinics (offices).
+ *
+ * Responsibilities:
+ * - List all clinics
+ * - Create a clinic (the creating admin is added to it, so they can switch
+ *   to it right away)
+ * - Rename / update a clinic's contact details
+ *
+ * Notes:
+ * - Clinics are not deleted: patients, appointments and staff reference them
+ * - Users are assigned to clinics through PUT /api/users/:id/clinics
+ *   (adminController.updateUserClinics)
+ */
+
+import asyncHandler from 'express-async-handler';
+import Clinic from '../models/clinic.js';
+import User from '../models/user.js';
+
+/**
+ * @desc   List all clinics
+ * @route  GET /api/clinics
+ * @access Private (clinics:manage)
+ */
+export const getClinics = asyncHandler(async (_req, res) => {
+  const clinics = await Clinic.find().sort({ name: 1 });
+  res.json(clinics);
+});
+
+/**
+ * @desc   Create a clinic
+ * @route  POST /api/clinics
+ * @access Private (clinics:manage)
+ */
+export const createClinic = asyncHandler(async (req, res) => {
+  const { name, address, phone } = req.body;
+
+  if (!name || !name.trim()) {
+    res.status(400);
+    throw new Error('Clinic name is required');
+  }
+
+  const exists = await Clinic.findOne({ name: name.trim() });
+  if (exists) {
+    res.status(400);
+    throw new Error('A clinic with this name already exists');
+  }
+
+  const clinic = await Clinic.create({ name, address, phone });
+
+  // Creator can work in the new clinic immediately
+  await User.updateOne({ _id: req.user._id }, { $addToSet: { clinics: clinic._id } });
+
+  res.status(201).json(clinic);
+});
+
+/**
+ * @desc   Update a clinic's name / contact details
+ * @route  PUT /api/clinics/:id
+ * @access Private (clinics:manage)
+ */
+export const updateClinic = asyncHandler(async (req, res) => {
+  const clinic = await Clinic.findById(req.params.id);
+
+  if (!clinic) {
+    res.status(404);
+    throw new Error('Clinic not found');
+  }
+
+  const { name, address, phone } = req.body;
+
+  if (name !== undefined && !name.trim()) {
+    res.status(400);
+    throw new Error('Clinic name is required');
+  }
+
+  clinic.name = name ?? clinic.name;
+  clinic.address = address ?? clinic.address;
+  clinic.phone = phone ?? clinic.phone;
+
+  try {
+    await clinic.save();
+  } catch (e) {
+    if (e.code === 11000) {
+      res.status(400);
+      throw new Error('A clinic with this name already exists');
+    }
+    throw e;
+  }
+
+  res.json(clinic);
+});
@@ -0,0 +1,294 @@
+/**
+ * clinicalNoteController.js
+ * -------------------------
+ * Authored, dated clinical notes about a patient (models/clinicalNote.js).
+ *
+ * Responsibilities:
+ * - Note templates (SOAP, post-op, …) for the editor
+ * - List a patient's notes newest first, filtered by author and appointment
+ * - Write a note (draft, or signed straight away), optionally for one of the
+ *   patient's appointments
+ * - Edit / delete / sign drafts (author only)
+ * - Amend signed notes: the correction and its reason are appended, the
+ *   signed text is never changed
+ *
+ * Notes:
+ * - Every query is scoped to req.clinicId; notes of other clinics and of
+ *   archived patients are not found (404).
+ * - Drafts are only listed for their author.
+ * - Editing a signed note (or amending a draft) is a conflict (409); the
+ *   client offers the other action instead.
+ */
+
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import ClinicalNote from "../models/clinicalNote.js";
+import Patient from "../models/patient.js";
+import Appointment from "../models/appointmentModel.js";
+import { parsePaging, pageResult } from "../utils/listQuery.js";
+import { appointmentLabel } from "../utils/appointments.js";
+import {
+  NOTE_TEMPLATES,
+  hasText,
+  noteSections,
+  templateList,
+} from "../utils/noteTemplates.js";
+
+const EMPTY_NOTE_MESSAGE = "Write something in at least one section";
+
+const isOwn = (note, user) => note.author.toString() === user._id.toString();
+
+/**
+ * Active patient of the caller's clinic (404 otherwise).
+ */
+const findPatient = async (req, res, patientId) => {
+  const patient = mongoose.isValidObjectId(patientId)
+    ? await Patient.findOne({ _id: patientId, clinic: req.clinicId, deletedAt: null })
+    : null;
+  if (!patient) {
+    res.status(404);
+    throw new Error("Patient not found");
+  }
+  return patient;
+};
+
+/**
+ * Note of the caller's clinic whose patient is not archived (404 otherwise).
+ */
+const findNote = async (req, res) => {
+  const note = mongoose.isValidObjectId(req.params.id)
+    ? await ClinicalNote.findOne({ _id: req.params.id, clinic: req.clinicId })
+    : null;
+  if (!note || !(await Patient.exists({ _id: note.patient, deletedAt: null }))) {
+    res.status(404);
+    throw new Error("Note not found");
+  }
+  return note;
+};
+
+/**
+ * Link of a note to an appointment: { appointment, appointmentLabel }.
+ * The appointment must belong to the same patient; "" / null unlinks.
+ */
+const appointmentLink = async (req, res, patientId, appointmentId) => {
+  if (!appointmentId) return { appointment: null, appointmentLabel: undefined };
+
+  const appt = mongoose.isValidObjectId(appointmentId)
+    ? await Appointment.findOne({ _id: appointmentId, clinic: req.clinicId, patientId })
+    : null;
+  if (!appt) {
+    res.status(400);
+    throw new Error("Appointment not found for this patient");
+  }
+  return { appointment: appt._id, appointmentLabel: appointmentLabel(appt) };
+};
+
+/**
+ * Checks the author may still change a draft (403 / 409 otherwise).
+ */
+const assertOwnDraft = (note, req, res, action) => {
+  if (!isOwn(note, req.user)) {
+    res.status(403);
+    throw new Error(`Only the author can ${action} a draft note`);
+  }
+  if (note.status !== "draft") {
+    res.status(409);
+    throw new Error("Signed notes cannot be changed; add an amendment instead");
+  }
+};
+
+/**
+ * @desc   Note templates for the editor
+ * @route  GET /api/notes/templates
+ * @access Private (notes:read)
+ */
+export const getNoteTemplates = (req, res) => {
+  res.json(templateList());
+};
+
+/**
+ * @desc   Notes of one patient, newest first
+ * @route  GET /api/notes?patientId=&author=&appointmentId=&page=&limit=
+ * @access Private (notes:read)
+ *
+ * - patientId    : required
+ * - author       : user id of the author
+ * - appointmentId: notes of one appointment, or "none" for notes without one
+ *
+ * The response also lists every author of the patient's notes
+ * (`authors: [{ _id, name }]`) for the author filter.
+ */
+export const getNotes = asyncHandler(async (req, res) => {
+  const patient = await findPatient(req, res, req.query.patientId);
+  const { author, appointmentId } = req.query;
+
+  // Other users' drafts are private. No clinic in the match: the patient is
+  // already of this clinic, and aggregate() does not cast the string id
+  const visible = {
+    patient: patient._id,
+    $or: [{ status: "signed" }, { author: req.user._id }],
+  };
+  const filter = { ...visible, clinic: req.clinicId };
+  if (author && mongoose.isValidObjectId(author)) filter.author = author;
+  if (appointmentId === "none") filter.appointment = null;
+  else if (appointmentId && mongoose.isValidObjectId(appointmentId)) {
+    filter.appointment = appointmentId;
+  }
+
+  const paging = parsePaging(req.query, { defaultLimit: 20 });
+  const [items, total, authors] = await Promise.all([
+    ClinicalNote.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(paging.skip)
+      .limit(paging.limit)
+      .lean(),
+    ClinicalNote.countDocuments(filter),
+    ClinicalNote.aggregate([
+      { $match: visible },
+      { $group: { _id: "$author", name: { $last: "$authorName" } } },
+      { $sort: { name: 1 } },
+    ]),
+  ]);
+
+  res.json({ ...pageResult(items, total, paging), authors });
+});
+
+/**
+ * @desc   Write a note
+ * @route  POST /api/notes
+ * @access Private (notes:write)
+ *
+ * Body: { patientId, appointmentId?, template, sections: { key: text },
+ *         sign? } — with sign: true the note is signed at once.
+ */
+export const createNote = asyncHandler(async (req, res) => {
+  const { patientId, appointmentId, template = "general", sign } = req.body;
+
+  const patient = await findPatient(req, res, patientId);
+  if (!NOTE_TEMPLATES[template]) {
+    res.status(400);
+    throw new Error("Unknown note template");
+  }
+  const sections = noteSections(template, req.body.sections);
+  if (!hasText(sections)) {
+    res.status(400);
+    throw new Error(EMPTY_NOTE_MESSAGE);
+  }
+
+  const note = await ClinicalNote.create({
+    patient: patient._id,
+    clinic: req.clinicId,
+    ...(await appointmentLink(req, res, patient._id, appointmentId)),
+    template,
+    sections,
+    author: req.user._id,
+    authorName: req.user.username,
+    ...(sign ? { status: "signed", signedAt: new Date() } : {}),
+  });
+
+  res.status(201).json(note);
+});
+
+/**
+ * @desc   Edit a draft note
+ * @route  PUT /api/notes/:id
+ * @access Private (notes:write, author only)
+ *
+ * Body: { template?, sections?, appointmentId? }
+ */
+export const updateNote = asyncHandler(async (req, res) => {
+  const note = await findNote(req, res);
+  assertOwnDraft(note, req, res, "edit");
+
+  const { template = note.template, sections, appointmentId } = req.body;
+  if (!NOTE_TEMPLATES[template]) {
+    res.status(400);
+    throw new Error("Unknown note template");
+  }
+
+  if (sections !== undefined || template !== note.template) {
+    const current = Object.fromEntries(note.sections.map((s) => [s.key, s.text]));
+    note.sections = noteSections(template, sections ?? current);
+    note.template = template;
+  }
+  if (!hasText(note.sections)) {
+    res.status(400);
+    throw new Error(EMPTY_NOTE_MESSAGE);
+  }
+  if (appointmentId !== undefined) {
+    Object.assign(note, await appointmentLink(req, res, note.patient, appointmentId));
+  }
+
+  await note.save();
+  res.json(note);
+});
+
+/**
+ * @desc   Delete a draft note
+ * @route  DELETE /api/notes/:id
+ * @access Private (notes:write, author only)
+ */
+export const deleteNote = asyncHandler(async (req, res) => {
+  const note = await findNote(req, res);
+  assertOwnDraft(note, req, res, "delete");
+
+  await note.deleteOne();
+  res.json({ message: "Draft deleted" });
+});
+
+/**
+ * @desc   Sign a draft note; from then on it can only be amended
+ * @route  POST /api/notes/:id/sign
+ * @access Private (notes:write, author only)
+ */
+export const signNote = asyncHandler(async (req, res) => {
+  const note = await findNote(req, res);
+  assertOwnDraft(note, req, res, "sign");
+
+  note.status = "signed";
+  note.signedAt = new Date();
+  await note.save();
+  res.json(note);
+});
+
+/**
+ * @desc   Amend a signed note
+ * @route  POST /api/notes/:id/amend
+ * @access Private (notes:write)
+ *
+ * Body: { sections: { key: text }, reason } — the full corrected text of
+ * the note's template. Any clinician may amend; the amendment records who.
+ */
+export const amendNote = asyncHandler(async (req, res) => {
+  const note = await findNote(req, res);
+  if (note.status !== "signed") {
+    res.status(409);
+    throw new Error("Drafts are edited, not amended");
+  }
+
+  const reason = String(req.body.reason ?? "").trim();
+  if (!reason) {
+    res.status(400);
+    throw new Error("Reason for the amendment is required");
+  }
+  const sections = noteSections(note.template, req.body.sections);
+  if (!hasText(sections)) {
+    res.status(400);
+    throw new Error(EMPTY_NOTE_MESSAGE);
+  }
+
+  const current = note.amendments.at(-1)?.sections || note.sections;
+  if (sections.every((s, i) => s.text === current[i]?.text)) {
+    res.status(400);
+    throw new Error("The amendment does not change the note");
+  }
+
+  note.amendments.push({
+    sections,
+    reason,
+    author: req.user._id,
+    authorName: req.user.username,
+  });
+  await note.save();
+  res.json(note);
+});
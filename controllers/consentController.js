@@ -0,0 +1,294 @@
+/**
+ * consentController.js
+ * --------------------
+ * Consent forms: templates managed by admins and consents signed by
+ * patients on screen (models/consentTemplate.js, models/consent.js).
+ *
+ * Responsibilities:
+ * - List / create / edit / delete consent templates
+ * - Consents of a patient, with the consent status of each appointment
+ *   (required, signed, missing forms)
+ * - Sign a form for an appointment: the signature drawn on the signing
+ *   screen is printed into a flat PDF, which is stored as a patient
+ *   attachment (same files as uploaded X-rays and reports)
+ *
+ * Notes:
+ * - Every query is scoped to req.clinicId; archived patients are not found
+ *   (404).
+ * - A form is signed once per appointment (409 when signed again).
+ */
+
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import ConsentTemplate from "../models/consentTemplate.js";
+import Consent from "../models/consent.js";
+import Patient from "../models/patient.js";
+import Appointment from "../models/appointmentModel.js";
+import PlannedProcedure from "../models/plannedProcedure.js";
+import Clinic from "../models/clinic.js";
+import { hasPermission } from "../config/permissions.js";
+import { appointmentLabel } from "../utils/appointments.js";
+import { appointmentConsents, signatureImage } from "../utils/consents.js";
+import { consentPdf } from "../utils/consentPdf.js";
+import { procedureLabel } from "../utils/treatmentPlans.js";
+import { uploadName, writeUpload, removeUploads } from "../utils/uploads.js";
+
+const TEMPLATE_FIELDS = ["name", "body", "procedureCodes", "keywords", "active"];
+
+/**
+ * Active patient of the caller's clinic (404 otherwise).
+ */
+const findPatient = async (req, res, patientId) => {
+  const patient = mongoose.isValidObjectId(patientId)
+    ? await Patient.findOne({ _id: patientId, clinic: req.clinicId, deletedAt: null })
+    : null;
+  if (!patient) {
+    res.status(404);
+    throw new Error("Patient not found");
+  }
+  return patient;
+};
+
+const findTemplate = async (req, res) => {
+  const template = mongoose.isValidObjectId(req.params.id)
+    ? await ConsentTemplate.findOne({ _id: req.params.id, clinic: req.clinicId })
+    : null;
+  if (!template) {
+    res.status(404);
+    throw new Error("Consent template not found");
+  }
+  return template;
+};
+
+/**
+ * Saves a template; validation problems are the client's (400), a name
+ * already used in the clinic is a conflict (409).
+ */
+const saveTemplate = async (req, res, template) => {
+  for (const field of TEMPLATE_FIELDS) {
+    if (req.body[field] !== undefined) template[field] = req.body[field];
+  }
+  template.updatedByName = req.user.username;
+
+  try {
+    await template.validate();
+  } catch (err) {
+    if (err.name !== "ValidationError") throw err;
+    res.status(400);
+    throw new Error(Object.values(err.errors)[0]?.message || err.message);
+  }
+  const taken = await ConsentTemplate.exists({
+    clinic: req.clinicId,
+    name: template.name,
+    _id: { $ne: template._id },
+  });
+  if (taken) {
+    res.status(409);
+    throw new Error(`A consent form named "${template.name}" already exists`);
+  }
+  return template.save();
+};
+
+/**
+ * @desc   Consent templates of the clinic, by name
+ * @route  GET /api/consents/templates?all=true
+ * @access Private (consents:read)
+ *
+ * Only active templates, unless `all` is set by a user who manages them.
+ */
+export const getConsentTemplates = asyncHandler(async (req, res) => {
+  const all = req.query.all === "true" && hasPermission(req.user.role, "consents:templates");
+  const templates = await ConsentTemplate.find({
+    clinic: req.clinicId,
+    ...(all ? {} : { active: true }),
+  })
+    .sort({ name: 1 })
+    .lean();
+  res.json(templates);
+});
+
+/**
+ * @desc   Create a consent template
+ * @route  POST /api/consents/templates
+ * @access Private (consents:templates)
+ *
+ * Body: { name, body, procedureCodes?, keywords?, active? }
+ */
+export const createConsentTemplate = asyncHandler(async (req, res) => {
+  const template = await saveTemplate(req, res, new ConsentTemplate({ clinic: req.clinicId }));
+  res.status(201).json(template);
+});
+
+/**
+ * @desc   Edit a consent template (signed consents keep their own copy)
+ * @route  PUT /api/consents/templates/:id
+ * @access Private (consents:templates)
+ */
+export const updateConsentTemplate = asyncHandler(async (req, res) => {
+  const template = await findTemplate(req, res);
+  res.json(await saveTemplate(req, res, template));
+});
+
+/**
+ * @desc   Delete a consent template nobody signed yet
+ * @route  DELETE /api/consents/templates/:id
+ * @access Private (consents:templates)
+ */
+export const deleteConsentTemplate = asyncHandler(async (req, res) => {
+  const template = await findTemplate(req, res);
+  if (await Consent.exists({ template: template._id })) {
+    res.status(409);
+    throw new Error("This form has been signed; deactivate it instead");
+  }
+  await template.deleteOne();
+  res.json({ message: "Consent template deleted" });
+});
+
+/**
+ * @desc   Consents of a patient and the consent status of its appointments
+ * @route  GET /api/consents?patientId=
+ * @access Private (consents:read)
+ *
+ * → { consents (newest first), appointments: [{ appointment, label, date,
+ *     status, required, signed, missing }] } for every appointment that is
+ *     not cancelled, newest first
+ */
+export const getConsents = asyncHandler(async (req, res) => {
+  const patient = await findPatient(req, res, req.query.patientId);
+  const [consents, appointments] = await Promise.all([
+    Consent.find({ clinic: req.clinicId, patient: patient._id }).sort({ signedAt: -1 }).lean(),
+    Appointment.find({
+      clinic: req.clinicId,
+      patientId: patient._id,
+      status: { $ne: "Cancelled" },
+    })
+      .sort({ date: -1, time: -1 })
+      .lean(),
+  ]);
+
+  res.json({ consents, appointments: await appointmentConsents(appointments, req.clinicId) });
+});
+
+/**
+ * @desc   Sign a consent form for an appointment
+ * @route  POST /api/consents
+ * @access Private (consents:sign + attachments:upload)
+ *
+ * Body: { patientId, appointmentId, templateId, signerName,
+ *         signerRelationship?, signature: "data:image/png;base64,…" }
+ * → 201 { consent, attachments } (the patient's attachments, with the PDF)
+ */
+export const signConsent = asyncHandler(async (req, res) => {
+  const { patientId, appointmentId, templateId, signerName, signerRelationship } = req.body;
+  const patient = await findPatient(req, res, patientId);
+
+  const [appt, template] = await Promise.all([
+    mongoose.isValidObjectId(appointmentId)
+      ? Appointment.findOne({ _id: appointmentId, clinic: req.clinicId, patientId: patient._id })
+      : null,
+    mongoose.isValidObjectId(templateId)
+      ? ConsentTemplate.findOne({ _id: templateId, clinic: req.clinicId, active: true })
+      : null,
+  ]);
+  if (!appt) {
+    res.status(400);
+    throw new Error("Appointment not found for this patient");
+  }
+  if (!template) {
+    res.status(400);
+    throw new Error("Consent form not found");
+  }
+  const signature = signatureImage(req.body.signature);
+  if (!signature) {
+    res.status(400);
+    throw new Error("A signature is required");
+  }
+  if (await Consent.exists({ appointment: appt._id, template: template._id })) {
+    res.status(409);
+    throw new Error(`${template.name} is already signed for this appointment`);
+  }
+
+  const consent = new Consent({
+    patient: patient._id,
+    clinic: req.clinicId,
+    appointment: appt._id,
+    appointmentLabel: appointmentLabel(appt),
+    template: template._id,
+    title: template.name,
+    body: template.body,
+    signerName,
+    signerRelationship,
+    signedAt: new Date(),
+    witness: req.user._id,
+    witnessName: req.user.username,
+    filename: uploadName("consent", "consent.pdf"),
+  });
+  try {
+    await consent.validate();
+  } catch (err) {
+    if (err.name !== "ValidationError") throw err;
+    res.status(400);
+    throw new Error(Object.values(err.errors)[0]?.message || err.message);
+  }
+
+  const [clinic, procedures] = await Promise.all([
+    Clinic.findById(req.clinicId).lean(),
+    PlannedProcedure.find({ appointment: appt._id }).sort({ phase: 1, createdAt: 1 }).lean(),
+  ]);
+  let pdf;
+  try {
+    pdf = await consentPdf({
+      ...consent.toObject(),
+      clinicName: clinic?.name || "",
+      patient,
+      procedures: procedures.map(procedureLabel),
+      signature,
+    });
+  } catch {
+    // The signature is the only part of the PDF the client sends as data
+    res.status(400);
+    throw new Error("A signature is required");
+  }
+
+  await writeUpload(consent.filename, pdf);
+  let attachments;
+  try {
+    await consent.save();
+    // Only the attachment list is written, so a record that other rules now
+    // reject (e.g. a minor without a guardian) can still be signed for
+    const updated = await Patient.findOneAndUpdate(
+      { _id: patient._id, clinic: req.clinicId },
+      {
+        $push: {
+          attachments: {
+            filename: consent.filename,
+            originalName: `${template.name} - ${patient.name} - ${consent.appointmentLabel.slice(0, 10)}.pdf`.replace(
+              /[\\/:*?"<>|]/g,
+              "-"
+            ),
+            mimeType: "application/pdf",
+            size: pdf.length,
+          },
+        },
+      },
+      { new: true, runValidators: true }
+    ).select("attachments");
+    if (!updated) {
+      res.status(404);
+      throw new Error("Patient not found");
+    }
+    attachments = updated.attachments;
+  } catch (err) {
+    // Leave no consent without its PDF, and no PDF without its consent
+    await Consent.deleteOne({ _id: consent._id });
+    await removeUploads([consent.filename]);
+    if (err.code === 11000) {
+      // Signed at the same time on another screen
+      res.status(409);
+      throw new Error(`${template.name} is already signed for this appointment`);
+    }
+    throw err;
+  }
+
+  res.status(201).json({ consent, attachments });
+});
@@ -0,0 +1,192 @@
+/**
+ * dentalChartController.js
+ * ------------------------
+ * The dental chart (odontogram) of a patient and its snapshots.
+ *
+ * Responsibilities:
+ * - Current chart: findings per tooth and surface (caries, fillings,
+ *   crowns, implants, missing teeth)
+ * - Record the findings of one tooth (the odontogram saves each click)
+ * - Snapshots: copy the current chart for an appointment, list them for
+ *   comparison over time
+ *
+ * Notes:
+ * - Teeth are FDI codes; `?numbering=universal` accepts Universal numbers
+ *   (1–32, A–T) in the URL instead (see utils/dentalChart.js).
+ * - Every query is scoped to req.clinicId; archived patients are not found
+ *   (404).
+ */
+
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import DentalChart from "../models/dentalChart.js";
+import ChartSnapshot from "../models/chartSnapshot.js";
+import Patient from "../models/patient.js";
+import Appointment from "../models/appointmentModel.js";
+import { cleanTooth, toFdi } from "../utils/dentalChart.js";
+import { appointmentLabel } from "../utils/appointments.js";
+
+// Snapshots returned by the list (newest first)
+const SNAPSHOT_LIMIT = 50;
+
+/**
+ * Active patient of the caller's clinic (404 otherwise).
+ */
+const findPatient = async (req, res) => {
+  const patient = mongoose.isValidObjectId(req.params.id)
+    ? await Patient.findOne({ _id: req.params.id, clinic: req.clinicId, deletedAt: null })
+    : null;
+  if (!patient) {
+    res.status(404);
+    throw new Error("Patient not found");
+  }
+  return patient;
+};
+
+// Chart of a patient that has none yet (not stored until the first finding)
+const emptyChart = (patient) => ({ patient: patient._id, teeth: [] });
+
+// Attempts of replaceTooth before giving up (409)
+const REPLACE_ATTEMPTS = 3;
+
+/**
+ * Replaces the entry of one tooth (entry null: removes it) and returns the
+ * chart, or null when concurrent edits kept getting in the way.
+ *
+ * Edits of other teeth at the same time must not overwrite each other, so
+ * the chart is never saved as a whole: the tooth is $pull-ed (creating the
+ * chart on the first finding), then $push-ed unless another edit of the
+ * same tooth got in between, which starts over (the last edit wins).
+ */
+const replaceTooth = async (filter, tooth, entry, changedBy) => {
+  for (let attempt = 0; attempt < REPLACE_ATTEMPTS; attempt++) {
+    let chart;
+    try {
+      chart = await DentalChart.findOneAndUpdate(
+        filter,
+        { $pull: { teeth: { tooth } }, $set: changedBy },
+        { upsert: true, new: true }
+      );
+    } catch (err) {
+      // Two first edits created the chart at once: retry on the one stored
+      if (err.code === 11000) continue;
+      throw err;
+    }
+    if (!entry) return chart;
+
+    const updated = await DentalChart.findOneAndUpdate(
+      { _id: chart._id, "teeth.tooth": { $ne: tooth } },
+      { $push: { teeth: entry } },
+      { new: true, runValidators: true }
+    );
+    if (updated) return updated;
+  }
+  return null;
+};
+
+/**
+ * @desc   Current dental chart of a patient
+ * @route  GET /api/patients/:id/chart
+ * @access Private (chart:read)
+ */
+export const getChart = asyncHandler(async (req, res) => {
+  const patient = await findPatient(req, res);
+  const chart = await DentalChart.findOne({ patient: patient._id, clinic: req.clinicId });
+  res.json(chart || emptyChart(patient));
+});
+
+/**
+ * @desc   Record the findings of one tooth
+ * @route  PUT /api/patients/:id/chart/teeth/:tooth?numbering=fdi|universal
+ * @access Private (chart:write)
+ *
+ * Body: { findings: [{ condition, surfaces }], note } — replaces what was
+ * recorded for the tooth; no findings and no note clears it.
+ */
+export const updateTooth = asyncHandler(async (req, res) => {
+  const patient = await findPatient(req, res);
+
+  const tooth = toFdi(req.params.tooth, req.query.numbering);
+  if (!tooth) {
+    res.status(400);
+    throw new Error(`Unknown tooth ${req.params.tooth}`);
+  }
+  const { tooth: values, error } = cleanTooth(req.body);
+  if (error) {
+    res.status(400);
+    throw new Error(error);
+  }
+
+  const entry =
+    values.findings.length || values.note
+      ? { tooth, ...values, updatedAt: new Date(), updatedByName: req.user.username }
+      : null;
+  const chart = await replaceTooth(
+    { patient: patient._id, clinic: req.clinicId },
+    tooth,
+    entry,
+    { updatedBy: req.user._id, updatedByName: req.user.username }
+  );
+  if (!chart) {
+    res.status(409);
+    throw new Error("The chart was changed at the same time, please try again");
+  }
+  res.json(chart);
+});
+
+/**
+ * @desc   Snapshots of a patient's chart, newest first
+ * @route  GET /api/patients/:id/chart/snapshots
+ * @access Private (chart:read)
+ */
+export const getSnapshots = asyncHandler(async (req, res) => {
+  const patient = await findPatient(req, res);
+  const snapshots = await ChartSnapshot.find({ patient: patient._id, clinic: req.clinicId })
+    .sort({ createdAt: -1 })
+    .limit(SNAPSHOT_LIMIT)
+    .lean();
+  res.json(snapshots);
+});
+
+/**
+ * @desc   Save the current chart as the snapshot of an appointment
+ * @route  POST /api/patients/:id/chart/snapshots
+ * @access Private (chart:write)
+ *
+ * Body: { appointmentId } — one of the patient's appointments. Taking a
+ * snapshot again for the same appointment replaces it.
+ */
+export const createSnapshot = asyncHandler(async (req, res) => {
+  const patient = await findPatient(req, res);
+  const { appointmentId } = req.body;
+
+  const appt = mongoose.isValidObjectId(appointmentId)
+    ? await Appointment.findOne({
+        _id: appointmentId,
+        clinic: req.clinicId,
+        patientId: patient._id,
+      })
+    : null;
+  if (!appt) {
+    res.status(400);
+    throw new Error("Appointment not found for this patient");
+  }
+
+  const chart = await DentalChart.findOne({ patient: patient._id, clinic: req.clinicId });
+
+  const snapshot = await ChartSnapshot.findOneAndUpdate(
+    { appointment: appt._id, clinic: req.clinicId },
+    {
+      patient: patient._id,
+      clinic: req.clinicId,
+      appointment: appt._id,
+      appointmentLabel: appointmentLabel(appt),
+      teeth: chart ? chart.toObject().teeth : [],
+      takenBy: req.user._id,
+      takenByName: req.user.username,
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(201).json(snapshot);
+});
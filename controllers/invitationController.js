@@ -0,0 +1,234 @@
+/**
+ * invitationController.js
+ * ------------------------
+ * Admin-issued invitations replace self-chosen roles at registration.
+ *
+ * Responsibilities:
+ * - Admins create invitations (email + preassigned role); the signup link is
+ *   emailed and also returned so it can be shared manually
+ * - Admins list pending invitations and revoke them
+ * - The Signup page looks up an invitation by token
+ * - Accepting an invitation creates the user and logs them in
+ *
+ * Security:
+ * - Tokens are random, single-use and expire (INVITE_EXPIRES_DAYS, default 7)
+ * - Only the SHA-256 hash of a token is stored
+ * - The role always comes from the invitation, never from the request body
+ * - The new account joins the clinic the admin was working in when inviting
+ *
+ * Environment Variables:
+ * - CLIENT_URL          : Base URL of the React app used to build invite links
+ *   (mail settings: see utils/mailer.js)
+ * - INVITE_EXPIRES_DAYS : Optional invitation lifetime in days
+ */
+
+import asyncHandler from 'express-async-handler';
+import Invitation from '../models/invitation.js';
+import User, { ROLES } from '../models/user.js';
+import Clinic from '../models/clinic.js';
+import { generateToken, hashToken } from '../utils/token.js';
+import { loginResponse } from '../utils/session.js';
+import { sendMail, clientUrl } from '../utils/mailer.js';
+import { checkPassword } from '../utils/passwordPolicy.js';
+
+/**
+ * Builds the link the invited person opens to create their account.
+ */
+const inviteUrl = (token) => clientUrl(`/signup?invite=${token}`);
+
+/**
+ * Looks up a usable invitation by its raw token or responds 404.
+ */
+const findUsableInvitation = async (req, res) => {
+  const invitation = await Invitation.findOne({
+    tokenHash: hashToken(req.params.token),
+  });
+
+  if (!invitation || !invitation.isUsable()) {
+    res.status(404);
+    throw new Error('Invitation is invalid or has expired');
+  }
+
+  return invitation;
+};
+
+/**
+ * @desc   Create an invitation
+ * @route  POST /api/invitations
+ * @access Private (admin)
+ */
+export const createInvitation = asyncHandler(async (req, res) => {
+  const { email, role } = req.body;
+
+  if (!email || typeof email !== 'string' || !ROLES.includes(role)) {
+    res.status(400);
+    throw new Error(`email and a role (${ROLES.join(', ')}) are required`);
+  }
+
+  const exists = await User.findOne({ email: email.toLowerCase() });
+  if (exists) {
+    res.status(400);
+    throw new Error('A user with this email already exists');
+  }
+
+  const days = Number(process.env.INVITE_EXPIRES_DAYS) || 7;
+  const token = generateToken();
+
+  const invitation = await Invitation.create({
+    email,
+    role,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    invitedBy: req.user._id,
+    clinic: req.clinicId, // set by scopeToClinic
+  });
+
+  const url = inviteUrl(token);
+
+  // Email failure should not lose the invitation → admin can share the link
+  let emailed = true;
+  try {
+    await sendMail({
+      to: invitation.email,
+      subject: 'You have been invited to MERNPro Dental',
+      text:
+        `You have been invited to join MERNPro Dental as ${invitation.role}.\n\n` +
+        `Create your account here (valid for ${days} days):\n${url}\n`,
+    });
+  } catch (err) {
+    console.error('Invitation email error:', err);
+    emailed = false;
+  }
+
+  // The raw token is only ever returned here
+  res.status(201).json({
+    _id: invitation._id,
+    email: invitation.email,
+    role: invitation.role,
+    expiresAt: invitation.expiresAt,
+    inviteUrl: url,
+    emailed,
+  });
+});
+
+/**
+ * @desc   List pending (not accepted, not revoked, not expired) invitations
+ * @route  GET /api/invitations
+ * @access Private (admin)
+ */
+export const getInvitations = asyncHandler(async (_req, res) => {
+  const invitations = await Invitation.find({
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select('-tokenHash')
+    .populate('invitedBy', 'username')
+    .populate('clinic', 'name')
+    .sort({ createdAt: -1 });
+
+  res.json(invitations);
+});
+
+/**
+ * @desc   Revoke a pending invitation
+ * @route  DELETE /api/invitations/:id
+ * @access Private (admin)
+ */
+export const revokeInvitation = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findById(req.params.id);
+
+  if (!invitation) {
+    res.status(404);
+    throw new Error('Invitation not found');
+  }
+
+  invitation.revokedAt = new Date();
+  await invitation.save();
+
+  res.json({ message: 'Invitation revoked' });
+});
+
+/**
+ * @desc   Look up an invitation so the Signup page can show email + role
+ * @route  GET /api/invitations/token/:token
+ * @access Public (requires the invitation token)
+ */
+export const getInvitationByToken = asyncHandler(async (req, res) => {
+  const invitation = await findUsableInvitation(req, res);
+
+  res.json({
+    email: invitation.email,
+    role: invitation.role,
+    expiresAt: invitation.expiresAt,
+  });
+});
+
+/**
+ * @desc   Accept an invitation → create the user and log them in
+ * @route  POST /api/invitations/token/:token/accept
+ * @access Public (requires the invitation token)
+ */
+export const acceptInvitation = asyncHandler(async (req, res) => {
+  const invitation = await findUsableInvitation(req, res);
+  const { username, password } = req.body;
+
+  if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
+    res.status(400);
+    throw new Error('username and password are required');
+  }
+
+  const policyError = checkPassword(password, { username, email: invitation.email });
+  if (policyError) {
+    res.status(400);
+    throw new Error(policyError);
+  }
+
+  const exists = await User.findOne({
+    $or: [{ email: invitation.email }, { username }],
+  });
+  if (exists) {
+    res.status(400);
+    throw new Error('User already exists');
+  }
+
+  // Invitations created before clinics existed join the default clinic
+  const clinic = invitation.clinic || (await Clinic.getDefault())._id;
+
+  // Claim the invitation before creating the account, so two accepts at
+  // the same time cannot both use it
+  const claimed = await Invitation.findOneAndUpdate(
+    { _id: invitation._id, acceptedAt: null, revokedAt: null },
+    { acceptedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) {
+    res.status(409);
+    throw new Error('Invitation has already been used');
+  }
+
+  // Email + role + clinic come from the invitation, not from the request
+  let user;
+  try {
+    user = await User.create({
+      username,
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      clinics: [clinic],
+    });
+  } catch (err) {
+    // The account was not created → the invitation can still be used
+    await Invitation.updateOne({ _id: invitation._id }, { acceptedAt: null });
+    if (err.code === 11000) {
+      res.status(409);
+      throw new Error('User already exists');
+    }
+    throw err;
+  }
+
+  claimed.acceptedBy = user._id;
+  await claimed.save();
+
+  res.status(201).json(await loginResponse(user, req));
+});
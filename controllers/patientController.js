@@ -4,64 +4,493 @@
  * Handles CRUD operations for Patient records.
  *
  * Responsibilities:
- * - Retrieve patient list or a single patient
+ * - Retrieve a searchable, sortable, paginated patient list or a single patient
+ * - Fuzzy lookup (typos, sound-alike names, phone digits, DOB, notes) with
+ *   ranked, highlighted results
  * - Create a new patient
  * - Update patient fields
- * - Delete patient record
+ * - Archive (soft delete) and restore patients
+ * - Purge an archived patient for good, with their appointments and
+ *   attachment files
+ * - Version history: every change is stored with author and field diff;
+ *   single fields can be reverted to an earlier value
+ * - Duplicate detection (same name + DOB, same phone, similar name) on create
+ *   and the admin merge tool
+ * - CSV / JSON / XLSX export with the list filters and a choice of columns
+ * - Detail view: one patient with appointments and a merged timeline of
+ *   visits, attachments, notes and changes
+ * - Structured medical history (own endpoint and permission, versioned like
+ *   the other fields)
+ * - Emergency contacts, guardian / responsible party and insurance; a
+ *   guardian is required while the patient is under 18
+ * - Phone numbers are normalized to E.164 (typed numbers, the first one is
+ *   the primary `phone`); the address is structured
+ * - Clinical notes (own model and controller) show up in the timeline, are
+ *   moved on merge and deleted on purge; so are dental chart snapshots
+ *   (the survivor keeps its own chart unless it has none), treatment
+ *   plans and signed consents
  *
  * Notes:
- * - This controller does NOT filter by user; all patients are shared.
- * - Part 4 could optionally assign patients per user.
+ * - Patients are shared by all staff of a clinic; every query is scoped to
+ *   req.clinicId (set by clinicMiddleware.scopeToClinic), so records of
+ *   other clinics behave as if they did not exist (404).
+ * - Archived patients (deletedAt set) are excluded everywhere except the
+ *   archived list (?archived=true), restore and purge.
  */
 
+import mongoose from "mongoose";
 import Patient from "../models/patient.js";
+import Appointment from "../models/appointmentModel.js";
+import {
+  containsFilter,
+  parsePaging,
+  parseSort,
+  pageResult,
+} from "../utils/listQuery.js";
+import { digitsOf, parseQuery, rankPatient } from "../utils/fuzzySearch.js";
+import { removeUploads } from "../utils/uploads.js";
+import PatientVersion from "../models/patientVersion.js";
+import ClinicalNote from "../models/clinicalNote.js";
+import DentalChart from "../models/dentalChart.js";
+import ChartSnapshot from "../models/chartSnapshot.js";
+import TreatmentPlan from "../models/treatmentPlan.js";
+import PlannedProcedure from "../models/plannedProcedure.js";
+import Consent from "../models/consent.js";
+import { TRACKED_FIELDS, recordVersion } from "../utils/patientHistory.js";
+import { DUPLICATE_REASONS, findDuplicates } from "../utils/duplicates.js";
+import { buildTimeline } from "../utils/patientTimeline.js";
+import { cleanMedicalHistory, combineMedicalHistory } from "../utils/medicalHistory.js";
+import {
+  GUARDIAN_REQUIRED_MESSAGE,
+  cleanContactFields,
+  isMinor,
+} from "../utils/patientContacts.js";
+import { cleanPhoneFields, normalizePhone } from "../utils/phone.js";
+import { cleanAddress, formatAddress } from "../utils/address.js";
+import { hasPermission } from "../config/permissions.js";
+import {
+  EXPORT_FORMATS,
+  exportFilename,
+  selectColumns,
+  streamExport,
+} from "../utils/exporter.js";
+
+// Fields the list can be sorted by (?sort=name, ?sort=-createdAt, ...)
+const SORT_FIELDS = [
+  "name",
+  "email",
+  "phone",
+  "dateOfBirth",
+  "createdAt",
+  "updatedAt",
+  "deletedAt",
+];
+
+// Filter for patients that are not archived (missing field counts as active)
+const ACTIVE = { deletedAt: null };
+
+/**
+ * Request body without fields the client must not set directly, with
+ * contacts, phone numbers and address cleaned. `current` is the stored
+ * patient on updates.
+ */
+const patientFields = (body, current = null) => {
+  const fields = { ...body };
+  delete fields.clinic;
+  delete fields.searchIndex;
+  delete fields.deletedAt;
+  delete fields.deletedBy;
+  delete fields.confirmDuplicate;
+  delete fields.medicalHistory; // PUT /:id/medical-history (patients:medical)
+  if ("address" in fields) fields.address = cleanAddress(fields.address);
+  return cleanPhoneFields(cleanContactFields(fields), current);
+};
+
+/**
+ * One line out of a mongoose ValidationError (all failing fields).
+ */
+const validationMessage = (err) =>
+  Object.values(err.errors || {}).map((e) => e.message).join("; ") || err.message;
+
+/**
+ * Update validators only see the updated paths, so "guardian required for
+ * minors" is checked here against the record as it will be after the update.
+ */
+const guardianMissing = (patient) => isMinor(patient.dateOfBirth) && !patient.guardian;
+
+/**
+ * Writes a history version. The change itself is already saved, so a failed
+ * history write is logged instead of failing the request.
+ */
+const track = async (options) => {
+  try {
+    await recordVersion(options);
+  } catch (err) {
+    console.error("Patient history write failed:", err);
+  }
+};
+
+/**
+ * Duplicate-email message; points to the archive when the clash is there.
+ */
+const duplicateEmailMessage = async (req, email) => {
+  const archived = await Patient.exists({
+    clinic: req.clinicId,
+    email: String(email ?? "").toLowerCase(),
+    deletedAt: { $ne: null },
+  });
+  return archived
+    ? "An archived patient with this email exists in this clinic. Restore it instead."
+    : "A patient with this email already exists in this clinic.";
+};
+
+const isArchivedList = (req) => req.query.archived === "true";
+
+// "Contains" matcher on the digits of a phone query ("(212) 555" → /212555/),
+// null when there are too few digits to be a number
+const phoneFilter = (value) => {
+  const digits = digitsOf(value);
+  return digits.length >= 3 ? containsFilter(digits) : null;
+};
+
+/**
+ * Builds the Mongo filter for GET /api/patients from the query string.
+ *
+ * - q                 : matches name, email or any phone number (contains,
+ *                       case-insensitive; phones by digits)
+ * - name, email, phone: per-field "contains" filters
+ * - dobFrom, dobTo    : date of birth range (YYYY-MM-DD, inclusive)
+ * - archived=true     : archived patients instead of active ones
+ */
+const buildPatientFilter = (req) => {
+  const { q, name, email, phone, dobFrom, dobTo } = req.query;
+  const filter = {
+    clinic: req.clinicId,
+    deletedAt: isArchivedList(req) ? { $ne: null } : null,
+  };
+
+  if (q && String(q).trim()) {
+    const re = containsFilter(q);
+    filter.$or = [{ name: re }, { email: re }];
+    const digits = phoneFilter(q);
+    if (digits) filter.$or.push({ "phones.number": digits });
+  }
+
+  if (name) filter.name = containsFilter(name);
+  if (email) filter.email = containsFilter(email);
+  if (phone) filter["phones.number"] = phoneFilter(phone) || containsFilter(phone);
+
+  const from = dobFrom ? new Date(dobFrom) : null;
+  const to = dobTo ? new Date(dobTo) : null;
+  if ((from && !isNaN(from)) || (to && !isNaN(to))) {
+    filter.dateOfBirth = {};
+    if (from && !isNaN(from)) filter.dateOfBirth.$gte = from;
+    if (to && !isNaN(to)) filter.dateOfBirth.$lte = to;
+  }
+
+  return filter;
+};
+
+/**
+ * @desc   Search / sort / paginate patients of the current clinic
+ * @route  GET /api/patients?q=&page=&limit=&sort=&name=&email=&phone=&dobFrom=&dobTo=&archived=
+ * @access Private
+ *
+ * Response: { items, total, page, pages }
+ * - page  : 1-based (default 1)
+ * - limit : page size (default 10, max 100)
+ * - sort  : one of SORT_FIELDS, "-" prefix for descending (default -createdAt,
+ *           archived list: -deletedAt)
+ */
+export const getPatients = async (req, res, next) => {
+  try {
+    const archived = isArchivedList(req);
+    const filter = buildPatientFilter(req);
+    const paging = parsePaging(req.query);
+    // newest first / most recently archived first
+    const sort = parseSort(req.query.sort, SORT_FIELDS, archived ? "-deletedAt" : "-createdAt");
+
+    let query = Patient.find(filter).sort(sort).skip(paging.skip).limit(paging.limit);
+    if (archived) query = query.populate("deletedBy", "username");
+
+    const [items, total] = await Promise.all([
+      query,
+      Patient.countDocuments(filter),
+    ]);
+
+    res.json(pageResult(items, total, paging));
+  } catch (e) {
+    next(e);
+  }
+};
+
+// Columns of the patient export (?columns=name,email,...; default all)
+const PATIENT_EXPORT_COLUMNS = [
+  { key: "id", label: "ID", value: (p) => p._id },
+  { key: "name", label: "Name" },
+  { key: "email", label: "Email" },
+  { key: "phone", label: "Phone (primary)" },
+  {
+    key: "phones",
+    label: "All phone numbers",
+    value: (p) => p.phones?.map((n) => `${n.type}: ${n.number}`).join("; "),
+  },
+  { key: "dateOfBirth", label: "Date of birth", type: "date" },
+  { key: "address", label: "Address", value: (p) => formatAddress(p.address) },
+  { key: "street", label: "Street", value: (p) => p.address?.street },
+  { key: "city", label: "City", value: (p) => p.address?.city },
+  { key: "region", label: "State / region", value: (p) => p.address?.region },
+  { key: "postalCode", label: "Postal code", value: (p) => p.address?.postalCode },
+  { key: "country", label: "Country", value: (p) => p.address?.country },
+  { key: "notes", label: "Notes" },
+  {
+    key: "emergencyContact",
+    label: "Emergency contact",
+    value: (p) => p.emergencyContacts?.map((c) => `${c.name} ${c.phone}`).join("; "),
+  },
+  { key: "guardianName", label: "Guardian", value: (p) => p.guardian?.name },
+  { key: "guardianPhone", label: "Guardian phone", value: (p) => p.guardian?.phone },
+  { key: "insuranceCarrier", label: "Insurance carrier", value: (p) => p.insurance?.primary?.carrier },
+  { key: "insuranceMemberId", label: "Insurance member ID", value: (p) => p.insurance?.primary?.memberId },
+  { key: "insuranceGroup", label: "Insurance group", value: (p) => p.insurance?.primary?.groupNumber },
+  { key: "attachments", label: "Attachments", value: (p) => p.attachments?.length || 0 },
+  { key: "createdAt", label: "Created", type: "datetime" },
+  { key: "updatedAt", label: "Updated", type: "datetime" },
+  { key: "deletedAt", label: "Archived", type: "datetime" },
+];
+
+/**
+ * @desc   Download patients as CSV, JSON or XLSX
+ * @route  GET /api/patients/export?format=&columns=&sort=&<list filters>
+ * @access Private (patients:export)
+ *
+ * - format : csv (default), json or xlsx
+ * - columns: comma-separated keys of PATIENT_EXPORT_COLUMNS (default all)
+ * - q, name, email, phone, dobFrom, dobTo, archived, sort: as GET /api/patients
+ *   (no paging: every matching patient is exported)
+ *
+ * Rows are streamed from a cursor, so the size of the export does not
+ * matter for server memory.
+ */
+export const exportPatients = async (req, res, next) => {
+  try {
+    const format = req.query.format || "csv";
+    if (!EXPORT_FORMATS[format]) {
+      res.status(400);
+      throw new Error("format must be csv, json or xlsx");
+    }
+
+    const { columns, error } = selectColumns(req.query.columns, PATIENT_EXPORT_COLUMNS);
+    if (error) {
+      res.status(400);
+      throw new Error(error);
+    }
+
+    const archived = isArchivedList(req);
+    const sort = parseSort(req.query.sort, SORT_FIELDS, archived ? "-deletedAt" : "-createdAt");
+    const cursor = Patient.find(buildPatientFilter(req))
+      .sort(sort)
+      .allowDiskUse(true)
+      .lean()
+      .cursor();
+
+    await streamExport({
+      res,
+      cursor,
+      columns,
+      format,
+      filename: exportFilename(archived ? "patients-archived" : "patients", format),
+      sheetName: "Patients",
+    });
+  } catch (e) {
+    next(e);
+  }
+};
+
+// Upper bound of documents scored in memory per search
+const SEARCH_CANDIDATES = 200;
 
 /**
- * @desc   Get all patients
- * @route  GET /api/patients
+ * @desc   Fuzzy patient lookup for the front desk
+ * @route  GET /api/patients/search?q=&limit=
  * @access Private
+ *
+ * Candidates come from two indexed queries, merged:
+ * - the text index (name / email / notes, stemmed words)
+ * - searchIndex keys: shared name/email trigrams or sound codes, phone
+ *   digits (dashes ignored) and an exact date of birth
+ * and are then scored field by field (utils/fuzzySearch.js).
+ *
+ * Response: { q, results: [{ patient, score, matches }] }, best first.
+ * matches[0] is the best field: { field, value, ranges, score } where
+ * ranges are [start, end) pairs in `value` to highlight.
  */
-export const getPatients = async (_req, res, next) => {
+export const searchPatients = async (req, res, next) => {
   try {
-    const list = await Patient.find().sort({ createdAt: -1 }); // newest first
-    res.json(list);
+    const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    const { limit } = parsePaging(req.query, { defaultLimit: 20, maxLimit: 50 });
+
+    if (!q) return res.json({ q, results: [] });
+
+    const query = parseQuery(q);
+    const fuzzy = [];
+    if (query.trigrams.length) fuzzy.push({ "searchIndex.trigrams": { $in: query.trigrams } });
+    if (query.phonetics.length) fuzzy.push({ "searchIndex.phonetics": { $in: query.phonetics } });
+    if (query.digits) fuzzy.push({ "searchIndex.phoneDigits": new RegExp(query.digits) });
+    if (query.dob) fuzzy.push({ dateOfBirth: { $gte: query.dob[0], $lt: query.dob[1] } });
+
+    // $text cannot sit inside an $or with non-text clauses → separate query
+    const [textHits, fuzzyHits] = await Promise.all([
+      Patient.find(
+        { clinic: req.clinicId, ...ACTIVE, $text: { $search: q } },
+        { score: { $meta: "textScore" } }
+      )
+        .sort({ score: { $meta: "textScore" } })
+        .limit(SEARCH_CANDIDATES)
+        .lean(),
+      fuzzy.length
+        ? Patient.find({ clinic: req.clinicId, ...ACTIVE, $or: fuzzy })
+            .limit(SEARCH_CANDIDATES)
+            .lean()
+        : [],
+    ]);
+
+    const candidates = new Map();
+    for (const p of [...textHits, ...fuzzyHits]) {
+      delete p.score; // textScore projection, not a patient field
+      if (!candidates.has(String(p._id))) candidates.set(String(p._id), p);
+    }
+
+    const results = [];
+    for (const patient of candidates.values()) {
+      const ranked = rankPatient(query, patient);
+      if (ranked) results.push({ patient, ...ranked });
+    }
+
+    results.sort(
+      (a, b) => b.score - a.score || a.patient.name.localeCompare(b.patient.name)
+    );
+
+    res.json({ q, results: results.slice(0, limit) });
   } catch (e) {
     next(e);
   }
 };
 
+// Most recent history versions merged into the detail timeline
+const TIMELINE_VERSIONS = 200;
+
 /**
  * @desc   Get a single patient by id
- * @route  GET /api/patients/:id
+ * @route  GET /api/patients/:id?include=timeline
  * @access Private
+ *
+ * With include=timeline (patient detail page) the response also has:
+ * - appointments: all of the patient's appointments, newest first (only
+ *   with appointments:read, otherwise empty)
+ * - timeline    : appointments, attachments, notes, signed clinical notes
+ *   (only with notes:read) and recorded changes in one list, newest first
+ *   (see utils/patientTimeline.js)
  */
 export const getPatient = async (req, res, next) => {
   try {
-    const p = await Patient.findById(req.params.id);
+    const p = await Patient.findOne({ _id: req.params.id, clinic: req.clinicId, ...ACTIVE });
     if (!p) {
       res.status(404);
       throw new Error("Patient not found");
     }
-    res.json(p);
+    if (req.query.include !== "timeline") return res.json(p);
+
+    // Appointments only for users who may see them
+    const withAppointments = hasPermission(req.user.role, "appointments:read");
+    const withNotes = hasPermission(req.user.role, "notes:read");
+    const [appointments, versions, clinicalNotes] = await Promise.all([
+      withAppointments
+        ? Appointment.find({ clinic: req.clinicId, patientId: p._id })
+            .populate("user", "username")
+            .sort({ date: -1, time: -1 })
+            .lean()
+        : [],
+      PatientVersion.find({ clinic: req.clinicId, patient: p._id })
+        .sort({ version: -1 })
+        .limit(TIMELINE_VERSIONS)
+        .lean(),
+      withNotes
+        ? ClinicalNote.find({ clinic: req.clinicId, patient: p._id, status: "signed" })
+            .select("template appointmentLabel authorName createdAt amendments.createdAt")
+            .sort({ createdAt: -1 })
+            .limit(TIMELINE_VERSIONS)
+            .lean()
+        : [],
+    ]);
+
+    res.json({
+      ...p.toJSON(),
+      appointments,
+      timeline: buildTimeline({ patient: p, appointments, versions, clinicalNotes }),
+    });
   } catch (e) {
     next(e);
   }
 };
 
+/**
+ * Duplicate candidates as sent to the client.
+ */
+const duplicateList = (duplicates) =>
+  duplicates.map(({ patient, reasons }) => ({
+    _id: patient._id,
+    name: patient.name,
+    email: patient.email,
+    phone: patient.phone,
+    dateOfBirth: patient.dateOfBirth,
+    reasons: reasons.map((r) => ({ code: r, label: DUPLICATE_REASONS[r] })),
+  }));
+
 /**
  * @desc   Create a new patient
  * @route  POST /api/patients
  * @access Private
+ *
+ * Responds 409 { message, duplicates } when the patient looks like an
+ * existing one; send confirmDuplicate: true to create anyway.
  */
 export const createPatient = async (req, res, next) => {
   try {
-    const created = await Patient.create(req.body);
+    const fields = patientFields(req.body);
+
+    // Checked on the cleaned fields: the primary phone in E.164, whether
+    // the client sent `phones` or a single `phone`
+    if (req.body.confirmDuplicate !== true) {
+      const duplicates = await findDuplicates({
+        clinic: req.clinicId,
+        name: fields.name,
+        dateOfBirth: fields.dateOfBirth,
+        phone: fields.phone || undefined,
+      });
+      if (duplicates.length) {
+        return res.status(409).json({
+          message: "This patient may already exist. Review the possible duplicates.",
+          duplicates: duplicateList(duplicates),
+        });
+      }
+    }
+
+    const created = await Patient.create({
+      ...fields,
+      clinic: req.clinicId,
+    });
+    await track({ patient: created, before: null, action: "create", user: req.user });
     res.status(201).json(created);
   } catch (e) {
+    if (e.name === "ValidationError") {
+      res.status(400);
+      return next(new Error(validationMessage(e)));
+    }
     // Handle duplicate email (MongoDB error code 11000)
     if (e.code === 11000 && e.keyPattern && e.keyPattern.email) {
       res.status(400);
-      return next(new Error("A patient with this email already exists."));
+      return next(new Error(await duplicateEmailMessage(req, req.body.email)));
     }
     next(e);
   }
@@ -75,43 +504,563 @@ export const createPatient = async (req, res, next) => {
  */
 export const updatePatient = async (req, res, next) => {
   try {
-    const updated = await Patient.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const filter = { _id: req.params.id, clinic: req.clinicId, ...ACTIVE };
+
+    // Previous values, for the history diff
+    const before = await Patient.findOne(filter).lean();
+    if (!before) {
+      res.status(404);
+      throw new Error("Patient not found");
+    }
+
+    const fields = patientFields(req.body, before);
+    if (guardianMissing({ ...before, ...fields })) {
+      res.status(400);
+      throw new Error(GUARDIAN_REQUIRED_MESSAGE);
+    }
 
+    const updated = await Patient.findOneAndUpdate(filter, fields, {
+      new: true,
+      runValidators: true,
+    });
     if (!updated) {
       res.status(404);
       throw new Error("Patient not found");
     }
 
+    await track({ patient: updated, before, action: "update", user: req.user });
     res.json(updated);
   } catch (e) {
+    if (e.name === "ValidationError") {
+      res.status(400);
+      return next(new Error(validationMessage(e)));
+    }
     if (e.code === 11000 && e.keyPattern && e.keyPattern.email) {
       res.status(400);
-      return next(new Error("A patient with this email already exists."));
+      return next(new Error(await duplicateEmailMessage(req, req.body.email)));
     }
     next(e);
   }
 };
 
+/**
+ * @desc   Replace the structured medical history of a patient
+ * @route  PUT /api/patients/:id/medical-history
+ *         { allergies, medications, conditions, anesthesiaReactions,
+ *           pregnant, pregnancyDueDate, reviewed }
+ * @access Private (patients:medical)
+ *
+ * - Lists are replaced as a whole; rows without a name are dropped
+ * - reviewed: true stamps lastReviewedAt / lastReviewedBy (the history was
+ *   gone through with the patient); otherwise the last review is kept
+ * - Recorded in the version history as a change of medicalHistory
+ */
+export const updateMedicalHistory = async (req, res, next) => {
+  try {
+    const filter = { _id: req.params.id, clinic: req.clinicId, ...ACTIVE };
+    const before = await Patient.findOne(filter).lean();
+    if (!before) {
+      res.status(404);
+      throw new Error("Patient not found");
+    }
+
+    const history = cleanMedicalHistory(req.body);
+    if (req.body.reviewed === true) {
+      history.lastReviewedAt = new Date();
+      history.lastReviewedBy = req.user.username;
+    } else {
+      history.lastReviewedAt = before.medicalHistory?.lastReviewedAt;
+      history.lastReviewedBy = before.medicalHistory?.lastReviewedBy;
+    }
+
+    // Only the history is written and validated: a record that other rules
+    // now reject (e.g. a minor saved before guardians were required) keeps
+    // its medical history editable
+    const updated = await Patient.findOneAndUpdate(
+      filter,
+      { medicalHistory: history },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      res.status(404);
+      throw new Error("Patient not found");
+    }
+
+    await track({ patient: updated, before, action: "update", user: req.user });
+    res.json(updated);
+  } catch (e) {
+    if (e.name === "ValidationError") {
+      res.status(400);
+      return next(new Error(validationMessage(e)));
+    }
+    next(e);
+  }
+};
 
 /**
- * @desc   Delete a patient
+ * @desc   Archive a patient (soft delete)
  * @route  DELETE /api/patients/:id
- * @access Private
+ * @access Private (patients:delete)
+ *
+ * The record, its appointments and attachments are kept; the patient just
+ * disappears from lists and lookups until restored.
  */
 export const deletePatient = async (req, res, next) => {
   try {
-    const deleted = await Patient.findByIdAndDelete(req.params.id);
+    const archived = await Patient.findOneAndUpdate(
+      { _id: req.params.id, clinic: req.clinicId, ...ACTIVE },
+      { deletedAt: new Date(), deletedBy: req.user._id },
+      { new: true }
+    );
+
+    if (!archived) {
+      res.status(404);
+      throw new Error("Patient not found");
+    }
+
+    await track({ patient: archived, before: archived, action: "archive", user: req.user });
+    res.json({ message: "Patient archived" });
+  } catch (e) {
+    next(e);
+  }
+};
+
+/**
+ * Finds an archived patient of the current clinic or responds 404.
+ */
+const findArchived = async (req, res) => {
+  const patient = await Patient.findOne({
+    _id: req.params.id,
+    clinic: req.clinicId,
+    deletedAt: { $ne: null },
+  });
+  if (!patient) {
+    res.status(404);
+    throw new Error("Archived patient not found");
+  }
+  return patient;
+};
+
+/**
+ * @desc   Restore an archived patient
+ * @route  POST /api/patients/:id/restore
+ * @access Private (patients:restore)
+ */
+export const restorePatient = async (req, res, next) => {
+  try {
+    // Only the archive fields are written: records that rules added since
+    // they were archived now reject (e.g. a minor without a guardian) can
+    // still be restored and then completed
+    const patient = await Patient.findOneAndUpdate(
+      { _id: req.params.id, clinic: req.clinicId, deletedAt: { $ne: null } },
+      { deletedAt: null, deletedBy: null },
+      { new: true }
+    );
+    if (!patient) {
+      res.status(404);
+      throw new Error("Archived patient not found");
+    }
+
+    await track({ patient, before: patient, action: "restore", user: req.user });
+
+    res.json(patient);
+  } catch (e) {
+    next(e);
+  }
+};
+
+/**
+ * @desc   Permanently delete an archived patient
+ * @route  DELETE /api/patients/:id/purge
+ * @access Private (patients:purge)
+ *
+ * Also deletes the patient's appointments, clinical notes, dental chart
+ * with its snapshots, treatment plans, signed consents and attachment files
+ * (including the consent PDFs). Only archived patients can be purged, so a
+ * purge is always a second, deliberate step.
+ */
+export const purgePatient = async (req, res, next) => {
+  try {
+    const patient = await findArchived(req, res);
+
+    const { deletedCount: appointmentsDeleted } = await Appointment.deleteMany({
+      patientId: patient._id,
+      clinic: req.clinicId,
+    });
+
+    await PatientVersion.deleteMany({ patient: patient._id });
+    await ClinicalNote.deleteMany({ patient: patient._id, clinic: req.clinicId });
+    await DentalChart.deleteMany({ patient: patient._id, clinic: req.clinicId });
+    await ChartSnapshot.deleteMany({ patient: patient._id, clinic: req.clinicId });
+    await PlannedProcedure.deleteMany({ patient: patient._id, clinic: req.clinicId });
+    await TreatmentPlan.deleteMany({ patient: patient._id, clinic: req.clinicId });
+    await Consent.deleteMany({ patient: patient._id, clinic: req.clinicId });
+    await patient.deleteOne();
+
+    // Files last: a failed unlink must not leave a half-deleted record
+    let filesDeleted = 0;
+    try {
+      filesDeleted = await removeUploads(patient.attachments.map((a) => a.filename));
+    } catch (err) {
+      console.error("Purge: failed to remove attachment files:", err);
+    }
+
+    res.json({ message: "Patient purged", appointmentsDeleted, filesDeleted });
+  } catch (e) {
+    next(e);
+  }
+};
+
+/**
+ * @desc   Version history of a patient, newest first
+ * @route  GET /api/patients/:id/history?page=&limit=
+ * @access Private (patients:read)
+ *
+ * Works for archived patients too (the archive tab shows their history).
+ * Response: { items: [version], total, page, pages, fields }
+ * - fields: tracked field names, in display order
+ */
+export const getPatientHistory = async (req, res, next) => {
+  try {
+    const exists = await Patient.exists({ _id: req.params.id, clinic: req.clinicId });
+    if (!exists) {
+      res.status(404);
+      throw new Error("Patient not found");
+    }
+
+    const filter = { patient: req.params.id, clinic: req.clinicId };
+    const paging = parsePaging(req.query, { defaultLimit: 20, maxLimit: 100 });
+
+    const [items, total] = await Promise.all([
+      PatientVersion.find(filter)
+        .sort({ version: -1 })
+        .skip(paging.skip)
+        .limit(paging.limit),
+      PatientVersion.countDocuments(filter),
+    ]);
+
+    res.json({ ...pageResult(items, total, paging), fields: TRACKED_FIELDS });
+  } catch (e) {
+    next(e);
+  }
+};
+
+// Versions written before numbers were typed changed `phone` instead of
+// `phones`; those changes can still be reverted
+const REVERTIBLE_FIELDS = [...TRACKED_FIELDS, "phone"];
+
+/**
+ * @desc   Revert one field to the value it had before a given version
+ * @route  POST /api/patients/:id/revert  { versionId, field }
+ * @access Private (patients:update)
+ *
+ * The old value is the `from` side of that version's change of the field.
+ * The revert is itself a new version (action "revert", revertOf = version).
+ */
+export const revertPatientField = async (req, res, next) => {
+  try {
+    const { versionId, field } = req.body;
+
+    if (!REVERTIBLE_FIELDS.includes(field)) {
+      res.status(400);
+      throw new Error("Unknown field");
+    }
+    if (field === "medicalHistory" && !hasPermission(req.user.role, "patients:medical")) {
+      res.status(403);
+      throw new Error("Forbidden: missing permission");
+    }
+
+    const filter = { _id: req.params.id, clinic: req.clinicId, ...ACTIVE };
+    const before = await Patient.findOne(filter).lean();
+    if (!before) {
+      res.status(404);
+      throw new Error("Patient not found");
+    }
+
+    const version = mongoose.isValidObjectId(versionId)
+      ? await PatientVersion.findOne({ _id: versionId, patient: before._id })
+      : null;
+    if (version?.movedFrom?.patient) {
+      res.status(400);
+      throw new Error("Changes of a merged duplicate cannot be reverted");
+    }
+    const change = version?.changes.find((c) => c.field === field);
+    if (!change) {
+      res.status(404);
+      throw new Error("This version did not change that field");
+    }
+    if (guardianMissing({ ...before, [field]: change.from })) {
+      res.status(400);
+      throw new Error(`Cannot revert ${field}: ${GUARDIAN_REQUIRED_MESSAGE}`);
+    }
+
+    let update;
+    if (change.from === null) {
+      update = { $unset: { [field]: 1 } };
+    } else if (field === "phone" || field === "phones") {
+      update = cleanPhoneFields({ [field]: change.from }, before); // keeps both in sync
+    } else {
+      update = { [field]: change.from };
+    }
+
+    let updated;
+    try {
+      updated = await Patient.findOneAndUpdate(filter, update, {
+        new: true,
+        runValidators: true,
+      });
+    } catch (err) {
+      // e.g. reverting a required field to "empty", or an email now taken
+      res.status(400);
+      throw new Error(
+        err.code === 11000
+          ? await duplicateEmailMessage(req, change.from)
+          : `Cannot revert ${field}: ${err.message}`
+      );
+    }
+
+    await track({
+      patient: updated,
+      before,
+      action: "revert",
+      user: req.user,
+      revertOf: version.version,
+    });
+
+    res.json(updated);
+  } catch (e) {
+    next(e);
+  }
+};
+
+/**
+ * @desc   Possible duplicates of a patient being entered (form warning)
+ * @route  POST /api/patients/check-duplicates  { name, dateOfBirth, phone, excludeId? }
+ * @access Private (patients:create)
+ *
+ * POST so that names and birth dates stay out of URLs and access logs.
+ * Response: { duplicates: [{ _id, name, email, phone, dateOfBirth, reasons }] }
+ */
+export const checkDuplicates = async (req, res, next) => {
+  try {
+    const { name, dateOfBirth, phone, excludeId } = req.body;
+    const duplicates = await findDuplicates({
+      clinic: req.clinicId,
+      name,
+      dateOfBirth,
+      phone: normalizePhone(phone) ?? undefined,
+      excludeId: mongoose.isValidObjectId(excludeId) ? excludeId : undefined,
+    });
+    res.json({ duplicates: duplicateList(duplicates) });
+  } catch (e) {
+    next(e);
+  }
+};
+
+/**
+ * @desc   Possible duplicates of an existing patient (merge tool)
+ * @route  GET /api/patients/:id/duplicates
+ * @access Private (patients:merge)
+ */
+export const getPatientDuplicates = async (req, res, next) => {
+  try {
+    const patient = await Patient.findOne({
+      _id: req.params.id,
+      clinic: req.clinicId,
+      ...ACTIVE,
+    }).lean();
+    if (!patient) {
+      res.status(404);
+      throw new Error("Patient not found");
+    }
+
+    const duplicates = await findDuplicates({
+      clinic: req.clinicId,
+      name: patient.name,
+      dateOfBirth: patient.dateOfBirth,
+      phone: patient.phone,
+      excludeId: patient._id,
+    });
+    res.json({ duplicates: duplicateList(duplicates) });
+  } catch (e) {
+    next(e);
+  }
+};
+
+/**
+ * @desc   Merge a duplicate patient into this one (the survivor)
+ * @route  POST /api/patients/:id/merge  { duplicateId, fields }
+ * @access Private (patients:merge)
+ *
+ * - fields: { [trackedField]: "survivor" | "duplicate" } — which record's
+ *   value to keep (default "survivor"); notes, phones and
+ *   emergencyContacts also accept "both"
+ * - Medical histories are always combined (no allergy or medication of
+ *   either record is dropped)
+ * - All appointments of the duplicate move to the survivor, and every
+ *   appointment's patientName is updated to the surviving name
+ * - The duplicate's attachments are moved (files stay where they are)
+ * - The duplicate and its history are deleted; the survivor's history gets
+ *   a "merge" version holding the duplicate's last values
+ */
+export const mergePatients = async (req, res, next) => {
+  try {
+    const { duplicateId, fields = {} } = req.body;
 
-    if (!deleted) {
+    if (!mongoose.isValidObjectId(duplicateId) || String(duplicateId) === req.params.id) {
+      res.status(400);
+      throw new Error("Choose a different patient to merge");
+    }
+
+    const [survivor, duplicate] = await Promise.all([
+      Patient.findOne({ _id: req.params.id, clinic: req.clinicId, ...ACTIVE }),
+      Patient.findOne({ _id: duplicateId, clinic: req.clinicId, ...ACTIVE }),
+    ]);
+    if (!survivor || !duplicate) {
       res.status(404);
       throw new Error("Patient not found");
     }
 
-    res.json({ message: "Deleted" });
+    const before = survivor.toObject();
+
+    // Surviving values
+    for (const field of TRACKED_FIELDS.filter((f) => f !== "medicalHistory")) {
+      const choice = fields[field] || "survivor";
+      if (!["survivor", "duplicate", "both"].includes(choice)) {
+        res.status(400);
+        throw new Error(`Invalid choice for ${field}`);
+      }
+
+      if (choice === "duplicate") {
+        survivor[field] = duplicate[field];
+      } else if (choice === "both") {
+        if (field === "notes") {
+          survivor.notes = [survivor.notes, duplicate.notes].filter(Boolean).join("\n\n");
+        } else if (field === "phones") {
+          // The survivor's primary number stays first
+          const numbers = new Set(survivor.phones.map((p) => p.number));
+          survivor.phones.push(
+            ...duplicate.phones.filter((p) => !numbers.has(p.number)).map((p) => p.toObject())
+          );
+        } else if (field === "emergencyContacts") {
+          // Same phone number = same contact
+          const phones = new Set(survivor.emergencyContacts.map((c) => c.phone));
+          survivor.emergencyContacts.push(
+            ...duplicate.emergencyContacts
+              .filter((c) => !phones.has(c.phone))
+              .map((c) => c.toObject())
+          );
+        } else {
+          res.status(400);
+          throw new Error("Only notes, phone numbers and emergency contacts can keep both values");
+        }
+      }
+    }
+
+    survivor.medicalHistory = combineMedicalHistory(
+      survivor.medicalHistory,
+      duplicate.medicalHistory
+    );
+
+    survivor.attachments.push(
+      ...duplicate.attachments.map((a) => {
+        const { _id, ...rest } = a.toObject();
+        return rest;
+      })
+    );
+
+    // Check everything that can fail before touching other records
+    try {
+      await survivor.validate();
+    } catch (err) {
+      res.status(400);
+      throw new Error(err.message);
+    }
+    const emailTaken = await Patient.exists({
+      clinic: req.clinicId,
+      email: survivor.email,
+      _id: { $nin: [survivor._id, duplicate._id] },
+    });
+    if (emailTaken) {
+      res.status(400);
+      throw new Error(await duplicateEmailMessage(req, survivor.email));
+    }
+
+    const { modifiedCount: appointmentsMoved } = await Appointment.updateMany(
+      { patientId: duplicate._id, clinic: req.clinicId },
+      { patientId: survivor._id }
+    );
+    await Appointment.updateMany(
+      { patientId: survivor._id, clinic: req.clinicId },
+      { patientName: survivor.name }
+    );
+    await ClinicalNote.updateMany(
+      { patient: duplicate._id, clinic: req.clinicId },
+      { patient: survivor._id },
+      { timestamps: false }
+    );
+    // Consent PDFs move with the attachments (same stored filename)
+    for (const Model of [ChartSnapshot, TreatmentPlan, PlannedProcedure, Consent]) {
+      await Model.updateMany(
+        { patient: duplicate._id, clinic: req.clinicId },
+        { patient: survivor._id },
+        { timestamps: false }
+      );
+    }
+    if (await DentalChart.exists({ patient: survivor._id })) {
+      await DentalChart.deleteMany({ patient: duplicate._id, clinic: req.clinicId });
+    } else {
+      await DentalChart.updateMany(
+        { patient: duplicate._id, clinic: req.clinicId },
+        { patient: survivor._id },
+        { timestamps: false }
+      );
+    }
+
+    // The duplicate's history moves to the survivor, numbered after the
+    // survivor's own versions (oldest first), so who changed what on the
+    // absorbed record stays visible
+    const movedVersions = await PatientVersion.find({ patient: duplicate._id })
+      .sort({ version: 1 })
+      .select("version")
+      .lean();
+    if (movedVersions.length) {
+      const last = await PatientVersion.findOne({ patient: survivor._id })
+        .sort({ version: -1 })
+        .select("version")
+        .lean();
+      await PatientVersion.bulkWrite(
+        movedVersions.map((v, i) => ({
+          updateOne: {
+            filter: { _id: v._id },
+            update: {
+              patient: survivor._id,
+              version: (last?.version || 0) + i + 1,
+              movedFrom: { patient: duplicate._id, name: duplicate.name, version: v.version },
+            },
+          },
+        }))
+      );
+    }
+
+    // Delete first: the survivor may be taking over the duplicate's email
+    await duplicate.deleteOne();
+    await survivor.save();
+
+    await track({
+      patient: survivor,
+      before,
+      action: "merge",
+      user: req.user,
+      mergedFrom: duplicate,
+    });
+
+    res.json({
+      message: "Patients merged",
+      patient: survivor,
+      appointmentsMoved,
+      attachmentsMoved: duplicate.attachments.length,
+    });
   } catch (e) {
     next(e);
   }
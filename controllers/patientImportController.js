@@ -0,0 +1,307 @@
+/**
+ * patientImportController.js
+ * ---------------------------
+ * Bulk import of patients from a CSV or XLSX file.
+ *
+ * Flow (used by the Dashboard import wizard):
+ * 1. POST /api/patients/import/preview → headers, sample rows and a guessed
+ *    column mapping
+ * 2. POST /api/patients/import (dryRun=true) → validation report without
+ *    saving anything
+ * 3. POST /api/patients/import (dryRun=false) → creates the valid rows and
+ *    returns the same report
+ *
+ * Validation:
+ * - Every row is checked with the Patient model's own validators (required
+ *   fields, email / phone numbers, postal code per country, date of birth
+ *   before today)
+ * - Email must be unique in the clinic and within the file
+ * - Possible duplicates (same name + DOB or same phone, in the clinic or
+ *   earlier in the file) are reported and skipped unless duplicates=import
+ *
+ * Notes:
+ * - The file is sent with every step (memory upload, never stored), so the
+ *   server keeps no import state between steps.
+ * - Rows are numbered like in a spreadsheet: the header is row 1.
+ */
+
+import Patient from "../models/patient.js";
+import { recordVersion } from "../utils/patientHistory.js";
+import { DUPLICATE_REASONS, findDuplicates } from "../utils/duplicates.js";
+import {
+  IMPORT_FIELDS,
+  checkMapping,
+  guessMapping,
+  readSheet,
+  rowToPatient,
+} from "../utils/patientImport.js";
+import { digitsOf, words } from "../utils/fuzzySearch.js";
+
+export const MAX_IMPORT_ROWS = 5000;
+
+const SAMPLE_ROWS = 5;
+
+const LABELS = Object.fromEntries(IMPORT_FIELDS.map((f) => [f.field, f.label]));
+
+/**
+ * Readable message for a mongoose validation error of one field.
+ */
+const validationMessage = (field, err) => {
+  if (err.path === "guardian") return err.message; // a minor without guardian columns
+  if (err.kind === "required" && LABELS[field]) return `${LABELS[field]} is required`;
+  if (field === "email") return "Invalid email address";
+  return err.message;
+};
+
+// Model path → import column ("address.city" → "city", "guardian.phone"
+// → "guardianPhone"); errors of the address as a whole are a missing street
+// or a bad postal code, a missing guardian belongs to the guardian name
+const importField = (path, err) => {
+  if (path === "address") return err.kind === "required" ? "street" : "postalCode";
+  if (path === "guardian") return "guardianName";
+  if (path.startsWith("guardian.")) {
+    const key = path.slice("guardian.".length);
+    return `guardian${key[0].toUpperCase()}${key.slice(1)}`;
+  }
+  return path.startsWith("address.") ? path.slice("address.".length) : path;
+};
+
+/**
+ * Reads the uploaded file or responds 400.
+ */
+const readUpload = async (req, res) => {
+  if (!req.file) {
+    res.status(400);
+    throw new Error("Choose a CSV or XLSX file to import");
+  }
+
+  let sheet;
+  try {
+    sheet = await readSheet(req.file.buffer, req.file.originalname);
+  } catch (err) {
+    res.status(400);
+    throw err;
+  }
+
+  if (!sheet.rows.length) {
+    res.status(400);
+    throw new Error("The file has no data rows");
+  }
+  if (sheet.rows.length > MAX_IMPORT_ROWS) {
+    res.status(400);
+    throw new Error(`Too many rows (${sheet.rows.length}); import at most ${MAX_IMPORT_ROWS} at a time`);
+  }
+  return sheet;
+};
+
+/**
+ * @desc   Read an import file and suggest a column mapping
+ * @route  POST /api/patients/import/preview  (multipart: file)
+ * @access Private (patients:import)
+ *
+ * Response: { headers, sample, totalRows, mapping, fields }
+ * - mapping: { field: columnIndex } guessed from the header names
+ * - fields : importable fields [{ field, label, required }]
+ */
+export const previewImport = async (req, res, next) => {
+  try {
+    const { headers, rows } = await readUpload(req, res);
+
+    res.json({
+      headers,
+      sample: rows.slice(0, SAMPLE_ROWS),
+      totalRows: rows.length,
+      mapping: guessMapping(headers),
+      fields: IMPORT_FIELDS.map(({ field, label, required }) => ({ field, label, required })),
+    });
+  } catch (e) {
+    next(e);
+  }
+};
+
+/**
+ * @desc   Validate and (unless dry run) import patients
+ * @route  POST /api/patients/import
+ *         multipart: file, mapping (JSON { field: columnIndex }),
+ *         dryRun ("true" by default), duplicates ("skip" | "import")
+ * @access Private (patients:import)
+ *
+ * Response:
+ * {
+ *   dryRun, totalRows, valid, created, skipped,
+ *   errors:     [{ row, messages: [{ field, message }], values }],
+ *   duplicates: [{ row, name, reasons, existing: [patient], action }]
+ * }
+ * - valid  : rows that pass validation (and duplicate handling)
+ * - created: rows saved (0 on a dry run)
+ * - skipped: possible duplicates left out (duplicates=skip)
+ */
+export const importPatients = async (req, res, next) => {
+  try {
+    const { headers, rows } = await readUpload(req, res);
+
+    let mapping;
+    try {
+      mapping = JSON.parse(req.body.mapping || "null");
+    } catch {
+      mapping = null;
+    }
+    const mappingError = checkMapping(mapping, headers);
+    if (mappingError) {
+      res.status(400);
+      throw new Error(mappingError);
+    }
+
+    const dryRun = req.body.dryRun !== "false";
+    const importDuplicates = req.body.duplicates === "import";
+
+    const report = {
+      dryRun,
+      totalRows: rows.length,
+      valid: 0,
+      created: 0,
+      skipped: 0,
+      errors: [],
+      duplicates: [],
+    };
+
+    // Emails of the file that already exist in the clinic (incl. archived)
+    const fileEmails = rows
+      .map((r) => String(r[mapping.email] ?? "").trim().toLowerCase())
+      .filter(Boolean);
+    const existing = await Patient.find({ clinic: req.clinicId, email: { $in: fileEmails } })
+      .select("email deletedAt")
+      .lean();
+    const takenEmails = new Map(existing.map((p) => [p.email, !!p.deletedAt]));
+
+    // Earlier rows of the file, for in-file conflicts
+    const seenEmails = new Map();
+    const seenPeople = new Map(); // "name|dob" → row
+    const seenPhones = new Map();
+
+    const toCreate = [];
+
+    for (let i = 0; i < rows.length; i++) {
+      const rowNumber = i + 2; // header is row 1
+      const { fields, errors } = rowToPatient(rows[i], mapping);
+      const values = Object.fromEntries(
+        IMPORT_FIELDS.filter((f) => mapping[f.field] !== undefined && mapping[f.field] !== null)
+          .map((f) => [f.field, String(rows[i][mapping[f.field]] ?? "")])
+      );
+
+      // Same validators as the Patient model (required, patterns, DOB)
+      const doc = new Patient({ ...fields, clinic: req.clinicId });
+      const invalid = doc.validateSync();
+      for (const [path, err] of Object.entries(invalid?.errors || {})) {
+        const field = importField(path, err);
+        if (!errors.some((e) => e.field === field)) {
+          errors.push({ field, message: validationMessage(field, err) });
+        }
+      }
+
+      if (fields.email && !errors.some((e) => e.field === "email")) {
+        if (takenEmails.has(fields.email)) {
+          errors.push({
+            field: "email",
+            message: takenEmails.get(fields.email)
+              ? "An archived patient with this email exists in this clinic"
+              : "A patient with this email already exists in this clinic",
+          });
+        } else if (seenEmails.has(fields.email)) {
+          errors.push({ field: "email", message: `Same email as row ${seenEmails.get(fields.email)}` });
+        }
+      }
+
+      if (errors.length) {
+        report.errors.push({ row: rowNumber, messages: errors, values });
+        continue;
+      }
+      seenEmails.set(fields.email, rowNumber);
+
+      // Possible duplicates: earlier rows of the file, then the clinic
+      const reasons = [];
+      const personKey = `${words(fields.name).map((w) => w.word).sort().join(" ")}|${doc.dateOfBirth.toISOString()}`;
+      const phoneKey = digitsOf(fields.phone);
+      if (seenPeople.has(personKey)) {
+        reasons.push(`Same name and date of birth as row ${seenPeople.get(personKey)}`);
+      }
+      if (seenPhones.has(phoneKey)) {
+        reasons.push(`Same phone as row ${seenPhones.get(phoneKey)}`);
+      }
+      seenPeople.set(personKey, seenPeople.get(personKey) || rowNumber);
+      seenPhones.set(phoneKey, seenPhones.get(phoneKey) || rowNumber);
+
+      const matches = (
+        await findDuplicates({
+          clinic: req.clinicId,
+          name: fields.name,
+          dateOfBirth: doc.dateOfBirth,
+          phone: fields.phone,
+        })
+      ).filter((d) => d.reasons.some((r) => r === "name_dob" || r === "phone"));
+      for (const d of matches) {
+        for (const r of d.reasons) {
+          if (r !== "similar_name") reasons.push(`${DUPLICATE_REASONS[r]} as ${d.patient.name}`);
+        }
+      }
+
+      if (reasons.length) {
+        report.duplicates.push({
+          row: rowNumber,
+          name: fields.name,
+          reasons: [...new Set(reasons)],
+          existing: matches.map(({ patient }) => ({
+            _id: patient._id,
+            name: patient.name,
+            phone: patient.phone,
+            dateOfBirth: patient.dateOfBirth,
+          })),
+          action: importDuplicates ? "import" : "skip",
+        });
+        if (!importDuplicates) {
+          report.skipped++;
+          continue;
+        }
+      }
+
+      report.valid++;
+      toCreate.push({ row: rowNumber, doc, values });
+    }
+
+    if (!dryRun) {
+      for (const { row, doc, values } of toCreate) {
+        try {
+          await doc.save();
+          report.created++;
+        } catch (err) {
+          // e.g. the same email was added by someone else meanwhile
+          report.errors.push({
+            row,
+            messages: [
+              {
+                field: err.code === 11000 ? "email" : "",
+                message:
+                  err.code === 11000
+                    ? "A patient with this email already exists in this clinic"
+                    : err.message,
+              },
+            ],
+            values,
+          });
+          continue;
+        }
+
+        try {
+          await recordVersion({ patient: doc, before: null, action: "create", user: req.user });
+        } catch (err) {
+          console.error("Patient history write failed:", err);
+        }
+      }
+      report.errors.sort((a, b) => a.row - b.row);
+    }
+
+    res.json(report);
+  } catch (e) {
+    next(e);
+  }
+};
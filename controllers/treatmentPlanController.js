@@ -0,0 +1,410 @@
+/**
+ * treatmentPlanController.js
+ * --------------------------
+ * Treatment plans of a patient and their planned procedures
+ * (models/treatmentPlan.js, models/plannedProcedure.js).
+ *
+ * Responsibilities:
+ * - Procedure code catalog for the plan editor
+ * - List / create / rename / delete plans; plans are returned with their
+ *   procedures and totals per phase
+ * - Add, edit and remove planned procedures (code, tooth / surfaces, fee,
+ *   phase, priority, status)
+ * - Book accepted procedures into a new Appointment, with a warning about
+ *   the consent forms the visit needs (utils/consents.js)
+ *
+ * Notes:
+ * - Every query is scoped to req.clinicId; plans of archived patients are
+ *   not found (404).
+ * - Status flow: proposed ⇄ accepted → scheduled (only by booking) →
+ *   completed. Scheduled and completed procedures cannot be edited or
+ *   removed (409); cancel or delete their appointment to release them.
+ */
+
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import TreatmentPlan from "../models/treatmentPlan.js";
+import PlannedProcedure from "../models/plannedProcedure.js";
+import Patient from "../models/patient.js";
+import Appointment from "../models/appointmentModel.js";
+import { toFdi } from "../utils/dentalChart.js";
+import {
+  PROCEDURE_CODES,
+  appointmentReason,
+  catalogEntry,
+  planTotals,
+} from "../utils/treatmentPlans.js";
+import { activeTemplates, consentsRequiredFor } from "../utils/consents.js";
+
+// Status changes allowed through PUT (scheduled is set by booking)
+const STATUS_CHANGES = {
+  proposed: ["accepted", "completed"],
+  accepted: ["proposed", "completed"],
+  scheduled: ["completed"],
+  completed: ["accepted"],
+};
+
+const PROCEDURE_FIELDS = ["code", "description", "tooth", "surfaces", "fee", "phase", "priority"];
+
+/**
+ * Active patient of the caller's clinic (404 otherwise).
+ */
+const findPatient = async (req, res, patientId) => {
+  const patient = mongoose.isValidObjectId(patientId)
+    ? await Patient.findOne({ _id: patientId, clinic: req.clinicId, deletedAt: null })
+    : null;
+  if (!patient) {
+    res.status(404);
+    throw new Error("Patient not found");
+  }
+  return patient;
+};
+
+/**
+ * Plan of the caller's clinic whose patient is not archived (404 otherwise).
+ */
+const findPlan = async (req, res) => {
+  const plan = mongoose.isValidObjectId(req.params.id)
+    ? await TreatmentPlan.findOne({ _id: req.params.id, clinic: req.clinicId })
+    : null;
+  if (!plan || !(await Patient.exists({ _id: plan.patient, deletedAt: null }))) {
+    res.status(404);
+    throw new Error("Treatment plan not found");
+  }
+  return plan;
+};
+
+const findProcedure = async (req, res, plan) => {
+  const procedure = mongoose.isValidObjectId(req.params.procedureId)
+    ? await PlannedProcedure.findOne({ _id: req.params.procedureId, plan: plan._id })
+    : null;
+  if (!procedure) {
+    res.status(404);
+    throw new Error("Procedure not found");
+  }
+  return procedure;
+};
+
+/**
+ * Plan as sent to the client: { ...plan, procedures, totals }.
+ */
+const planResponse = async (plan) => {
+  const procedures = await PlannedProcedure.find({ plan: plan._id })
+    .sort({ phase: 1, createdAt: 1 })
+    .lean();
+  const data = typeof plan.toObject === "function" ? plan.toObject() : plan;
+  return { ...data, procedures, totals: planTotals(procedures) };
+};
+
+/**
+ * Procedure fields of a request body. Description and fee default to the
+ * catalog entry of the code; the tooth may be FDI or, with
+ * numbering: "universal", a Universal number.
+ */
+const procedureFields = (body, res) => {
+  const fields = {};
+  for (const field of PROCEDURE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+
+  if ("code" in fields) {
+    const entry = catalogEntry(fields.code);
+    if (entry) {
+      fields.description = String(fields.description ?? "").trim() || entry.description;
+      if (fields.fee === undefined || fields.fee === "") fields.fee = entry.fee;
+    }
+  }
+  if ("tooth" in fields) {
+    if (fields.tooth === null || fields.tooth === "") {
+      fields.tooth = null;
+    } else {
+      const tooth = toFdi(fields.tooth, body.numbering);
+      if (!tooth) {
+        res.status(400);
+        throw new Error(`Unknown tooth ${fields.tooth}`);
+      }
+      fields.tooth = tooth;
+    }
+  }
+  if ("surfaces" in fields) {
+    fields.surfaces = (Array.isArray(fields.surfaces) ? fields.surfaces : []).map((s) =>
+      String(s).toUpperCase()
+    );
+  }
+  return fields;
+};
+
+/**
+ * First validation problem of a document (plan, procedure, appointment),
+ * or null.
+ */
+const invalidMessage = async (doc) => {
+  if (doc.surfaces?.length && !doc.tooth) return "Surfaces need a tooth";
+  try {
+    await doc.validate();
+    return null;
+  } catch (err) {
+    if (err.name !== "ValidationError") throw err;
+    return Object.values(err.errors)[0]?.message || err.message;
+  }
+};
+
+/**
+ * Saves a document; validation problems are the client's (400).
+ */
+const saveValid = async (doc, res) => {
+  const message = await invalidMessage(doc);
+  if (message) {
+    res.status(400);
+    throw new Error(message);
+  }
+  return doc.save();
+};
+
+/**
+ * @desc   Procedure code catalog
+ * @route  GET /api/treatment-plans/procedure-codes
+ * @access Private (treatment:read)
+ */
+export const getProcedureCodes = (req, res) => {
+  res.json(PROCEDURE_CODES);
+};
+
+/**
+ * @desc   Treatment plans of a patient, newest first
+ * @route  GET /api/treatment-plans?patientId=
+ * @access Private (treatment:read)
+ */
+export const getPlans = asyncHandler(async (req, res) => {
+  const patient = await findPatient(req, res, req.query.patientId);
+  const plans = await TreatmentPlan.find({ clinic: req.clinicId, patient: patient._id })
+    .sort({ createdAt: -1 })
+    .lean();
+  res.json(await Promise.all(plans.map(planResponse)));
+});
+
+/**
+ * @desc   Create a treatment plan
+ * @route  POST /api/treatment-plans
+ * @access Private (treatment:write)
+ *
+ * Body: { patientId, title, notes, procedures?: [procedure fields] }
+ */
+export const createPlan = asyncHandler(async (req, res) => {
+  const { patientId, title, notes, procedures = [] } = req.body;
+  const patient = await findPatient(req, res, patientId);
+
+  const plan = new TreatmentPlan({
+    patient: patient._id,
+    clinic: req.clinicId,
+    title,
+    notes,
+    createdBy: req.user._id,
+    createdByName: req.user.username,
+  });
+  const items = (Array.isArray(procedures) ? procedures : []).map(
+    (body) =>
+      new PlannedProcedure({
+        ...procedureFields(body, res),
+        plan: plan._id,
+        patient: patient._id,
+        clinic: req.clinicId,
+      })
+  );
+
+  // Check everything before saving anything
+  for (const doc of [plan, ...items]) {
+    const message = await invalidMessage(doc);
+    if (message) {
+      res.status(400);
+      throw new Error(message);
+    }
+  }
+  await plan.save();
+  for (const item of items) await item.save();
+
+  res.status(201).json(await planResponse(plan));
+});
+
+/**
+ * @desc   Rename a plan / edit its notes
+ * @route  PUT /api/treatment-plans/:id
+ * @access Private (treatment:write)
+ */
+export const updatePlan = asyncHandler(async (req, res) => {
+  const plan = await findPlan(req, res);
+  if (req.body.title !== undefined) plan.title = req.body.title;
+  if (req.body.notes !== undefined) plan.notes = req.body.notes;
+  await saveValid(plan, res);
+  res.json(await planResponse(plan));
+});
+
+/**
+ * @desc   Delete a plan that has nothing scheduled or completed
+ * @route  DELETE /api/treatment-plans/:id
+ * @access Private (treatment:write)
+ */
+export const deletePlan = asyncHandler(async (req, res) => {
+  const plan = await findPlan(req, res);
+  const booked = await PlannedProcedure.exists({
+    plan: plan._id,
+    status: { $in: ["scheduled", "completed"] },
+  });
+  if (booked) {
+    res.status(409);
+    throw new Error("Plans with scheduled or completed procedures cannot be deleted");
+  }
+
+  await PlannedProcedure.deleteMany({ plan: plan._id });
+  await plan.deleteOne();
+  res.json({ message: "Treatment plan deleted" });
+});
+
+/**
+ * @desc   Add a procedure to a plan
+ * @route  POST /api/treatment-plans/:id/procedures
+ * @access Private (treatment:write)
+ *
+ * Body: { code, description?, tooth?, surfaces?, fee?, phase?, priority?,
+ *         numbering? } → the whole plan
+ */
+export const addProcedure = asyncHandler(async (req, res) => {
+  const plan = await findPlan(req, res);
+  await saveValid(
+    new PlannedProcedure({
+      ...procedureFields(req.body, res),
+      plan: plan._id,
+      patient: plan.patient,
+      clinic: req.clinicId,
+    }),
+    res
+  );
+  res.status(201).json(await planResponse(plan));
+});
+
+/**
+ * @desc   Edit a procedure or change its status
+ * @route  PUT /api/treatment-plans/:id/procedures/:procedureId
+ * @access Private (treatment:write)
+ *
+ * Body: procedure fields and / or status → the whole plan
+ */
+export const updateProcedure = asyncHandler(async (req, res) => {
+  const plan = await findPlan(req, res);
+  const procedure = await findProcedure(req, res, plan);
+  const fields = procedureFields(req.body, res);
+  const { status } = req.body;
+
+  if (Object.keys(fields).length && ["scheduled", "completed"].includes(procedure.status)) {
+    res.status(409);
+    throw new Error("Scheduled or completed procedures cannot be changed");
+  }
+  Object.assign(procedure, fields);
+
+  if (status !== undefined && status !== procedure.status) {
+    if (!(STATUS_CHANGES[procedure.status] || []).includes(status)) {
+      res.status(status === "scheduled" ? 400 : 409);
+      throw new Error(
+        status === "scheduled"
+          ? "Book procedures into an appointment to schedule them"
+          : `A ${procedure.status} procedure cannot be set to ${status}`
+      );
+    }
+    procedure.status = status;
+    procedure.completedAt = status === "completed" ? new Date() : null;
+    if (status !== "completed") procedure.appointment = null;
+  }
+
+  await saveValid(procedure, res);
+  res.json(await planResponse(plan));
+});
+
+/**
+ * @desc   Remove a procedure that is not scheduled or completed
+ * @route  DELETE /api/treatment-plans/:id/procedures/:procedureId
+ * @access Private (treatment:write)
+ */
+export const deleteProcedure = asyncHandler(async (req, res) => {
+  const plan = await findPlan(req, res);
+  const procedure = await findProcedure(req, res, plan);
+  if (["scheduled", "completed"].includes(procedure.status)) {
+    res.status(409);
+    throw new Error("Scheduled or completed procedures cannot be removed");
+  }
+
+  await procedure.deleteOne();
+  res.json(await planResponse(plan));
+});
+
+/**
+ * @desc   Book accepted procedures into a new appointment
+ * @route  POST /api/treatment-plans/:id/schedule
+ * @access Private (treatment:read + appointments:create)
+ *
+ * Body: { procedureIds, date, time } → { appointment, plan, consentsNeeded }.
+ * The appointment reason lists the procedures; they become "scheduled".
+ * consentsNeeded: [{ _id, name }] consent forms to have signed before the
+ * visit.
+ */
+export const scheduleProcedures = asyncHandler(async (req, res) => {
+  const plan = await findPlan(req, res);
+  const { procedureIds, date, time } = req.body;
+
+  if (!date || !time) {
+    res.status(400);
+    throw new Error("date and time are required");
+  }
+  const ids = [...new Set(Array.isArray(procedureIds) ? procedureIds.map(String) : [])];
+  const procedures = ids.every((id) => mongoose.isValidObjectId(id))
+    ? await PlannedProcedure.find({ _id: { $in: ids }, plan: plan._id }).sort({
+        phase: 1,
+        createdAt: 1,
+      })
+    : [];
+  if (!procedures.length || procedures.length !== ids.length) {
+    res.status(400);
+    throw new Error("Select procedures of this plan to schedule");
+  }
+  if (procedures.some((p) => p.status !== "accepted")) {
+    res.status(409);
+    throw new Error("Only accepted procedures can be scheduled");
+  }
+
+  const patient = await findPatient(req, res, plan.patient);
+  const appointment = await saveValid(
+    new Appointment({
+      patientId: patient._id,
+      patientName: patient.name,
+      date,
+      time,
+      reason: appointmentReason(procedures),
+      status: "Scheduled",
+      user: req.user._id,
+      clinic: req.clinicId,
+    }),
+    res
+  );
+
+  // Only procedures still accepted: another booking may have taken some of
+  // them since they were read; then this booking is undone
+  const { modifiedCount } = await PlannedProcedure.updateMany(
+    { _id: { $in: procedures.map((p) => p._id) }, status: "accepted" },
+    { status: "scheduled", appointment: appointment._id }
+  );
+  if (modifiedCount < procedures.length) {
+    await PlannedProcedure.updateMany(
+      { appointment: appointment._id, status: "scheduled" },
+      { status: "accepted", appointment: null }
+    );
+    await appointment.deleteOne();
+    res.status(409);
+    throw new Error("Only accepted procedures can be scheduled");
+  }
+
+  const consentsNeeded = consentsRequiredFor(await activeTemplates(req.clinicId), {
+    codes: procedures.map((p) => p.code),
+    reason: appointment.reason,
+  }).map((t) => ({ _id: t._id, name: t.name }));
+
+  res.status(201).json({ appointment, plan: await planResponse(plan), consentsNeeded });
+});
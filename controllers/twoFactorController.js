@@ -0,0 +1,234 @@
+/**
+ * twoFactorController.js
+ * -----------------------
+ * TOTP two-factor authentication for staff accounts.
+ *
+ * Responsibilities:
+ * - Start enrollment (returns otpauth URI + QR code data URL)
+ * - Confirm enrollment with a first valid code → returns recovery codes
+ * - Disable 2FA (requires password + code, unless the role requires 2FA)
+ * - Regenerate recovery codes
+ * - Finish a 2FA login (challenge token + TOTP or recovery code → session)
+ *
+ * Security:
+ * - Recovery codes are shown once and stored as SHA-256 hashes
+ * - Each recovery code can be used only once; so is each TOTP code (the
+ *   time step of the last accepted code is stored on the user)
+ * - Wrong codes at login count as failed logins (lockout applies)
+ * - Secrets are never returned after enrollment is confirmed
+ */
+
+import asyncHandler from 'express-async-handler';
+import QRCode from 'qrcode';
+import User from '../models/user.js';
+import SecurityPolicy from '../models/securityPolicy.js';
+import {
+  generateSecret,
+  otpauthUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} from '../utils/totp.js';
+import { hashToken, verifyChallengeToken } from '../utils/token.js';
+import { loginResponse } from '../utils/session.js';
+import { sendLoginBlocked } from '../middleware/rateLimitMiddleware.js';
+
+const SECRET_FIELDS =
+  '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+/**
+ * Creates fresh recovery codes on the user and returns the plain values.
+ */
+const resetRecoveryCodes = (user) => {
+  const codes = generateRecoveryCodes();
+  user.twoFactorRecoveryCodes = codes.map((c) => hashToken(normalizeRecoveryCode(c)));
+  return codes;
+};
+
+/**
+ * Checks a TOTP code of the active secret and marks its time step as used.
+ * The step is claimed with a conditional update, so of two requests with
+ * the same code only one succeeds.
+ */
+const useTotp = async (user, code) => {
+  const step = verifyTotp(user.twoFactorSecret, code, user.twoFactorLastUsedStep);
+  if (step === null) return false;
+
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }],
+    },
+    { twoFactorLastUsedStep: step }
+  );
+  return modifiedCount > 0;
+};
+
+/**
+ * Consumes a recovery code: it is removed with a conditional $pull, so of
+ * two requests with the same code only one succeeds.
+ */
+const useRecoveryCode = async (user, recoveryCode) => {
+  const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } }
+  );
+  return modifiedCount > 0;
+};
+
+/**
+ * Checks a TOTP code, or consumes a recovery code when one is given.
+ */
+const checkSecondFactor = (user, { code, recoveryCode }) =>
+  recoveryCode ? useRecoveryCode(user, recoveryCode) : useTotp(user, code);
+
+/**
+ * @desc   Start 2FA enrollment
+ * @route  POST /api/users/2fa/setup
+ * @access Private
+ */
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+  if (user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save();
+
+  const otpauthUrl = otpauthUri(secret, user.email);
+
+  res.json({
+    secret, // for manual entry in the authenticator app
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl),
+  });
+});
+
+/**
+ * @desc   Confirm enrollment with the first code from the app
+ * @route  POST /api/users/2fa/enable
+ * @access Private
+ */
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+  if (!user.twoFactorPendingSecret) {
+    res.status(400);
+    throw new Error('Start two-factor setup first');
+  }
+
+  const step = verifyTotp(user.twoFactorPendingSecret, req.body.code);
+  if (step === null) {
+    res.status(400);
+    throw new Error('Invalid verification code');
+  }
+
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorLastUsedStep = step; // the enrollment code cannot log in
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorEnabled = true;
+  const recoveryCodes = resetRecoveryCodes(user);
+  await user.save();
+
+  res.json({
+    message: 'Two-factor authentication enabled',
+    recoveryCodes, // shown once
+  });
+});
+
+/**
+ * @desc   Turn 2FA off (password + current code required)
+ * @route  POST /api/users/2fa/disable
+ * @access Private
+ */
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+  if (!user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is not enabled');
+  }
+
+  const policy = await SecurityPolicy.getPolicy();
+  if (policy.twoFactorRequiredRoles.includes(user.role)) {
+    res.status(400);
+    throw new Error('Two-factor authentication is required for your role');
+  }
+
+  const { password, code } = req.body;
+  const passwordOk = password && (await user.comparePassword(password));
+  if (!passwordOk || !(await useTotp(user, code))) {
+    res.status(401);
+    throw new Error('Invalid password or verification code');
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorLastUsedStep = undefined;
+  user.twoFactorRecoveryCodes = [];
+  await user.save();
+
+  res.json({ message: 'Two-factor authentication disabled' });
+});
+
+/**
+ * @desc   Replace all recovery codes (current TOTP code required)
+ * @route  POST /api/users/2fa/recovery-codes
+ * @access Private
+ */
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+  if (!user.twoFactorEnabled || !(await useTotp(user, req.body.code))) {
+    res.status(400);
+    throw new Error('Invalid verification code');
+  }
+
+  const recoveryCodes = resetRecoveryCodes(user);
+  await user.save();
+
+  res.json({ recoveryCodes });
+});
+
+/**
+ * @desc   Second login step: exchange challenge token + code for a session
+ * @route  POST /api/users/login/2fa
+ * @access Public (requires the challenge token from /login)
+ */
+export const verifyLoginCode = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  const userId = verifyChallengeToken(challengeToken);
+  if (!userId) {
+    res.status(401);
+    throw new Error('Login expired, please sign in again');
+  }
+
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user || !user.isActive || !user.twoFactorEnabled) {
+    res.status(401);
+    throw new Error('Login expired, please sign in again');
+  }
+
+  const block = user.loginBlock();
+  if (block) return sendLoginBlocked(res, block);
+
+  if (!(await checkSecondFactor(user, { code, recoveryCode }))) {
+    await user.registerFailedLogin();
+
+    const lock = user.loginBlock();
+    if (lock?.status === 423) return sendLoginBlocked(res, lock);
+
+    res.status(401);
+    throw new Error('Invalid verification code');
+  }
+
+  await user.resetLoginAttempts();
+
+  res.json(await loginResponse(user, req));
+});
@@ -4,28 +4,69 @@
  * Handles all user authentication + profile management logic.
  *
  * Responsibilities:
- * - Register new users
+ * - Register new users (only when public registration is enabled)
+ * - Create the first admin on an empty database (bootstrap)
  * - Login existing users
- * - Update logged-in user's profile (username, email, password)
+ * - Update logged-in user's profile (username, email)
+ * - Change password (requires the current password; other sessions are
+ *   signed out afterwards)
+ * - Return the current user's fresh profile + permissions
+ * - Refresh access tokens and log out (revoke the current session)
+ * - Forgot-password / reset-password via an emailed, expiring token
  *
  * Security:
- * - Registration checks for duplicate users
+ * - Registration checks for duplicate users and never accepts a role
+ * - Every new password must satisfy utils/passwordPolicy.js
  * - Login validates password using User.comparePassword()
+ * - Failed logins are counted per account: progressive delay (429), then a
+ *   temporary lockout (423); per-IP throttling is applied in userRoutes.js
+ * - Users with 2FA enabled get a short-lived challenge token instead of a
+ *   session; twoFactorController.verifyLoginCode finishes the login
  * - Profile updates require authentication (req.user injected by authMiddleware)
+ * - Access tokens are short-lived; refresh tokens rotate on every use and are
+ *   stored hashed in the Session collection
  */
 
 import asyncHandler from 'express-async-handler';
 import User from "../models/user.js";
-import { signToken } from "../utils/token.js";
+import Clinic from "../models/clinic.js";
+import {
+  loginResponse,
+  clientUser,
+  rotateSession,
+  findSessionByRefreshToken,
+  revokeUserSessions,
+} from "../utils/session.js";
+import { generateToken, hashToken, signChallengeToken } from "../utils/token.js";
+import { sendMail, clientUrl } from "../utils/mailer.js";
+import { sendLoginBlocked } from "../middleware/rateLimitMiddleware.js";
+import { permissionsForRole } from "../config/permissions.js";
+import { checkPassword, getPasswordPolicy } from "../utils/passwordPolicy.js";
 
 /**
- * @desc   Register a new user
+ * Public self-registration is off unless explicitly enabled.
+ */
+const isPublicRegistrationEnabled = () =>
+  process.env.ALLOW_PUBLIC_REGISTRATION === "true";
+
+/**
+ * @desc   Register a new user (only when public registration is enabled)
  * @route  POST /api/users/register
  * @access Public
+ *
+ * Notes:
+ * - Disabled unless ALLOW_PUBLIC_REGISTRATION=true; staff normally join
+ *   through an admin invitation (see invitationController.js)
+ * - The role is never taken from the request body → default role only
  */
 const register = async (req, res, next) => {
   try {
-    const { username, email, password, role } = req.body;
+    if (!isPublicRegistrationEnabled()) {
+      res.status(403);
+      throw new Error("Public registration is disabled. Ask an administrator for an invitation.");
+    }
+
+    const { username, email, password } = req.body;
 
     // Check if username or email already exists
     const exists = await User.findOne({ $or: [{ email }, { username }] });
@@ -34,21 +75,84 @@ const register = async (req, res, next) => {
       throw new Error("User already exists");
     }
 
-    // Create new user
-    const user = await User.create({ username, email, password, role });
+    const policyError = checkPassword(password, { username, email });
+    if (policyError) {
+      res.status(400);
+      throw new Error(policyError);
+    }
 
-    // Generate JWT
-    const token = signToken({ id: user._id, role: user.role });
+    // Create new user with the default role in the default clinic
+    const clinic = await Clinic.getDefault();
+    const user = await User.create({ username, email, password, clinics: [clinic._id] });
 
-    res.status(201).json({
-      token,
-      user: { id: user._id, username, email, role: user.role },
-    });
+    // Start a session → access token + refresh token
+    res.status(201).json(await loginResponse(user, req));
   } catch (e) {
     next(e);
   }
 };
 
+/**
+ * @desc   Tell the Signup page which registration mode is available
+ * @route  GET /api/users/registration-status
+ * @access Public
+ */
+const registrationStatus = asyncHandler(async (_req, res) => {
+  const needsBootstrap = (await User.countDocuments()) === 0;
+
+  res.json({
+    needsBootstrap,
+    publicRegistration: isPublicRegistrationEnabled(),
+    bootstrapSecretRequired: needsBootstrap && !!process.env.BOOTSTRAP_SECRET,
+  });
+});
+
+/**
+ * @desc   Create the first admin account on an empty database
+ * @route  POST /api/users/bootstrap
+ * @access Public (only while no users exist)
+ *
+ * Notes:
+ * - If BOOTSTRAP_SECRET is set, the request must include the same `secret`
+ * - Also creates the first clinic (optional `clinicName`, default
+ *   "Main Clinic") and assigns the admin to it
+ */
+const bootstrapAdmin = asyncHandler(async (req, res) => {
+  if ((await User.countDocuments()) > 0) {
+    res.status(403);
+    throw new Error('Bootstrap is only available before the first user exists');
+  }
+
+  const { username, email, password, secret, clinicName } = req.body;
+
+  if (process.env.BOOTSTRAP_SECRET && secret !== process.env.BOOTSTRAP_SECRET) {
+    res.status(403);
+    throw new Error('Invalid bootstrap secret');
+  }
+
+  if (!username || !email || !password) {
+    res.status(400);
+    throw new Error('username, email and password are required');
+  }
+
+  const policyError = checkPassword(password, { username, email });
+  if (policyError) {
+    res.status(400);
+    throw new Error(policyError);
+  }
+
+  const clinic = await Clinic.getDefault(clinicName?.trim() || undefined);
+  const user = await User.create({
+    username,
+    email,
+    password,
+    role: 'admin',
+    clinics: [clinic._id],
+  });
+
+  res.status(201).json(await loginResponse(user, req));
+});
+
 /**
  * @desc   Login a user with email OR username
  * @route  POST /api/users/login
@@ -66,24 +170,42 @@ const login = async (req, res, next) => {
       ],
     });
 
+    // Locked / throttled accounts are refused before checking the password
+    const block = user?.loginBlock();
+    if (block) return sendLoginBlocked(res, block);
+
     // Validate credentials
     if (!user || !(await user.comparePassword(password))) {
+      if (user) {
+        await user.registerFailedLogin();
+
+        // This failure triggered the lockout → say so right away
+        const lock = user.loginBlock();
+        if (lock?.status === 423) return sendLoginBlocked(res, lock);
+      }
       res.status(401);
       throw new Error("Invalid credentials");
     }
 
-    // Generate JWT
-    const token = signToken({ id: user._id, role: user.role });
-
-    res.json({
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-      },
-    });
+    // Deactivated accounts cannot start new sessions
+    if (!user.isActive) {
+      res.status(403);
+      throw new Error("Account is deactivated, contact an administrator");
+    }
+
+    // 2FA enabled → password step done, ask for the TOTP code next
+    // (failure counters are kept until the second factor succeeds)
+    if (user.twoFactorEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user._id),
+      });
+    }
+
+    await user.resetLoginAttempts();
+
+    // Start a session → access token + refresh token
+    res.json(await loginResponse(user, req));
   } catch (e) {
     next(e);
   }
@@ -102,15 +224,10 @@ const updateUserProfile = asyncHandler(async (req, res) => {
     throw new Error('User not found');
   }
 
-  // Update allowed fields
+  // Update allowed fields (password changes go through /change-password)
   user.username = req.body.username || user.username;
   user.email = req.body.email || user.email;
 
-  // Change password (if provided)
-  if (req.body.password) {
-    user.password = req.body.password; // will be hashed in pre-save middleware
-  }
-
   const updatedUser = await user.save();
 
   // Return updated profile to frontend
@@ -122,8 +239,244 @@ const updateUserProfile = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc   Change the logged-in user's password
+ * @route  POST /api/users/change-password
+ * @access Private
+ *
+ * Notes:
+ * - Requires the current password, so a stolen access token alone cannot
+ *   take over the account
+ * - Wrong current password answers 400 (not 401, which would log the
+ *   client out)
+ * - Every other session of the user is revoked; the current one stays
+ */
+const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    res.status(400);
+    throw new Error('currentPassword and newPassword are required');
+  }
+
+  const user = await User.findById(req.user._id);
+
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  if (!(await user.comparePassword(currentPassword))) {
+    res.status(400);
+    throw new Error('Current password is incorrect');
+  }
+
+  if (currentPassword === newPassword) {
+    res.status(400);
+    throw new Error('New password must be different from the current one');
+  }
+
+  const policyError = checkPassword(newPassword, user);
+  if (policyError) {
+    res.status(400);
+    throw new Error(policyError);
+  }
+
+  user.password = newPassword; // hashed in pre-save middleware
+  await user.save();
+
+  await revokeUserSessions(user._id, req.sessionId);
+
+  res.json({ message: 'Password changed. Other devices have been signed out.' });
+});
+
+/**
+ * @desc   Password rules, so signup / reset / change forms can show them
+ * @route  GET /api/users/password-policy
+ * @access Public
+ */
+const passwordPolicy = asyncHandler(async (_req, res) => {
+  res.json(getPasswordPolicy());
+});
+
+/**
+ * @desc   Fresh profile of the logged-in user (role, permissions, 2FA state)
+ *         The client calls this on startup / window focus to validate its
+ *         stored token and pick up role changes.
+ * @route  GET /api/users/me
+ * @access Private
+ */
+const getMe = asyncHandler(async (req, res) => {
+  res.json(await clientUser(req.user));
+});
+
+/**
+ * @desc   Effective permissions of the logged-in user
+ * @route  GET /api/users/me/permissions
+ * @access Private
+ */
+const getMyPermissions = asyncHandler(async (req, res) => {
+  res.json({
+    role: req.user.role,
+    permissions: permissionsForRole(req.user.role),
+  });
+});
+
+/**
+ * @desc   Exchange a refresh token for a new access + refresh token pair
+ * @route  POST /api/users/refresh
+ * @access Public (requires a valid refresh token)
+ */
+const refresh = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    res.status(400);
+    throw new Error('Refresh token is required');
+  }
+
+  const session = await findSessionByRefreshToken(refreshToken);
+  if (!session || !session.isActive()) {
+    res.status(401);
+    throw new Error('Session expired, please log in again');
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isActive) {
+    res.status(401);
+    throw new Error('Account not available');
+  }
+
+  // Rotate → the presented refresh token can no longer be used
+  const tokens = await rotateSession(session, user);
+
+  res.json(tokens);
+});
+
+/**
+ * @desc   Log out by revoking the session behind the refresh token
+ * @route  POST /api/users/logout
+ * @access Public (requires the refresh token being logged out)
+ */
+const logout = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (refreshToken) {
+    const session = await findSessionByRefreshToken(refreshToken);
+    if (session && !session.revokedAt) {
+      session.revokedAt = new Date();
+      await session.save();
+    }
+  }
+
+  // Always succeed so the client can clear its local state
+  res.json({ message: 'Logged out' });
+});
+
+/**
+ * @desc   Email a password reset link
+ * @route  POST /api/users/forgot-password
+ * @access Public
+ *
+ * Notes:
+ * - Always answers with the same message so the endpoint cannot be used to
+ *   discover which emails have accounts
+ * - Reset links expire after RESET_TOKEN_MINUTES (default 60)
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email || typeof email !== 'string') {
+    res.status(400);
+    throw new Error('Email is required');
+  }
+
+  const user = await User.findOne({ email: email.toLowerCase() });
+
+  if (user && user.isActive) {
+    const minutes = Number(process.env.RESET_TOKEN_MINUTES) || 60;
+    const token = generateToken();
+
+    user.passwordResetTokenHash = hashToken(token);
+    user.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+    await user.save();
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your MERNPro Dental password',
+        text:
+          `Hi ${user.username},\n\n` +
+          `Use the link below to choose a new password (valid for ${minutes} minutes):\n` +
+          `${clientUrl(`/reset-password?token=${token}`)}\n\n` +
+          `If you did not request this, you can ignore this email.\n`,
+      });
+    } catch (err) {
+      // Do not reveal delivery problems to the caller
+      console.error('Password reset email error:', err);
+    }
+  }
+
+  res.json({
+    message: 'If an account exists for that email, a reset link has been sent.',
+  });
+});
+
+/**
+ * @desc   Set a new password using a reset token
+ * @route  POST /api/users/reset-password
+ * @access Public (requires the emailed token)
+ *
+ * Notes:
+ * - Token is single-use; all existing sessions are revoked afterwards
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || !password || typeof token !== 'string' || typeof password !== 'string') {
+    res.status(400);
+    throw new Error('token and password are required');
+  }
+
+  const user = await User.findOne({
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  });
+
+  if (!user) {
+    res.status(400);
+    throw new Error('Reset link is invalid or has expired');
+  }
+
+  const policyError = checkPassword(password, user);
+  if (policyError) {
+    res.status(400);
+    throw new Error(policyError);
+  }
+
+  user.password = password; // hashed in pre-save middleware
+  user.passwordResetTokenHash = undefined;
+  user.passwordResetExpires = undefined;
+  await user.save();
+
+  // Anyone holding the old password may have logged in → sign out everywhere
+  await revokeUserSessions(user._id);
+
+  res.json({ message: 'Password has been reset. You can now log in.' });
+});
+
 export {
   register,
+  registrationStatus,
+  bootstrapAdmin,
   login,
   updateUserProfile,
+  changePassword,
+  passwordPolicy,
+  getMe,
+  getMyPermissions,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
 };
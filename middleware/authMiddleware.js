@@ -8,8 +8,10 @@
  * - Verifies the token using JWT_SECRET
  * - Decodes user ID from token
  * - Loads the corresponding user from MongoDB (without password)
- * - Attaches user object to req.user
- * - Blocks access when token is missing, invalid, or belongs to a deleted user
+ * - Attaches user object to req.user (and session id to req.sessionId)
+ * - Blocks access when token is missing, invalid, belongs to a deleted or
+ *   deactivated user, or was issued for a session that has since been revoked
+ * - requirePermission() checks the central permission catalog
  *
  * Used in:
  * - User profile updates
@@ -19,6 +21,8 @@
 
 import jwt from "jsonwebtoken";
 import User from "../models/user.js";
+import Session from "../models/session.js";
+import { hasPermission } from "../config/permissions.js";
 
 /**
  * @desc   Middleware to protect routes (requires authentication)
@@ -50,6 +54,19 @@ export const protect = async (req, res, next) => {
       throw new Error("User not found");
     }
 
+    // Deactivated accounts keep their data but lose all access
+    if (!req.user.isActive) {
+      res.status(401);
+      return next(new Error("Not authorized, account deactivated"));
+    }
+
+    // Reject tokens belonging to a logged-out / killed session
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive()) {
+      throw new Error("Session revoked");
+    }
+    req.sessionId = session._id;
+
     // Proceed to protected route
     next();
   } catch {
@@ -59,11 +76,20 @@ export const protect = async (req, res, next) => {
   }
 };
 
-export const requireRole = (...allowedRoles) => {
+/**
+ * @desc   Middleware factory: require ALL listed permissions
+ *         (see config/permissions.js for the role → permission catalog)
+ * @route  Applied after protect(), e.g. requirePermission("patients:delete")
+ * @access Private
+ */
+export const requirePermission = (...permissions) => {
   return (req, res, next) => {
-    if (!req.user || !allowedRoles.includes(req.user.role)) {
-      return res.status(403).json({ message: "Forbidden: insufficient role" });
+    const granted = permissions.every(
+      (p) => req.user && hasPermission(req.user.role, p)
+    );
+    if (!granted) {
+      return res.status(403).json({ message: "Forbidden: missing permission" });
     }
     next();
   };
-};
\ No newline at end of file
+};
@@ -0,0 +1,37 @@
+/**
+ * clinicMiddleware.js
+ * --------------------
+ * Multi-clinic tenancy: decides which clinic a request works in.
+ *
+ * - The client sends the selected clinic in the `X-Clinic-Id` header
+ *   (clinic switcher in the Navbar); without it the user's first clinic
+ *   is used
+ * - The clinic must be one of req.user.clinics, otherwise 403
+ * - Sets req.clinicId; controllers add it to every query and new document
+ *
+ * Used in:
+ * - patientRoutes.js / appointmentRoutes.js (router.use)
+ * - userRoutes.js / invitationRoutes.js (new staff join the admin's
+ *   current clinic)
+ *
+ * Must run after protect().
+ */
+
+export const scopeToClinic = (req, res, next) => {
+  const clinics = (req.user?.clinics || []).map((id) => id.toString());
+
+  if (clinics.length === 0) {
+    return res.status(403).json({
+      message: "No clinic is assigned to your account. Ask an administrator.",
+    });
+  }
+
+  const requested = req.get("X-Clinic-Id");
+
+  if (requested && !clinics.includes(requested)) {
+    return res.status(403).json({ message: "You do not have access to this clinic" });
+  }
+
+  req.clinicId = requested || clinics[0];
+  next();
+};
@@ -0,0 +1,113 @@
+/**
+ * rateLimitMiddleware.js
+ * -----------------------
+ * Simple per-IP throttling for public authentication endpoints.
+ *
+ * Responsibilities:
+ * - Counts requests per client IP in a fixed time window (in memory)
+ * - Answers 429 Too Many Requests with a Retry-After header once the limit
+ *   is reached
+ * - Provides sendRetryLater() / sendLoginBlocked() so controllers can answer
+ *   423 / 429 in the same shape ({ message, retryAfter, retryAt })
+ *
+ * Used in:
+ * - userRoutes.js (login, 2FA login step, register, bootstrap, forgot-password)
+ * - invitationRoutes.js (accept invitation)
+ *
+ * Notes:
+ * - Counters live in process memory, so they reset on restart and are not
+ *   shared between multiple server instances
+ * - Behind a reverse proxy set TRUST_PROXY so req.ip is the real client IP
+ */
+
+/**
+ * @desc   Send a "try again later" response (423 locked / 429 throttled)
+ * @param  {Object} res     - Express response
+ * @param  {Number} status  - 423 or 429
+ * @param  {Date}   until   - When the client may try again
+ * @param  {String} message - Human readable explanation
+ */
+export const sendRetryLater = (res, status, until, message) => {
+  const retryAfter = Math.max(1, Math.ceil((until - Date.now()) / 1000));
+
+  res.set("Retry-After", String(retryAfter));
+  return res.status(status).json({
+    message,
+    retryAfter, // seconds
+    retryAt: new Date(until).toISOString(),
+  });
+};
+
+/**
+ * @desc   Answer a login attempt refused by User.loginBlock()
+ * @param  {Object} res   - Express response
+ * @param  {Object} block - { status: 423 | 429, until: Date }
+ */
+export const sendLoginBlocked = (res, block) =>
+  sendRetryLater(
+    res,
+    block.status,
+    block.until,
+    block.status === 423
+      ? "Account temporarily locked after too many failed login attempts."
+      : "Too many failed login attempts. Please wait before trying again."
+  );
+
+/**
+ * @desc   Create a per-IP rate limiter
+ * @param  {Object} options
+ * @param  {Number} options.windowMs - Window length in milliseconds
+ * @param  {Function} options.max    - Returns requests allowed per window per IP
+ *                                     (read per request, so .env values apply)
+ * @param  {String} options.message  - Message sent when the limit is hit
+ * @returns Express middleware
+ */
+export const rateLimit = ({ windowMs, max, message }) => {
+  const hits = new Map(); // ip → { count, resetAt }
+
+  // Drop finished windows now and then so the map does not grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [ip, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(ip);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const ip = req.ip;
+
+    let entry = hits.get(ip);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(ip, entry);
+    }
+
+    entry.count += 1;
+
+    if (entry.count > max()) {
+      return sendRetryLater(res, 429, entry.resetAt, message);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Shared limiters for authentication endpoints.
+ * Limits can be tuned with LOGIN_IP_LIMIT / REGISTER_IP_LIMIT (per 15 minutes).
+ */
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+
+export const loginLimiter = rateLimit({
+  windowMs: FIFTEEN_MINUTES,
+  max: () => Number(process.env.LOGIN_IP_LIMIT) || 20,
+  message: "Too many login attempts from this network. Please try again later.",
+});
+
+export const registerLimiter = rateLimit({
+  windowMs: FIFTEEN_MINUTES,
+  max: () => Number(process.env.REGISTER_IP_LIMIT) || 10,
+  message: "Too many sign-up attempts from this network. Please try again later.",
+});
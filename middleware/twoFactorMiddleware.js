@@ -0,0 +1,38 @@
+/**
+ * twoFactorMiddleware.js
+ * -----------------------
+ * Enforces the clinic's two-factor authentication policy.
+ *
+ * Responsibilities:
+ * - Blocks users whose role requires 2FA (SecurityPolicy) but who have not
+ *   enrolled yet, so they cannot reach patient data with a password alone
+ *
+ * Used in:
+ * - Routes serving patient data (patients, appointments, clinical notes,
+ *   treatment plans, consents) and account management (users, clinics,
+ *   invitations), after protect
+ *
+ * Notes:
+ * - Profile and /api/users/2fa/* stay reachable so the user can enroll
+ */
+
+import SecurityPolicy from "../models/securityPolicy.js";
+
+/**
+ * @desc   Reject requests from users who still need to enroll in 2FA
+ * @route  Applied after protect() on patient data and account management
+ * @access Private
+ */
+export const enforceTwoFactorPolicy = async (req, res, next) => {
+  try {
+    if (await SecurityPolicy.requiresTwoFactorSetup(req.user)) {
+      res.status(403);
+      return next(
+        new Error("Two-factor authentication is required for your role. Enable it on your profile.")
+      );
+    }
+    next();
+  } catch (e) {
+    next(e);
+  }
+};
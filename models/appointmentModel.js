@@ -8,12 +8,14 @@
  * - Links appointments to a specific patient (patientId)
  * - Stores patientName redundantly for fast access & stable UI display
  * - Links appointment to the authenticated User who created it
+ * - Belongs to the same clinic as its patient
  *
  * Fields:
  * - patientId: ObjectId → references Patient collection
  * - patientName: string copy of patient's name (denormalized)
  * - date, time, reason, status: appointment details
  * - user: ObjectId → references User who owns/created this appointment
+ * - clinic: ObjectId → references Clinic the appointment takes place in
  *
  * Notes:
  * - Status is restricted to 3 values: Scheduled, Completed, Cancelled
@@ -69,6 +71,14 @@ const appointmentSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+
+    // Clinic the appointment belongs to (set from req.clinicId)
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Clinic',
+      required: true,
+      index: true,
+    },
   },
   {
     timestamps: true, // adds createdAt + updatedAt automatically
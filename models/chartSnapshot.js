@@ -0,0 +1,62 @@
+/**
+ * chartSnapshot.js
+ * ----------------
+ * Defines the ChartSnapshot schema: a copy of a patient's dental chart taken
+ * at an appointment, so the state of the teeth can be compared over time.
+ *
+ * Fields:
+ * - patient         : ObjectId → the Patient
+ * - clinic          : ObjectId → the patient's clinic (for scoping)
+ * - appointment     : ObjectId → the visit (one snapshot per appointment;
+ *                     taking it again replaces it)
+ * - appointmentLabel: "2026-10-19 14:30 · Check-up" copy, kept if the
+ *                     appointment is deleted
+ * - teeth           : the chart's teeth at that moment (see
+ *                     models/dentalChart.js)
+ * - takenBy         : ObjectId → User who took the snapshot
+ * - takenByName     : username copy
+ */
+
+import mongoose from "mongoose";
+import { toothSchema } from "./dentalChart.js";
+
+const chartSnapshotSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: true,
+    },
+
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+      required: true,
+    },
+
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      required: true,
+    },
+
+    appointmentLabel: String,
+
+    teeth: [toothSchema],
+
+    takenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    takenByName: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+chartSnapshotSchema.index({ appointment: 1 }, { unique: true });
+chartSnapshotSchema.index({ patient: 1, createdAt: -1 });
+
+export default mongoose.model("ChartSnapshot", chartSnapshotSchema);
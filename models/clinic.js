@@ -0,0 +1,57 @@
+/**
+ * clinic.js
+ * ---------
+ * Defines the Clinic schema (one office of the dental group).
+ *
+ * Responsibilities:
+ * - Every patient and appointment belongs to exactly one clinic
+ * - Users list the clinics they work in (admins may belong to several,
+ *   other staff to one)
+ *
+ * Fields:
+ * - name    : unique display name (e.g. "Downtown Office")
+ * - address : optional postal address
+ * - phone   : optional front-desk phone number
+ *
+ * Notes:
+ * - Clinic.getDefault() returns the oldest clinic, creating one if the
+ *   database has none yet (first-admin bootstrap, public registration,
+ *   migration of pre-tenancy data).
+ */
+
+import mongoose from "mongoose";
+
+const clinicSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+
+    address: {
+      type: String,
+      trim: true,
+    },
+
+    phone: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true, // adds createdAt + updatedAt
+  }
+);
+
+/**
+ * Returns the oldest clinic, creating it (with `name`) if none exists.
+ */
+clinicSchema.statics.getDefault = async function (name = "Main Clinic") {
+  const existing = await this.findOne().sort({ createdAt: 1 });
+  if (existing) return existing;
+  return this.create({ name });
+};
+
+export default mongoose.model("Clinic", clinicSchema);
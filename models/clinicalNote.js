@@ -0,0 +1,111 @@
+/**
+ * clinicalNote.js
+ * ---------------
+ * Defines the ClinicalNote schema: one authored, dated note about a patient,
+ * optionally written for one appointment. Replaces free-text clinical
+ * remarks in Patient.notes, which had no author or date and were
+ * overwritten on every save.
+ *
+ * Fields:
+ * - patient         : ObjectId → the Patient the note is about
+ * - clinic          : ObjectId → the patient's clinic (for scoping)
+ * - appointment     : ObjectId → the visit the note belongs to (optional)
+ * - appointmentLabel: "2026-10-19 14:30 · Cleaning" copy, so the note still
+ *                     says which visit it was about if the appointment is
+ *                     deleted (same idea as appointment.patientName)
+ * - template        : key of utils/noteTemplates.js (general, soap, …)
+ * - sections        : [{ key, label, text }] as written
+ * - status          : draft | signed
+ * - author          : ObjectId → User who wrote the note
+ * - authorName      : username copy (history stays readable if the user is
+ *                     deleted)
+ * - signedAt        : when the author signed the note
+ * - amendments      : corrections after signing, oldest first; each holds
+ *                     the full corrected sections, the reason, who and when
+ *
+ * Notes:
+ * - Drafts can be edited or deleted by their author only.
+ * - Signed notes are never edited: a correction is appended as an
+ *   amendment, and the latest amendment is the current text. The original
+ *   text stays in `sections`.
+ */
+
+import mongoose from "mongoose";
+import { TEMPLATE_KEYS } from "../utils/noteTemplates.js";
+
+const sectionSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    label: { type: String, required: true },
+    text: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+const amendmentSchema = new mongoose.Schema(
+  {
+    sections: [sectionSchema],
+    reason: { type: String, required: [true, "Reason for the amendment is required"], trim: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    authorName: String,
+    createdAt: { type: Date, default: Date.now },
+  }
+);
+
+const clinicalNoteSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: true,
+    },
+
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+      required: true,
+    },
+
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      default: null,
+    },
+
+    appointmentLabel: String,
+
+    template: {
+      type: String,
+      enum: TEMPLATE_KEYS,
+      default: "general",
+    },
+
+    sections: [sectionSchema],
+
+    status: {
+      type: String,
+      enum: ["draft", "signed"],
+      default: "draft",
+    },
+
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    authorName: String,
+
+    signedAt: Date,
+
+    amendments: [amendmentSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Notes panel: one patient's notes, newest first
+clinicalNoteSchema.index({ clinic: 1, patient: 1, createdAt: -1 });
+
+export default mongoose.model("ClinicalNote", clinicalNoteSchema);
@@ -0,0 +1,88 @@
+/**
+ * consent.js
+ * ----------
+ * Defines the Consent schema: one consent form signed by a patient (or
+ * their guardian) for one appointment.
+ *
+ * Fields:
+ * - patient           : ObjectId → the Patient the consent is about
+ * - clinic            : ObjectId → the patient's clinic (for scoping)
+ * - appointment       : ObjectId → the visit the consent is for
+ * - appointmentLabel  : "2026-10-19 14:30 · Extraction" copy (the consent
+ *                       stays readable if the appointment is deleted)
+ * - template          : ObjectId → the ConsentTemplate that was signed
+ * - title, body       : copy of the form as signed
+ * - signerName        : who signed on the screen
+ * - signerRelationship: patient | guardian | other
+ * - signedAt          : when the signature was captured
+ * - witness           : ObjectId → User who handed over the screen
+ * - witnessName       : username copy
+ * - filename          : stored name of the signed PDF, one of the patient's
+ *                       attachments (same file list as uploaded X-rays)
+ *
+ * Notes:
+ * - A form is signed once per appointment (unique appointment + template).
+ * - The PDF is the record: consents are never edited, and their attachment
+ *   cannot be deleted.
+ */
+
+import mongoose from "mongoose";
+
+const consentSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: true,
+    },
+
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+      required: true,
+    },
+
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      required: true,
+    },
+
+    appointmentLabel: String,
+
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ConsentTemplate",
+      required: true,
+    },
+
+    title: { type: String, required: true },
+    body: { type: String, required: true },
+
+    signerName: {
+      type: String,
+      required: [true, "Signer name is required"],
+      trim: true,
+    },
+
+    signerRelationship: {
+      type: String,
+      enum: ["patient", "guardian", "other"],
+      default: "patient",
+    },
+
+    signedAt: { type: Date, default: Date.now },
+
+    witness: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    witnessName: String,
+
+    filename: { type: String, required: true },
+  },
+  { timestamps: true }
+);
+
+consentSchema.index({ appointment: 1, template: 1 }, { unique: true });
+consentSchema.index({ clinic: 1, patient: 1, signedAt: -1 });
+
+const Consent = mongoose.model("Consent", consentSchema);
+export default Consent;
@@ -0,0 +1,79 @@
+/**
+ * consentTemplate.js
+ * ------------------
+ * Defines the ConsentTemplate schema: the text of one consent form of a
+ * clinic (extraction, sedation, …), managed by admins.
+ *
+ * Fields:
+ * - clinic         : ObjectId → the clinic using the form
+ * - name           : title printed on the form, unique per clinic
+ * - body           : consent text the patient reads before signing
+ * - procedureCodes : procedure codes (e.g. D7140) that need this consent
+ *                    when they are booked from a treatment plan
+ * - keywords       : words in an appointment reason (e.g. "extraction")
+ *                    that need this consent
+ * - active         : inactive forms are kept for the consents signed with
+ *                    them but are no longer offered or required
+ * - updatedByName  : username copy of the admin who last changed it
+ *
+ * Notes:
+ * - Signed consents copy name and body (models/consent.js), so editing a
+ *   form never changes what a patient signed.
+ */
+
+import mongoose from "mongoose";
+
+// Trimmed, non-empty, unique entries
+const cleanList = (upper) => (values) => [
+  ...new Set(
+    (values || [])
+      .map((v) => String(v).trim())
+      .map((v) => (upper ? v.toUpperCase() : v.toLowerCase()))
+      .filter(Boolean)
+  ),
+];
+
+const consentTemplateSchema = new mongoose.Schema(
+  {
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+      required: true,
+    },
+
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+    },
+
+    body: {
+      type: String,
+      required: [true, "Consent text is required"],
+      trim: true,
+    },
+
+    procedureCodes: {
+      type: [String],
+      set: cleanList(true),
+    },
+
+    keywords: {
+      type: [String],
+      set: cleanList(false),
+    },
+
+    active: {
+      type: Boolean,
+      default: true,
+    },
+
+    updatedByName: String,
+  },
+  { timestamps: true }
+);
+
+consentTemplateSchema.index({ clinic: 1, name: 1 }, { unique: true });
+
+const ConsentTemplate = mongoose.model("ConsentTemplate", consentTemplateSchema);
+export default ConsentTemplate;
@@ -0,0 +1,80 @@
+/**
+ * dentalChart.js
+ * --------------
+ * Defines the DentalChart schema: the current odontogram of a patient, i.e.
+ * the findings recorded per tooth and surface.
+ *
+ * Fields:
+ * - patient      : ObjectId → the Patient (one chart per patient)
+ * - clinic       : ObjectId → the patient's clinic (for scoping)
+ * - teeth        : charted teeth only (a tooth without findings or note is
+ *                  removed); each { tooth, findings, note, updatedAt,
+ *                  updatedByName }
+ *   - tooth      : FDI code ("11"–"48", primary "51"–"85")
+ *   - findings   : [{ condition, surfaces }] (see utils/dentalChart.js)
+ * - updatedByName: username of the last change (copy, like authorName in
+ *                  patientVersion.js)
+ *
+ * Notes:
+ * - The chart always holds the latest state; ChartSnapshot keeps copies of
+ *   it per appointment for comparison over time.
+ * - toothSchema is shared with models/chartSnapshot.js.
+ */
+
+import mongoose from "mongoose";
+import { CONDITION_KEYS, SURFACES, isToothCode } from "../utils/dentalChart.js";
+
+const findingSchema = new mongoose.Schema(
+  {
+    condition: { type: String, enum: CONDITION_KEYS, required: true },
+    surfaces: [{ type: String, enum: SURFACES }],
+  },
+  { _id: false }
+);
+
+export const toothSchema = new mongoose.Schema(
+  {
+    tooth: {
+      type: String,
+      required: true,
+      validate: { validator: isToothCode, message: "Unknown tooth {VALUE}" },
+    },
+    findings: [findingSchema],
+    note: String,
+    updatedAt: Date,
+    updatedByName: String,
+  },
+  { _id: false }
+);
+
+const dentalChartSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: true,
+    },
+
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+      required: true,
+    },
+
+    teeth: [toothSchema],
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    updatedByName: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dentalChartSchema.index({ patient: 1 }, { unique: true });
+
+export default mongoose.model("DentalChart", dentalChartSchema);
@@ -0,0 +1,90 @@
+/**
+ * invitation.js
+ * -------------
+ * Defines the Invitation schema used for admin-issued staff onboarding.
+ *
+ * Responsibilities:
+ * - Stores the email + preassigned role an admin invited
+ * - Keeps only a SHA-256 hash of the invitation token (raw token goes in the link)
+ * - Tracks whether the invitation was accepted or revoked
+ *
+ * Fields:
+ * - email     : invited address (the new account must use it)
+ * - role      : role the new account receives
+ * - clinic    : ObjectId → clinic the new account joins
+ * - tokenHash : hash of the single-use invitation token
+ * - expiresAt : invitation cannot be accepted after this date
+ * - invitedBy : ObjectId → admin who created the invitation
+ * - acceptedAt / acceptedBy : set once the invitation is used
+ * - revokedAt : set when an admin cancels the invitation
+ */
+
+import mongoose from "mongoose";
+import { ROLES } from "./user.js";
+
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+
+    role: {
+      type: String,
+      enum: ROLES,
+      required: true,
+    },
+
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+    },
+
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // adds createdAt + updatedAt
+  }
+);
+
+/**
+ * An invitation can be used once, before it expires, unless revoked.
+ */
+invitationSchema.methods.isUsable = function () {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+export default mongoose.model("Invitation", invitationSchema);
@@ -2,12 +2,221 @@
  * patient.js
  * ----------
  * Defines the Patient schema for the MERNPro Dental Clinic application.
+ *
+ * Notes:
+ * - Every patient belongs to one clinic; email is unique per clinic, so the
+ *   same person can be registered at two offices of the group.
+ * - Deleting a patient archives it (deletedAt / deletedBy are set); archived
+ *   patients are hidden from normal lists and lookups until restored. Only
+ *   a purge removes the record for good.
+ * - medicalHistory is structured (allergies, medications, conditions,
+ *   anesthesia reactions, pregnancy, last review) so that critical items can
+ *   be shown as alerts; it is edited through its own endpoint
+ *   (PUT /api/patients/:id/medical-history).
+ * - emergencyContacts, guardian (legal guardian / responsible party) and
+ *   insurance (primary / secondary policy) are subdocuments; a guardian is
+ *   required while the patient is under 18.
+ * - Phone numbers are stored in E.164 form ("+12125550199"); `phones` holds
+ *   the typed numbers (mobile / home / work) and `phone` mirrors the first
+ *   one (primary number used by search, duplicates and lists).
+ * - address is structured (street, city, region, postal code, country) with
+ *   a postal-code format check for known countries.
+ * - searchIndex holds fuzzy-search keys (trigrams, sound codes, phone
+ *   digits) derived from name / email / phone; it is rebuilt on every save
+ *   and findOneAndUpdate and never sent to clients (select: false).
  */
 
 import mongoose from "mongoose";
+import { buildSearchIndex } from "../utils/fuzzySearch.js";
+import { GUARDIAN_REQUIRED_MESSAGE, isMinor } from "../utils/patientContacts.js";
+import { PHONE_FORMAT_MESSAGE, PHONE_TYPES, isPhoneNumber } from "../utils/phone.js";
+import { isCountryCode, postalCodeError } from "../utils/address.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Medical history entries (no _id: the lists are replaced as a whole)
+const allergySchema = new mongoose.Schema(
+  {
+    substance: { type: String, required: true, trim: true },
+    reaction: { type: String, trim: true },
+    // mild allergies are listed but not shown as alerts
+    severity: {
+      type: String,
+      enum: ["mild", "moderate", "severe"],
+      default: "moderate",
+    },
+  },
+  { _id: false }
+);
+
+const medicationSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    dose: { type: String, trim: true },
+    // e.g. anticoagulants, bisphosphonates: shown as an alert
+    alert: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const conditionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    notes: { type: String, trim: true },
+    // e.g. bleeding disorder, heart valve: shown as an alert
+    alert: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const anesthesiaReactionSchema = new mongoose.Schema(
+  {
+    agent: { type: String, required: true, trim: true },
+    reaction: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+const medicalHistorySchema = new mongoose.Schema(
+  {
+    allergies: [allergySchema],
+    medications: [medicationSchema],
+    conditions: [conditionSchema],
+    anesthesiaReactions: [anesthesiaReactionSchema],
+
+    // null = unknown / not applicable
+    pregnant: { type: Boolean, default: null },
+    pregnancyDueDate: Date,
+
+    // Set when a staff member confirms the history with the patient
+    lastReviewedAt: Date,
+    lastReviewedBy: String,
+  },
+  { _id: false }
+);
+
+// People to call in an emergency
+const emergencyContactSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: [true, "Emergency contact name is required"], trim: true },
+    relationship: { type: String, trim: true },
+    phone: {
+      type: String,
+      required: [true, "Emergency contact phone is required"],
+      validate: [isPhoneNumber, `Emergency contact phone ${PHONE_FORMAT_MESSAGE}`],
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [EMAIL_PATTERN, "Invalid emergency contact email"],
+    },
+  },
+  { _id: false }
+);
+
+// Legal guardian / responsible party (consent and billing for minors)
+const guardianSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: [true, "Guardian name is required"], trim: true },
+    relationship: {
+      type: String,
+      enum: ["parent", "legal_guardian", "other"],
+      default: "parent",
+    },
+    phone: {
+      type: String,
+      required: [true, "Guardian phone is required"],
+      validate: [isPhoneNumber, `Guardian phone ${PHONE_FORMAT_MESSAGE}`],
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [EMAIL_PATTERN, "Invalid guardian email"],
+    },
+    address: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+// One insurance policy
+const insurancePolicySchema = new mongoose.Schema(
+  {
+    carrier: { type: String, required: [true, "Insurance carrier is required"], trim: true },
+    plan: { type: String, trim: true },
+    memberId: { type: String, required: [true, "Insurance member ID is required"], trim: true },
+    groupNumber: { type: String, trim: true },
+    // Patient's relationship to the policy holder
+    subscriberRelationship: {
+      type: String,
+      enum: ["self", "spouse", "child", "other"],
+      default: "self",
+    },
+    // Policy holder when it is not the patient
+    subscriberName: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+const insuranceSchema = new mongoose.Schema(
+  {
+    primary: { type: insurancePolicySchema, default: null },
+    secondary: {
+      type: insurancePolicySchema,
+      default: null,
+      validate: {
+        validator: function (value) {
+          return !value || !!this.primary;
+        },
+        message: "Secondary insurance needs a primary insurance",
+      },
+    },
+  },
+  { _id: false }
+);
+
+// One typed phone number
+const phoneNumberSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: PHONE_TYPES, default: "mobile" },
+    number: {
+      type: String,
+      required: [true, "Phone number is required"],
+      validate: [isPhoneNumber, `Phone ${PHONE_FORMAT_MESSAGE}`],
+    },
+  },
+  { _id: false }
+);
+
+// Postal address; the postal code is checked against the country on the
+// address path itself (a validator there sees all parts, also on updates)
+const addressSchema = new mongoose.Schema(
+  {
+    street: { type: String, required: [true, "Street is required"], trim: true },
+    city: { type: String, required: [true, "City is required"], trim: true },
+    region: { type: String, trim: true }, // state / province / county
+    postalCode: { type: String, trim: true, uppercase: true },
+    country: {
+      type: String,
+      required: [true, "Country is required"],
+      uppercase: true,
+      validate: [isCountryCode, "Unknown country code (use ISO codes such as US, GB, MX)"],
+    },
+  },
+  { _id: false }
+);
 
 const patientSchema = new mongoose.Schema(
   {
+    // Owning clinic (set by the controller from req.clinicId)
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+      required: true,
+      index: true,
+    },
+
     name: {
       type: String,
       required: true,
@@ -17,15 +226,27 @@ const patientSchema = new mongoose.Schema(
     email: {
       type: String,
       required: true,
-      unique: true,
       lowercase: true,
-      match: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+      match: EMAIL_PATTERN,
     },
 
+    // Primary number = phones[0].number (synced before validation here and
+    // by cleanPhoneFields for updates)
     phone: {
       type: String,
-      required: true,
-      match: /^\d{3}-\d{3}-\d{4}$/,
+      required: [true, "Phone is required"],
+      validate: [isPhoneNumber, `Phone ${PHONE_FORMAT_MESSAGE}`],
+    },
+
+    phones: {
+      type: [phoneNumberSchema],
+      validate: {
+        // Before the pre-validate hook (validateSync) `phone` alone is enough
+        validator: function (phones) {
+          return phones.length > 0 || !!this.phone;
+        },
+        message: "At least one phone number is required",
+      },
     },
 
     dateOfBirth: {
@@ -40,12 +261,42 @@ const patientSchema = new mongoose.Schema(
     },
 
     address: {
-      type: String,
+      type: addressSchema,
       required: true,
+      validate: {
+        validator: (address) => !postalCodeError(address),
+        message: (props) => postalCodeError(props.value),
+      },
     },
 
     notes: String,
 
+    emergencyContacts: [emergencyContactSchema],
+
+    // Required while the patient is under 18 (checked again on updates by
+    // the controller, since update validators do not see dateOfBirth)
+    guardian: {
+      type: guardianSchema,
+      default: null,
+      required: [
+        function () {
+          return isMinor(this.dateOfBirth);
+        },
+        GUARDIAN_REQUIRED_MESSAGE,
+      ],
+    },
+
+    insurance: {
+      type: insuranceSchema,
+      default: null,
+    },
+
+    // Structured medical history (see medicalHistorySchema)
+    medicalHistory: {
+      type: medicalHistorySchema,
+      default: () => ({}),
+    },
+
     // Attachments such as X-rays / reports
     attachments: [
       {
@@ -56,10 +307,83 @@ const patientSchema = new mongoose.Schema(
         uploadedAt: { type: Date, default: Date.now },
       },
     ],
+
+    // Archive (soft delete): set when the patient is deleted, cleared on restore
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // Derived keys for GET /api/patients/search (see utils/fuzzySearch.js)
+    searchIndex: {
+      type: new mongoose.Schema(
+        {
+          trigrams: { type: [String], index: true },
+          phonetics: { type: [String], index: true },
+          phoneDigits: { type: String, index: true },
+        },
+        { _id: false }
+      ),
+      select: false,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Email is unique within a clinic (not across the whole group)
+patientSchema.index({ clinic: 1, email: 1 }, { unique: true });
+
+// Full-text search over name, email and notes (ranked by weight)
+patientSchema.index(
+  { name: "text", email: "text", notes: "text" },
+  { name: "patient_text", weights: { name: 10, email: 5, notes: 1 } }
+);
+
+// phone mirrors the first typed number; a document created with only
+// `phone` (imports, older clients) gets it as its mobile number
+patientSchema.pre("validate", function (next) {
+  if (this.phones?.length) {
+    this.phone = this.phones[0].number;
+  } else if (this.phone) {
+    this.phones = [{ type: "mobile", number: this.phone }];
+  }
+  next();
+});
+
+// Keep searchIndex in sync with the fields it is built from
+patientSchema.pre("save", function (next) {
+  if (this.isNew || this.isModified("name email phone")) {
+    this.searchIndex = buildSearchIndex(this);
+  }
+  next();
+});
+
+patientSchema.pre("findOneAndUpdate", async function () {
+  const update = this.getUpdate() || {};
+  const set = update.$set || update;
+  if (!["name", "email", "phone"].some((f) => set[f] !== undefined)) return;
+
+  // Partial updates: fill in the fields that are not being changed
+  const current = await this.model
+    .findOne(this.getQuery())
+    .select("name email phone")
+    .lean();
+  if (!current) return;
+
+  const fields = { ...current };
+  for (const f of ["name", "email", "phone"]) {
+    if (set[f] !== undefined) fields[f] = set[f];
+  }
+  this.set("searchIndex", buildSearchIndex(fields));
+});
+
 export default mongoose.model("Patient", patientSchema);
@@ -0,0 +1,104 @@
+/**
+ * patientVersion.js
+ * -----------------
+ * Defines the PatientVersion schema: one document per change of a patient
+ * record, so overwritten values (address, phone, …) are never lost.
+ *
+ * Fields:
+ * - patient   : ObjectId → the Patient this version belongs to
+ * - clinic    : ObjectId → the patient's clinic (for scoping)
+ * - version   : 1, 2, 3 … per patient (1 = creation)
+ * - action    : create | update | revert | archive | restore | merge
+ * - changes   : field-level diff [{ field, from, to }]
+ * - snapshot  : tracked fields after the change (see utils/patientHistory.js)
+ * - author    : ObjectId → User who made the change
+ * - authorName: username copy, so history stays readable if the user is
+ *               deleted (same idea as appointment.patientName)
+ * - revertOf  : for action "revert", the version whose old value was restored
+ * - mergedFrom: for action "merge", the duplicate that was folded into this
+ *               patient (its id, name and last snapshot — the duplicate
+ *               record itself is deleted)
+ * - movedFrom : versions of a merged duplicate, moved to the surviving
+ *               patient: the duplicate's id, name and the version number
+ *               the change had there
+ *
+ * Notes:
+ * - Versions are written by the controllers through recordVersion() and are
+ *   never edited, except that a merge moves the duplicate's versions to the
+ *   surviving patient (renumbered, see movedFrom); they are removed only
+ *   when the patient is purged.
+ */
+
+import mongoose from "mongoose";
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+const patientVersionSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: true,
+    },
+
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+      required: true,
+    },
+
+    version: {
+      type: Number,
+      required: true,
+    },
+
+    action: {
+      type: String,
+      enum: ["create", "update", "revert", "archive", "restore", "merge"],
+      required: true,
+    },
+
+    changes: [changeSchema],
+
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    authorName: String,
+
+    revertOf: Number,
+
+    mergedFrom: {
+      patient: mongoose.Schema.Types.ObjectId,
+      name: String,
+      snapshot: mongoose.Schema.Types.Mixed,
+    },
+
+    movedFrom: {
+      patient: mongoose.Schema.Types.ObjectId,
+      name: String,
+      version: Number,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// One version number per patient; newest first for the history list
+patientVersionSchema.index({ patient: 1, version: -1 }, { unique: true });
+
+export default mongoose.model("PatientVersion", patientVersionSchema);
@@ -0,0 +1,114 @@
+/**
+ * plannedProcedure.js
+ * -------------------
+ * Defines the PlannedProcedure schema: one procedure of a treatment plan.
+ *
+ * Fields:
+ * - plan        : ObjectId → the TreatmentPlan
+ * - patient     : ObjectId → the plan's patient (copied for queries)
+ * - clinic      : ObjectId → the plan's clinic (for scoping)
+ * - code        : procedure code ("D2391"), description
+ * - tooth       : FDI tooth code (optional), surfaces (M, O, D, B, L)
+ * - fee         : amount in the clinic's currency
+ * - phase       : 1, 2, 3 … (order in which the plan is carried out)
+ * - priority    : urgent | high | medium | low
+ * - status      : proposed → accepted (by the patient) → scheduled (booked
+ *                 into an appointment) → completed
+ * - appointment : ObjectId → Appointment the procedure is booked into
+ * - completedAt : when it was completed
+ *
+ * Notes:
+ * - status "scheduled" is only set by booking the procedure
+ *   (POST /api/treatment-plans/:id/schedule); completing, cancelling or
+ *   deleting the appointment updates it (utils/treatmentPlans.js).
+ */
+
+import mongoose from "mongoose";
+import { SURFACES, isToothCode } from "../utils/dentalChart.js";
+
+const plannedProcedureSchema = new mongoose.Schema(
+  {
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TreatmentPlan",
+      required: true,
+    },
+
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: true,
+    },
+
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+      required: true,
+    },
+
+    code: {
+      type: String,
+      required: [true, "Procedure code is required"],
+      trim: true,
+      uppercase: true,
+    },
+
+    description: {
+      type: String,
+      required: [true, "Description is required"],
+      trim: true,
+    },
+
+    tooth: {
+      type: String,
+      default: null,
+      validate: {
+        validator: (v) => v === null || isToothCode(v),
+        message: "Unknown tooth {VALUE}",
+      },
+    },
+
+    surfaces: [{ type: String, enum: SURFACES }],
+
+    fee: {
+      type: Number,
+      required: [true, "Fee is required"],
+      min: [0, "Fee cannot be negative"],
+    },
+
+    phase: {
+      type: Number,
+      default: 1,
+      min: [1, "Phase must be 1 or more"],
+      validate: { validator: Number.isInteger, message: "Phase must be a whole number" },
+    },
+
+    priority: {
+      type: String,
+      enum: ["urgent", "high", "medium", "low"],
+      default: "medium",
+    },
+
+    status: {
+      type: String,
+      enum: ["proposed", "accepted", "scheduled", "completed"],
+      default: "proposed",
+    },
+
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      default: null,
+    },
+
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+plannedProcedureSchema.index({ plan: 1, phase: 1, createdAt: 1 });
+plannedProcedureSchema.index({ appointment: 1 });
+
+export default mongoose.model("PlannedProcedure", plannedProcedureSchema);
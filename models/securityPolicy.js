@@ -0,0 +1,53 @@
+/**
+ * securityPolicy.js
+ * -----------------
+ * Defines the clinic-wide SecurityPolicy (a single document).
+ *
+ * Responsibilities:
+ * - Stores which roles must use two-factor authentication
+ *
+ * Fields:
+ * - twoFactorRequiredRoles: roles that cannot access patient data until they
+ *   have enrolled in TOTP two-factor authentication
+ *
+ * Notes:
+ * - Use SecurityPolicy.getPolicy() instead of querying directly; it creates
+ *   the document with defaults on first use.
+ * - SecurityPolicy.requiresTwoFactorSetup(user) is used by login responses and
+ *   by the enforceTwoFactorPolicy middleware.
+ */
+
+import mongoose from "mongoose";
+import { ROLES } from "./user.js";
+
+const securityPolicySchema = new mongoose.Schema(
+  {
+    twoFactorRequiredRoles: {
+      type: [{ type: String, enum: ROLES }],
+      default: [],
+    },
+  },
+  {
+    timestamps: true, // adds createdAt + updatedAt
+  }
+);
+
+/**
+ * Returns the singleton policy document (creating it if needed).
+ */
+securityPolicySchema.statics.getPolicy = async function () {
+  const existing = await this.findOne();
+  if (existing) return existing;
+  return this.create({});
+};
+
+/**
+ * True when the user's role requires 2FA but the user has not enrolled yet.
+ */
+securityPolicySchema.statics.requiresTwoFactorSetup = async function (user) {
+  if (user.twoFactorEnabled) return false;
+  const policy = await this.getPolicy();
+  return policy.twoFactorRequiredRoles.includes(user.role);
+};
+
+export default mongoose.model("SecurityPolicy", securityPolicySchema);
@@ -0,0 +1,75 @@
+/**
+ * session.js
+ * ----------
+ * Defines the Session schema used for refresh-token based authentication.
+ *
+ * Responsibilities:
+ * - Stores one document per logged-in device / browser
+ * - Keeps only a SHA-256 hash of the current refresh token (never the raw token)
+ * - Allows a session to be revoked server-side (logout, admin "kill all")
+ *
+ * Fields:
+ * - user      : ObjectId → references the User who owns this session
+ * - tokenHash : hash of the current refresh token (rotated on every refresh)
+ * - expiresAt : when the refresh token stops being accepted
+ * - revokedAt : set when the session is logged out / killed
+ * - lastUsedAt: last time the session was refreshed
+ * - userAgent, ip: informational, shown to admins
+ *
+ * Notes:
+ * - Access tokens carry the session id (sid), so authMiddleware can reject
+ *   requests from revoked sessions immediately.
+ * - MongoDB removes expired sessions automatically via the TTL index.
+ */
+
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    userAgent: String,
+    ip: String,
+  },
+  {
+    timestamps: true, // adds createdAt + updatedAt
+  }
+);
+
+// Let MongoDB purge sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * A session is usable when it has not been revoked and has not expired.
+ */
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export default mongoose.model("Session", sessionSchema);
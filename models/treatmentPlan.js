@@ -0,0 +1,62 @@
+/**
+ * treatmentPlan.js
+ * ----------------
+ * Defines the TreatmentPlan schema: a named set of planned procedures for a
+ * patient (e.g. "Restorative plan", "Implant option"), grouped in phases.
+ *
+ * Fields:
+ * - patient      : ObjectId → the Patient
+ * - clinic       : ObjectId → the patient's clinic (for scoping)
+ * - title        : name of the plan
+ * - notes        : free text (explanation given to the patient, options)
+ * - createdBy    : ObjectId → User who created the plan
+ * - createdByName: username copy
+ *
+ * Notes:
+ * - The procedures are PlannedProcedure documents (models/plannedProcedure.js)
+ *   pointing at the plan; totals per phase are computed when the plan is
+ *   read (utils/treatmentPlans.js).
+ */
+
+import mongoose from "mongoose";
+
+const treatmentPlanSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: true,
+    },
+
+    clinic: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Clinic",
+      required: true,
+    },
+
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    createdByName: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+treatmentPlanSchema.index({ clinic: 1, patient: 1, createdAt: -1 });
+
+export default mongoose.model("TreatmentPlan", treatmentPlanSchema);
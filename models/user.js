@@ -6,7 +6,8 @@
  * Responsibilities:
  * - Stores authentication credentials (username, email, password)
  * - Supports password hashing + comparison
- * - Assigns user roles (admin or staff)
+ * - Assigns user roles (admin, dentist, receptionist)
+ * - Tracks whether the account is active (admins can deactivate users)
  *
  * Security:
  * - Passwords are automatically hashed using bcrypt in pre-save hook
@@ -16,12 +17,32 @@
  * - username: unique, trimmed
  * - email   : unique, lowercased
  * - password: hashed string
- * - role    : "admin" or "staff" (default: staff)
+ * - role    : "admin", "dentist" or "receptionist" (default: receptionist)
+ * - isActive: false when an admin has deactivated the account
+ * - clinics : ObjectIds → Clinic; offices the user works in (admins may
+ *   have several, other roles one). The first one is the default.
+ * - passwordResetTokenHash / passwordResetExpires: pending password reset
+ *   (hash only, excluded from queries by default)
+ * - twoFactorEnabled: TOTP two-factor authentication is active
+ * - twoFactorSecret / twoFactorPendingSecret / twoFactorRecoveryCodes:
+ *   TOTP secrets + hashed recovery codes (excluded from queries by default)
+ * - twoFactorLastUsedStep: time step of the last accepted TOTP code (a code
+ *   is accepted once; excluded from queries by default)
+ * - failedLoginAttempts / nextLoginAllowedAt / lockUntil: brute-force
+ *   protection (progressive delay, then temporary lockout)
  */
 
 import mongoose from "mongoose";
 import bcrypt from "bcrypt";
 
+// All roles a staff account can have
+export const ROLES = ["admin", "dentist", "receptionist"];
+
+// Brute-force protection settings (read lazily so .env values apply)
+const maxLoginAttempts = () => Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const lockMinutes = () => Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+const FREE_LOGIN_ATTEMPTS = 2; // failures allowed before delays start
+
 const userSchema = new mongoose.Schema(
   {
     username: { 
@@ -45,9 +66,82 @@ const userSchema = new mongoose.Schema(
 
     role: { 
       type: String, 
-      enum: ["admin", "dentist", "receptionist"],
+      enum: ROLES,
       default: "receptionist", 
     },
+
+    // Clinics this user works in (see middleware/clinicMiddleware.js)
+    clinics: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Clinic",
+      },
+    ],
+
+    // Deactivated users cannot log in or use existing tokens
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Forgot-password flow: SHA-256 of the emailed token + its expiry
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+
+    // TOTP two-factor authentication
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Active secret (set once enrollment is confirmed with a valid code)
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+
+    // Secret generated by /2fa/setup, waiting for the first valid code
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+
+    // SHA-256 hashes of unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
+
+    // Time step of the last accepted TOTP code (no replays)
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
+    },
+
+    // Brute-force protection
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+
+    // Progressive delay: no new attempt accepted before this time (429)
+    nextLoginAllowedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Temporary lockout after too many failures (423)
+    lockUntil: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true, // adds createdAt + updatedAt
@@ -75,4 +169,77 @@ userSchema.methods.comparePassword = function (candidate) {
   return bcrypt.compare(candidate, this.password);
 };
 
+/**
+ * Returns { status, until } when login attempts are currently refused:
+ * - 423 while the account is locked
+ * - 429 while the progressive delay has not passed
+ * Returns null when the user may try to log in.
+ */
+userSchema.methods.loginBlock = function () {
+  const now = Date.now();
+  if (this.lockUntil && this.lockUntil > now) {
+    return { status: 423, until: this.lockUntil };
+  }
+  if (this.nextLoginAllowedAt && this.nextLoginAllowedAt > now) {
+    return { status: 429, until: this.nextLoginAllowedAt };
+  }
+  return null;
+};
+
+/**
+ * Records a failed login (wrong password or 2FA code).
+ * Each failure after FREE_LOGIN_ATTEMPTS doubles the wait (capped at 60s);
+ * reaching LOGIN_MAX_ATTEMPTS locks the account for LOGIN_LOCK_MINUTES.
+ *
+ * The counter is incremented in the database ($inc) and the delay / lock is
+ * decided from the returned count, so parallel attempts cannot overwrite
+ * each other's failures. The document is updated to match (loginBlock()).
+ */
+userSchema.methods.registerFailedLogin = async function () {
+  const User = this.constructor;
+  const now = new Date();
+
+  // A finished lockout starts a fresh count
+  await User.updateOne(
+    { _id: this._id, lockUntil: { $lte: now } },
+    { failedLoginAttempts: 0, lockUntil: null }
+  );
+
+  const counted = await User.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: "failedLoginAttempts lockUntil nextLoginAllowedAt" }
+  );
+  if (!counted) return;
+
+  const attempts = counted.failedLoginAttempts;
+  const block = {};
+  if (attempts >= maxLoginAttempts()) {
+    block.lockUntil = new Date(now.getTime() + lockMinutes() * 60 * 1000);
+    block.nextLoginAllowedAt = null;
+  } else if (attempts > FREE_LOGIN_ATTEMPTS) {
+    const seconds = Math.min(2 ** (attempts - FREE_LOGIN_ATTEMPTS), 60);
+    block.nextLoginAllowedAt = new Date(now.getTime() + seconds * 1000);
+  }
+  if (Object.keys(block).length) await User.updateOne({ _id: this._id }, block);
+
+  const current = { lockUntil: counted.lockUntil, nextLoginAllowedAt: counted.nextLoginAllowedAt, ...block };
+  this.failedLoginAttempts = attempts;
+  this.lockUntil = current.lockUntil;
+  this.nextLoginAllowedAt = current.nextLoginAllowedAt;
+};
+
+/**
+ * Clears brute-force counters (successful login or admin unlock).
+ */
+userSchema.methods.resetLoginAttempts = async function () {
+  if (!this.failedLoginAttempts && !this.lockUntil && !this.nextLoginAllowedAt) {
+    return;
+  }
+  this.failedLoginAttempts = 0;
+  this.nextLoginAllowedAt = null;
+  this.lockUntil = null;
+  await this.save();
+};
+
 export default mongoose.model("User", userSchema);
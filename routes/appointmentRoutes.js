@@ -7,54 +7,67 @@
  *
  * Responsibilities:
  * - All routes protected using authMiddleware (router.use(protect))
- * - GET    /        → Fetch all appointments
+ * - Users who still need to enroll in required 2FA are blocked
+ * - Everything is scoped to the caller's current clinic (scopeToClinic)
+ * - GET    /        → Fetch all appointments (optional filters)
+ * - GET    /export  → Download appointments (CSV / JSON / XLSX)
  * - POST   /        → Create new appointment
  * - PUT    /:id     → Update appointment by ID
  * - DELETE /:id     → Delete appointment by ID
  *
- * Role-based rules:
- * - Create / Update: admin, dentist, receptionist
- * - Delete         : admin, dentist, receptionist   ✅ updated
+ * Permission rules (see config/permissions.js):
+ * - List   : appointments:read
+ * - Export : appointments:export
+ * - Create : appointments:create
+ * - Update : appointments:update
+ * - Delete : appointments:delete
  */
 
 import express from "express";
 import {
   getAppointments,
+  exportAppointments,
   createAppointment,
   updateAppointment,
   deleteAppointment,
 } from "../controllers/appointmentController.js";
-import { protect, requireRole } from "../middleware/authMiddleware.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
+import { enforceTwoFactorPolicy } from "../middleware/twoFactorMiddleware.js";
+import { scopeToClinic } from "../middleware/clinicMiddleware.js";
 
 const router = express.Router();
 
-// Apply authentication to ALL appointment routes
-router.use(protect);
+// Apply authentication + 2FA policy + clinic scope to ALL appointment routes
+router.use(protect, enforceTwoFactorPolicy, scopeToClinic);
 
 // /api/appointments  → list + create
 router
   .route("/")
   .get(
-    // All authenticated roles can view appointments
+    requirePermission("appointments:read"),
     getAppointments
   )
   .post(
-    // Only staff roles can create appointments
-    requireRole("admin", "dentist", "receptionist"),
+    requirePermission("appointments:create"),
     createAppointment
   );
 
+// Download — registered before /:id
+router.get(
+  "/export",
+  requirePermission("appointments:export"),
+  exportAppointments
+);
+
 // /api/appointments/:id → update + delete
 router
   .route("/:id")
   .put(
-    // Only staff roles can update appointments
-    requireRole("admin", "dentist", "receptionist"),
+    requirePermission("appointments:update"),
     updateAppointment
   )
   .delete(
-    // ✅ Now admin, dentist, receptionist can delete
-    requireRole("admin", "dentist", "receptionist"),
+    requirePermission("appointments:delete"),
     deleteAppointment
   );
 
@@ -0,0 +1,33 @@
+/**
+ * clinicRoutes.js
+ * ----------------
+ * Defines routes for managing clinics (offices of the dental group).
+ *
+ * Route prefix: /api/clinics
+ *
+ * Admin only (clinics:manage, 2FA policy enforced):
+ * - GET  /     → List clinics
+ * - POST /     → Create clinic (creator is added to it)
+ * - PUT  /:id  → Update clinic name / address / phone
+ *
+ * Each user's own clinics come with their profile (GET /api/users/me),
+ * which is what the Navbar clinic switcher uses.
+ */
+
+import express from "express";
+import {
+  getClinics,
+  createClinic,
+  updateClinic,
+} from "../controllers/clinicController.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
+import { enforceTwoFactorPolicy } from "../middleware/twoFactorMiddleware.js";
+
+const router = express.Router();
+
+router.use(protect, enforceTwoFactorPolicy, requirePermission("clinics:manage"));
+
+router.route("/").get(getClinics).post(createClinic);
+router.put("/:id", updateClinic);
+
+export default router;
@@ -0,0 +1,61 @@
+/**
+ * clinicalNoteRoutes.js
+ * ----------------------
+ * Defines Express routes for clinical notes.
+ *
+ * Route prefix: /api/notes
+ *
+ * Responsibilities:
+ * - All routes protected using authMiddleware (router.use(protect))
+ * - Users who still need to enroll in required 2FA are blocked
+ * - Everything is scoped to the caller's current clinic (scopeToClinic)
+ * - GET    /templates  → Note templates (SOAP, post-op, …)
+ * - GET    /           → Notes of a patient (?patientId=, filters)
+ * - POST   /           → Write a note (draft or signed)
+ * - PUT    /:id        → Edit a draft
+ * - DELETE /:id        → Delete a draft
+ * - POST   /:id/sign   → Sign a draft
+ * - POST   /:id/amend  → Amend a signed note (reason required)
+ *
+ * Permission rules (see config/permissions.js):
+ * - Templates, list: notes:read
+ * - Everything else: notes:write (drafts: author only, checked in the
+ *   controller)
+ */
+
+import express from "express";
+import {
+  getNoteTemplates,
+  getNotes,
+  createNote,
+  updateNote,
+  deleteNote,
+  signNote,
+  amendNote,
+} from "../controllers/clinicalNoteController.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
+import { enforceTwoFactorPolicy } from "../middleware/twoFactorMiddleware.js";
+import { scopeToClinic } from "../middleware/clinicMiddleware.js";
+
+const router = express.Router();
+
+// Apply authentication + 2FA policy + clinic scope to ALL note routes
+router.use(protect, enforceTwoFactorPolicy, scopeToClinic);
+
+// Registered before /:id
+router.get("/templates", requirePermission("notes:read"), getNoteTemplates);
+
+router
+  .route("/")
+  .get(requirePermission("notes:read"), getNotes)
+  .post(requirePermission("notes:write"), createNote);
+
+router
+  .route("/:id")
+  .put(requirePermission("notes:write"), updateNote)
+  .delete(requirePermission("notes:write"), deleteNote);
+
+router.post("/:id/sign", requirePermission("notes:write"), signNote);
+router.post("/:id/amend", requirePermission("notes:write"), amendNote);
+
+export default router;
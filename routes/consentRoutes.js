@@ -0,0 +1,60 @@
+/**
+ * consentRoutes.js
+ * -----------------
+ * Defines Express routes for consent forms.
+ *
+ * Route prefix: /api/consents
+ *
+ * Responsibilities:
+ * - All routes protected using authMiddleware (router.use(protect))
+ * - Users who still need to enroll in required 2FA are blocked
+ * - Everything is scoped to the caller's current clinic (scopeToClinic)
+ * - GET    /templates      → Consent templates (?all=true with inactive ones)
+ * - POST   /templates      → Create a template
+ * - PUT    /templates/:id  → Edit / (de)activate a template
+ * - DELETE /templates/:id  → Delete a template nobody signed
+ * - GET    /               → Consents of a patient and appointment status
+ *                            (?patientId=)
+ * - POST   /               → Sign a form for an appointment (stores the PDF
+ *                            as a patient attachment)
+ *
+ * Permission rules (see config/permissions.js):
+ * - Templates list, consents: consents:read
+ * - Template changes: consents:templates (admin)
+ * - Signing: consents:sign + attachments:upload
+ */
+
+import express from "express";
+import {
+  getConsentTemplates,
+  createConsentTemplate,
+  updateConsentTemplate,
+  deleteConsentTemplate,
+  getConsents,
+  signConsent,
+} from "../controllers/consentController.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
+import { enforceTwoFactorPolicy } from "../middleware/twoFactorMiddleware.js";
+import { scopeToClinic } from "../middleware/clinicMiddleware.js";
+
+const router = express.Router();
+
+// Apply authentication + 2FA policy + clinic scope to ALL consent routes
+router.use(protect, enforceTwoFactorPolicy, scopeToClinic);
+
+router
+  .route("/templates")
+  .get(requirePermission("consents:read"), getConsentTemplates)
+  .post(requirePermission("consents:templates"), createConsentTemplate);
+
+router
+  .route("/templates/:id")
+  .put(requirePermission("consents:templates"), updateConsentTemplate)
+  .delete(requirePermission("consents:templates"), deleteConsentTemplate);
+
+router
+  .route("/")
+  .get(requirePermission("consents:read"), getConsents)
+  .post(requirePermission("consents:sign", "attachments:upload"), signConsent);
+
+export default router;
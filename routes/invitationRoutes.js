@@ -0,0 +1,48 @@
+/**
+ * invitationRoutes.js
+ * --------------------
+ * Defines routes for admin-issued staff invitations.
+ *
+ * Route prefix: /api/invitations
+ *
+ * Admin only (invitations:manage, 2FA policy enforced):
+ * - GET    /     → List pending invitations
+ * - POST   /     → Create invitation for the admin's current clinic
+ *                  (returns signup link)
+ * - DELETE /:id  → Revoke invitation
+ *
+ * Public (token acts as the credential):
+ * - GET  /token/:token        → Invitation details for the Signup page
+ * - POST /token/:token/accept → Create the account + log in (IP throttled)
+ */
+
+import express from "express";
+import {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation,
+} from "../controllers/invitationController.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
+import { enforceTwoFactorPolicy } from "../middleware/twoFactorMiddleware.js";
+import { registerLimiter } from "../middleware/rateLimitMiddleware.js";
+import { scopeToClinic } from "../middleware/clinicMiddleware.js";
+
+const router = express.Router();
+
+// Public routes used by the Signup page
+router.get("/token/:token", getInvitationByToken);
+router.post("/token/:token/accept", registerLimiter, acceptInvitation);
+
+// Admin-only invitation management
+const adminOnly = [protect, enforceTwoFactorPolicy, requirePermission("invitations:manage")];
+
+router
+  .route("/")
+  .get(...adminOnly, getInvitations)
+  .post(...adminOnly, scopeToClinic, createInvitation);
+
+router.delete("/:id", ...adminOnly, revokeInvitation);
+
+export default router;
@@ -2,91 +2,199 @@
  * patientRoutes.js
  * -----------------
  * Express routing layer for patient-related operations.
+ *
+ * - All routes require authentication (router.use(protect)) and block users
+ *   who still need to enroll in required 2FA
+ * - All routes are scoped to the caller's current clinic (scopeToClinic)
+ * - Each route checks a permission from config/permissions.js
+ *   (patients:*, attachments:*); the medical history has its own
+ *   permission (patients:medical)
+ * - DELETE /:id archives; POST /:id/restore and DELETE /:id/purge work on
+ *   archived patients only
+ * - Dental chart (odontogram) and its snapshots under /:id/chart
+ *   (chart:read / chart:write)
+ * - Signed consent PDFs are regular attachments but cannot be deleted
  */
 
 import express from "express";
 import multer from "multer";
-import path from "path";
 
-import { protect, requireRole } from "../middleware/authMiddleware.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
+import { enforceTwoFactorPolicy } from "../middleware/twoFactorMiddleware.js";
+import { scopeToClinic } from "../middleware/clinicMiddleware.js";
 
 import {
   getPatients,
+  searchPatients,
+  exportPatients,
   getPatient,
   createPatient,
   updatePatient,
   deletePatient,
+  restorePatient,
+  purgePatient,
+  getPatientHistory,
+  updateMedicalHistory,
+  revertPatientField,
+  checkDuplicates,
+  getPatientDuplicates,
+  mergePatients,
 } from "../controllers/patientController.js";
 
+import {
+  previewImport,
+  importPatients,
+} from "../controllers/patientImportController.js";
+
+import {
+  getChart,
+  updateTooth,
+  getSnapshots,
+  createSnapshot,
+} from "../controllers/dentalChartController.js";
+
 import Patient from "../models/patient.js";
+import Consent from "../models/consent.js";
+import { UPLOAD_DIR, removeUploads, uploadName } from "../utils/uploads.js";
 
 const router = express.Router();
 
 /* Multer storage for /uploads folder */
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, "uploads/"); // <-- this folder must exist on Render
+    cb(null, `${UPLOAD_DIR}/`); // <-- this folder must exist on Render
   },
   filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname);
-    cb(null, `${Date.now()}-${file.fieldname}${ext}`);
+    cb(null, uploadName(file.fieldname, file.originalname));
   },
 });
 
 const upload = multer({ storage });
 
+/* Import files are read from memory and never stored */
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES },
+});
+
+// Upload problems (e.g. file too large) are client errors
+const importFile = (req, res, next) =>
+  importUpload.single("file")(req, res, (err) => {
+    if (err) {
+      res.status(400);
+      return next(
+        err.code === "LIMIT_FILE_SIZE"
+          ? new Error("Import file is too large (max 5 MB)")
+          : err
+      );
+    }
+    next();
+  });
+
+// Apply authentication + 2FA policy + clinic scope to ALL patient routes
+router.use(protect, enforceTwoFactorPolicy, scopeToClinic);
+
 /* CRUD routes */
 
 router
   .route("/")
-  .get(protect, getPatients)
+  .get(requirePermission("patients:read"), getPatients)
   .post(
-    protect,
-    requireRole("admin", "receptionist"),
+    requirePermission("patients:create"),
     createPatient
   );
 
+// Fuzzy lookup — registered before /:id so "search" is not read as an id
+router.get("/search", requirePermission("patients:read"), searchPatients);
+
+// Download (CSV / JSON / XLSX) with the list filters
+router.get("/export", requirePermission("patients:export"), exportPatients);
+
+// Bulk import (CSV / XLSX): preview, then dry run / import
+router.post("/import/preview", requirePermission("patients:import"), importFile, previewImport);
+router.post("/import", requirePermission("patients:import"), importFile, importPatients);
+
+// Duplicate warning while entering a new patient
+router.post("/check-duplicates", requirePermission("patients:create"), checkDuplicates);
+
 router
   .route("/:id")
-  .get(protect, getPatient)
+  .get(requirePermission("patients:read"), getPatient)
   .put(
-    protect,
-    requireRole("admin", "receptionist"),
+    requirePermission("patients:update"),
     updatePatient
   )
   .delete(
-    protect,
-    requireRole("admin"),
+    requirePermission("patients:delete"),
     deletePatient
   );
 
+/* Archive: restore / purge (admin by default) */
+router.post("/:id/restore", requirePermission("patients:restore"), restorePatient);
+router.delete("/:id/purge", requirePermission("patients:purge"), purgePatient);
+
+/* Structured medical history */
+router.put("/:id/medical-history", requirePermission("patients:medical"), updateMedicalHistory);
+
+/* Version history */
+router.get("/:id/history", requirePermission("patients:read"), getPatientHistory);
+router.post("/:id/revert", requirePermission("patients:update"), revertPatientField);
+
+/* Dental chart (odontogram) */
+router.get("/:id/chart", requirePermission("chart:read"), getChart);
+router.put("/:id/chart/teeth/:tooth", requirePermission("chart:write"), updateTooth);
+router
+  .route("/:id/chart/snapshots")
+  .get(requirePermission("chart:read"), getSnapshots)
+  .post(requirePermission("chart:write"), createSnapshot);
+
+/* Duplicates / merge (admin by default) */
+router.get("/:id/duplicates", requirePermission("patients:merge"), getPatientDuplicates);
+router.post("/:id/merge", requirePermission("patients:merge"), mergePatients);
+
 /* ✅ Upload attachment */
 router.post(
   "/:id/attachments",
-  protect,
-  requireRole("admin", "dentist", "receptionist"),
+  requirePermission("attachments:upload"),
   upload.single("file"),
   async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ message: "Choose a file to upload" });
+    }
+
     try {
-      const patient = await Patient.findById(req.params.id);
+      // Only the attachment list is written: records that other rules now
+      // reject (e.g. a minor without a guardian) still take uploads
+      const patient = await Patient.findOneAndUpdate(
+        { _id: req.params.id, clinic: req.clinicId, deletedAt: null },
+        {
+          $push: {
+            attachments: {
+              filename: req.file.filename,
+              originalName: req.file.originalname,
+              mimeType: req.file.mimetype,
+              size: req.file.size,
+            },
+          },
+        },
+        { new: true, runValidators: true }
+      ).select("attachments");
       if (!patient) {
+        await removeUploads([req.file.filename]);
         return res.status(404).json({ message: "Patient not found" });
       }
 
-      patient.attachments.push({
-        filename: req.file.filename,
-        originalName: req.file.originalname,
-        mimeType: req.file.mimetype,
-        size: req.file.size,
-      });
-
-      await patient.save();
-
       res.status(201).json({
         message: "Attachment uploaded",
         attachments: patient.attachments,
       });
     } catch (err) {
+      // Keep no file that is not attached to anyone
+      await removeUploads([req.file.filename]).catch(() => {});
+      if (err.name === "ValidationError") {
+        return res.status(400).json({ message: err.message });
+      }
       console.error("Attachment upload error:", err);
       res.status(500).json({ message: "Upload failed" });
     }
@@ -96,31 +204,39 @@ router.post(
 /* ✅ Delete attachment */
 router.delete(
   "/:id/attachments/:attachmentId",
-  protect,
-  requireRole("admin", "dentist"),
+  requirePermission("attachments:delete"),
   async (req, res) => {
     try {
       const { id, attachmentId } = req.params;
-      const patient = await Patient.findById(id);
+      const patient = await Patient.findOne({
+        _id: id,
+        clinic: req.clinicId,
+        deletedAt: null,
+      });
       if (!patient) {
         return res.status(404).json({ message: "Patient not found" });
       }
 
-      // Remove attachment from array
-      const before = patient.attachments.length;
-      patient.attachments = patient.attachments.filter(
-        (att) => att._id.toString() !== attachmentId
-      );
-
-      if (patient.attachments.length === before) {
+      const target = patient.attachments.find((att) => att._id.toString() === attachmentId);
+      if (!target) {
         return res.status(404).json({ message: "Attachment not found" });
       }
 
-      await patient.save();
+      // A signed consent PDF is the record of the consent
+      if (await Consent.exists({ filename: target.filename, clinic: req.clinicId })) {
+        return res.status(409).json({ message: "Signed consent forms cannot be deleted" });
+      }
+
+      // Remove attachment from array (without re-validating the whole record)
+      const updated = await Patient.findOneAndUpdate(
+        { _id: patient._id, clinic: req.clinicId },
+        { $pull: { attachments: { _id: target._id } } },
+        { new: true }
+      ).select("attachments");
 
       res.json({
         message: "Attachment deleted",
-        attachments: patient.attachments,
+        attachments: updated?.attachments || [],
       });
     } catch (err) {
       console.error("Delete attachment error:", err);
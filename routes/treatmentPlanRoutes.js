@@ -0,0 +1,74 @@
+/**
+ * treatmentPlanRoutes.js
+ * -----------------------
+ * Defines Express routes for treatment plans and their procedures.
+ *
+ * Route prefix: /api/treatment-plans
+ *
+ * Responsibilities:
+ * - All routes protected using authMiddleware (router.use(protect))
+ * - Users who still need to enroll in required 2FA are blocked
+ * - Everything is scoped to the caller's current clinic (scopeToClinic)
+ * - GET    /procedure-codes              → Procedure code catalog
+ * - GET    /                             → Plans of a patient (?patientId=)
+ * - POST   /                             → Create a plan
+ * - PUT    /:id                          → Rename a plan / edit its notes
+ * - DELETE /:id                          → Delete a plan
+ * - POST   /:id/procedures               → Add a procedure
+ * - PUT    /:id/procedures/:procedureId  → Edit a procedure / its status
+ * - DELETE /:id/procedures/:procedureId  → Remove a procedure
+ * - POST   /:id/schedule                 → Book procedures into an appointment
+ *
+ * Permission rules (see config/permissions.js):
+ * - Catalog, list: treatment:read
+ * - Plan and procedure changes: treatment:write
+ * - Booking: treatment:read + appointments:create
+ */
+
+import express from "express";
+import {
+  getProcedureCodes,
+  getPlans,
+  createPlan,
+  updatePlan,
+  deletePlan,
+  addProcedure,
+  updateProcedure,
+  deleteProcedure,
+  scheduleProcedures,
+} from "../controllers/treatmentPlanController.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
+import { enforceTwoFactorPolicy } from "../middleware/twoFactorMiddleware.js";
+import { scopeToClinic } from "../middleware/clinicMiddleware.js";
+
+const router = express.Router();
+
+// Apply authentication + 2FA policy + clinic scope to ALL plan routes
+router.use(protect, enforceTwoFactorPolicy, scopeToClinic);
+
+// Registered before /:id
+router.get("/procedure-codes", requirePermission("treatment:read"), getProcedureCodes);
+
+router
+  .route("/")
+  .get(requirePermission("treatment:read"), getPlans)
+  .post(requirePermission("treatment:write"), createPlan);
+
+router
+  .route("/:id")
+  .put(requirePermission("treatment:write"), updatePlan)
+  .delete(requirePermission("treatment:write"), deletePlan);
+
+router.post("/:id/procedures", requirePermission("treatment:write"), addProcedure);
+router
+  .route("/:id/procedures/:procedureId")
+  .put(requirePermission("treatment:write"), updateProcedure)
+  .delete(requirePermission("treatment:write"), deleteProcedure);
+
+router.post(
+  "/:id/schedule",
+  requirePermission("treatment:read", "appointments:create"),
+  scheduleProcedures
+);
+
+export default router;
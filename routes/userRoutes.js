@@ -6,30 +6,145 @@
  * Route prefix: /api/users
  *
  * Endpoints:
- * - POST /register → Register new user
+ * - POST /register → Register new user (only if public registration is enabled)
+ * - GET  /registration-status → Which signup mode the client should show
+ * - POST /bootstrap → Create the first admin on an empty database
  * - POST /login    → Authenticate + return JWT
  * - PUT  /profile  → Update logged-in user's profile (protected)
+ * - POST /change-password → Change password, needs current one (protected)
+ * - GET  /password-policy → Password rules for signup / reset forms
+ * - GET  /me       → Fresh profile, role + permissions (protected)
+ * - GET  /me/permissions → Role + effective permissions (protected)
+ * - POST /refresh  → Rotate refresh token + return new access token
+ * - POST /logout   → Revoke the session behind a refresh token
+ * - POST /forgot-password → Email a password reset link
+ * - POST /reset-password  → Set a new password with the emailed token
+ * - POST /login/2fa       → Second login step (TOTP or recovery code)
+ *
+ * Two-factor authentication (protected):
+ * - POST /2fa/setup          → Start enrollment (otpauth URI + QR code)
+ * - POST /2fa/enable         → Confirm enrollment, returns recovery codes
+ * - POST /2fa/disable        → Turn 2FA off (password + code)
+ * - POST /2fa/recovery-codes → Regenerate recovery codes
+ *
+ * Admin only (users:manage):
+ * - GET    /                → List all users
+ * - POST   /                → Create a user with a role (joins the admin's
+ *                              current clinic)
+ * - PUT    /:id/role        → Change a user's role
+ * - PUT    /:id/clinics     → Set the clinics a user works in
+ * - PUT    /:id/deactivate  → Deactivate a user (revokes their sessions)
+ * - PUT    /:id/reactivate  → Reactivate a user
+ * - PUT    /:id/unlock      → Clear a login lockout
+ * - GET    /:id/sessions    → List a user's active sessions
+ * - DELETE /:id/sessions    → Revoke all of a user's sessions
+ * - PUT    /:id/2fa/reset   → Reset a user's 2FA enrollment
+ * - GET    /security-policy → Roles that must use 2FA
+ * - PUT    /security-policy → Update roles that must use 2FA
+ *
+ * Brute-force protection:
+ * - login / 2FA step / register / bootstrap / forgot-password are throttled
+ *   per IP (rateLimitMiddleware.js); accounts also lock after repeated failures
  *
  * Profile update:
  * - Requires valid JWT
- * - Allows updating username, email, and password
+ * - Allows updating username and email; passwords change through
+ *   /change-password (current password required, policy enforced)
  */
 
 import express from "express";
 import {
   register,
+  registrationStatus,
+  bootstrapAdmin,
   login,
   updateUserProfile,
+  changePassword,
+  passwordPolicy,
+  getMe,
+  getMyPermissions,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
 } from '../controllers/userController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import {
+  listUsers,
+  createUser,
+  updateUserRole,
+  updateUserClinics,
+  deactivateUser,
+  reactivateUser,
+  unlockUser,
+  getUserSessions,
+  revokeUserSessionsById,
+  resetUserTwoFactor,
+  getSecurityPolicy,
+  updateSecurityPolicy,
+} from '../controllers/adminController.js';
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyLoginCode,
+} from '../controllers/twoFactorController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { enforceTwoFactorPolicy } from '../middleware/twoFactorMiddleware.js';
+import { loginLimiter, registerLimiter } from '../middleware/rateLimitMiddleware.js';
+import { scopeToClinic } from '../middleware/clinicMiddleware.js';
 
 const router = express.Router();
 
 // Public routes
-router.post("/register", register); // Create new account
-router.post("/login", login);       // Login + return JWT
+router.post("/register", registerLimiter, register); // Create new account
+router.get("/registration-status", registrationStatus); // Signup mode
+router.post("/bootstrap", registerLimiter, bootstrapAdmin); // First admin on empty DB
+router.post("/login", loginLimiter, login); // Login + return JWT
+router.post("/refresh", refresh);   // New access token from refresh token
+router.post("/logout", logout);     // Revoke current session
+router.post("/forgot-password", registerLimiter, forgotPassword); // Email reset link
+router.post("/reset-password", resetPassword);   // Use reset link
+router.post("/login/2fa", loginLimiter, verifyLoginCode); // Second login step
+router.get("/password-policy", passwordPolicy); // Rules shown on password forms
 
 // Private route for updating profile
 router.put("/profile", protect, updateUserProfile);
+router.post("/change-password", loginLimiter, protect, changePassword);
+router.get("/me", protect, getMe);
+router.get("/me/permissions", protect, getMyPermissions);
+
+// Private routes for two-factor enrollment
+router.post("/2fa/setup", protect, setupTwoFactor);
+router.post("/2fa/enable", protect, enableTwoFactor);
+router.post("/2fa/disable", protect, disableTwoFactor);
+router.post("/2fa/recovery-codes", protect, regenerateRecoveryCodes);
+
+// Admin-only user management
+// (2FA policy enforced: an admin who still has to enroll cannot manage
+// accounts with a password alone)
+const adminOnly = [protect, enforceTwoFactorPolicy, requirePermission("users:manage")];
+
+router
+  .route("/")
+  .get(...adminOnly, listUsers)
+  .post(...adminOnly, scopeToClinic, createUser);
+
+router.put("/:id/role", ...adminOnly, updateUserRole);
+router.put("/:id/clinics", ...adminOnly, updateUserClinics);
+router.put("/:id/deactivate", ...adminOnly, deactivateUser);
+router.put("/:id/reactivate", ...adminOnly, reactivateUser);
+router.put("/:id/unlock", ...adminOnly, unlockUser);
+router.put("/:id/2fa/reset", ...adminOnly, resetUserTwoFactor);
+
+router
+  .route("/security-policy")
+  .get(...adminOnly, getSecurityPolicy)
+  .put(...adminOnly, updateSecurityPolicy);
+
+router
+  .route("/:id/sessions")
+  .get(...adminOnly, getUserSessions)
+  .delete(...adminOnly, revokeUserSessionsById);
 
 export default router;
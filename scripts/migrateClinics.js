@@ -0,0 +1,63 @@
+/**
+ * scripts/migrateClinics.js
+ * --------------------------
+ * One-off migration to multi-clinic tenancy.
+ *
+ * What it does:
+ * - Creates the default clinic (CLINIC_NAME, default "Main Clinic") if no
+ *   clinic exists yet
+ * - Assigns every user, patient and appointment without a clinic to it
+ * - Drops the old global unique index on patient email and builds the new
+ *   per-clinic one (Patient.syncIndexes)
+ *
+ * Usage:
+ *   npm run migrate:clinics
+ *
+ * Safe to run more than once: documents that already have a clinic are left
+ * untouched.
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import { connectDB } from "../config/db.js";
+import Clinic from "../models/clinic.js";
+import User from "../models/user.js";
+import Patient from "../models/patient.js";
+import Appointment from "../models/appointmentModel.js";
+
+const run = async () => {
+  await connectDB();
+
+  const clinic = await Clinic.getDefault(process.env.CLINIC_NAME || undefined);
+  console.log(`Default clinic: ${clinic.name} (${clinic._id})`);
+
+  const users = await User.updateMany(
+    { $or: [{ clinics: { $exists: false } }, { clinics: { $size: 0 } }] },
+    { $set: { clinics: [clinic._id] } }
+  );
+  console.log(`Users assigned: ${users.modifiedCount}`);
+
+  const patients = await Patient.updateMany(
+    { clinic: { $exists: false } },
+    { $set: { clinic: clinic._id } }
+  );
+  console.log(`Patients assigned: ${patients.modifiedCount}`);
+
+  const appointments = await Appointment.updateMany(
+    { clinic: { $exists: false } },
+    { $set: { clinic: clinic._id } }
+  );
+  console.log(`Appointments assigned: ${appointments.modifiedCount}`);
+
+  // email_1 (global unique) → { clinic, email } (unique per clinic)
+  const dropped = await Patient.syncIndexes();
+  console.log(`Patient indexes dropped: ${dropped.length ? dropped.join(", ") : "none"}`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (err) => {
+    console.error("❌ Migration failed:", err);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
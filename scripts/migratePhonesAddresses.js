@@ -0,0 +1,126 @@
+/**
+ * scripts/migratePhonesAddresses.js
+ * ----------------------------------
+ * One-off migration to international phone numbers and structured
+ * addresses.
+ *
+ * What it does:
+ * - phone "212-555-0199" → E.164 "+12125550199" (read in DEFAULT_COUNTRY),
+ *   stored as the patient's first typed number (phones: [{ type: "mobile" }])
+ * - Emergency contact and guardian numbers → E.164
+ * - address "12 Main St, Springfield, IL 62704" → { street, city, region,
+ *   postalCode, country } (country = DEFAULT_COUNTRY unless the line ends
+ *   with a country code)
+ * - Rebuilds the fuzzy-search keys from the new primary number
+ *
+ * Records that cannot be converted completely are still migrated (the
+ * unreadable phone is kept as typed, address parts that could not be told
+ * apart stay in the street) and listed at the end, so staff can correct
+ * them; they fail validation on their next edit until they are fixed.
+ *
+ * Usage:
+ *   npm run migrate:phones-addresses
+ *   npm run migrate:phones-addresses -- --dry-run   (report only)
+ *
+ * Safe to run more than once: patients that already have typed numbers and
+ * a structured address are skipped.
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import { connectDB } from "../config/db.js";
+import Patient from "../models/patient.js";
+import { buildSearchIndex } from "../utils/fuzzySearch.js";
+import { DEFAULT_COUNTRY, isPhoneNumber, normalizePhone } from "../utils/phone.js";
+import { parseAddressLine } from "../utils/address.js";
+
+const BATCH_SIZE = 500;
+
+const dryRun = process.argv.includes("--dry-run");
+
+/**
+ * Update for one raw patient document, with the problems found.
+ */
+const migratePatient = (p) => {
+  const set = {};
+  const problems = [];
+
+  if (!Array.isArray(p.phones) || !p.phones.length) {
+    const number = normalizePhone(p.phone) ?? "";
+    if (!isPhoneNumber(number)) problems.push(`phone "${p.phone ?? ""}"`);
+    set.phone = number;
+    set.phones = [{ type: "mobile", number }];
+    set.searchIndex = buildSearchIndex({ name: p.name, email: p.email, phone: number });
+  }
+
+  if (typeof p.address === "string" || !p.address) {
+    const { address, complete } = parseAddressLine(p.address);
+    if (!complete) problems.push(`address "${p.address ?? ""}"`);
+    set.address = address;
+  }
+
+  if (Array.isArray(p.emergencyContacts)) {
+    const contacts = p.emergencyContacts.map((c) => ({ ...c, phone: normalizePhone(c.phone) ?? "" }));
+    if (contacts.some((c, i) => c.phone !== p.emergencyContacts[i].phone)) {
+      set.emergencyContacts = contacts;
+    }
+  }
+
+  if (p.guardian?.phone) {
+    const phone = normalizePhone(p.guardian.phone);
+    if (phone !== p.guardian.phone) set["guardian.phone"] = phone;
+  }
+
+  return { set, problems };
+};
+
+const run = async () => {
+  await connectDB();
+  console.log(`Default country: ${DEFAULT_COUNTRY}${dryRun ? " (dry run)" : ""}`);
+
+  let ops = [];
+  let migrated = 0;
+  const review = [];
+
+  const flush = async () => {
+    if (!ops.length) return;
+    if (!dryRun) await Patient.bulkWrite(ops);
+    migrated += ops.length;
+    ops = [];
+  };
+
+  // Raw documents: old string addresses do not cast to the new schema
+  const cursor = Patient.collection.find(
+    {},
+    { projection: { name: 1, email: 1, phone: 1, phones: 1, address: 1, emergencyContacts: 1, guardian: 1 } }
+  );
+  for await (const p of cursor) {
+    const { set, problems } = migratePatient(p);
+    if (problems.length) review.push(`${p._id} ${p.name}: ${problems.join(", ")}`);
+    if (!Object.keys(set).length) continue;
+
+    ops.push({
+      updateOne: {
+        filter: { _id: p._id },
+        update: { $set: set },
+        timestamps: false, // not a user edit
+      },
+    });
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`Patients ${dryRun ? "to migrate" : "migrated"}: ${migrated}`);
+  if (review.length) {
+    console.log(`Patients to review by hand: ${review.length}`);
+    for (const line of review) console.log(`  - ${line}`);
+  }
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (err) => {
+    console.error("❌ Migration failed:", err);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,61 @@
+/**
+ * scripts/reindexPatients.js
+ * ---------------------------
+ * Builds the fuzzy-search keys (patient.searchIndex) for patients created
+ * before GET /api/patients/search existed, and creates the search indexes
+ * (text index on name / email / notes, trigram / sound-code indexes).
+ *
+ * Usage:
+ *   npm run reindex:patients
+ *
+ * Safe to run more than once: keys are simply rebuilt from name / email /
+ * phone.
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import { connectDB } from "../config/db.js";
+import Patient from "../models/patient.js";
+import { buildSearchIndex } from "../utils/fuzzySearch.js";
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  await connectDB();
+
+  await Patient.syncIndexes();
+  console.log("Patient indexes in sync");
+
+  let ops = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (!ops.length) return;
+    await Patient.bulkWrite(ops);
+    updated += ops.length;
+    ops = [];
+  };
+
+  const cursor = Patient.find().select("name email phone").lean().cursor();
+  for await (const p of cursor) {
+    ops.push({
+      updateOne: {
+        filter: { _id: p._id },
+        update: { $set: { searchIndex: buildSearchIndex(p) } },
+        timestamps: false, // not a user edit
+      },
+    });
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`Patients reindexed: ${updated}`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (err) => {
+    console.error("❌ Reindex failed:", err);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -1,13 +1,21 @@
-import dotenv from "dotenv";
+// Load .env before app.js is evaluated (it reads TRUST_PROXY at startup)
+import "dotenv/config";
 import path from "path";
 import express from "express";
 import { connectDB } from "./config/db.js";
 import app from "./app.js";
-
-dotenv.config();
+import { checkMailConfig } from "./utils/mailer.js";
 
 const PORT = process.env.PORT || 4000;
 
+// Refuse to start when emails (password resets, invitations) cannot be sent
+try {
+  checkMailConfig();
+} catch (err) {
+  console.error("❌ Invalid mail configuration:", err.message);
+  process.exit(1);
+}
+
 connectDB()
   .then(() => {
     app.listen(PORT, () => {
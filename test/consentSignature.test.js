@@ -0,0 +1,81 @@
+/**
+ * Signature images: only small, readable PNGs are accepted, so an upload
+ * cannot inflate to gigabytes or break the PDF writer.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import zlib from "zlib";
+import { signatureImage } from "../utils/consents.js";
+
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(zlib.crc32(Buffer.concat([Buffer.from(type), data])));
+  return Buffer.concat([length, Buffer.from(type), data, crc]);
+};
+
+// RGBA, 8 bits per channel (what a canvas exports)
+const png = ({ width, height, idat }) => {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+  return Buffer.concat([
+    PNG_MAGIC,
+    chunk("IHDR", ihdr),
+    chunk("IDAT", idat),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+};
+
+// Blank image data: one filter byte + the pixels of every row
+const pixels = (width, height) => Buffer.alloc((width * 4 + 1) * height);
+
+const dataUrl = (buffer) => `data:image/png;base64,${buffer.toString("base64")}`;
+
+describe("signatureImage", () => {
+  it("accepts a signature-pad sized PNG", () => {
+    const image = png({ width: 600, height: 200, idat: zlib.deflateSync(pixels(600, 200)) });
+
+    assert.ok(signatureImage(dataUrl(image))?.equals(image));
+  });
+
+  it("rejects image data that inflates beyond its header (decompression bomb)", () => {
+    // ~40 MB of zeros compress to well under the upload limit
+    const idat = zlib.deflateSync(Buffer.alloc(40 * 1024 * 1024), { level: 9 });
+    const image = png({ width: 600, height: 200, idat });
+    assert.ok(image.length < 64 * 1024);
+
+    assert.equal(signatureImage(dataUrl(image)), null);
+  });
+
+  it("rejects a header announcing a huge image", () => {
+    const image = png({ width: 20000, height: 20000, idat: zlib.deflateSync(pixels(10, 10)) });
+
+    assert.equal(signatureImage(dataUrl(image)), null);
+  });
+
+  it("rejects corrupt image data", () => {
+    const idat = zlib.deflateSync(pixels(600, 200));
+    idat.fill(0xff, 2, 40);
+
+    assert.equal(signatureImage(dataUrl(png({ width: 600, height: 200, idat }))), null);
+  });
+
+  it("rejects an upload over the size limit", () => {
+    const idat = crypto.randomBytes(80 * 1024); // noise does not compress
+
+    assert.equal(signatureImage(dataUrl(png({ width: 600, height: 200, idat }))), null);
+  });
+
+  it("rejects other image types", () => {
+    assert.equal(signatureImage("data:image/jpeg;base64,/9j/4AAQSkZJRg=="), null);
+    assert.equal(signatureImage(`data:image/png;base64,${Buffer.from("GIF89a").toString("base64")}`), null);
+  });
+});
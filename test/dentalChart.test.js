@@ -0,0 +1,92 @@
+/**
+ * Dental chart edits: concurrent edits of one chart are all kept, also when
+ * they create the chart, and a tooth never ends up charted twice.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Patient from "../models/patient.js";
+import DentalChart from "../models/dentalChart.js";
+import { updateTooth } from "../controllers/dentalChartController.js";
+import { useMemoryModel, runHandler } from "./support/memoryModel.js";
+
+describe("updateTooth", () => {
+  let charts;
+  const clinicId = new mongoose.Types.ObjectId();
+  const user = { _id: new mongoose.Types.ObjectId(), username: "dentist" };
+  const patient = {
+    _id: new mongoose.Types.ObjectId(),
+    clinic: clinicId,
+    name: "Ana Ruiz",
+    email: "ana@example.com",
+    phones: [{ type: "mobile", number: "+12125550123" }],
+  };
+
+  const chartTooth = (tooth, body) =>
+    runHandler(updateTooth, {
+      params: { id: String(patient._id), tooth },
+      query: {},
+      body,
+      clinicId,
+      user,
+    });
+
+  const caries = { findings: [{ condition: "caries", surfaces: ["O"] }] };
+  const crown = { findings: [{ condition: "crown" }] };
+
+  const teethOf = (chart) => chart.teeth.map((t) => t.tooth).sort();
+
+  beforeEach(() => {
+    useMemoryModel(Patient, { docs: [patient] });
+    charts = useMemoryModel(DentalChart, { unique: [["patient"]] });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("creates the chart with the first finding", async () => {
+    const { res } = await chartTooth("16", caries);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(charts.docs.length, 1);
+    assert.deepEqual(teethOf(charts.docs[0]), ["16"]);
+  });
+
+  it("keeps both of two concurrent first edits", async () => {
+    const results = await Promise.all([chartTooth("16", caries), chartTooth("26", crown)]);
+
+    assert.deepEqual(results.map(({ res }) => res.statusCode), [200, 200]);
+    assert.equal(charts.docs.length, 1);
+    assert.deepEqual(teethOf(charts.docs[0]), ["16", "26"]);
+  });
+
+  it("keeps concurrent edits of different teeth", async () => {
+    await chartTooth("11", crown);
+
+    const results = await Promise.all(
+      ["16", "26", "36", "46"].map((tooth) => chartTooth(tooth, caries))
+    );
+
+    assert.ok(results.every(({ res }) => res.statusCode === 200));
+    assert.deepEqual(teethOf(charts.docs[0]), ["11", "16", "26", "36", "46"]);
+  });
+
+  it("charts a tooth once when it is edited concurrently", async () => {
+    await chartTooth("16", caries);
+
+    const results = await Promise.all([chartTooth("16", crown), chartTooth("16", caries)]);
+
+    for (const { res } of results) assert.ok([200, 409].includes(res.statusCode));
+    assert.deepEqual(teethOf(charts.docs[0]), ["16"]);
+  });
+
+  it("clears a tooth without findings or note", async () => {
+    await chartTooth("16", caries);
+    await chartTooth("26", crown);
+
+    const { res } = await chartTooth("16", { findings: [], note: "" });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(teethOf(charts.docs[0]), ["26"]);
+  });
+});
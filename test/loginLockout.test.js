@@ -0,0 +1,68 @@
+/**
+ * Brute-force protection: failed logins are counted on the stored document,
+ * so concurrent failures all count and the lockout follows the real count.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import User from "../models/user.js";
+import { useMemoryModel } from "./support/memoryModel.js";
+
+describe("User#registerFailedLogin", () => {
+  let users;
+  const id = new mongoose.Types.ObjectId();
+
+  const loadUser = () => User.findById(id);
+
+  beforeEach(() => {
+    delete process.env.LOGIN_MAX_ATTEMPTS;
+    users = useMemoryModel(User, {
+      docs: [{ _id: id, username: "reception", email: "desk@example.com", password: "hashed" }],
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("allows the free attempts, then delays, then locks", async () => {
+    const user = await loadUser();
+
+    await user.registerFailedLogin();
+    await user.registerFailedLogin();
+    assert.equal(user.loginBlock(), null);
+
+    await user.registerFailedLogin();
+    assert.equal(user.loginBlock().status, 429);
+
+    await user.registerFailedLogin();
+    await user.registerFailedLogin();
+    assert.equal(user.loginBlock().status, 423);
+    assert.equal(users.docs[0].failedLoginAttempts, 5);
+    assert.ok(users.docs[0].lockUntil > new Date());
+  });
+
+  it("counts every one of concurrent failures", async () => {
+    // Each request loaded the user before any failure was stored
+    const requests = await Promise.all([1, 2, 3, 4, 5].map(loadUser));
+
+    await Promise.all(requests.map((user) => user.registerFailedLogin()));
+
+    assert.equal(users.docs[0].failedLoginAttempts, 5);
+    assert.ok(users.docs[0].lockUntil > new Date());
+    assert.equal((await loadUser()).loginBlock().status, 423);
+  });
+
+  it("starts a fresh count once the lockout has passed", async () => {
+    Object.assign(users.docs[0], {
+      failedLoginAttempts: 5,
+      lockUntil: new Date(Date.now() - 1000),
+    });
+    const user = await loadUser();
+
+    await user.registerFailedLogin();
+
+    assert.equal(users.docs[0].failedLoginAttempts, 1);
+    assert.equal(users.docs[0].lockUntil, null);
+    assert.equal(user.loginBlock(), null);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Patient version history: concurrent changes of one patient get distinct,
+ * consecutive version numbers.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import PatientVersion from "../models/patientVersion.js";
+import { recordVersion } from "../utils/patientHistory.js";
+import { useMemoryModel } from "./support/memoryModel.js";
+
+describe("recordVersion", () => {
+  let versions;
+  const user = { _id: new mongoose.Types.ObjectId(), username: "reception" };
+  const patient = {
+    _id: new mongoose.Types.ObjectId(),
+    clinic: new mongoose.Types.ObjectId(),
+    name: "Ana Ruiz",
+    email: "ana@example.com",
+  };
+
+  beforeEach(() => {
+    versions = useMemoryModel(PatientVersion, { unique: [["patient", "version"]] });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("numbers the versions of a patient from 1", async () => {
+    await recordVersion({ patient, before: null, action: "create", user });
+    await recordVersion({
+      patient: { ...patient, name: "Ana Ruiz Díaz" },
+      before: patient,
+      action: "update",
+      user,
+    });
+
+    assert.deepEqual(versions.docs.map((v) => v.version), [1, 2]);
+    assert.deepEqual(versions.docs[1].changes.map((c) => c.field), ["name"]);
+  });
+
+  it("gives concurrent changes distinct versions", async () => {
+    await recordVersion({ patient, before: null, action: "create", user });
+
+    await Promise.all(
+      ["Ana Ruiz Díaz", "Ana R. Díaz", "Ana Díaz"].map((name) =>
+        recordVersion({ patient: { ...patient, name }, before: patient, action: "update", user })
+      )
+    );
+
+    const numbers = versions.docs.map((v) => v.version).sort();
+    assert.deepEqual(numbers, [1, 2, 3, 4]);
+  });
+
+  it("records no version for an update without changes", async () => {
+    const version = await recordVersion({ patient, before: patient, action: "update", user });
+
+    assert.equal(version, null);
+    assert.equal(versions.docs.length, 0);
+  });
+});
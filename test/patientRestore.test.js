@@ -0,0 +1,73 @@
+/**
+ * Restoring archived patients: a record that no longer passes validation
+ * (here a minor archived before guardians were required) can be restored.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Patient from "../models/patient.js";
+import PatientVersion from "../models/patientVersion.js";
+import { restorePatient } from "../controllers/patientController.js";
+import { useMemoryModel, runHandler } from "./support/memoryModel.js";
+
+describe("restorePatient", () => {
+  let patients;
+  let versions;
+  const clinicId = new mongoose.Types.ObjectId();
+  const user = { _id: new mongoose.Types.ObjectId(), username: "admin" };
+
+  const archivedMinor = {
+    _id: new mongoose.Types.ObjectId(),
+    clinic: clinicId,
+    name: "Leo Park",
+    email: "leo.park@example.com",
+    phones: [{ type: "mobile", number: "+12125550123" }],
+    dateOfBirth: new Date(Date.now() - 8 * 365 * 24 * 60 * 60 * 1000),
+    guardian: null,
+    deletedAt: new Date("2024-01-10"),
+    deletedBy: user._id,
+  };
+
+  const restore = (id, clinic = clinicId) =>
+    runHandler(restorePatient, { params: { id: String(id) }, clinicId: clinic, user });
+
+  beforeEach(() => {
+    patients = useMemoryModel(Patient, { docs: [archivedMinor] });
+    versions = useMemoryModel(PatientVersion, { unique: [["patient", "version"]] });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("fails validation as stored (a minor without a guardian)", () => {
+    const error = new Patient(archivedMinor).validateSync();
+
+    assert.ok(error?.errors.guardian);
+  });
+
+  it("restores an archived minor without a guardian", async () => {
+    const { res, error } = await restore(archivedMinor._id);
+
+    assert.equal(error, null);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.deletedAt, null);
+    assert.equal(patients.docs[0].deletedAt, null);
+    assert.equal(patients.docs[0].deletedBy, null);
+    assert.deepEqual(versions.docs.map((v) => v.action), ["restore"]);
+  });
+
+  it("answers 404 for a patient that is not archived", async () => {
+    await restore(archivedMinor._id);
+    const { res, error } = await restore(archivedMinor._id);
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(error.message, "Archived patient not found");
+  });
+
+  it("answers 404 for a patient of another clinic", async () => {
+    const { res } = await restore(archivedMinor._id, new mongoose.Types.ObjectId());
+
+    assert.equal(res.statusCode, 404);
+    assert.ok(patients.docs[0].deletedAt);
+  });
+});
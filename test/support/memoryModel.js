@@ -0,0 +1,329 @@
+/**
+ * memoryModel.js
+ * --------------
+ * Test helper: backs a mongoose model with an in-memory collection, so
+ * controllers and model methods run without a MongoDB server.
+ *
+ * - Covers the operations the app uses: find / findOne / findById /
+ *   exists / create / updateOne / updateMany / findOneAndUpdate /
+ *   bulkWrite, with the filters ($ne, $lt, $lte, $gt, $in, $or, dotted
+ *   paths into arrays) and updates ($set, $inc, $push, $pull, $unset,
+ *   $setOnInsert) found in the code
+ * - Each operation first yields to the event loop, then applies atomically,
+ *   like a single-document write on the server: requests started together
+ *   interleave between their queries the way they would in production
+ * - Unique indexes are enforced on insert (E11000, code 11000); an upsert
+ *   that finds nothing yields once more before inserting, so two concurrent
+ *   upserts of the same key race like on a real server
+ *
+ * Call restore() (or mock.restoreAll()) after each test.
+ */
+
+import { mock } from "node:test";
+import mongoose from "mongoose";
+
+// A model call the test did not mock fails at once instead of buffering
+mongoose.set("bufferCommands", false);
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !value._bsontype &&
+  !Buffer.isBuffer(value);
+
+const clone = (value) => {
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  }
+  return value;
+};
+
+// Comparable form of a value (ObjectIds and dates by their string / time)
+const key = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.getTime();
+  if (value._bsontype) return String(value);
+  return value;
+};
+
+const same = (a, b) => key(a) === key(b);
+
+// Values at a dotted path; arrays on the way are searched element-wise and
+// an array at the end matches as a whole or by any element
+const valuesAt = (doc, path) => {
+  let values = [doc];
+  for (const part of path.split(".")) {
+    values = values.flatMap((v) => {
+      if (v === undefined || v === null) return [undefined];
+      return Array.isArray(v) ? v.map((item) => item?.[part]) : [v[part]];
+    });
+  }
+  return values.flatMap((v) => (Array.isArray(v) ? [v, ...v] : [v]));
+};
+
+const matchesCondition = (values, condition) => {
+  if (!isPlainObject(condition) || !Object.keys(condition).some((k) => k.startsWith("$"))) {
+    if (condition === null) return values.every((v) => v === undefined || v === null);
+    return values.some((v) => same(v, condition));
+  }
+  return Object.entries(condition).every(([op, arg]) => {
+    switch (op) {
+      case "$ne":
+        return !matchesCondition(values, arg);
+      case "$in":
+        return arg.some((a) => matchesCondition(values, a));
+      case "$lt":
+        return values.some((v) => v !== undefined && v !== null && key(v) < key(arg));
+      case "$lte":
+        return values.some((v) => v !== undefined && v !== null && key(v) <= key(arg));
+      case "$gt":
+        return values.some((v) => v !== undefined && v !== null && key(v) > key(arg));
+      default:
+        throw new Error(`memoryModel: unsupported operator ${op}`);
+    }
+  });
+};
+
+export const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([path, condition]) => {
+    if (path === "$or") return condition.some((f) => matches(doc, f));
+    return matchesCondition(valuesAt(doc, path), condition);
+  });
+
+const setPath = (doc, path, value) => {
+  const parts = path.split(".");
+  let target = doc;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(target[part])) target[part] = {};
+    target = target[part];
+  }
+  if (value === undefined) delete target[parts.at(-1)];
+  else target[parts.at(-1)] = clone(value);
+};
+
+const getPath = (doc, path) => path.split(".").reduce((v, part) => v?.[part], doc);
+
+const applyUpdate = (doc, update, { inserting = false } = {}) => {
+  const operators = Object.keys(update).some((k) => k.startsWith("$"))
+    ? update
+    : { $set: update };
+
+  for (const [op, fields] of Object.entries(operators)) {
+    for (const [path, value] of Object.entries(fields)) {
+      switch (op) {
+        case "$set":
+          setPath(doc, path, value);
+          break;
+        case "$setOnInsert":
+          if (inserting) setPath(doc, path, value);
+          break;
+        case "$unset":
+          setPath(doc, path, undefined);
+          break;
+        case "$inc":
+          setPath(doc, path, (getPath(doc, path) || 0) + value);
+          break;
+        case "$push":
+          setPath(doc, path, [...(getPath(doc, path) || []), value]);
+          break;
+        case "$pull":
+          setPath(
+            doc,
+            path,
+            (getPath(doc, path) || []).filter((item) =>
+              isPlainObject(value) ? !matches(item, value) : !same(item, value)
+            )
+          );
+          break;
+        default:
+          throw new Error(`memoryModel: unsupported update ${op}`);
+      }
+    }
+  }
+};
+
+const sortDocs = (docs, sort) => {
+  if (!sort) return docs;
+  const entries = Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of entries) {
+      const x = key(getPath(a, path));
+      const y = key(getPath(b, path));
+      if (x !== y) return (x < y ? -1 : 1) * direction;
+    }
+    return 0;
+  });
+};
+
+/**
+ * useMemoryModel(Model, { docs, unique })
+ * ---------------------------------------
+ * @param {mongoose.Model} Model
+ * @param {Object[]} [options.docs]   - initial documents (cast by the model)
+ * @param {String[][]} [options.unique] - unique indexes, as lists of paths
+ * @returns {{ docs: Object[], restore() }} the stored (raw) documents
+ */
+export const useMemoryModel = (Model, { docs = [], unique = [] } = {}) => {
+  const cast = (raw) => new Model(raw).toObject({ depopulate: true });
+  const store = docs.map(cast);
+  const mocks = [];
+
+  const out = (raw, lean) => (raw ? (lean ? clone(raw) : Model.hydrate(clone(raw))) : null);
+
+  const checkUnique = (doc) => {
+    for (const paths of [...unique, ["_id"]]) {
+      const clash = store.some(
+        (other) => other !== doc && paths.every((p) => same(getPath(other, p), getPath(doc, p)))
+      );
+      if (clash) {
+        throw Object.assign(new Error(`E11000 duplicate key (${paths.join(", ")})`), {
+          code: 11000,
+        });
+      }
+    }
+  };
+
+  // Chainable, thenable stand-in for a mongoose Query
+  const query = (run) => {
+    const state = { lean: false, sort: null, limit: 0 };
+    const q = {
+      sort: (sort) => ((state.sort = sort), q),
+      limit: (limit) => ((state.limit = limit), q),
+      lean: () => ((state.lean = true), q),
+      select: () => q,
+      populate: () => q,
+      skip: () => q,
+      then: (resolve, reject) => tick().then(() => run(state)).then(resolve, reject),
+    };
+    return q;
+  };
+
+  const found = (filter, state) => {
+    const list = sortDocs(store.filter((d) => matches(d, filter)), state.sort);
+    return state.limit ? list.slice(0, state.limit) : list;
+  };
+
+  const write = (doc, update, options = {}) => {
+    const before = JSON.stringify(doc);
+    applyUpdate(doc, update, options);
+    return JSON.stringify(doc) !== before;
+  };
+
+  const fake = {
+    find: (filter) => query((state) => found(filter, state).map((d) => out(d, state.lean))),
+    findOne: (filter) => query((state) => out(found(filter, state)[0], state.lean)),
+    findById: (id) => query((state) => out(found({ _id: id }, state)[0], state.lean)),
+    exists: (filter) => query(() => (store.find((d) => matches(d, filter)) ? { _id: true } : null)),
+    countDocuments: (filter) => query(() => store.filter((d) => matches(d, filter)).length),
+
+    create: async (raw) => {
+      const doc = new Model(raw);
+      await doc.validate();
+      await tick();
+      const stored = doc.toObject({ depopulate: true });
+      checkUnique(stored);
+      store.push(stored);
+      return out(stored);
+    },
+
+    updateOne: async (filter, update) => {
+      await tick();
+      const doc = store.find((d) => matches(d, filter));
+      if (!doc) return { matchedCount: 0, modifiedCount: 0 };
+      return { matchedCount: 1, modifiedCount: write(doc, update) ? 1 : 0 };
+    },
+
+    updateMany: async (filter, update) => {
+      await tick();
+      let modifiedCount = 0;
+      const targets = store.filter((d) => matches(d, filter));
+      for (const doc of targets) if (write(doc, update)) modifiedCount++;
+      return { matchedCount: targets.length, modifiedCount };
+    },
+
+    findOneAndUpdate: (filter, update, options = {}) =>
+      query(async (state) => {
+        let doc = store.find((d) => matches(d, filter));
+        if (!doc && options.upsert) {
+          await tick(); // another upsert may insert the same key meanwhile
+          const equality = Object.fromEntries(
+            Object.entries(filter).filter(([p, v]) => !p.startsWith("$") && !isPlainObject(v))
+          );
+          doc = cast(equality);
+          write(doc, update, { inserting: true });
+          checkUnique(doc);
+          store.push(doc);
+          return out(doc, state.lean);
+        }
+        if (!doc) return null;
+        const before = clone(doc);
+        write(doc, update);
+        return out(options.new ? doc : before, state.lean);
+      }),
+
+    bulkWrite: async (ops) => {
+      let modifiedCount = 0;
+      for (const { updateOne } of ops) {
+        const { modifiedCount: n } = await fake.updateOne(updateOne.filter, updateOne.update);
+        modifiedCount += n;
+      }
+      return { modifiedCount };
+    },
+  };
+
+  for (const [name, impl] of Object.entries(fake)) {
+    mocks.push(mock.method(Model, name, impl));
+  }
+
+  return {
+    docs: store,
+    restore: () => mocks.forEach((m) => m.mock.restore()),
+  };
+};
+
+/**
+ * Minimal Express response: records the status and the JSON body.
+ */
+export const mockResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    setHeader(name, value) {
+      res.headers[name] = value;
+    },
+  };
+  return res;
+};
+
+/**
+ * Runs an Express handler and resolves with { res, error } (error: what
+ * was passed to next(); the status set before it stays on res).
+ */
+export const runHandler = async (handler, req) => {
+  const res = mockResponse();
+  let error = null;
+  await handler(req, res, (err) => {
+    error = err || null;
+  });
+  if (error && res.statusCode === 200) res.statusCode = 500;
+  return { res, error };
+};
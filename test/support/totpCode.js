@@ -0,0 +1,34 @@
+/**
+ * totpCode.js
+ * -----------
+ * Test helper: the code an authenticator app shows for a base32 secret
+ * right now (RFC 6238, 30-second steps, 6 digits, HMAC-SHA1).
+ */
+
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Decode = (input) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of input.toUpperCase()) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+export const totpCode = (secret, at = Date.now()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(at / 1000 / 30)));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1e6).padStart(6, "0");
+};
@@ -0,0 +1,96 @@
+/**
+ * Second login step (POST /api/users/login/2fa): each TOTP code and each
+ * recovery code logs in once, also when two requests race with it.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import User from "../models/user.js";
+import Session from "../models/session.js";
+import Clinic from "../models/clinic.js";
+import { verifyLoginCode } from "../controllers/twoFactorController.js";
+import { generateSecret, normalizeRecoveryCode } from "../utils/totp.js";
+import { hashToken, signChallengeToken } from "../utils/token.js";
+import { useMemoryModel, runHandler } from "./support/memoryModel.js";
+import { totpCode } from "./support/totpCode.js";
+
+const RECOVERY_CODE = "a1b2c-3d4e5";
+
+describe("verifyLoginCode", () => {
+  let users;
+  let user;
+
+  const login = (body) =>
+    runHandler(verifyLoginCode, {
+      body: { challengeToken: signChallengeToken(String(user._id)), ...body },
+      get: () => "node:test",
+      ip: "127.0.0.1",
+    });
+
+  beforeEach(() => {
+    process.env.JWT_SECRET ||= "test-secret";
+
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      username: "dentist",
+      email: "dentist@example.com",
+      password: "hashed",
+      role: "dentist",
+      twoFactorEnabled: true,
+      twoFactorSecret: generateSecret(),
+      twoFactorRecoveryCodes: [hashToken(normalizeRecoveryCode(RECOVERY_CODE))],
+    };
+    users = useMemoryModel(User, { docs: [user] });
+    useMemoryModel(Session);
+    useMemoryModel(Clinic);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("logs in with the current TOTP code", async () => {
+    const { res } = await login({ code: totpCode(user.twoFactorSecret) });
+
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.body.token);
+    assert.ok(res.body.refreshToken);
+  });
+
+  it("rejects a TOTP code that was already used", async () => {
+    const code = totpCode(user.twoFactorSecret);
+
+    assert.equal((await login({ code })).res.statusCode, 200);
+    const { res, error } = await login({ code });
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(error.message, "Invalid verification code");
+    assert.equal(users.docs[0].failedLoginAttempts, 1);
+  });
+
+  it("accepts one of two concurrent logins with the same TOTP code", async () => {
+    const code = totpCode(user.twoFactorSecret);
+
+    const results = await Promise.all([login({ code }), login({ code })]);
+
+    const statuses = results.map(({ res }) => res.statusCode).sort();
+    assert.deepEqual(statuses, [200, 401]);
+  });
+
+  it("consumes a recovery code", async () => {
+    const { res } = await login({ recoveryCode: " A1B2C-3D4E5 " });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(users.docs[0].twoFactorRecoveryCodes, []);
+    assert.equal((await login({ recoveryCode: RECOVERY_CODE })).res.statusCode, 401);
+  });
+
+  it("accepts one of two concurrent logins with the same recovery code", async () => {
+    const results = await Promise.all([
+      login({ recoveryCode: RECOVERY_CODE }),
+      login({ recoveryCode: RECOVERY_CODE }),
+    ]);
+
+    const statuses = results.map(({ res }) => res.statusCode).sort();
+    assert.deepEqual(statuses, [200, 401]);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * address.js
+ * ----------
+ * Structured postal addresses (street, city, region, postal code, country)
+ * for patients, so that letters can be addressed and sorted by country.
+ *
+ * Responsibilities:
+ * - Country codes (ISO 3166-1 alpha-2) and postal-code rules per country
+ * - Turn request input into a stored address (trimmed, upper-case country
+ *   and postal code; a plain string is taken as the street)
+ * - One-line formatting for exports
+ * - Best-effort split of an old one-line address (migration)
+ *
+ * Notes:
+ * - Countries listed in POSTAL_CODE_PATTERNS require a postal code in that
+ *   format; elsewhere the postal code is optional and free text.
+ *
+ * Used In:
+ * - models/patient.js (validators)
+ * - patientController.js, patientImport.js, scripts/migratePhonesAddresses.js
+ */
+
+import { getCountries } from "libphonenumber-js";
+import { DEFAULT_COUNTRY } from "./phone.js";
+
+export const ADDRESS_FIELDS = ["street", "city", "region", "postalCode", "country"];
+
+const COUNTRIES = new Set(getCountries());
+
+export const isCountryCode = (value) => COUNTRIES.has(value);
+
+// Postal code formats of the countries our patients come from most
+export const POSTAL_CODE_PATTERNS = {
+  US: { pattern: /^\d{5}(-\d{4})?$/, example: "12345 or 12345-6789" },
+  CA: { pattern: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/, example: "K1A 0B1" },
+  MX: { pattern: /^\d{5}$/, example: "06600" },
+  GB: { pattern: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/, example: "SW1A 1AA" },
+  DE: { pattern: /^\d{5}$/, example: "10115" },
+  FR: { pattern: /^\d{5}$/, example: "75001" },
+  ES: { pattern: /^\d{5}$/, example: "28001" },
+  IT: { pattern: /^\d{5}$/, example: "00118" },
+  NL: { pattern: /^\d{4} ?[A-Z]{2}$/, example: "1012 AB" },
+  BE: { pattern: /^\d{4}$/, example: "1000" },
+  CH: { pattern: /^\d{4}$/, example: "8001" },
+  AT: { pattern: /^\d{4}$/, example: "1010" },
+  PT: { pattern: /^\d{4}-\d{3}$/, example: "1000-001" },
+  BR: { pattern: /^\d{5}-?\d{3}$/, example: "01310-100" },
+  AU: { pattern: /^\d{4}$/, example: "2000" },
+  IN: { pattern: /^\d{6}$/, example: "110001" },
+};
+
+/**
+ * Problem with the postal code of an address, or null when it is fine.
+ */
+export const postalCodeError = (address) => {
+  if (!address) return null;
+  const rule = POSTAL_CODE_PATTERNS[address.country];
+  if (!rule) return null;
+  if (!address.postalCode) return `Postal code is required for ${address.country}`;
+  return rule.pattern.test(address.postalCode)
+    ? null
+    : `Invalid postal code for ${address.country} (e.g. ${rule.example})`;
+};
+
+/**
+ * cleanAddress(value)
+ * -------------------
+ * @param {Object|String} value - address from the request body
+ * @returns {Object|null} { street, city, region, postalCode, country } with
+ *   empty parts left out (country defaults to DEFAULT_COUNTRY)
+ */
+export const cleanAddress = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const input = typeof value === "string" ? { street: value } : value;
+
+  const address = {};
+  for (const field of ADDRESS_FIELDS) {
+    const text = String(input[field] ?? "").trim().replace(/\s+/g, " ");
+    if (text) address[field] = text;
+  }
+  address.country = (address.country || DEFAULT_COUNTRY).toUpperCase();
+  if (address.postalCode) address.postalCode = address.postalCode.toUpperCase();
+  return address;
+};
+
+/**
+ * "12 Main St, Springfield, IL 62704, US" (empty parts skipped).
+ */
+export const formatAddress = (address) => {
+  if (!address) return "";
+  if (typeof address === "string") return address;
+  const locality = [address.region, address.postalCode].filter(Boolean).join(" ");
+  return [address.street, address.city, locality, address.country].filter(Boolean).join(", ");
+};
+
+/**
+ * parseAddressLine(text, country)
+ * -------------------------------
+ * Splits "street, city, region postal[, country]" as typed into the old
+ * single address field. Parts that cannot be told apart stay in the street.
+ *
+ * @returns {{ address: Object, complete: Boolean }} complete = street,
+ *   city and a valid postal code (where required) were found
+ */
+export const parseAddressLine = (text, country = DEFAULT_COUNTRY) => {
+  const parts = String(text ?? "")
+    .split(/\s*[,\n]\s*/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+  const address = { country };
+
+  // Trailing country code ("…, US", "…, GB"); with fewer parts a last "IL"
+  // or "CA" is far more likely a state than a country
+  const last = parts[parts.length - 1]?.toUpperCase();
+  if (parts.length > 3 && isCountryCode(last)) {
+    address.country = last;
+    parts.pop();
+  }
+
+  // "IL 62704", "62704", "SW1A 1AA" as the last part
+  if (parts.length > 2) {
+    const locality = parts[parts.length - 1];
+    const rule = POSTAL_CODE_PATTERNS[address.country];
+    const postal = rule
+      ? locality.toUpperCase().match(new RegExp(`(?:^|\\s)(${rule.pattern.source.slice(1, -1)})$`))
+      : null;
+    if (postal) {
+      address.postalCode = postal[1];
+      const region = locality.slice(0, postal.index).trim();
+      if (region) address.region = region;
+    } else {
+      address.region = locality;
+    }
+    parts.pop();
+  }
+
+  if (parts.length > 1) address.city = parts.pop();
+  if (parts.length) address.street = parts.join(", ");
+
+  const complete = !!address.street && !!address.city && !postalCodeError(address);
+  return { address, complete };
+};
@@ -0,0 +1,19 @@
+/**
+ * appointments.js
+ * ---------------
+ * Small helpers for records that point at an appointment (clinical notes,
+ * chart snapshots, consents).
+ *
+ * Used In:
+ * - clinicalNoteController.js, dentalChartController.js,
+ *   consentController.js
+ */
+
+/**
+ * "2026-10-19 14:30 · Cleaning": stored next to the appointment id, so the
+ * record still says which visit it was about if the appointment is deleted.
+ */
+export const appointmentLabel = (appt) => {
+  const label = [new Date(appt.date).toISOString().slice(0, 10), appt.time].join(" ");
+  return appt.reason ? `${label} · ${appt.reason}` : label;
+};
@@ -0,0 +1,111 @@
+/**
+ * consentPdf.js
+ * -------------
+ * Renders a signed consent form as a flat PDF (no form fields: text and
+ * the signature image are printed on the page, like a scanned paper form).
+ *
+ * Used In:
+ * - consentController.js → signConsent (the PDF is stored as a patient
+ *   attachment)
+ */
+
+import PDFDocument from "pdfkit";
+
+const RELATIONSHIPS = {
+  patient: "patient",
+  guardian: "guardian / legal representative",
+  other: "on behalf of the patient",
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const formatDateTime = (date) => new Date(date).toISOString().slice(0, 16).replace("T", " ");
+
+/**
+ * consentPdf(consent)
+ * -------------------
+ * @param {Object} consent
+ * @param {String} consent.clinicName
+ * @param {String} consent.title            - form name
+ * @param {String} consent.body             - consent text
+ * @param {Object} consent.patient          - { name, dateOfBirth }
+ * @param {String} consent.appointmentLabel
+ * @param {String[]} consent.procedures     - planned procedures of the visit
+ * @param {Buffer} consent.signature        - PNG of the signature
+ * @param {String} consent.signerName
+ * @param {String} consent.signerRelationship - patient | guardian | other
+ * @param {Date}   consent.signedAt
+ * @param {String} consent.witnessName
+ * @returns {Promise<Buffer>} the PDF file
+ */
+export const consentPdf = (consent) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 56,
+      info: {
+        Title: `${consent.title} – ${consent.patient.name}`,
+        Author: consent.clinicName,
+        CreationDate: new Date(consent.signedAt),
+      },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const left = doc.page.margins.left;
+
+    // Header
+    doc.font("Helvetica").fontSize(10).fillColor("#6c757d").text(consent.clinicName);
+    doc.moveDown(0.3);
+    doc.font("Helvetica-Bold").fontSize(18).fillColor("#000").text(consent.title);
+    doc.moveDown(0.8);
+
+    // Who and which visit
+    const detail = (label, value) => {
+      doc.font("Helvetica-Bold").fontSize(10).text(`${label}: `, { continued: true });
+      doc.font("Helvetica").text(value || "—");
+    };
+    detail("Patient", consent.patient.name);
+    detail(
+      "Date of birth",
+      consent.patient.dateOfBirth ? formatDate(consent.patient.dateOfBirth) : ""
+    );
+    detail("Appointment", consent.appointmentLabel);
+    if (consent.procedures?.length) {
+      detail("Procedures", consent.procedures.join("; "));
+    }
+    doc.moveDown(0.8);
+
+    // Consent text, paragraph by paragraph
+    doc.font("Helvetica").fontSize(11);
+    for (const paragraph of consent.body.split(/\n\s*\n/)) {
+      doc.text(paragraph.trim(), { width, align: "justify" });
+      doc.moveDown(0.6);
+    }
+    doc.moveDown(1);
+
+    // Signature block (kept on one page)
+    if (doc.y + 150 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    const top = doc.y;
+    doc.image(consent.signature, left, top, { fit: [240, 90] });
+    doc
+      .moveTo(left, top + 94)
+      .lineTo(left + 260, top + 94)
+      .lineWidth(0.8)
+      .strokeColor("#000")
+      .stroke();
+    doc.y = top + 100;
+    doc.x = left;
+    doc
+      .font("Helvetica")
+      .fontSize(10)
+      .text(
+        `Signed by ${consent.signerName} (${RELATIONSHIPS[consent.signerRelationship] || consent.signerRelationship}) on ${formatDateTime(consent.signedAt)} UTC`
+      );
+    doc.text(`Witnessed by ${consent.witnessName}`);
+
+    doc.end();
+  });
@@ -0,0 +1,162 @@
+/**
+ * consents.js
+ * -----------
+ * Which consent forms an appointment needs, and whether they are signed.
+ *
+ * Responsibilities:
+ * - Match consent templates to a visit: a template is needed when one of
+ *   the visit's planned procedures has one of its procedure codes, or the
+ *   appointment reason contains one of its keywords
+ * - Consent status per appointment: required, signed and missing forms
+ * - Read the signature captured on the signing screen (PNG data URL)
+ *
+ * Used In:
+ * - consentController.js
+ * - treatmentPlanController.js → scheduleProcedures warns about consents
+ *   the new appointment needs
+ */
+
+import zlib from "zlib";
+import ConsentTemplate from "../models/consentTemplate.js";
+import Consent from "../models/consent.js";
+import PlannedProcedure from "../models/plannedProcedure.js";
+import { appointmentLabel } from "./appointments.js";
+
+// Largest signature image accepted (decoded); as base64 it still fits the
+// default 100 kB JSON body limit
+const SIGNATURE_MAX_BYTES = 64 * 1024;
+
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Templates a visit needs.
+ *
+ * @param {Object[]} templates - active consent templates
+ * @param {Object} visit - { codes: procedure codes, reason: appointment reason }
+ * @returns {Object[]} matching templates, in the given order
+ */
+export const consentsRequiredFor = (templates, { codes = [], reason = "" }) => {
+  const text = String(reason || "").toLowerCase();
+  return templates.filter(
+    (t) =>
+      t.procedureCodes.some((code) => codes.includes(code)) ||
+      t.keywords.some((word) => text.includes(word))
+  );
+};
+
+/**
+ * Active consent templates of a clinic, by name.
+ */
+export const activeTemplates = (clinicId) =>
+  ConsentTemplate.find({ clinic: clinicId, active: true }).sort({ name: 1 }).lean();
+
+/**
+ * appointmentConsents(appointments, clinicId)
+ * -------------------------------------------
+ * @param {Object[]} appointments - appointments of one clinic
+ * @returns {Promise<Object[]>} per appointment { appointment, label, date,
+ *   status, required, signed, missing }: required / missing are
+ *   [{ _id, name }] templates, signed the consents of the visit (without
+ *   their text)
+ */
+export const appointmentConsents = async (appointments, clinicId) => {
+  const ids = appointments.map((a) => a._id);
+  const [templates, procedures, consents] = await Promise.all([
+    activeTemplates(clinicId),
+    PlannedProcedure.find({ appointment: { $in: ids } }, "code appointment").lean(),
+    Consent.find({ appointment: { $in: ids } }, "-body").sort({ signedAt: 1 }).lean(),
+  ]);
+
+  const ofAppointment = (list, appt) => list.filter((x) => String(x.appointment) === String(appt._id));
+  const summary = (t) => ({ _id: t._id, name: t.name });
+
+  return appointments.map((appt) => {
+    const signed = ofAppointment(consents, appt);
+    const signedTemplates = new Set(signed.map((c) => String(c.template)));
+    const required = consentsRequiredFor(templates, {
+      codes: ofAppointment(procedures, appt).map((p) => p.code),
+      reason: appt.reason,
+    });
+    return {
+      appointment: appt._id,
+      label: appointmentLabel(appt),
+      date: appt.date,
+      status: appt.status,
+      required: required.map(summary),
+      signed,
+      missing: required.filter((t) => !signedTemplates.has(String(t._id))).map(summary),
+    };
+  });
+};
+
+// Largest decoded signature image: the signing screen sends 600 px wide
+// RGBA images (about 0.5 MB of pixels); anything far bigger is refused
+// before it is inflated
+const SIGNATURE_MAX_PIXEL_BYTES = 4 * 1024 * 1024;
+
+// Channels per pixel by PNG color type (gray, RGB, palette, gray+alpha, RGBA)
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Size of the inflated image data announced by a PNG header (IHDR data):
+ * one filter byte plus the pixels of each row. Interlaced images are a few
+ * bytes per pass larger, hence the margin.
+ */
+const pixelDataBytes = (ihdr) => {
+  const width = ihdr.readUInt32BE(0);
+  const height = ihdr.readUInt32BE(4);
+  const channels = PNG_CHANNELS[ihdr[9]];
+  if (!width || !height || !channels) return Infinity;
+  const rowBytes = Math.ceil((width * channels * ihdr[8]) / 8) + 1;
+  return rowBytes * height + 7 * (height + 1);
+};
+
+/**
+ * Whether a PNG can be printed: its chunks are complete, it starts with a
+ * header and its image data inflates to no more than the header announces
+ * (at most SIGNATURE_MAX_PIXEL_BYTES, so a small upload cannot inflate to
+ * gigabytes). PDFKit inflates the image data in a callback while writing
+ * the PDF, where a corrupt stream cannot be caught.
+ */
+const readablePng = (png) => {
+  const data = [];
+  let offset = PNG_MAGIC.length;
+  let header = null;
+  while (offset + 12 <= png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString("latin1", offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > png.length) return false;
+    if (offset === PNG_MAGIC.length && type === "IHDR" && length === 13) {
+      header = png.subarray(offset + 8, end - 4);
+    }
+    if (type === "IDAT") data.push(png.subarray(offset + 8, end - 4));
+    if (type === "IEND") break;
+    offset = end;
+  }
+  if (!header || !data.length) return false;
+
+  const expected = pixelDataBytes(header);
+  if (expected > SIGNATURE_MAX_PIXEL_BYTES) return false;
+  try {
+    zlib.inflateSync(Buffer.concat(data), { maxOutputLength: expected });
+    return true;
+  } catch {
+    return false; // corrupt, or more data than the header announces
+  }
+};
+
+/**
+ * Signature image from a "data:image/png;base64,…" URL.
+ *
+ * @returns {Buffer|null} the PNG, or null when it is not a readable PNG /
+ *   too large
+ */
+export const signatureImage = (dataUrl) => {
+  const match = /^data:image\/png;base64,([A-Za-z0-9+/=\s]+)$/.exec(String(dataUrl || ""));
+  if (!match) return null;
+  const png = Buffer.from(match[1], "base64");
+  if (png.length > SIGNATURE_MAX_BYTES || !png.subarray(0, 8).equals(PNG_MAGIC)) return null;
+  if (!readablePng(png)) return null;
+  return png;
+};
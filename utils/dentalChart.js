@@ -0,0 +1,144 @@
+/**
+ * dentalChart.js
+ * --------------
+ * Tooth numbering, surfaces and findings for the dental chart
+ * (odontogram) of a patient.
+ *
+ * Responsibilities:
+ * - Tooth codes: teeth are stored by their FDI (ISO 3950) number, "11"–"48"
+ *   for permanent and "51"–"85" for primary teeth; the Universal numbering
+ *   used in the US (1–32, A–T) is converted for display and input
+ * - The findings that can be recorded and where they apply: caries and
+ *   fillings on surfaces, crowns, implants and missing teeth on the whole
+ *   tooth
+ * - Turn the body of a tooth update into stored findings, with the rules
+ *   that keep a tooth consistent (e.g. a missing tooth has nothing else)
+ *
+ * Notes:
+ * - Surfaces: M mesial, O occlusal (incisal on front teeth), D distal,
+ *   B buccal / facial, L lingual / palatal.
+ *
+ * Used In:
+ * - models/dentalChart.js, models/chartSnapshot.js
+ * - dentalChartController.js
+ */
+
+// Teeth in chart order (patient's upper right → upper left, lower right →
+// lower left), i.e. as the dentist sees them facing the patient
+const quadrant = (q, count, reverse) => {
+  const teeth = Array.from({ length: count }, (_, i) => `${q}${i + 1}`);
+  return reverse ? teeth.reverse() : teeth;
+};
+
+export const PERMANENT_TEETH = [
+  ...quadrant(1, 8, true),
+  ...quadrant(2, 8),
+  ...quadrant(4, 8, true),
+  ...quadrant(3, 8),
+];
+
+export const PRIMARY_TEETH = [
+  ...quadrant(5, 5, true),
+  ...quadrant(6, 5),
+  ...quadrant(8, 5, true),
+  ...quadrant(7, 5),
+];
+
+const ALL_TEETH = new Set([...PERMANENT_TEETH, ...PRIMARY_TEETH]);
+
+export const isToothCode = (value) => ALL_TEETH.has(String(value));
+
+// Universal numbering runs clockwise from the upper right third molar
+// (1–32) / upper right second primary molar (A–T)
+const UNIVERSAL_ORDER = {
+  permanent: [...quadrant(1, 8, true), ...quadrant(2, 8), ...quadrant(3, 8, true), ...quadrant(4, 8)],
+  primary: [...quadrant(5, 5, true), ...quadrant(6, 5), ...quadrant(7, 5, true), ...quadrant(8, 5)],
+};
+
+const TO_UNIVERSAL = new Map([
+  ...UNIVERSAL_ORDER.permanent.map((fdi, i) => [fdi, String(i + 1)]),
+  ...UNIVERSAL_ORDER.primary.map((fdi, i) => [fdi, String.fromCharCode(65 + i)]),
+]);
+const FROM_UNIVERSAL = new Map([...TO_UNIVERSAL].map(([fdi, uni]) => [uni, fdi]));
+
+export const NUMBERING_SYSTEMS = ["fdi", "universal"];
+
+/**
+ * FDI code → Universal number ("18" → "1", "55" → "A").
+ */
+export const fdiToUniversal = (tooth) => TO_UNIVERSAL.get(String(tooth)) || null;
+
+/**
+ * Universal number → FDI code ("1" → "18", "a" → "55").
+ */
+export const universalToFdi = (value) =>
+  FROM_UNIVERSAL.get(String(value).trim().toUpperCase()) || null;
+
+/**
+ * Tooth code of the request in the given numbering, as FDI (null if unknown).
+ */
+export const toFdi = (value, numbering = "fdi") =>
+  numbering === "universal"
+    ? universalToFdi(value)
+    : isToothCode(String(value).trim())
+      ? String(value).trim()
+      : null;
+
+export const SURFACES = ["M", "O", "D", "B", "L"]; // "MOD" order as charted
+
+// Findings: `surfaces` ones are recorded per surface, the others on the
+// whole tooth
+export const CONDITIONS = {
+  caries: { label: "Caries", surfaces: true },
+  filling: { label: "Filling", surfaces: true },
+  crown: { label: "Crown", surfaces: false },
+  implant: { label: "Implant", surfaces: false },
+  missing: { label: "Missing", surfaces: false },
+};
+
+export const CONDITION_KEYS = Object.keys(CONDITIONS);
+
+/**
+ * cleanTooth(body)
+ * ----------------
+ * @param {Object} body - { findings: [{ condition, surfaces }], note }
+ * @returns {{ tooth?: Object, error?: String }} tooth = { findings, note }
+ *   with one finding per condition (surfaces merged, sorted, deduplicated)
+ */
+export const cleanTooth = (body = {}) => {
+  const surfacesOf = new Map();
+
+  for (const f of Array.isArray(body.findings) ? body.findings : []) {
+    const rule = CONDITIONS[f?.condition];
+    if (!rule) return { error: `Unknown finding "${f?.condition}"` };
+
+    const surfaces = (Array.isArray(f.surfaces) ? f.surfaces : []).map((s) =>
+      String(s).toUpperCase()
+    );
+    if (surfaces.some((s) => !SURFACES.includes(s))) {
+      return { error: `Surfaces must be ${SURFACES.join(", ")}` };
+    }
+    if (rule.surfaces && !surfaces.length) {
+      return { error: `${rule.label} needs at least one surface` };
+    }
+
+    const merged = new Set([...(surfacesOf.get(f.condition) || []), ...surfaces]);
+    surfacesOf.set(f.condition, rule.surfaces ? merged : new Set());
+  }
+
+  const has = (condition) => surfacesOf.has(condition);
+  if (has("missing") && surfacesOf.size > 1) {
+    return { error: "A missing tooth cannot have other findings" };
+  }
+  if (has("implant") && (has("caries") || has("filling"))) {
+    return { error: "An implant cannot have caries or fillings" };
+  }
+
+  const findings = CONDITION_KEYS.filter(has).map((condition) => ({
+    condition,
+    surfaces: SURFACES.filter((s) => surfacesOf.get(condition).has(s)),
+  }));
+  const note = String(body.note ?? "").trim();
+
+  return { tooth: { findings, note } };
+};
@@ -0,0 +1,124 @@
+/**
+ * duplicates.js
+ * -------------
+ * Finds patients that may be the same person as a new / existing record.
+ *
+ * A candidate is flagged for one or more reasons:
+ * - "name_dob"    : same name (accents / case / word order ignored) and
+ *                   same date of birth
+ * - "phone"       : same phone number (digits only)
+ * - "similar_name": name that sounds alike or differs by a typo
+ *
+ * Uniqueness is only enforced on email, so these are warnings for staff, not
+ * hard errors.
+ *
+ * Used In:
+ * - patientController.js → create check, duplicate lookups, merge tool
+ */
+
+import Patient from "../models/patient.js";
+import {
+  buildSearchIndex,
+  digitsOf,
+  nameSimilarity,
+  parseDateQuery,
+  words,
+} from "./fuzzySearch.js";
+
+export const DUPLICATE_REASONS = {
+  name_dob: "Same name and date of birth",
+  phone: "Same phone number",
+  similar_name: "Similar name",
+};
+
+// Names at least this similar (trigram Dice) are flagged
+const SIMILAR_NAME = 0.6;
+
+// Shorter phone fragments are too likely to collide
+const MIN_PHONE_DIGITS = 7;
+
+const MAX_CANDIDATES = 50;
+
+// Same words in any order: "Smith John" = "john smith"
+const nameKey = (name) =>
+  words(name)
+    .map((w) => w.word)
+    .sort()
+    .join(" ");
+
+// UTC day of a date / "YYYY-MM-DD" string → [start, end)
+const dayRange = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date)) return null;
+  return parseDateQuery(date.toISOString().slice(0, 10));
+};
+
+// Sound codes of all name words, order ignored
+const soundKey = (name) => buildSearchIndex({ name }).phonetics.sort().join(" ");
+
+/**
+ * findDuplicates({ clinic, name, dateOfBirth, phone, excludeId })
+ * ---------------------------------------------------------------
+ * @returns {Promise<Array<{ patient, reasons: String[] }>>}
+ *   active patients of the clinic, strongest candidates first
+ */
+export const findDuplicates = async ({ clinic, name, dateOfBirth, phone, excludeId }) => {
+  const keys = buildSearchIndex({ name, phone });
+  const dob = dayRange(dateOfBirth);
+
+  const or = [];
+  if (keys.phoneDigits.length >= MIN_PHONE_DIGITS) {
+    or.push({ "searchIndex.phoneDigits": keys.phoneDigits });
+  }
+  // A typo rarely changes the sound of every word → share a sound code
+  if (keys.phonetics.length) or.push({ "searchIndex.phonetics": { $in: keys.phonetics } });
+  if (dob) or.push({ dateOfBirth: { $gte: dob[0], $lt: dob[1] } });
+  if (!or.length) return [];
+
+  const filter = { clinic, deletedAt: null, $or: or };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const candidates = await Patient.find(filter).limit(MAX_CANDIDATES * 10).lean();
+
+  const key = nameKey(name);
+  const results = [];
+
+  for (const p of candidates) {
+    const reasons = [];
+    const sameDob =
+      dob && p.dateOfBirth && p.dateOfBirth >= dob[0] && p.dateOfBirth < dob[1];
+
+    if (key && sameDob && nameKey(p.name) === key) reasons.push("name_dob");
+
+    if (
+      keys.phoneDigits.length >= MIN_PHONE_DIGITS &&
+      digitsOf(p.phone) === keys.phoneDigits
+    ) {
+      reasons.push("phone");
+    }
+
+    // Sound-alike names only count together with the same birthday
+    // ("Jane Smith" / "John Smith" alone are different people)
+    if (
+      !reasons.includes("name_dob") &&
+      key &&
+      (nameSimilarity(name, p.name) >= SIMILAR_NAME ||
+        (sameDob && soundKey(name) === soundKey(p.name)))
+    ) {
+      reasons.push("similar_name");
+    }
+
+    if (reasons.length) results.push({ patient: p, reasons });
+  }
+
+  // Strongest evidence first: name + DOB, then phone, then similar names
+  const weight = ({ reasons }) =>
+    (reasons.includes("name_dob") ? 4 : 0) +
+    (reasons.includes("phone") ? 2 : 0) +
+    (reasons.includes("similar_name") ? 1 : 0);
+
+  return results
+    .sort((a, b) => weight(b) - weight(a) || a.patient.name.localeCompare(b.patient.name))
+    .slice(0, MAX_CANDIDATES);
+};
@@ -0,0 +1,196 @@
+/**
+ * exporter.js
+ * -----------
+ * Streams query results as CSV, JSON or XLSX downloads
+ * (GET /api/patients/export, GET /api/appointments/export).
+ *
+ * Responsibilities:
+ * - Validate the requested format and column list against a column catalog
+ * - Write rows one by one from a mongoose cursor, so large exports are never
+ *   held in memory; the cursor is paused while the client is slow
+ *   (backpressure) and closed when the client goes away
+ *
+ * Column catalog entries: { key, label, type?, value?(doc) }
+ * - type "date"     → written as YYYY-MM-DD (date cells in XLSX)
+ * - type "datetime" → written as ISO timestamp (date-time cells in XLSX)
+ * - value(doc)      → custom getter, defaults to doc[key]
+ *
+ * Used In:
+ * - patientController.js
+ * - appointmentController.js
+ */
+
+import ExcelJS from "exceljs";
+
+export const EXPORT_FORMATS = {
+  csv: { type: "text/csv; charset=utf-8", ext: "csv" },
+  json: { type: "application/json; charset=utf-8", ext: "json" },
+  xlsx: {
+    type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ext: "xlsx",
+  },
+};
+
+const XLSX_FORMATS = { date: "yyyy-mm-dd", datetime: "yyyy-mm-dd hh:mm" };
+
+/**
+ * selectColumns(param, catalog)
+ * -----------------------------
+ * @param {String|String[]} param - "name,email" (or repeated ?columns=);
+ *   empty means every column of the catalog
+ * @returns {{ columns?: Object[], error?: String }} columns in the requested
+ *   order, or an error message for unknown keys
+ */
+export const selectColumns = (param, catalog) => {
+  const keys = [
+    ...new Set(
+      [param]
+        .flat()
+        .filter((v) => v !== undefined && v !== null)
+        .join(",")
+        .split(",")
+        .map((k) => k.trim())
+        .filter(Boolean)
+    ),
+  ];
+  if (!keys.length) return { columns: catalog };
+
+  const unknown = keys.filter((k) => !catalog.some((c) => c.key === k));
+  if (unknown.length) return { error: `Unknown export column(s): ${unknown.join(", ")}` };
+
+  return { columns: keys.map((k) => catalog.find((c) => c.key === k)) };
+};
+
+const rawValue = (column, doc) => {
+  const value = column.value ? column.value(doc) : doc[column.key];
+  return value === undefined || value === "" ? null : value;
+};
+
+/**
+ * Value for CSV / JSON: dates as text, ObjectIds as strings.
+ */
+const plainValue = (column, doc) => {
+  const value = rawValue(column, doc);
+  if (value === null) return null;
+  if (value instanceof Date) {
+    return column.type === "date" ? value.toISOString().slice(0, 10) : value.toISOString();
+  }
+  return typeof value === "object" ? String(value) : value;
+};
+
+const xlsxValue = (column, doc) => {
+  const value = rawValue(column, doc);
+  if (value === null || value instanceof Date || typeof value !== "object") return value;
+  return String(value);
+};
+
+// Phone numbers in E.164 ("+12125550199") start with + but are no formula
+const E164_TEXT = /^\+\d+$/;
+
+/**
+ * One CSV line. Text starting with = + - @ is prefixed with ' so that
+ * spreadsheet programs do not run it as a formula; phone numbers are left
+ * as they are, so an export imports back unchanged.
+ */
+const csvLine = (values) =>
+  values
+    .map((value) => {
+      let text = value === null ? "" : String(value);
+      if (typeof value === "string" && /^[=+\-@\t\r]/.test(text) && !E164_TEXT.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",") + "\r\n";
+
+/**
+ * Download name, e.g. "patients-2026-10-19.csv".
+ */
+export const exportFilename = (base, format) =>
+  `${base}-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].ext}`;
+
+/**
+ * streamExport({ res, cursor, columns, format, filename, sheetName })
+ * -------------------------------------------------------------------
+ * Writes every document of the cursor to the response in the given format.
+ *
+ * Once the first byte is sent the status can no longer change, so a failure
+ * half-way is logged and the connection is cut (the client sees an
+ * incomplete download instead of a truncated file that looks complete).
+ */
+export const streamExport = async ({ res, cursor, columns, format, filename, sheetName }) => {
+  res.status(200);
+  res.setHeader("Content-Type", EXPORT_FORMATS[format].type);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.setHeader("Cache-Control", "no-store");
+
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  // Wait for the socket to drain when its buffer is full
+  const drained = () =>
+    new Promise((resolve) => {
+      const done = () => {
+        res.off("drain", done);
+        res.off("close", done);
+        resolve();
+      };
+      res.on("drain", done);
+      res.on("close", done);
+    });
+
+  const write = async (chunk) => {
+    if (!res.write(chunk) && !closed) await drained();
+  };
+
+  try {
+    if (format === "xlsx") {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream: res,
+        useStyles: true,
+        useSharedStrings: false,
+      });
+      const sheet = workbook.addWorksheet(sheetName || "Export");
+      sheet.columns = columns.map((c) => ({
+        header: c.label,
+        key: c.key,
+        width: c.type ? 18 : 24,
+        style: XLSX_FORMATS[c.type] ? { numFmt: XLSX_FORMATS[c.type] } : undefined,
+      }));
+
+      for await (const doc of cursor) {
+        if (closed) break;
+        sheet.addRow(columns.map((c) => xlsxValue(c, doc))).commit();
+      }
+      if (!closed) {
+        sheet.commit();
+        await workbook.commit();
+      }
+    } else if (format === "csv") {
+      // BOM so Excel opens UTF-8 names correctly
+      await write("\uFEFF" + csvLine(columns.map((c) => c.label)));
+      for await (const doc of cursor) {
+        if (closed) break;
+        await write(csvLine(columns.map((c) => plainValue(c, doc))));
+      }
+      res.end();
+    } else {
+      let first = true;
+      await write("[");
+      for await (const doc of cursor) {
+        if (closed) break;
+        const row = Object.fromEntries(columns.map((c) => [c.key, plainValue(c, doc)]));
+        await write(`${first ? "\n" : ",\n"}${JSON.stringify(row)}`);
+        first = false;
+      }
+      res.end("\n]\n");
+    }
+  } catch (err) {
+    console.error("Export failed:", err);
+    res.destroy(err);
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+};
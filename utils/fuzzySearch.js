@@ -0,0 +1,341 @@
+/**
+ * fuzzySearch.js
+ * --------------
+ * Typo-tolerant matching helpers for patient lookup.
+ *
+ * Two kinds of keys are derived from a patient and stored on the document
+ * (patient.searchIndex) so candidates can be found with plain indexed
+ * queries:
+ * - trigrams  : 3-letter slices of every name word and the email local part
+ *               ("jon" → "_jo", "jon", "on_"); two spellings of a word
+ *               share most of them even with a typo
+ * - phonetics : a Soundex-style sound code per name word, so "Smith",
+ *               "Smyth" and "Schmidt" meet
+ *
+ * Candidates are then scored field by field (scoreField) and the best field
+ * is reported with highlight ranges for the UI.
+ *
+ * Used In:
+ * - models/patient.js       → keeps searchIndex in sync
+ * - patientController.js    → GET /api/patients/search
+ * - utils/duplicates.js     → duplicate candidates
+ * - scripts/reindexPatients.js
+ */
+
+/**
+ * Lowercases and strips accents while keeping the string length, so
+ * positions found in the result are valid in the original value.
+ */
+export const normalize = (value) =>
+  Array.from(String(value ?? ""), (ch) => {
+    const base = ch.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+    return base.length === 1 ? base.toLowerCase() : ch.toLowerCase();
+  }).join("");
+
+/**
+ * Words of a value with their position: [{ word, start, end }].
+ */
+export const words = (value) => {
+  const result = [];
+  const re = /[\p{L}\p{N}]+/gu;
+  let m;
+  while ((m = re.exec(normalize(value))) !== null) {
+    result.push({ word: m[0], start: m.index, end: m.index + m[0].length });
+  }
+  return result;
+};
+
+/**
+ * Digits only ("555-123-4567" → "5551234567").
+ */
+export const digitsOf = (value) => String(value ?? "").replace(/\D/g, "");
+
+/**
+ * Trigrams of a single word, padded with "_" at both ends.
+ */
+export const trigrams = (word) => {
+  const w = normalize(word);
+  if (w.length < 2) return [];
+  const padded = `_${w}_`;
+  const grams = new Set();
+  for (let i = 0; i <= padded.length - 3; i++) grams.add(padded.slice(i, i + 3));
+  return [...grams];
+};
+
+/**
+ * Dice similarity of two words' trigram sets (0 … 1).
+ */
+export const similarity = (a, b) => {
+  const ta = trigrams(a);
+  const tb = new Set(trigrams(b));
+  if (!ta.length || !tb.size) return 0;
+  const shared = ta.filter((g) => tb.has(g)).length;
+  return (2 * shared) / (ta.length + tb.size);
+};
+
+// Soundex letter groups; vowels, h, w and y are "0" (not coded)
+const SOUND_GROUPS = {
+  b: "1", f: "1", p: "1", v: "1",
+  c: "2", g: "2", j: "2", k: "2", q: "2", s: "2", x: "2", z: "2",
+  d: "3", t: "3",
+  l: "4",
+  m: "5", n: "5",
+  r: "6",
+};
+
+/**
+ * Soundex-style code of a word. Unlike classic Soundex the first letter is
+ * coded too, so "Catherine" and "Katherine" get the same key.
+ */
+export const phonetic = (word) => {
+  const letters = normalize(word).replace(/[^a-z]/g, "");
+  if (!letters) return "";
+
+  let code = SOUND_GROUPS[letters[0]] || "0";
+  let last = code;
+  for (const ch of letters.slice(1)) {
+    const digit = SOUND_GROUPS[ch] || "0";
+    // h / w do not separate equal codes ("Ashcraft"), vowels do
+    if (ch === "h" || ch === "w") continue;
+    if (digit !== "0" && digit !== last) code += digit;
+    last = digit;
+  }
+  return code.padEnd(4, "0").slice(0, 4);
+};
+
+/**
+ * Similarity of two full names (0 … 1), ignoring word order:
+ * Dice over the trigrams of all words.
+ */
+export const nameSimilarity = (a, b) => {
+  const ta = new Set(words(a).flatMap((w) => trigrams(w.word)));
+  const tb = new Set(words(b).flatMap((w) => trigrams(w.word)));
+  if (!ta.size || !tb.size) return 0;
+  const shared = [...ta].filter((g) => tb.has(g)).length;
+  return (2 * shared) / (ta.size + tb.size);
+};
+
+/**
+ * Keys stored on a patient (patient.searchIndex).
+ */
+export const buildSearchIndex = ({ name, email, phone }) => {
+  const nameWords = words(name).map((w) => w.word);
+  const emailWords = words(String(email ?? "").split("@")[0]).map((w) => w.word);
+
+  return {
+    trigrams: [...new Set([...nameWords, ...emailWords].flatMap(trigrams))],
+    phonetics: [...new Set(nameWords.map(phonetic).filter(Boolean))],
+    phoneDigits: digitsOf(phone),
+  };
+};
+
+/**
+ * Reads a date of birth typed as YYYY-MM-DD or MM/DD/YYYY.
+ * Returns the UTC day as [start, end) or null.
+ */
+export const parseDateQuery = (q) => {
+  const text = String(q).trim();
+  let y, m, d;
+
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (match) [, y, m, d] = match;
+  else {
+    match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+    if (!match) return null;
+    [, m, d, y] = match;
+  }
+
+  const start = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+  if (
+    isNaN(start) ||
+    start.getUTCMonth() !== Number(m) - 1 ||
+    start.getUTCDate() !== Number(d)
+  ) {
+    return null;
+  }
+  return [start, new Date(start.getTime() + 24 * 60 * 60 * 1000)];
+};
+
+/**
+ * What the query looks like, computed once per search.
+ */
+export const parseQuery = (q) => {
+  const text = normalize(String(q).trim());
+  const digits = digitsOf(q);
+  const qWords = words(text).map((w) => w.word);
+
+  return {
+    text,
+    words: qWords,
+    trigrams: [...new Set(qWords.flatMap(trigrams))],
+    phonetics: [...new Set(qWords.map(phonetic).filter(Boolean))],
+    // "555-12" / "(555) 123" count as phone input; a lone "12" does not
+    digits: digits.length >= 3 && /^[\d\s()+.-]+$/.test(q) ? digits : "",
+    dob: parseDateQuery(q),
+  };
+};
+
+/**
+ * How well one query word matches one value word (0 … 1).
+ */
+const wordScore = (qWord, word, usePhonetic) => {
+  if (word === qWord) return 1;
+  if (word.startsWith(qWord)) return 0.9;
+  if (qWord.length >= 3 && word.includes(qWord)) return 0.8;
+
+  const sim = similarity(qWord, word);
+  const sound =
+    usePhonetic && qWord.length >= 3 && phonetic(qWord) === phonetic(word);
+  return Math.max(sound ? 0.7 : 0, sim >= 0.4 ? sim * 0.75 : 0);
+};
+
+/**
+ * Scores a free-text value word by word: every query word must find a
+ * matching word; the result is their average. Sound codes are only used for
+ * names — in free text they match too many unrelated words.
+ */
+const scoreWords = (query, value, { usePhonetic = true } = {}) => {
+  const valueWords = words(value);
+  if (!query.words.length || !valueWords.length) return null;
+
+  let total = 0;
+  const ranges = [];
+  for (const qWord of query.words) {
+    let best = { score: 0 };
+    for (const w of valueWords) {
+      const score = wordScore(qWord, w.word, usePhonetic);
+      if (score > best.score) best = { score, w };
+    }
+    if (!best.score) return null;
+    total += best.score;
+
+    // Highlight the matched prefix / substring, or the whole word when fuzzy
+    const at = best.w.word.indexOf(qWord);
+    ranges.push(
+      at >= 0
+        ? [best.w.start + at, best.w.start + at + qWord.length]
+        : [best.w.start, best.w.end]
+    );
+  }
+  return { score: total / query.words.length, ranges };
+};
+
+/**
+ * Plain "contains" match of the whole query.
+ */
+const scoreSubstring = (query, value, score) => {
+  const at = normalize(value).indexOf(query.text);
+  if (!query.text || at < 0) return null;
+  return { score, ranges: [[at, at + query.text.length]] };
+};
+
+const SNIPPET_RADIUS = 40;
+
+// Weaker field matches are noise (e.g. a 2-trigram overlap in an email)
+const MIN_FIELD_SCORE = 0.35;
+
+/**
+ * Cuts long text (notes) down to the part around the first highlight.
+ */
+const snippet = (value, ranges) => {
+  if (value.length <= SNIPPET_RADIUS * 2) return { value, ranges };
+
+  const from = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+  const to = Math.min(value.length, ranges[0][1] + SNIPPET_RADIUS);
+  const prefix = from > 0 ? "…" : "";
+  const shift = prefix.length - from;
+
+  return {
+    value: `${prefix}${value.slice(from, to)}${to < value.length ? "…" : ""}`,
+    ranges: ranges
+      .filter(([s, e]) => s >= from && e <= to)
+      .map(([s, e]) => [s + shift, e + shift]),
+  };
+};
+
+/**
+ * scoreField(query, field, patient)
+ * ---------------------------------
+ * @returns {{ field, value, ranges, score } | null}
+ *   value  : the text to display (notes are shortened to a snippet)
+ *   ranges : [start, end) pairs in `value` to highlight
+ */
+export const scoreField = (query, field, patient) => {
+  let result = null;
+  let value = patient[field];
+
+  switch (field) {
+    case "name":
+      result = scoreWords(query, value);
+      break;
+
+    case "email":
+      result =
+        scoreSubstring(query, value, 0.95) ||
+        // fuzzy on the local part only ("jhon.smith" → "john.smith@…")
+        scoreWords(query, String(value ?? "").split("@")[0], { usePhonetic: false });
+      if (result) result.score *= 0.9;
+      break;
+
+    case "phone": {
+      if (!query.digits || !value) break;
+      // Map digit positions back to positions in the formatted number
+      const positions = [...String(value)]
+        .map((ch, i) => (/\d/.test(ch) ? i : -1))
+        .filter((i) => i >= 0);
+      const at = digitsOf(value).indexOf(query.digits);
+      if (at < 0) break;
+      result = {
+        score: query.digits.length === positions.length ? 1 : 0.85,
+        ranges: [[positions[at], positions[at + query.digits.length - 1] + 1]],
+      };
+      break;
+    }
+
+    case "dateOfBirth": {
+      if (!query.dob || !value) break;
+      const dob = new Date(value);
+      if (dob >= query.dob[0] && dob < query.dob[1]) {
+        value = dob.toISOString().slice(0, 10);
+        result = { score: 1, ranges: [[0, value.length]] };
+      }
+      break;
+    }
+
+    case "notes":
+      if (!value) break;
+      result =
+        scoreSubstring(query, value, 0.6) ||
+        scoreWords(query, value, { usePhonetic: false });
+      if (result) {
+        result.score = Math.min(result.score, 0.6);
+        ({ value, ranges: result.ranges } = snippet(String(value), result.ranges));
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  return result && result.score >= MIN_FIELD_SCORE
+    ? { field, value: String(value), ranges: result.ranges, score: result.score }
+    : null;
+};
+
+export const SEARCH_FIELDS = ["name", "email", "phone", "dateOfBirth", "notes"];
+
+/**
+ * Scores a patient against the query; null when nothing matches.
+ * `matches` is sorted best first.
+ */
+export const rankPatient = (query, patient) => {
+  const matches = SEARCH_FIELDS.map((f) => scoreField(query, f, patient))
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+
+  if (!matches.length) return null;
+
+  // Small bonus when several fields match (e.g. name and email both "smith")
+  const score = Math.min(1, matches[0].score + 0.05 * (matches.length - 1));
+  return { score: Math.round(score * 1000) / 1000, matches };
+};
@@ -0,0 +1,67 @@
+/**
+ * listQuery.js
+ * ------------
+ * Helpers for list endpoints that support search, sorting and pagination
+ * through query-string parameters.
+ *
+ * Used In:
+ * - patientController.js → GET /api/patients
+ */
+
+/**
+ * Escapes user input so it can be used inside a RegExp literally.
+ */
+export const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Case-insensitive "contains" matcher for a query-string value.
+ */
+export const containsFilter = (value) =>
+  new RegExp(escapeRegex(String(value).trim()), "i");
+
+/**
+ * parsePaging(query, options)
+ * ---------------------------
+ * Reads `page` and `limit` from the query string.
+ *
+ * @param {Object} query - req.query
+ * @param {Object} options
+ * @param {Number} options.defaultLimit - Used when `limit` is missing / invalid
+ * @param {Number} options.maxLimit     - Upper bound for `limit`
+ * @returns {{ page: Number, limit: Number, skip: Number }}
+ */
+export const parsePaging = (query, { defaultLimit = 10, maxLimit = 100 } = {}) => {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(maxLimit, Math.max(1, parseInt(query.limit, 10) || defaultLimit));
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * parseSort(sort, allowed, fallback)
+ * ----------------------------------
+ * Turns "name" / "-createdAt" into a mongoose sort object. Only fields in
+ * `allowed` are accepted; anything else falls back to `fallback`.
+ *
+ * @returns {Object} e.g. { name: 1 } or { createdAt: -1 }
+ */
+export const parseSort = (sort, allowed, fallback) => {
+  const value = typeof sort === "string" && sort ? sort : fallback;
+  const desc = value.startsWith("-");
+  const field = desc ? value.slice(1) : value;
+
+  if (!allowed.includes(field)) return parseSort(fallback, allowed, fallback);
+
+  // _id as tie-breaker keeps pages stable when values repeat
+  return { [field]: desc ? -1 : 1, _id: desc ? -1 : 1 };
+};
+
+/**
+ * Builds the standard paginated response body.
+ */
+export const pageResult = (items, total, { page, limit }) => ({
+  items,
+  total,
+  page,
+  pages: Math.max(1, Math.ceil(total / limit)),
+});
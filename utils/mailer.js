@@ -0,0 +1,132 @@
+/**
+ * mailer.js
+ * ---------
+ * Pluggable mail transport for outgoing emails (password resets, invitations).
+ *
+ * Transports (MAIL_TRANSPORT):
+ * - "smtp"   : sends through an SMTP server using nodemailer
+ * - "outbox" : writes each message as a JSON file into a local directory
+ *              (default outside production; handy for development and
+ *              testing)
+ *
+ * Environment Variables:
+ * - MAIL_TRANSPORT   : "smtp" or "outbox" (default: outbox; required when
+ *                      NODE_ENV=production, so reset and invitation links
+ *                      are never silently written to a file)
+ * - MAIL_FROM        : Sender address (default: no-reply@mernpro.local)
+ * - MAIL_OUTBOX_DIR  : Directory used by the outbox transport (default: outbox)
+ * - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS : SMTP settings
+ *
+ * Used In:
+ * - userController.js → forgot-password emails
+ * - invitationController.js → invitation emails
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+/**
+ * SMTP transport → delegates to nodemailer.
+ * The nodemailer transporter is created lazily and reused.
+ */
+let smtpTransporter = null;
+
+const smtpTransport = {
+  send: async (message) => {
+    if (!smtpTransporter) {
+      smtpTransporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+    }
+    await smtpTransporter.sendMail(message);
+  },
+};
+
+/**
+ * Outbox transport → one JSON file per message, named by timestamp.
+ */
+const outboxTransport = {
+  send: async (message) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || "outbox";
+    await fs.mkdir(dir, { recursive: true });
+
+    const file = path.join(
+      dir,
+      `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, "_")}.json`
+    );
+    await fs.writeFile(
+      file,
+      JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+    );
+  },
+};
+
+const transports = {
+  smtp: smtpTransport,
+  outbox: outboxTransport,
+};
+
+/**
+ * Name of the configured transport.
+ * @throws {Error} if MAIL_TRANSPORT is unknown, or missing in production
+ */
+const transportName = () => {
+  const name = process.env.MAIL_TRANSPORT;
+  if (!name && process.env.NODE_ENV === "production") {
+    throw new Error('MAIL_TRANSPORT is required in production (e.g. "smtp")');
+  }
+  if (name && !transports[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+  return name || "outbox";
+};
+
+/**
+ * checkMailConfig()
+ * -----------------
+ * Called at startup so a server that could not send emails does not start.
+ *
+ * @throws {Error} see transportName()
+ */
+export const checkMailConfig = () => {
+  transportName();
+};
+
+/**
+ * sendMail({ to, subject, text, html })
+ * -------------------------------------
+ * Sends a message through the configured transport.
+ *
+ * @param {Object} message - { to, subject, text, html? }
+ * @returns {Promise<void>}
+ * @throws {Error} if MAIL_TRANSPORT names an unknown transport, or is
+ *   missing in production
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  const transport = transports[transportName()];
+
+  await transport.send({
+    from: process.env.MAIL_FROM || "no-reply@mernpro.local",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+/**
+ * clientUrl(pathname)
+ * -------------------
+ * Builds a link into the React app (used inside emails).
+ *
+ * @param {String} pathname - e.g. "/reset-password?token=..."
+ * @returns {String} Absolute URL
+ */
+export const clientUrl = (pathname) =>
+  `${process.env.CLIENT_URL || "http://localhost:3000"}${pathname}`;
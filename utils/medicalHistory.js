@@ -0,0 +1,111 @@
+/**
+ * medicalHistory.js
+ * -----------------
+ * Helpers for the structured medical history of a patient
+ * (Patient.medicalHistory).
+ *
+ * Responsibilities:
+ * - Turn the editor's request body into a clean medical history (known
+ *   keys only, trimmed text, empty rows dropped); validation of the values
+ *   is left to the Patient model
+ * - Combine two histories when duplicate patients are merged, so that no
+ *   allergy or medication of either record is lost
+ *
+ * Used In:
+ * - patientController.js → updateMedicalHistory, mergePatients
+ */
+
+// List name → { key: identifying field, fields: accepted fields }
+export const MEDICAL_LISTS = {
+  allergies: { key: "substance", fields: ["substance", "reaction", "severity"] },
+  medications: { key: "name", fields: ["name", "dose", "alert"] },
+  conditions: { key: "name", fields: ["name", "notes", "alert"] },
+  anesthesiaReactions: { key: "agent", fields: ["agent", "reaction"] },
+};
+
+const SEVERITY_RANK = { mild: 1, moderate: 2, severe: 3 };
+
+const cleanItem = (item, fields) => {
+  const clean = {};
+  for (const field of fields) {
+    const value = item?.[field];
+    if (typeof value === "string") {
+      if (value.trim()) clean[field] = value.trim();
+    } else if (typeof value === "boolean") {
+      clean[field] = value;
+    }
+  }
+  return clean;
+};
+
+/**
+ * cleanMedicalHistory(body)
+ * -------------------------
+ * @param {Object} body - { allergies, medications, conditions,
+ *   anesthesiaReactions, pregnant, pregnancyDueDate }
+ * @returns {Object} medical history without review fields (those are set
+ *   by the controller)
+ */
+export const cleanMedicalHistory = (body = {}) => {
+  const history = {};
+
+  for (const [list, { key, fields }] of Object.entries(MEDICAL_LISTS)) {
+    history[list] = (Array.isArray(body[list]) ? body[list] : [])
+      .map((item) => cleanItem(item, fields))
+      .filter((item) => item[key]);
+  }
+
+  history.pregnant = typeof body.pregnant === "boolean" ? body.pregnant : null;
+  history.pregnancyDueDate =
+    history.pregnant && body.pregnancyDueDate ? body.pregnancyDueDate : undefined;
+
+  return history;
+};
+
+const plain = (value) => (value?.toObject ? value.toObject() : value || {});
+
+/**
+ * combineMedicalHistory(survivor, duplicate)
+ * ------------------------------------------
+ * Union of both histories (merge tool). Entries with the same name are
+ * kept once: the higher allergy severity and any alert flag win. The older
+ * review date is kept, since the combined list was not reviewed as such.
+ */
+export const combineMedicalHistory = (survivor, duplicate) => {
+  const a = plain(survivor);
+  const b = plain(duplicate);
+  const combined = {};
+
+  for (const [list, { key }] of Object.entries(MEDICAL_LISTS)) {
+    const byName = new Map();
+    for (const item of [...(a[list] || []), ...(b[list] || [])]) {
+      const name = String(item[key]).trim().toLowerCase();
+      const seen = byName.get(name);
+      if (!seen) {
+        byName.set(name, { ...item });
+        continue;
+      }
+      if (SEVERITY_RANK[item.severity] > SEVERITY_RANK[seen.severity]) {
+        seen.severity = item.severity;
+      }
+      if (item.alert) seen.alert = true;
+      for (const [field, value] of Object.entries(item)) {
+        if (seen[field] === undefined || seen[field] === "") seen[field] = value;
+      }
+    }
+    combined[list] = [...byName.values()];
+  }
+
+  combined.pregnant = a.pregnant ?? b.pregnant ?? null;
+  combined.pregnancyDueDate =
+    a.pregnant !== null && a.pregnant !== undefined ? a.pregnancyDueDate : b.pregnancyDueDate;
+
+  const reviews = [a, b].filter((h) => h.lastReviewedAt);
+  if (reviews.length) {
+    const older = reviews.sort((x, y) => new Date(x.lastReviewedAt) - new Date(y.lastReviewedAt))[0];
+    combined.lastReviewedAt = older.lastReviewedAt;
+    combined.lastReviewedBy = older.lastReviewedBy;
+  }
+
+  return combined;
+};
@@ -0,0 +1,86 @@
+/**
+ * noteTemplates.js
+ * ----------------
+ * Templates for clinical notes: each one is a list of titled sections the
+ * dentist fills in (SOAP, post-operative, …).
+ *
+ * Responsibilities:
+ * - The template catalog (served to the client, so the editor and the
+ *   stored notes always agree)
+ * - Turn the `sections` of a request body ({ subjective: "…", … }) into the
+ *   stored list [{ key, label, text }] for a template
+ *
+ * Notes:
+ * - Section labels are copied into each note, so renaming a section later
+ *   does not change what was written under the old title.
+ *
+ * Used In:
+ * - models/clinicalNote.js (template enum)
+ * - clinicalNoteController.js
+ */
+
+export const NOTE_TEMPLATES = {
+  general: {
+    label: "General note",
+    sections: [["note", "Note"]],
+  },
+  soap: {
+    label: "SOAP",
+    sections: [
+      ["subjective", "Subjective"],
+      ["objective", "Objective"],
+      ["assessment", "Assessment"],
+      ["plan", "Plan"],
+    ],
+  },
+  "post-op": {
+    label: "Post-op",
+    sections: [
+      ["procedure", "Procedure"],
+      ["anesthesia", "Anesthesia"],
+      ["findings", "Findings / complications"],
+      ["instructions", "Instructions given"],
+      ["followUp", "Follow-up"],
+    ],
+  },
+  "phone-call": {
+    label: "Phone call",
+    sections: [
+      ["caller", "Caller"],
+      ["summary", "Summary"],
+      ["action", "Action taken"],
+    ],
+  },
+};
+
+export const TEMPLATE_KEYS = Object.keys(NOTE_TEMPLATES);
+
+/**
+ * Catalog as sent to the client: [{ key, label, sections: [{ key, label }] }].
+ */
+export const templateList = () =>
+  TEMPLATE_KEYS.map((key) => ({
+    key,
+    label: NOTE_TEMPLATES[key].label,
+    sections: NOTE_TEMPLATES[key].sections.map(([k, label]) => ({ key: k, label })),
+  }));
+
+/**
+ * noteSections(template, input)
+ * -----------------------------
+ * @param {String} template - key of NOTE_TEMPLATES
+ * @param {Object} input    - { sectionKey: text } (unknown keys are ignored)
+ * @returns {Object[]} [{ key, label, text }] in template order; empty
+ *   sections are kept so the note shows every heading of its template
+ */
+export const noteSections = (template, input) =>
+  (NOTE_TEMPLATES[template]?.sections || []).map(([key, label]) => ({
+    key,
+    label,
+    text: String(input?.[key] ?? "").trim(),
+  }));
+
+/**
+ * True when at least one section has text.
+ */
+export const hasText = (sections) => sections.some((s) => s.text);
@@ -0,0 +1,81 @@
+/**
+ * passwordPolicy.js
+ * -----------------
+ * Password rules applied whenever a password is chosen or changed
+ * (register, bootstrap, invitation accept, admin-created users, reset,
+ * change-password).
+ *
+ * Rules:
+ * - Minimum length
+ * - Minimum number of character classes (lowercase, uppercase, digit, symbol)
+ * - Must not equal the username or email (or the email's local part)
+ * - Must not appear in the bundled common-passwords list
+ *   (config/common-passwords.txt), also after stripping trailing digits /
+ *   symbols, so "Password123!" is refused like "password"
+ *
+ * Environment Variables:
+ * - PASSWORD_MIN_LENGTH  : Minimum length (default: 10)
+ * - PASSWORD_MIN_CLASSES : Character classes required, 1-4 (default: 3)
+ *
+ * Used In:
+ * - userController.js, invitationController.js, adminController.js
+ */
+
+import fs from "fs";
+
+const COMMON_PASSWORDS = new Set(
+  fs
+    .readFileSync(new URL("../config/common-passwords.txt", import.meta.url), "utf8")
+    .split(/\r?\n/)
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith("#"))
+);
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+/**
+ * getPasswordPolicy()
+ * -------------------
+ * Current settings (read per call so .env values apply).
+ * Also returned by GET /api/users/password-policy for the client forms.
+ *
+ * @returns {{ minLength: Number, minClasses: Number }}
+ */
+export const getPasswordPolicy = () => ({
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 10,
+  minClasses: Math.min(4, Math.max(1, Number(process.env.PASSWORD_MIN_CLASSES) || 3)),
+});
+
+/**
+ * checkPassword(password, { username, email })
+ * --------------------------------------------
+ * @returns {String|null} First rule violated (human readable), or null if OK
+ */
+export const checkPassword = (password, { username, email } = {}) => {
+  const { minLength, minClasses } = getPasswordPolicy();
+
+  if (typeof password !== "string" || password.length < minLength) {
+    return `Password must be at least ${minLength} characters long`;
+  }
+
+  const classes = CHARACTER_CLASSES.filter((re) => re.test(password)).length;
+  if (classes < minClasses) {
+    return `Password must contain at least ${minClasses} of: lowercase letters, uppercase letters, digits, symbols`;
+  }
+
+  const lower = password.toLowerCase();
+  const personal = [username, email, email?.split("@")[0]]
+    .filter(Boolean)
+    .map((value) => String(value).toLowerCase());
+
+  if (personal.includes(lower)) {
+    return "Password must not be the same as your username or email";
+  }
+
+  const stripped = lower.replace(/[^a-z]+$/, "");
+  if (COMMON_PASSWORDS.has(lower) || COMMON_PASSWORDS.has(stripped)) {
+    return "Password is too common. Please choose a less predictable one";
+  }
+
+  return null;
+};
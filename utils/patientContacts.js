@@ -0,0 +1,91 @@
+/**
+ * patientContacts.js
+ * ------------------
+ * Rules and clean-up for the people and policies attached to a patient:
+ * emergency contacts, the legal guardian / responsible party and the
+ * primary / secondary insurance (see models/patient.js).
+ *
+ * Responsibilities:
+ * - Age helpers: a guardian is required while the patient is under 18
+ * - Turn form input into storable values: blank rows are dropped and an
+ *   all-empty guardian or policy becomes null, so "nothing entered" never
+ *   fails the required-field validators of those subdocuments
+ *
+ * Used In:
+ * - models/patient.js (guardian required for minors)
+ * - patientController.js → create / update
+ */
+
+export const ADULT_AGE = 18;
+
+export const GUARDIAN_REQUIRED_MESSAGE = `A legal guardian is required for patients under ${ADULT_AGE}`;
+
+/**
+ * Full years between dateOfBirth and `on` (null for a missing / bad date).
+ */
+export const ageOn = (dateOfBirth, on = new Date()) => {
+  if (!dateOfBirth) return null;
+  const dob = new Date(dateOfBirth);
+  if (isNaN(dob)) return null;
+
+  let age = on.getUTCFullYear() - dob.getUTCFullYear();
+  const beforeBirthday =
+    on.getUTCMonth() < dob.getUTCMonth() ||
+    (on.getUTCMonth() === dob.getUTCMonth() && on.getUTCDate() < dob.getUTCDate());
+  if (beforeBirthday) age -= 1;
+  return age;
+};
+
+export const isMinor = (dateOfBirth) => {
+  const age = ageOn(dateOfBirth);
+  return age !== null && age < ADULT_AGE;
+};
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && !value.trim()) ||
+  (typeof value === "object" &&
+    !(value instanceof Date) &&
+    Object.values(value).every(isBlank));
+
+// Relationship selects default to a value; they alone do not count as input
+const withoutDefaults = (value, defaults) => {
+  const rest = { ...value };
+  for (const [key, fallback] of Object.entries(defaults)) {
+    if (rest[key] === fallback) delete rest[key];
+  }
+  return rest;
+};
+
+/**
+ * cleanContactFields(fields)
+ * --------------------------
+ * @param {Object} fields - patient fields from the request body
+ * @returns {Object} copy with emergencyContacts / guardian / insurance
+ *   cleaned (only the keys that were sent are touched)
+ */
+export const cleanContactFields = (fields) => {
+  const clean = { ...fields };
+
+  if ("emergencyContacts" in clean) {
+    clean.emergencyContacts = (Array.isArray(clean.emergencyContacts) ? clean.emergencyContacts : [])
+      .filter((c) => !isBlank(c));
+  }
+
+  if ("guardian" in clean && isBlank(withoutDefaults(clean.guardian || {}, { relationship: "parent" }))) {
+    clean.guardian = null;
+  }
+
+  if ("insurance" in clean) {
+    const insurance = { ...(clean.insurance || {}) };
+    for (const level of ["primary", "secondary"]) {
+      if (isBlank(withoutDefaults(insurance[level] || {}, { subscriberRelationship: "self" }))) {
+        insurance[level] = null;
+      }
+    }
+    clean.insurance = insurance.primary || insurance.secondary ? insurance : null;
+  }
+
+  return clean;
+};
@@ -0,0 +1,144 @@
+/**
+ * patientHistory.js
+ * -----------------
+ * Snapshots, field diffs and version writing for patient records.
+ *
+ * Used In:
+ * - patientController.js → create / update / archive / restore / revert /
+ *   merge
+ *
+ * Notes:
+ * - Only the fields in TRACKED_FIELDS are versioned (not attachments or
+ *   internal keys such as searchIndex).
+ * - Dates are stored as ISO strings so snapshots compare and serialize the
+ *   same way; nested values (phones, address, contacts, guardian,
+ *   insurance, medicalHistory) are stored with sorted keys and without
+ *   empty parts, so a document and a lean object give equal snapshots.
+ */
+
+import PatientVersion from "../models/patientVersion.js";
+
+// Inserts tried by recordVersion when concurrent changes take its number
+const VERSION_ATTEMPTS = 5;
+
+// Fields whose changes are recorded (order = display order)
+export const TRACKED_FIELDS = [
+  "name",
+  "email",
+  "phones",
+  "dateOfBirth",
+  "address",
+  "notes",
+  "emergencyContacts",
+  "guardian",
+  "insurance",
+  "medicalHistory",
+];
+
+/**
+ * Comparable value: dates → ISO string, empty → null; objects and arrays
+ * are normalized recursively (empty ones → null).
+ */
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value?.toObject === "function") value = value.toObject();
+
+  if (Array.isArray(value)) {
+    const items = value.map(normalizeValue).filter((v) => v !== null);
+    return items.length ? items : null;
+  }
+  if (typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => [key, normalizeValue(value[key])])
+      .filter(([, v]) => v !== null);
+    return entries.length ? Object.fromEntries(entries) : null;
+  }
+  return value;
+};
+
+/**
+ * Tracked fields of a patient (document or plain object).
+ */
+export const snapshotOf = (patient) => {
+  const snapshot = {};
+  for (const field of TRACKED_FIELDS) {
+    snapshot[field] = normalizeValue(patient?.[field]);
+  }
+  return snapshot;
+};
+
+/**
+ * Field-level diff between two snapshots: [{ field, from, to }].
+ */
+export const diffSnapshots = (before, after) =>
+  TRACKED_FIELDS.filter(
+    (field) => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)
+  ).map((field) => ({
+    field,
+    from: before[field] ?? null,
+    to: after[field] ?? null,
+  }));
+
+/**
+ * recordVersion({ patient, before, action, user, revertOf, mergedFrom })
+ * -----------------------------------------------------------------------
+ * Writes the next version of a patient.
+ *
+ * @param {Object} options.patient  - Patient after the change
+ * @param {Object} options.before   - Patient (or snapshot) before the change;
+ *                                    null for "create"
+ * @param {String} options.action   - create | update | revert | archive |
+ *                                    restore | merge
+ * @param {Object} options.user     - req.user (author)
+ * @param {Number} [options.revertOf]
+ * @param {Object} [options.mergedFrom] - the duplicate patient (merge)
+ * @returns {Promise<Object|null>} the version, or null when an update
+ *                                 changed no tracked field
+ */
+export const recordVersion = async ({
+  patient,
+  before,
+  action,
+  user,
+  revertOf,
+  mergedFrom,
+}) => {
+  const snapshot = snapshotOf(patient);
+  const changes = diffSnapshots(before ? snapshotOf(before) : {}, snapshot);
+
+  // Saving the form without edits is not a new version
+  if ((action === "update" || action === "revert") && !changes.length) return null;
+
+  // The next number is read, then claimed through the unique
+  // { patient, version } index: when a concurrent change took it first, the
+  // insert fails with E11000 and is retried with a fresh number
+  for (let attempt = 1; ; attempt++) {
+    const last = await PatientVersion.findOne({ patient: patient._id })
+      .sort({ version: -1 })
+      .select("version")
+      .lean();
+
+    try {
+      return await PatientVersion.create({
+        patient: patient._id,
+        clinic: patient.clinic,
+        version: (last?.version || 0) + 1,
+        action,
+        changes,
+        snapshot,
+        author: user?._id,
+        authorName: user?.username,
+        revertOf,
+        mergedFrom: mergedFrom && {
+          patient: mergedFrom._id,
+          name: mergedFrom.name,
+          snapshot: snapshotOf(mergedFrom),
+        },
+      });
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= VERSION_ATTEMPTS) throw err;
+    }
+  }
+};
@@ -0,0 +1,204 @@
+/**
+ * patientImport.js
+ * ----------------
+ * Reading CSV / XLSX files and turning their rows into patient data for
+ * the bulk import (POST /api/patients/import).
+ *
+ * Responsibilities:
+ * - Read the first sheet of an .xlsx or a .csv file into headers + rows
+ * - Guess which column holds which patient field from the header names
+ * - Convert one row into patient fields (dates are read, phone numbers are
+ *   normalized to E.164 using the row's country, address and guardian
+ *   columns become the structured address / guardian; validation itself is
+ *   left to the Patient model)
+ *
+ * Used In:
+ * - patientImportController.js
+ */
+
+import ExcelJS from "exceljs";
+import { parse } from "csv-parse/sync";
+import { normalize, parseDateQuery } from "./fuzzySearch.js";
+import { normalizePhone } from "./phone.js";
+import { ADDRESS_FIELDS, cleanAddress } from "./address.js";
+
+export const IMPORT_EXTENSIONS = [".csv", ".xlsx"];
+
+const headerKey = (value) => normalize(value).replace(/[^a-z0-9]/g, "");
+
+// Patient fields that can be imported, with header names recognized for
+// automatic mapping (compared lowercase, without spaces / punctuation)
+export const IMPORT_FIELDS = [
+  { field: "name", label: "Name", required: true, aliases: ["name", "fullname", "patient", "patientname"] },
+  { field: "email", label: "Email", required: true, aliases: ["email", "emailaddress", "mail"] },
+  { field: "phone", label: "Phone", required: true, aliases: ["phone", "phonenumber", "mobile", "cell", "telephone", "tel"] },
+  { field: "dateOfBirth", label: "Date of birth", required: true, aliases: ["dateofbirth", "dob", "birthdate", "birthday", "born"] },
+  { field: "street", label: "Street", required: true, aliases: ["street", "address", "streetaddress", "address1", "addressline1"] },
+  { field: "city", label: "City", required: true, aliases: ["city", "town", "locality"] },
+  { field: "region", label: "State / region", required: false, aliases: ["region", "state", "province", "county"] },
+  { field: "postalCode", label: "Postal code", required: false, aliases: ["postalcode", "postcode", "zip", "zipcode"] },
+  { field: "country", label: "Country", required: false, aliases: ["country", "countrycode"] },
+  { field: "notes", label: "Notes", required: false, aliases: ["notes", "note", "comments", "comment", "remarks"] },
+  // Needed for patients under 18 (the model requires a guardian for minors)
+  { field: "guardianName", label: "Guardian name", required: false, aliases: ["guardian", "guardianname", "parent", "parentname", "responsibleparty"] },
+  { field: "guardianRelationship", label: "Guardian relationship", required: false, aliases: ["guardianrelationship", "relationship"] },
+  { field: "guardianPhone", label: "Guardian phone", required: false, aliases: ["guardianphone", "parentphone"] },
+];
+
+const GUARDIAN_COLUMNS = { guardianName: "name", guardianRelationship: "relationship", guardianPhone: "phone" };
+
+// Free-text relationship → guardian relationship ("Mother" → parent)
+const guardianRelationship = (value) => {
+  const key = headerKey(value);
+  if (["parent", "mother", "father", "mom", "mum", "dad"].includes(key)) return "parent";
+  if (["guardian", "legalguardian"].includes(key)) return "legal_guardian";
+  return "other";
+};
+
+/**
+ * Text of a spreadsheet cell; dates become YYYY-MM-DD.
+ */
+const cellText = (cell) => {
+  if (cell.value instanceof Date) return cell.value.toISOString().slice(0, 10);
+  return String(cell.text ?? "").trim();
+};
+
+/**
+ * readSheet(buffer, filename)
+ * ---------------------------
+ * @returns {Promise<{ headers: String[], rows: String[][] }>}
+ *   rows exclude the header row and fully empty lines
+ * @throws Error with a user-facing message for unreadable files
+ */
+export const readSheet = async (buffer, filename) => {
+  const lower = String(filename || "").toLowerCase();
+  let table;
+
+  if (lower.endsWith(".csv")) {
+    try {
+      table = parse(buffer, {
+        bom: true,
+        skip_empty_lines: true,
+        relax_column_count: true,
+        trim: true,
+      });
+    } catch (err) {
+      throw new Error(`Could not read CSV: ${err.message}`);
+    }
+  } else if (lower.endsWith(".xlsx")) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch {
+      throw new Error("Could not read the Excel file (.xlsx expected)");
+    }
+    const sheet = workbook.worksheets[0];
+    table = [];
+    sheet?.eachRow({ includeEmpty: false }, (row) => {
+      const values = [];
+      for (let c = 1; c <= sheet.columnCount; c++) values.push(cellText(row.getCell(c)));
+      table.push(values);
+    });
+  } else {
+    throw new Error(`Unsupported file type (use ${IMPORT_EXTENSIONS.join(" or ")})`);
+  }
+
+  table = table.filter((r) => r.some((v) => String(v ?? "").trim() !== ""));
+  const [headers = [], ...rows] = table;
+  return { headers: headers.map((h) => String(h ?? "").trim()), rows };
+};
+
+/**
+ * guessMapping(headers) → { field: columnIndex }
+ * Only fields whose header was recognized are included.
+ */
+export const guessMapping = (headers) => {
+  const mapping = {};
+  const keys = headers.map(headerKey);
+
+  for (const { field, aliases } of IMPORT_FIELDS) {
+    const index = keys.findIndex((k, i) => aliases.includes(k) && !Object.values(mapping).includes(i));
+    if (index >= 0) mapping[field] = index;
+  }
+  return mapping;
+};
+
+/**
+ * Validates a client-sent mapping against the header count.
+ * @returns {String|null} error message
+ */
+export const checkMapping = (mapping, headers) => {
+  if (!mapping || typeof mapping !== "object") return "Column mapping is required";
+
+  for (const { field, label, required } of IMPORT_FIELDS) {
+    const index = mapping[field];
+    if (index === undefined || index === null || index === "") {
+      if (required) return `Choose a column for ${label}`;
+      continue;
+    }
+    if (!Number.isInteger(index) || index < 0 || index >= headers.length) {
+      return `Invalid column for ${label}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * rowToPatient(row, mapping)
+ * --------------------------
+ * @returns {{ fields: Object, errors: Array<{ field, message }> }}
+ *   fields ready for new Patient(); errors for values that could not even
+ *   be converted (e.g. an unreadable date)
+ */
+export const rowToPatient = (row, mapping) => {
+  const fields = {};
+  const errors = [];
+
+  for (const { field } of IMPORT_FIELDS) {
+    const index = mapping[field];
+    if (index === undefined || index === null || index === "") continue;
+    const value = String(row[index] ?? "").trim();
+    if (value) fields[field] = value;
+  }
+
+  // Address columns → one structured address (country defaults to the clinic's)
+  const address = {};
+  for (const part of ADDRESS_FIELDS) {
+    if (fields[part]) address[part] = fields[part];
+    delete fields[part];
+  }
+  if (Object.keys(address).length) fields.address = cleanAddress(address);
+
+  // (555) 123-4567 / +44 20 7946 0958 → E.164, read in the row's country
+  if (fields.phone) fields.phone = normalizePhone(fields.phone, fields.address?.country);
+
+  // Guardian columns → guardian (phone read in the row's country; a number
+  // that cannot be read is kept so the model reports its format)
+  const guardian = {};
+  for (const [column, key] of Object.entries(GUARDIAN_COLUMNS)) {
+    if (fields[column]) guardian[key] = fields[column];
+    delete fields[column];
+  }
+  if (guardian.name || guardian.phone) {
+    if (guardian.relationship) guardian.relationship = guardianRelationship(guardian.relationship);
+    if (guardian.phone) guardian.phone = normalizePhone(guardian.phone, fields.address?.country) ?? guardian.phone;
+    fields.guardian = guardian;
+  }
+
+  if (fields.dateOfBirth) {
+    const day = parseDateQuery(fields.dateOfBirth);
+    if (day) {
+      fields.dateOfBirth = day[0];
+    } else {
+      errors.push({
+        field: "dateOfBirth",
+        message: "Invalid date of birth (use YYYY-MM-DD or MM/DD/YYYY)",
+      });
+      delete fields.dateOfBirth;
+    }
+  }
+
+  if (fields.email) fields.email = fields.email.toLowerCase();
+
+  return { fields, errors };
+};
@@ -0,0 +1,123 @@
+/**
+ * patientTimeline.js
+ * ------------------
+ * Merges everything that happened to a patient into one chronological list
+ * for the patient detail page (GET /api/patients/:id?include=timeline).
+ *
+ * Event types (newest first, `at` is used for ordering):
+ * - appointment: { appointment: { _id, date, time, reason, status, bookedBy } }
+ *   `at` = date + time, so future visits are at the top
+ * - attachment : { attachment: { _id, filename, originalName, mimeType, size } }
+ * - note       : notes written, edited or cleared:
+ *                { text, previous, author, version }
+ * - clinical_note: a signed clinical note (text on the notes panel):
+ *                { note: { _id, template, label, appointmentLabel, amended },
+ *                  author }
+ * - change     : any other recorded version (create, update, archive, ...):
+ *                { action, changes, author, version }
+ *
+ * Used In:
+ * - patientController.js → getPatient
+ */
+
+import { NOTE_TEMPLATES } from "./noteTemplates.js";
+
+/**
+ * Appointment date (stored as the day) + "HH:MM" time → one Date.
+ */
+const appointmentTime = (appt) => {
+  const day = new Date(appt.date).toISOString().slice(0, 10);
+  const at = new Date(`${day}T${/^\d{2}:\d{2}$/.test(appt.time) ? appt.time : "00:00"}:00Z`);
+  return isNaN(at) ? new Date(appt.date) : at;
+};
+
+/**
+ * buildTimeline({ patient, appointments, versions, clinicalNotes })
+ * -----------------------------------------------------------------
+ * @param {Object}   patient       - patient document (attachments are read)
+ * @param {Object[]} appointments  - lean appointments, user populated
+ * @param {Object[]} versions      - lean PatientVersion documents
+ * @param {Object[]} clinicalNotes - lean signed ClinicalNote documents
+ * @returns {Object[]} events, newest first
+ */
+export const buildTimeline = ({
+  patient,
+  appointments = [],
+  versions = [],
+  clinicalNotes = [],
+}) => {
+  const events = [];
+
+  for (const a of appointments) {
+    events.push({
+      type: "appointment",
+      at: appointmentTime(a),
+      appointment: {
+        _id: a._id,
+        date: a.date,
+        time: a.time,
+        reason: a.reason,
+        status: a.status,
+        bookedBy: a.user?.username || null,
+      },
+    });
+  }
+
+  for (const att of patient.attachments || []) {
+    events.push({
+      type: "attachment",
+      at: att.uploadedAt,
+      attachment: {
+        _id: att._id,
+        filename: att.filename,
+        originalName: att.originalName,
+        mimeType: att.mimeType,
+        size: att.size,
+      },
+    });
+  }
+
+  for (const n of clinicalNotes) {
+    events.push({
+      type: "clinical_note",
+      at: n.createdAt,
+      note: {
+        _id: n._id,
+        template: n.template,
+        label: NOTE_TEMPLATES[n.template]?.label || n.template,
+        appointmentLabel: n.appointmentLabel || null,
+        amended: (n.amendments || []).length > 0,
+      },
+      author: n.authorName,
+    });
+  }
+
+  // Notes edits get their own entry; the rest of the version stays a change
+  for (const v of versions) {
+    const notes = v.changes.find((c) => c.field === "notes");
+    const others = v.changes.filter((c) => c.field !== "notes");
+
+    if (notes) {
+      events.push({
+        type: "note",
+        at: v.createdAt,
+        text: notes.to || null, // null: notes were cleared
+        previous: notes.from || null,
+        author: v.authorName,
+        version: v.version,
+      });
+    }
+    if (others.length || !notes || (v.action !== "update" && v.action !== "revert")) {
+      events.push({
+        type: "change",
+        at: v.createdAt,
+        action: v.action,
+        changes: others,
+        author: v.authorName,
+        version: v.version,
+      });
+    }
+  }
+
+  return events.sort((a, b) => new Date(b.at) - new Date(a.at));
+};
@@ -0,0 +1,108 @@
+/**
+ * phone.js
+ * --------
+ * Phone numbers in E.164 form ("+12125550199"), so that numbers of patients
+ * from any country are stored, compared and dialled the same way.
+ *
+ * Responsibilities:
+ * - Parse what staff type ("(212) 555-0199" with country US,
+ *   "+44 20 7946 0958", …) into E.164
+ * - Validate stored numbers (model validators)
+ * - Turn the phone fields of a request body into stored values: typed
+ *   numbers (mobile / home / work) with the first one as the primary
+ *   `phone`, plus the numbers of emergency contacts and the guardian
+ *
+ * Notes:
+ * - A number is accepted when it has a possible length for its country;
+ *   stricter checks (number ranges) reject too many real-world test and
+ *   legacy numbers.
+ * - Input without a country code is read as a number of DEFAULT_COUNTRY
+ *   (env DEFAULT_COUNTRY, ISO 3166 code, default US) unless a `country` is
+ *   sent with it.
+ *
+ * Used In:
+ * - models/patient.js (validators)
+ * - patientController.js, patientImport.js, scripts/migratePhonesAddresses.js
+ */
+
+import { parsePhoneNumberFromString } from "libphonenumber-js";
+
+export const DEFAULT_COUNTRY = (process.env.DEFAULT_COUNTRY || "US").toUpperCase();
+
+export const PHONE_TYPES = ["mobile", "home", "work"];
+
+export const PHONE_FORMAT_MESSAGE =
+  "must be a valid phone number with country code (e.g. +12125550199)";
+
+/**
+ * True for a possible number already in E.164 form.
+ */
+export const isPhoneNumber = (value) => {
+  if (typeof value !== "string") return false;
+  const parsed = parsePhoneNumberFromString(value);
+  return !!parsed && parsed.isPossible() && parsed.number === value;
+};
+
+/**
+ * normalizePhone(value, country)
+ * ------------------------------
+ * @returns {String|null} E.164 number, null for empty input, or the trimmed
+ *   input itself when it cannot be read (so the model validator reports it)
+ */
+export const normalizePhone = (value, country = DEFAULT_COUNTRY) => {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+
+  const parsed = parsePhoneNumberFromString(
+    text,
+    String(country || DEFAULT_COUNTRY).toUpperCase()
+  );
+  return parsed && parsed.isPossible() ? parsed.number : text;
+};
+
+const normalizeNumbers = (phones) =>
+  (Array.isArray(phones) ? phones : [])
+    .map((p) => ({
+      type: PHONE_TYPES.includes(p?.type) ? p.type : "mobile",
+      number: normalizePhone(p?.number, p?.country),
+    }))
+    .filter((p) => p.number);
+
+/**
+ * cleanPhoneFields(fields, current)
+ * ---------------------------------
+ * @param {Object} fields  - patient fields from the request body
+ * @param {Object} current - stored patient (updates), for a legacy `phone`
+ *   sent without `phones`
+ * @returns {Object} copy where `phones` holds E.164 numbers and `phone` is
+ *   the first of them; contact / guardian numbers are normalized too
+ */
+export const cleanPhoneFields = (fields, current = null) => {
+  const clean = { ...fields };
+
+  if ("phones" in clean) {
+    clean.phones = normalizeNumbers(clean.phones);
+    clean.phone = clean.phones[0]?.number ?? "";
+  } else if ("phone" in clean) {
+    // Older clients / imports send one number: it replaces the primary one
+    const number = normalizePhone(clean.phone, clean.phoneCountry);
+    const [first, ...others] = current?.phones || [];
+    clean.phones = number ? [{ type: first?.type || "mobile", number }, ...others] : others;
+    clean.phone = number ?? "";
+  }
+  delete clean.phoneCountry;
+
+  if (Array.isArray(clean.emergencyContacts)) {
+    clean.emergencyContacts = clean.emergencyContacts.map(({ country, ...contact }) => ({
+      ...contact,
+      phone: normalizePhone(contact.phone, country) ?? "",
+    }));
+  }
+
+  if (clean.guardian) {
+    const { country, ...guardian } = clean.guardian;
+    clean.guardian = { ...guardian, phone: normalizePhone(guardian.phone, country) ?? "" };
+  }
+
+  return clean;
+};
@@ -0,0 +1,152 @@
+/**
+ * session.js
+ * ----------
+ * Helpers for issuing, rotating and revoking login sessions.
+ *
+ * Responsibilities:
+ * - Start a Session for a user and return { token, refreshToken }
+ * - Build the standard login response ({ token, refreshToken, user })
+ *   and the client-facing profile used by GET /api/users/me
+ * - Rotate a refresh token (old token stops working immediately)
+ * - Revoke one session or every session belonging to a user
+ *
+ * Used In:
+ * - userController.js → login, register, bootstrap, refresh, logout
+ * - adminController.js → admin session tools
+ * - invitationController.js → accepting an invitation logs the new user in
+ */
+
+import Session from "../models/session.js";
+import SecurityPolicy from "../models/securityPolicy.js";
+import Clinic from "../models/clinic.js";
+import { permissionsForRole } from "../config/permissions.js";
+import {
+  signToken,
+  generateRefreshToken,
+  hashToken,
+  refreshTokenExpiry,
+} from "./token.js";
+
+/**
+ * Builds the access token for a user bound to a specific session.
+ */
+const accessTokenFor = (user, session) =>
+  signToken({ id: user._id, role: user.role, sid: session._id });
+
+/**
+ * startSession(user, req)
+ * -----------------------
+ * Creates a new Session document and returns the token pair.
+ *
+ * @param {Object} user - Mongoose User document
+ * @param {Object} req  - Express request (used for user agent + IP)
+ * @returns {Promise<{ token: String, refreshToken: String }>}
+ */
+export const startSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: refreshTokenExpiry(),
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+  });
+
+  return { token: accessTokenFor(user, session), refreshToken };
+};
+
+/**
+ * The user's clinics as { _id, name }, in the user's own order.
+ */
+const userClinics = async (user) => {
+  const ids = (user.clinics || []).map(String);
+  const clinics = await Clinic.find({ _id: { $in: ids } }).select("name");
+  return clinics.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+};
+
+/**
+ * clientUser(user)
+ * ----------------
+ * Profile shape the React client keeps in AuthContext. Shared by the login
+ * response and GET /api/users/me so both always agree.
+ *
+ * `twoFactorSetupRequired` tells the client to send the user to enrollment
+ * (their role requires 2FA but they have not set it up yet).
+ * `permissions` lets the client hide actions the user may not perform.
+ * `clinics` ({ _id, name }, default clinic first) feeds the clinic switcher.
+ *
+ * @returns {Promise<Object>}
+ */
+export const clientUser = async (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  permissions: permissionsForRole(user.role),
+  clinics: await userClinics(user),
+  twoFactorEnabled: user.twoFactorEnabled,
+  twoFactorSetupRequired: await SecurityPolicy.requiresTwoFactorSetup(user),
+});
+
+/**
+ * loginResponse(user, req)
+ * ------------------------
+ * Starts a session and builds the JSON body returned by every endpoint that
+ * logs a user in (login, register, accept invitation, bootstrap, 2FA).
+ *
+ * @returns {Promise<{ token: String, refreshToken: String, user: Object }>}
+ */
+export const loginResponse = async (user, req) => {
+  const { token, refreshToken } = await startSession(user, req);
+
+  return {
+    token,
+    refreshToken,
+    user: await clientUser(user),
+  };
+};
+
+/**
+ * rotateSession(session, user)
+ * ----------------------------
+ * Replaces the refresh token of an active session with a fresh one.
+ *
+ * @param {Object} session - Active Session document
+ * @param {Object} user    - Owner of the session
+ * @returns {Promise<{ token: String, refreshToken: String }>}
+ */
+export const rotateSession = async (session, user) => {
+  const refreshToken = generateRefreshToken();
+
+  session.tokenHash = hashToken(refreshToken);
+  session.expiresAt = refreshTokenExpiry();
+  session.lastUsedAt = new Date();
+  await session.save();
+
+  return { token: accessTokenFor(user, session), refreshToken };
+};
+
+/**
+ * findSessionByRefreshToken(refreshToken)
+ * ---------------------------------------
+ * @returns {Promise<Object|null>} Matching Session document (active or not)
+ */
+export const findSessionByRefreshToken = (refreshToken) =>
+  Session.findOne({ tokenHash: hashToken(refreshToken) });
+
+/**
+ * revokeUserSessions(userId, exceptSessionId)
+ * -------------------------------------------
+ * Revokes all active sessions of a user, optionally keeping one alive
+ * (e.g. the session that performed a password change).
+ *
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+export const revokeUserSessions = async (userId, exceptSessionId = null) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date() });
+  return result.modifiedCount;
+};
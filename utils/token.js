@@ -1,20 +1,25 @@
 /**
  * token.js
  * --------
- * Utility module for generating JWT tokens.
+ * Utility module for generating JWT access tokens and refresh tokens.
  *
  * Responsibilities:
- * - Wraps jwt.sign() to create tokens for authenticated users
- * - Reads JWT secret & expiration time from environment variables
+ * - Wraps jwt.sign() to create short-lived access tokens
+ * - Generates random refresh / single-use tokens and hashes them for storage
+ * - Reads JWT secret & expiration times from environment variables
  *
  * Environment Variables:
- * - JWT_SECRET   : Secret key used to sign the token
- * - JWT_EXPIRES  : Optional expiration duration (e.g., "1d", "7d")
+ * - JWT_SECRET          : Secret key used to sign the token
+ * - JWT_EXPIRES         : Optional access token lifetime (e.g., "15m", "1h")
+ * - REFRESH_TOKEN_DAYS  : Optional refresh token lifetime in days (default 7)
  *
  * Used In:
- * - userController.js → during registration and login
+ * - utils/session.js → when a session is started or refreshed
+ * - invitationController.js → single-use invitation links
+ * - userController.js / twoFactorController.js → 2FA login challenge
  */
 
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 
 /**
@@ -22,16 +27,86 @@ import jwt from "jsonwebtoken";
  * ------------------
  * Creates a signed JWT using the provided payload.
  *
- * @param {Object} payload - Data to embed inside the token (e.g., { id, role })
+ * @param {Object} payload - Data to embed inside the token (e.g., { id, role, sid })
  * @returns {String} JWT string
  *
  * Notes:
- * - Token expires in 7 days if JWT_EXPIRES is not defined.
+ * - Token expires in 15 minutes if JWT_EXPIRES is not defined.
  * - Token is later validated inside authMiddleware.js.
  */
 export const signToken = (payload) =>
   jwt.sign(
     payload,
     process.env.JWT_SECRET,             // Secret key for signing
-    { expiresIn: process.env.JWT_EXPIRES || "7d" } // Default 7 days
+    { expiresIn: process.env.JWT_EXPIRES || "15m" } // Default 15 minutes
   );
+
+/**
+ * signChallengeToken(userId)
+ * --------------------------
+ * Short-lived token proving the password step of a 2FA login succeeded.
+ * It carries no session id, so authMiddleware never accepts it.
+ *
+ * @param {String} userId - User who passed the password check
+ * @returns {String} JWT valid for 5 minutes
+ */
+export const signChallengeToken = (userId) =>
+  jwt.sign({ id: userId, purpose: "2fa" }, process.env.JWT_SECRET, {
+    expiresIn: "5m",
+  });
+
+/**
+ * verifyChallengeToken(token)
+ * ---------------------------
+ * @param {String} token - Token from signChallengeToken()
+ * @returns {String|null} User id, or null if invalid / expired
+ */
+export const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === "2fa" ? decoded.id : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * generateToken(bytes)
+ * --------------------
+ * Creates an opaque, random token suitable for links sent by email.
+ *
+ * @param {Number} bytes - Amount of randomness (default 32 → 64 hex chars)
+ * @returns {String} Hex string
+ */
+export const generateToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString("hex");
+
+/**
+ * generateRefreshToken()
+ * ----------------------
+ * Creates an opaque, random refresh token (sent to the client once).
+ *
+ * @returns {String} 96-character hex string
+ */
+export const generateRefreshToken = () => generateToken(48);
+
+/**
+ * hashToken(token)
+ * ----------------
+ * Hashes a random token so only the digest is stored in MongoDB.
+ *
+ * @param {String} token - Raw token received from / sent to the client
+ * @returns {String} SHA-256 hex digest
+ */
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * refreshTokenExpiry()
+ * --------------------
+ * @returns {Date} Expiration date for a newly issued refresh token
+ */
+export const refreshTokenExpiry = () => {
+  const days = Number(process.env.REFRESH_TOKEN_DAYS) || 7;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
@@ -0,0 +1,152 @@
+/**
+ * totp.js
+ * -------
+ * Minimal TOTP (RFC 6238) implementation for staff two-factor authentication.
+ *
+ * Responsibilities:
+ * - Generate base32 secrets compatible with authenticator apps
+ * - Build otpauth:// URIs (rendered as QR codes during enrollment)
+ * - Verify 6-digit codes with a small clock-drift window
+ * - Generate one-time recovery codes
+ *
+ * Notes:
+ * - 30-second time step, 6 digits, HMAC-SHA1 (the authenticator-app default)
+ * - Codes from the previous / next step are accepted to tolerate clock drift
+ * - verifyTotp returns the time step of the matched code; callers store it
+ *   and pass it back so a code (or an older one) is accepted only once
+ */
+
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encodes a Buffer as RFC 4648 base32 (no padding).
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decodes an RFC 4648 base32 string (case-insensitive, padding ignored).
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * HOTP value (RFC 4226) for a given counter.
+ */
+const hotp = (secret, counter) => {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(code).padStart(DIGITS, "0");
+};
+
+/**
+ * generateSecret()
+ * ----------------
+ * @returns {String} New random base32 secret (160 bits)
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * otpauthUri(secret, accountName)
+ * -------------------------------
+ * @param {String} secret      - Base32 secret
+ * @param {String} accountName - Shown in the authenticator app (e.g. email)
+ * @returns {String} otpauth://totp/... URI
+ */
+export const otpauthUri = (secret, accountName) => {
+  const issuer = process.env.TOTP_ISSUER || "MERNPro Dental";
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * verifyTotp(secret, code, lastUsedStep)
+ * --------------------------------------
+ * @param {String} secret       - Base32 secret
+ * @param {String} code         - 6-digit code typed by the user
+ * @param {Number} lastUsedStep - Step of the last accepted code (optional);
+ *                                codes of this step or earlier are rejected
+ * @returns {Number|null} time step of the matching code (current step ±1),
+ *   or null when the code does not match / was already used
+ */
+export const verifyTotp = (secret, code, lastUsedStep = null) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const counter = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+  const step = [counter - 1, counter, counter + 1].find((candidate) => {
+    const expected = hotp(secret, candidate);
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized));
+  });
+  if (step === undefined) return null;
+  return lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep ? null : step;
+};
+
+/**
+ * generateRecoveryCodes(count)
+ * ----------------------------
+ * @param {Number} count - How many codes to create (default 10)
+ * @returns {String[]} Codes formatted like "a1b2c-3d4e5"
+ */
+export const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+/**
+ * normalizeRecoveryCode(code)
+ * ---------------------------
+ * Lowercases and strips spaces so "A1B2C-3D4E5 " matches "a1b2c-3d4e5".
+ */
+export const normalizeRecoveryCode = (code) =>
+  String(code || "").trim().toLowerCase().replace(/\s/g, "");
@@ -0,0 +1,159 @@
+/**
+ * treatmentPlans.js
+ * -----------------
+ * Procedure codes, totals and appointment links for treatment plans
+ * (models/treatmentPlan.js, models/plannedProcedure.js).
+ *
+ * Responsibilities:
+ * - The procedure code catalog (CDT codes with a description and the
+ *   clinic's default fee) offered by the plan editor
+ * - Totals of a plan per phase: everything, what is still unscheduled and
+ *   what is completed
+ * - The appointment reason for procedures being scheduled
+ * - Keep planned procedures in step with their appointment: completing the
+ *   visit completes them, cancelling / deleting it (or moving it to another
+ *   patient) puts them back to "accepted" so they can be scheduled again
+ *
+ * Notes:
+ * - Codes outside the catalog are accepted; they need a description.
+ * - Fees are plain amounts in the clinic's currency.
+ *
+ * Used In:
+ * - treatmentPlanController.js
+ * - appointmentController.js → updateAppointment, deleteAppointment
+ */
+
+import PlannedProcedure from "../models/plannedProcedure.js";
+
+export const PROCEDURE_CODES = [
+  { code: "D0120", description: "Periodic oral evaluation", fee: 55 },
+  { code: "D0150", description: "Comprehensive oral evaluation", fee: 95 },
+  { code: "D0210", description: "Intraoral radiographs, complete series", fee: 140 },
+  { code: "D0274", description: "Bitewings, four radiographic images", fee: 70 },
+  { code: "D1110", description: "Prophylaxis, adult", fee: 110 },
+  { code: "D1120", description: "Prophylaxis, child", fee: 80 },
+  { code: "D1351", description: "Sealant, per tooth", fee: 50, tooth: true },
+  { code: "D2140", description: "Amalgam, one surface", fee: 130, tooth: true },
+  { code: "D2330", description: "Resin composite, one surface, anterior", fee: 150, tooth: true },
+  { code: "D2391", description: "Resin composite, one surface, posterior", fee: 170, tooth: true },
+  { code: "D2392", description: "Resin composite, two surfaces, posterior", fee: 215, tooth: true },
+  { code: "D2740", description: "Crown, porcelain / ceramic", fee: 1200, tooth: true },
+  { code: "D2950", description: "Core buildup, including pins", fee: 260, tooth: true },
+  { code: "D3310", description: "Endodontic therapy, anterior tooth", fee: 800, tooth: true },
+  { code: "D3330", description: "Endodontic therapy, molar tooth", fee: 1150, tooth: true },
+  { code: "D4341", description: "Scaling and root planing, four or more teeth per quadrant", fee: 240 },
+  { code: "D4910", description: "Periodontal maintenance", fee: 150 },
+  { code: "D6010", description: "Implant body, endosteal", fee: 2100, tooth: true },
+  { code: "D6065", description: "Implant supported porcelain / ceramic crown", fee: 1500, tooth: true },
+  { code: "D7140", description: "Extraction, erupted tooth or exposed root", fee: 180, tooth: true },
+  { code: "D7210", description: "Surgical extraction of erupted tooth", fee: 320, tooth: true },
+  { code: "D9230", description: "Nitrous oxide analgesia", fee: 75 },
+  { code: "D9243", description: "Intravenous moderate sedation, each 15 minutes", fee: 250 },
+];
+
+const CATALOG = new Map(PROCEDURE_CODES.map((p) => [p.code, p]));
+
+export const catalogEntry = (code) => CATALOG.get(String(code ?? "").trim().toUpperCase()) || null;
+
+export const PROCEDURE_STATUSES = PlannedProcedure.schema.path("status").enumValues;
+
+export const PRIORITIES = PlannedProcedure.schema.path("priority").enumValues;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * planTotals(procedures)
+ * ----------------------
+ * @param {Object[]} procedures - procedures of one plan
+ * @returns {Object} { total, unscheduled, completed, phases: [{ phase,
+ *   count, total, unscheduled, unscheduledCount, completed }] } with phases
+ *   in ascending order; "unscheduled" = proposed or accepted
+ */
+export const planTotals = (procedures) => {
+  const phases = new Map();
+  const sum = { total: 0, unscheduled: 0, completed: 0 };
+
+  for (const p of procedures) {
+    const phase =
+      phases.get(p.phase) ||
+      { phase: p.phase, count: 0, total: 0, unscheduled: 0, unscheduledCount: 0, completed: 0 };
+    const fee = p.fee || 0;
+
+    phase.count += 1;
+    phase.total += fee;
+    sum.total += fee;
+    if (p.status === "proposed" || p.status === "accepted") {
+      phase.unscheduled += fee;
+      phase.unscheduledCount += 1;
+      sum.unscheduled += fee;
+    }
+    if (p.status === "completed") {
+      phase.completed += fee;
+      sum.completed += fee;
+    }
+    phases.set(p.phase, phase);
+  }
+
+  return {
+    total: round(sum.total),
+    unscheduled: round(sum.unscheduled),
+    completed: round(sum.completed),
+    phases: [...phases.values()]
+      .sort((a, b) => a.phase - b.phase)
+      .map((p) => ({
+        ...p,
+        total: round(p.total),
+        unscheduled: round(p.unscheduled),
+        completed: round(p.completed),
+      })),
+  };
+};
+
+/**
+ * "D2391 Resin composite, one surface, posterior (tooth 36 MO)".
+ */
+export const procedureLabel = (p) => {
+  const where = p.tooth ? ` (tooth ${p.tooth}${p.surfaces?.length ? ` ${p.surfaces.join("")}` : ""})` : "";
+  return `${p.code} ${p.description}${where}`;
+};
+
+/**
+ * Appointment reason for the procedures booked into it.
+ */
+export const appointmentReason = (procedures) =>
+  `Treatment plan: ${procedures.map(procedureLabel).join("; ")}`;
+
+/**
+ * syncAppointmentProcedures(appointment, { deleted })
+ * ---------------------------------------------------
+ * Call after an appointment was saved or deleted:
+ * - Completed            → its scheduled procedures are completed
+ * - Cancelled / deleted  → scheduled procedures are released (accepted, no
+ *                          appointment)
+ * - Moved to another patient → scheduled procedures are released
+ * Procedures already completed keep their status and appointment.
+ *
+ * @returns {Promise<Number>} procedures changed
+ */
+export const syncAppointmentProcedures = async (appointment, { deleted = false } = {}) => {
+  const linked = { appointment: appointment._id, clinic: appointment.clinic };
+  const scheduled = { ...linked, status: "scheduled" };
+  const release = { status: "accepted", appointment: null };
+
+  if (deleted || appointment.status === "Cancelled") {
+    const { modifiedCount } = await PlannedProcedure.updateMany(scheduled, release);
+    return modifiedCount;
+  }
+
+  const { modifiedCount: moved } = await PlannedProcedure.updateMany(
+    { ...scheduled, patient: { $ne: appointment.patientId } },
+    release
+  );
+  if (appointment.status !== "Completed") return moved;
+
+  const { modifiedCount } = await PlannedProcedure.updateMany(
+    scheduled,
+    { status: "completed", completedAt: new Date() }
+  );
+  return moved + modifiedCount;
+};
@@ -0,0 +1,59 @@
+/**
+ * uploads.js
+ * ----------
+ * Location of uploaded patient attachments on disk, their file names and
+ * cleanup helper.
+ *
+ * Used In:
+ * - patientRoutes.js       → multer destination and file names
+ * - patientController.js   → purgePatient removes the files of a patient
+ * - consentController.js   → stores signed consent PDFs as attachments
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+export const UPLOAD_DIR = "uploads";
+
+/**
+ * Stored name of a new upload: "<timestamp>-<field><ext>".
+ *
+ * @param {String} fieldname - Form field (multer) or kind of file
+ * @param {String} originalName - Name the file came with (for the extension)
+ */
+export const uploadName = (fieldname, originalName) =>
+  `${Date.now()}-${fieldname}${path.extname(originalName)}`;
+
+/**
+ * Writes a file generated by the server into the uploads folder.
+ *
+ * @param {String} filename - Stored name (see uploadName)
+ * @param {Buffer} data
+ */
+export const writeUpload = async (filename, data) => {
+  await fs.mkdir(UPLOAD_DIR, { recursive: true });
+  await fs.writeFile(path.join(UPLOAD_DIR, path.basename(filename)), data);
+};
+
+/**
+ * Deletes stored attachment files; files that are already gone are skipped.
+ *
+ * @param {String[]} filenames - Stored names (attachment.filename)
+ * @returns {Promise<Number>} How many files were deleted
+ */
+export const removeUploads = async (filenames) => {
+  let removed = 0;
+
+  for (const name of filenames) {
+    if (!name) continue;
+    try {
+      // basename: never leave the uploads folder, whatever is stored
+      await fs.unlink(path.join(UPLOAD_DIR, path.basename(name)));
+      removed++;
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+
+  return removed;
+};